@@ -316,15 +316,18 @@ export class AnimationController {
             }
         });
 
-        // Cache animatable parameter controls
+        // Cache animatable parameter controls (transform and model parameters)
+        // with the settings object their values belong to
         this.cachedAnimatableParams = [];
-        const transformParamsControl = this.controlManager.controls.get('transform-params');
-        if (transformParamsControl && transformParamsControl.parameterControls) {
-            transformParamsControl.parameterControls.forEach((paramControl) => {
-                if (paramControl instanceof AnimatableParameterControl) {
-                    this.cachedAnimatableParams.push(paramControl);
-                }
-            });
+        for (const groupId of ['transform-params', 'model-params']) {
+            const groupControl = this.controlManager.controls.get(groupId);
+            if (groupControl && groupControl.parameterControls) {
+                groupControl.parameterControls.forEach((paramControl) => {
+                    if (paramControl instanceof AnimatableParameterControl) {
+                        this.cachedAnimatableParams.push({ paramControl, groupKey: groupControl.settingsKey });
+                    }
+                });
+            }
         }
     }
 
@@ -349,7 +352,7 @@ export class AnimationController {
 
         // Update animatable parameter controls
         for (let i = 0; i < this.cachedAnimatableParams.length; i++) {
-            const paramControl = this.cachedAnimatableParams[i];
+            const { paramControl } = this.cachedAnimatableParams[i];
             if (paramControl.animationEnabled) {
                 paramControl.updateFromAlpha(alpha);
             }
@@ -377,19 +380,19 @@ export class AnimationController {
 
         // Collect values from animatable parameters
         for (let i = 0; i < this.cachedAnimatableParams.length; i++) {
-            const paramControl = this.cachedAnimatableParams[i];
+            const { paramControl, groupKey } = this.cachedAnimatableParams[i];
             const newValue = paramControl.getValue();
-            const paramKey = paramControl.parameterName;
+            const paramKey = paramControl.settingsKey;
 
-            // Build transformParams object
-            if (!changedSettings.transformParams) {
-                changedSettings.transformParams = this.lastAppliedSettings?.transformParams
-                    ? {...this.lastAppliedSettings.transformParams}
+            // Build transformParams / parameterValues object
+            if (!changedSettings[groupKey]) {
+                changedSettings[groupKey] = this.lastAppliedSettings?.[groupKey]
+                    ? {...this.lastAppliedSettings[groupKey]}
                     : {};
             }
 
-            if (this.lastAppliedSettings === null || newValue !== this.lastAppliedSettings.transformParams?.[paramKey]) {
-                changedSettings.transformParams[paramKey] = newValue;
+            if (this.lastAppliedSettings === null || newValue !== this.lastAppliedSettings[groupKey]?.[paramKey]) {
+                changedSettings[groupKey][paramKey] = newValue;
             }
         }
 
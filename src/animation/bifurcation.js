@@ -0,0 +1,167 @@
+/**
+ * Bifurcation sweep
+ * Runs the burn-in/accumulation workflow of the Animator once per parameter value
+ * and records the sampled particle states (see math/bifurcation.js)
+ */
+
+import { logger } from '../utils/debug-logger.js';
+import { BIFURCATION_MODES, findLocalMaxima, getSweepValues, substituteConstant, formatConstant } from '../math/bifurcation.js';
+
+export class BifurcationSweep {
+    /**
+     * @param {Renderer} renderer - Renderer to run the sweep on
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.points = [];
+        this.options = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Wait for a single animation frame
+     */
+    waitFrame() {
+        return new Promise(resolve => requestAnimationFrame(resolve));
+    }
+
+    /**
+     * Apply one parameter value (alpha directly, constants by recompiling the field)
+     */
+    applyParameter(parameter, value, expressions) {
+        if (parameter === 'a') {
+            this.renderer.setAnimationAlpha(value);
+        } else {
+            this.renderer.updateConfig({ expressions: substituteConstant(expressions, parameter, value) });
+        }
+    }
+
+    /**
+     * Sample the recorded coordinate of the tracked particles (NaN for particles that just respawned)
+     */
+    sample(coordinate, particles) {
+        return this.renderer.sampleParticleData({ count: particles, random: false, log: false })
+            .map(sample => sample.age < 1 ? NaN : sample.position[coordinate]);
+    }
+
+    /**
+     * Sweep the parameter and record the diagram
+     * @param {Object} options
+     * @param {string|Object} options.parameter - 'a' or a constant from findNumericConstants
+     * @param {number} options.start - First parameter value
+     * @param {number} options.end - Last parameter value
+     * @param {number} options.count - Number of parameter values
+     * @param {number} options.coordinate - Recorded state dimension
+     * @param {string} options.mode - 'values' (every sample) or 'maxima' (local maxima per trajectory)
+     * @param {number} options.burnInSteps - Steps discarded before recording
+     * @param {number} options.accumulationSteps - Steps recorded per value
+     * @param {number} options.sampleInterval - Steps between samples
+     * @param {number} options.particles - Number of particles recorded
+     * @param {Function} progressCallback - Called with (done, total, value) after each value
+     * @returns {Promise<Object[]>} Recorded {parameter, value} points
+     */
+    async run(options, progressCallback) {
+        if (this.isRunning) {
+            throw new Error('Bifurcation sweep already running');
+        }
+
+        const renderer = this.renderer;
+        const { parameter, start, end, count, coordinate, mode, burnInSteps, accumulationSteps, sampleInterval, particles } = options;
+
+        if (parameter === 'a' && (Math.min(start, end) < 0 || Math.max(start, end) > 1)) {
+            throw new Error('The animation alpha can only be swept within [0, 1]');
+        }
+        if (!BIFURCATION_MODES.includes(mode)) {
+            throw new Error(`Unknown bifurcation mode: ${mode}`);
+        }
+        if (coordinate >= renderer.dimensions) {
+            throw new Error(`Coordinate ${coordinate} is outside the ${renderer.dimensions}D system`);
+        }
+
+        const values = getSweepValues(start, end, count);
+        const expressions = [...renderer.expressions];
+        const alpha = renderer.animationAlpha;
+        const dropProbability = renderer.dropProbability;
+        const wasRunning = renderer.isRunning;
+
+        this.isRunning = true;
+        this.points = [];
+        this.options = options;
+
+        // Random respawns would mix transients into the diagram
+        renderer.stop();
+        renderer.dropProbability = 0;
+
+        try {
+            for (let i = 0; i < values.length && this.isRunning; i++) {
+                const value = values[i];
+                logger.verbose(`Bifurcation ${i + 1}/${values.length}: ${parameter === 'a' ? 'a' : parameter.text} = ${formatConstant(value)}`);
+
+                this.applyParameter(parameter, value, expressions);
+                renderer.resetParticles();
+                renderer.step(burnInSteps);
+
+                const series = [];
+                for (let step = 1; step <= accumulationSteps; step++) {
+                    renderer.updatePositions();
+                    if (step % sampleInterval === 0) {
+                        series.push(this.sample(coordinate, particles));
+                    }
+                }
+
+                this.record(value, series, mode);
+
+                if (progressCallback) {
+                    progressCallback(i + 1, values.length, value);
+                }
+                await this.waitFrame();
+            }
+        } finally {
+            if (parameter !== 'a') {
+                renderer.updateConfig({ expressions });
+            }
+            renderer.setAnimationAlpha(alpha);
+            renderer.dropProbability = dropProbability;
+            renderer.resetParticles();
+            if (wasRunning) {
+                renderer.start();
+            }
+            this.isRunning = false;
+        }
+
+        logger.info(`Bifurcation sweep recorded ${this.points.length} point(s) over ${values.length} value(s)`);
+        return this.points;
+    }
+
+    /**
+     * Record the samples of one parameter value
+     * @param {number} value - Parameter value
+     * @param {number[][]} series - Samples per step, one entry per particle
+     * @param {string} mode - 'values' or 'maxima'
+     */
+    record(value, series, mode) {
+        if (mode === 'maxima') {
+            const particleCount = series.length > 0 ? series[0].length : 0;
+            for (let p = 0; p < particleCount; p++) {
+                for (const peak of findLocalMaxima(series.map(samples => samples[p]))) {
+                    this.points.push({ parameter: value, value: peak });
+                }
+            }
+        } else {
+            for (const samples of series) {
+                for (const sample of samples) {
+                    if (Number.isFinite(sample)) {
+                        this.points.push({ parameter: value, value: sample });
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Stop after the current parameter value
+     */
+    stop() {
+        this.isRunning = false;
+    }
+}
@@ -18,6 +18,11 @@ import { Notebook } from './math/notebook.js';
 import { setNotebook as setJacobianNotebook } from './math/jacobian.js';
 import { setNotebook as setInverseSolverNotebook } from './math/inverse-solver.js';
 import { FieldEquationsEditor } from './ui/components/field-equations-editor.js';
+import { TrajectoryProbes } from './ui/trajectory-probes.js';
+import { FixedPointPanel } from './ui/fixed-point-panel.js';
+import { sectionPointsToCSV, POINCARE_MAX_POINTS } from './math/poincare.js';
+import { BifurcationPanel } from './ui/bifurcation-panel.js';
+import { BASIN_COLORS } from './math/basins.js';
 
 // Expose MathParser API to window for use in UI controls
 window.MathParser = {
@@ -187,7 +192,7 @@ $(document).ready(async function() {
     }
 
     // Step 4: Setup pan/zoom (after renderer is created)
-    function setupPanZoom(renderer, canvas) {
+    function setupPanZoom(renderer, canvas, probes) {
         // Pan and zoom handling
         let isDragging = false;
         let lastX = 0;
@@ -207,6 +212,13 @@ $(document).ready(async function() {
         }
 
         canvas.addEventListener('mousedown', (e) => {
+            // In probe mode, clicks seed trajectories instead of panning
+            if (probes && probes.enabled) {
+                const rect = canvas.getBoundingClientRect();
+                probes.addProbeAt(e.clientX - rect.left, e.clientY - rect.top);
+                return;
+            }
+
             if (e.target === canvas) {
                 isDragging = true;
                 lastX = e.clientX;
@@ -665,7 +677,10 @@ $(document).ready(async function() {
                 const framesText = renderer.totalFrames !== undefined
                     ? ` | ${formatFrameCount(renderer.totalFrames)} frames`
                     : '';
-                const fpsText = `${renderer.fps}${framesText}`;
+                const timeText = renderer.simulationTime !== undefined
+                    ? ` | t = ${renderer.simulationTime.toFixed(2)}`
+                    : '';
+                const fpsText = `${renderer.fps}${framesText}${timeText}`;
 
                 // Update desktop FPS display
                 if (fpsDisplay) {
@@ -747,6 +762,182 @@ $(document).ready(async function() {
         updateCursorDisplay();
     }
 
+    // Step 5.5: Setup trajectory probes (click-to-seed CPU trajectories)
+    function setupProbes(renderer, canvas) {
+        const probes = new TrajectoryProbes(
+            renderer,
+            canvas,
+            document.getElementById('probe-canvas'),
+            document.getElementById('probe-readout')
+        );
+
+        $('#probe-mode').on('click', function() {
+            probes.setEnabled(!probes.enabled);
+            $(this).toggleClass('active', probes.enabled);
+        });
+
+        $('#clear-probes').on('click', function() {
+            probes.clear();
+        });
+
+        $('#export-probes').on('click', function() {
+            probes.exportCSV();
+        });
+
+        // Make probes available for debugging
+        window.trajectoryProbes = probes;
+
+        return probes;
+    }
+
+    // Step 5.6: Setup fixed point finder (equilibria marked on an overlay)
+    function setupFixedPoints(renderer, canvas) {
+        const fixedPoints = new FixedPointPanel(
+            renderer,
+            canvas,
+            document.getElementById('fixed-point-canvas'),
+            document.getElementById('fixed-point-readout'),
+            window.notebook
+        );
+
+        $('#find-fixed-points').on('click', function() {
+            fixedPoints.find();
+        });
+
+        $('#clear-fixed-points').on('click', function() {
+            fixedPoints.clear();
+        });
+
+        // Make fixed points available for debugging
+        window.fixedPoints = fixedPoints;
+
+        return fixedPoints;
+    }
+
+    // Step 5.7: Setup Poincaré section buttons (view fit, clear, point cloud export)
+    function setupPoincare(renderer) {
+        $('#fit-poincare').on('click', function() {
+            renderer.fitPoincareView();
+        });
+
+        $('#clear-poincare').on('click', function() {
+            renderer.clearPoincare();
+        });
+
+        $('#export-poincare').on('click', function() {
+            const points = renderer.poincareManager.points;
+            if (points.length === 0) {
+                logger.warn('No Poincaré section crossings to export');
+                return;
+            }
+
+            const names = ['x', 'y', 'z', 'w', 'u', 'v'];
+            const csv = sectionPointsToCSV(points, [names[renderer.poincareDim1], names[renderer.poincareDim2]]);
+            const blob = new Blob([csv], { type: 'text/csv' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+            link.download = `poincare-${timestamp}.csv`;
+            link.href = url;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            logger.info(`Exported ${points.length} Poincaré section crossing(s) to CSV`);
+        });
+
+        // Crossing count readout
+        setInterval(() => {
+            const count = renderer.poincareManager.points.length;
+            $('#poincare-count').text(count >= POINCARE_MAX_POINTS
+                ? `${count} crossings (recording full)`
+                : `${count} crossings`);
+        }, 1000);
+    }
+
+    // Step 5.8: Setup bifurcation diagram sweep (parameter list, run/stop, exports)
+    function setupBifurcation(renderer) {
+        const bifurcation = new BifurcationPanel(renderer, document.getElementById('bifurcation-canvas'));
+        bifurcation.refreshParameters();
+        bifurcation.draw();
+
+        // Constants follow the current field equations
+        $('#bifurcation-parameter').on('focus', function() {
+            bifurcation.refreshParameters();
+        });
+
+        $('#bifurcation-parameter').on('change', function() {
+            bifurcation.suggestRange();
+        });
+
+        $('#bifurcation-run').on('click', async function() {
+            const $button = $(this);
+            if (bifurcation.sweep.isRunning) {
+                bifurcation.stop();
+                return;
+            }
+
+            bifurcation.refreshParameters();
+            $button.text('Stop Sweep');
+            await bifurcation.run();
+            $button.text('Run Sweep');
+        });
+
+        $('#bifurcation-export-png').on('click', function() {
+            bifurcation.exportPNG();
+        });
+
+        $('#bifurcation-export-csv').on('click', function() {
+            bifurcation.exportCSV();
+        });
+
+        // Make the sweep available for debugging
+        window.bifurcation = bifurcation;
+
+        return bifurcation;
+    }
+
+    // Step 5.9: Setup basin of attraction legend (attractor colors, positions and shares)
+    function setupBasins(renderer) {
+        const $legend = $('#basin-legend');
+        const format = value => Number(value.toPrecision(3)).toString();
+        const swatch = color => `rgb(${color.map(c => Math.round(c * 255)).join(',')})`;
+
+        setInterval(() => {
+            if (!renderer.basinEnabled) return;
+            const basins = renderer.basinManager;
+
+            if (basins.phase === 'explore') {
+                $legend.text(`Finding attractors... ${basins.stepsDone} / ${renderer.basinSteps} steps`);
+                return;
+            }
+            if (basins.phase === 'classify') {
+                $legend.text(`Classifying... ${basins.stepsDone} / ${renderer.basinSteps} steps`);
+                return;
+            }
+            if (basins.phase !== 'done') {
+                $legend.empty();
+                return;
+            }
+            if (basins.attractors.length === 0) {
+                $legend.text('No attractors found (try more steps or a larger tolerance)');
+                return;
+            }
+
+            $legend.empty();
+            basins.attractors.forEach((attractor, i) => {
+                const $row = $('<div>');
+                $row.append($('<span>').css({
+                    display: 'inline-block', width: '10px', height: '10px',
+                    marginRight: '4px', background: swatch(BASIN_COLORS[i])
+                }));
+                $row.append(document.createTextNode(
+                    `(${attractor.position.map(format).join(', ')}) ${(100 * attractor.share).toFixed(1)}%`
+                ));
+                $legend.append($row);
+            });
+        }, 500);
+    }
+
     // Step 6: Setup keyboard shortcuts
     function setupKeyboardShortcuts(renderer) {
         document.addEventListener('keydown', (e) => {
@@ -1015,7 +1206,12 @@ $(document).ready(async function() {
     // Run initialization sequence in order
     initAccordion(); // Initialize accordion early (doesn't depend on renderer)
     initRenderer(function(renderer, canvas) {
-        setupPanZoom(renderer, canvas);
+        const probes = setupProbes(renderer, canvas);
+        setupFixedPoints(renderer, canvas);
+        setupPoincare(renderer);
+        setupBifurcation(renderer);
+        setupBasins(renderer);
+        setupPanZoom(renderer, canvas, probes);
         setupGridAndCursor(renderer, canvas);
         setupKeyboardShortcuts(renderer);
         initUI(renderer, canvas);
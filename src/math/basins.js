@@ -0,0 +1,175 @@
+/**
+ * Basins of attraction
+ *
+ * Every grid point of the view is integrated for a fixed number of steps and
+ * labelled with the attractor it ends up within a tolerance of. Attractors are
+ * either given as points or found by clustering the final states of a first
+ * integration run.
+ */
+
+import { evaluateConstantExpression } from './parser.js';
+import { getStateType, buildState } from './state-vector.js';
+
+/**
+ * Attractors that can be told apart (one categorical color each)
+ */
+export const MAX_ATTRACTORS = 12;
+
+/**
+ * Categorical colors per attractor (RGB in [0, 1])
+ */
+export const BASIN_COLORS = [
+    [0.122, 0.467, 0.706],
+    [1.000, 0.498, 0.055],
+    [0.173, 0.627, 0.173],
+    [0.839, 0.153, 0.157],
+    [0.580, 0.404, 0.741],
+    [0.549, 0.337, 0.294],
+    [0.890, 0.467, 0.761],
+    [0.737, 0.741, 0.133],
+    [0.090, 0.745, 0.812],
+    [0.682, 0.780, 0.910],
+    [1.000, 0.733, 0.471],
+    [0.596, 0.875, 0.541]
+];
+
+/**
+ * Parse attractor points: points separated by ";" or new lines, coordinates by commas
+ * e.g. "(-1, 0); (1, 0)". Coordinates may be constant expressions (sqrt(8), pi/2).
+ * @param {string} text - Point list (empty for automatic clustering)
+ * @param {number} dimensions - Number of dimensions
+ * @returns {number[][]} Points (empty for automatic clustering)
+ * @throws {Error} If a point has the wrong number of coordinates or too many points are given
+ */
+export function parseAttractorPoints(text, dimensions) {
+    const points = String(text ?? '')
+        .split(/[;\n]/)
+        .map(point => point.trim().replace(/^[([]\s*|\s*[)\]]$/g, ''))
+        .filter(point => point !== '')
+        .map(point => {
+            const coordinates = point.split(',').map(value => evaluateConstantExpression(value.trim()));
+            if (coordinates.length !== dimensions) {
+                throw new Error(`Attractor "${point}" needs ${dimensions} coordinates`);
+            }
+            return coordinates;
+        });
+
+    if (points.length > MAX_ATTRACTORS) {
+        throw new Error(`At most ${MAX_ATTRACTORS} attractors can be given`);
+    }
+    return points;
+}
+
+/**
+ * Cluster final states: each state joins the nearest cluster within the tolerance
+ * (moving its mean) or starts a new one. Clusters holding less than minFraction
+ * of the finite states are dropped; the largest maxClusters remain.
+ * @param {number[][]} states - Final states
+ * @param {number} tolerance - Cluster radius (world units)
+ * @param {Object} options
+ * @param {number} options.maxClusters - Largest number of clusters kept
+ * @param {number} options.minFraction - Smallest share of the states a cluster needs
+ * @returns {{position: number[], count: number}[]} Clusters, largest first
+ */
+export function clusterStates(states, tolerance, { maxClusters = MAX_ATTRACTORS, minFraction = 0.001 } = {}) {
+    const clusters = [];
+    const toleranceSq = tolerance * tolerance;
+    let finite = 0;
+
+    for (const state of states) {
+        if (!state.every(Number.isFinite)) continue;
+        finite++;
+
+        let nearest = null;
+        let nearestDist = toleranceSq;
+        for (const cluster of clusters) {
+            let dist = 0;
+            for (let i = 0; i < state.length; i++) {
+                const d = state[i] - cluster.position[i];
+                dist += d * d;
+            }
+            if (dist <= nearestDist) {
+                nearest = cluster;
+                nearestDist = dist;
+            }
+        }
+
+        if (nearest) {
+            nearest.count++;
+            for (let i = 0; i < state.length; i++) {
+                nearest.position[i] += (state[i] - nearest.position[i]) / nearest.count;
+            }
+        } else {
+            clusters.push({ position: [...state], count: 1 });
+        }
+    }
+
+    return clusters
+        .filter(cluster => cluster.count >= minFraction * finite)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, maxClusters);
+}
+
+/**
+ * Number of vec4 uniforms holding one attractor
+ * @param {number} dimensions - Number of dimensions
+ * @returns {number}
+ */
+export function getAttractorSlots(dimensions) {
+    return Math.ceil(dimensions / 4);
+}
+
+/**
+ * Pack attractor points for the u_attractors uniform array
+ * @param {number[][]} points - Attractor points
+ * @param {number} dimensions - Number of dimensions
+ * @returns {Float32Array} MAX_ATTRACTORS * slots vec4s
+ */
+export function packAttractors(points, dimensions) {
+    const slots = getAttractorSlots(dimensions);
+    const data = new Float32Array(MAX_ATTRACTORS * slots * 4);
+    points.slice(0, MAX_ATTRACTORS).forEach((point, i) => {
+        for (let k = 0; k < dimensions; k++) {
+            data[i * slots * 4 + k] = point[k];
+        }
+    });
+    return data;
+}
+
+/**
+ * Generate nearest_attractor(p): 1-based index of the closest attractor within
+ * u_tolerance of a Cartesian state, or 0.0 when there is none
+ * Requires state_dot from generateStateHelpersGLSL.
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL uniforms and function
+ */
+export function generateAttractorGLSL(dimensions) {
+    const vecType = getStateType(dimensions);
+    const slots = getAttractorSlots(dimensions);
+    const channels = ['x', 'y', 'z', 'w'];
+    const components = Array.from({ length: dimensions }, (_, k) =>
+        `u_attractors[i * ${slots}${k >= 4 ? ' + 1' : ''}].${channels[k % 4]}`
+    );
+
+    return `
+uniform vec4 u_attractors[${MAX_ATTRACTORS * slots}];
+uniform int u_attractor_count;
+uniform float u_tolerance;
+
+// 1-based index of the attractor within u_tolerance of p (0.0 for none)
+float nearest_attractor(${vecType} p) {
+    float best = 0.0;
+    float best_dist = u_tolerance * u_tolerance;
+    for (int i = 0; i < ${MAX_ATTRACTORS}; i++) {
+        if (i >= u_attractor_count) break;
+        ${vecType} d = p - ${buildState(components, dimensions)};
+        float dist = state_dot(d, d);
+        if (dist <= best_dist) {
+            best = float(i + 1);
+            best_dist = dist;
+        }
+    }
+    return best;
+}
+`;
+}
@@ -0,0 +1,190 @@
+/**
+ * Bifurcation diagrams
+ *
+ * A sweep steps a parameter across a range - the animation alpha `a` or a
+ * numeric constant inside the field expressions - and records, for each value,
+ * the long-term states of a set of particles in one coordinate: either every
+ * sample (orbit diagram) or the local maxima along each trajectory.
+ */
+
+/**
+ * What a sweep records for each parameter value
+ */
+export const BIFURCATION_MODES = ['values', 'maxima'];
+
+/**
+ * Numeric literals that are not part of a variable name (x2) or a longer number
+ */
+const CONSTANT_PATTERN = /(?<![\w.])(?:\d+(?:\.\d*)?|\.\d+)/g;
+
+/**
+ * Find the numeric constants in the field expressions (candidates for a sweep)
+ * @param {string[]} expressions - Field expressions, one per dimension
+ * @returns {{dim: number, index: number, start: number, end: number, text: string, value: number}[]}
+ *   Constants in order; index counts constants within the expression
+ */
+export function findNumericConstants(expressions) {
+    const constants = [];
+    expressions.forEach((expression, dim) => {
+        let index = 0;
+        for (const match of String(expression).matchAll(CONSTANT_PATTERN)) {
+            constants.push({
+                dim,
+                index: index++,
+                start: match.index,
+                end: match.index + match[0].length,
+                text: match[0],
+                value: parseFloat(match[0])
+            });
+        }
+    });
+    return constants;
+}
+
+/**
+ * Format a parameter value as an expression literal
+ * The parser has no exponent notation, so tiny and huge values are written out in full.
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatConstant(value) {
+    const magnitude = Math.abs(value);
+    let text = String(Number(magnitude.toPrecision(12)));
+    if (/e/i.test(text)) {
+        text = magnitude >= 1e21
+            ? BigInt(Math.round(magnitude)).toString()
+            : magnitude.toFixed(20).replace(/\.?0+$/, '');
+    }
+    return value < 0 ? `(-${text})` : text;
+}
+
+/**
+ * Replace one constant found by findNumericConstants with a new value
+ * @param {string[]} expressions - Field expressions the constant was found in
+ * @param {Object} constant - Entry from findNumericConstants
+ * @param {number} value - Replacement value
+ * @returns {string[]} New expressions (the input is not modified)
+ */
+export function substituteConstant(expressions, constant, value) {
+    return expressions.map((expression, dim) => {
+        if (dim !== constant.dim) return expression;
+        return expression.slice(0, constant.start) + formatConstant(value) + expression.slice(constant.end);
+    });
+}
+
+/**
+ * Evenly spaced parameter values from start to end (inclusive)
+ * @param {number} start
+ * @param {number} end
+ * @param {number} count - Number of values (at least 1)
+ * @returns {number[]}
+ */
+export function getSweepValues(start, end, count) {
+    if (count <= 1) return [start];
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        values.push(start + (end - start) * i / (count - 1));
+    }
+    return values;
+}
+
+/**
+ * Local maxima of a sampled series, refined by a parabola through the peak and its neighbours
+ * Samples that are not finite break the series.
+ * @param {number[]} series - Samples along one trajectory
+ * @returns {number[]} Peak values
+ */
+export function findLocalMaxima(series) {
+    const maxima = [];
+    for (let i = 1; i < series.length - 1; i++) {
+        const a = series[i - 1];
+        const b = series[i];
+        const c = series[i + 1];
+        if (!Number.isFinite(a) || !Number.isFinite(b) || !Number.isFinite(c)) continue;
+        if (a < b && b >= c) {
+            const curvature = a - 2 * b + c;
+            maxima.push(curvature < 0 ? b - (a - c) * (a - c) / (8 * curvature) : b);
+        }
+    }
+    return maxima;
+}
+
+/**
+ * Bounds of a diagram: the swept range horizontally, the recorded values (with a margin) vertically
+ * @param {{parameter: number, value: number}[]} points - Recorded points
+ * @param {number} start - First parameter value
+ * @param {number} end - Last parameter value
+ * @param {number} margin - Extra space around the values (fraction of their extent)
+ * @returns {{parameter: number[], value: number[]}}
+ */
+export function fitBifurcationBounds(points, start, end, margin = 0.05) {
+    let min = Infinity, max = -Infinity;
+    for (const { value } of points) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    if (min > max) {
+        min = -1;
+        max = 1;
+    } else if (min === max) {
+        min -= 1;
+        max += 1;
+    } else {
+        const pad = (max - min) * margin;
+        min -= pad;
+        max += pad;
+    }
+
+    let low = Math.min(start, end);
+    let high = Math.max(start, end);
+    if (low === high) {
+        low -= 0.5;
+        high += 0.5;
+    }
+
+    return { parameter: [low, high], value: [min, max] };
+}
+
+/**
+ * Count recorded points per pixel (y grows upwards from the bottom row)
+ * @param {{parameter: number, value: number}[]} points - Recorded points
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {{parameter: number[], value: number[]}} bounds - Diagram bounds
+ * @returns {{counts: Uint32Array, max: number}} Row-major counts, top row first
+ */
+export function accumulateBifurcationDensity(points, width, height, bounds) {
+    const counts = new Uint32Array(width * height);
+    const [p0, p1] = bounds.parameter;
+    const [v0, v1] = bounds.value;
+    let max = 0;
+
+    for (const { parameter, value } of points) {
+        const u = (parameter - p0) / (p1 - p0);
+        const v = (value - v0) / (v1 - v0);
+        if (!(u >= 0 && u <= 1 && v >= 0 && v <= 1)) continue;
+        // The upper bounds are inclusive (the last swept value lands in the last column)
+        const col = Math.min(width - 1, Math.floor(u * width));
+        const row = height - 1 - Math.min(height - 1, Math.floor(v * height));
+        const idx = row * width + col;
+        counts[idx]++;
+        max = Math.max(max, counts[idx]);
+    }
+
+    return { counts, max };
+}
+
+/**
+ * Recorded points as CSV
+ * @param {{parameter: number, value: number}[]} points - Recorded points
+ * @param {string} parameterName - Name of the swept parameter
+ * @param {string} valueName - Name of the recorded coordinate
+ * @returns {string}
+ */
+export function bifurcationToCSV(points, parameterName, valueName) {
+    const lines = [`${parameterName},${valueName}`];
+    for (const { parameter, value } of points) {
+        lines.push(`${parameter},${value}`);
+    }
+    return lines.join('\n');
+}
@@ -81,6 +81,16 @@ export class CASEngine {
         throw new Error('solve() must be implemented by subclass');
     }
 
+    /**
+     * Solve a system of equations (each expression = 0) for several variables
+     * @param {string[]} equations - Expressions set to zero (e.g., ["y", "x - x^3"])
+     * @param {string[]} variables - Variables to solve for
+     * @returns {Object<string, string>[]|null} - One map variable -> value per solution, or null if failed
+     */
+    solveSystem(equations, variables) {
+        throw new Error('solveSystem() must be implemented by subclass');
+    }
+
     // ===== Matrix Operations =====
 
     /**
@@ -153,6 +153,26 @@ export class NerdamerEngine extends CASEngine {
         }
     }
 
+    solveSystem(equations, variables) {
+        if (!this._ready) {
+            throw new Error('NerdamerEngine not initialized');
+        }
+
+        try {
+            const result = window.nerdamer.solveEquations(equations, variables);
+            if (!Array.isArray(result) || result.length === 0) return null;
+
+            // A single solution comes back as [[var, value], ...], several as a list of those
+            const solutions = typeof result[0][0] === 'string' ? [result] : result;
+            return solutions.map(pairs =>
+                Object.fromEntries(pairs.map(([name, value]) => [name, value.toString()]))
+            );
+        } catch (error) {
+            logger.warn(`Failed to solve system [${equations.join(', ')}] for ${variables.join(', ')}:`, error.message);
+            return null;
+        }
+    }
+
     // ===== Matrix Operations =====
 
     invertMatrix(matrixElements) {
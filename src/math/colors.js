@@ -2,8 +2,12 @@
  * Color mode definitions for particle rendering
  */
 
+import { getStateType, getStateComponent } from './state-vector.js';
+import { MIN_STEP_RATIO } from './embedded-tableaus.js';
+import { STRUCTURE_MODES, generateStructureColorGLSL } from './field-structure.js';
+
 export function getColorMode(name, dimensions) {
-    const vecType = `vec${dimensions}`;
+    const vecType = getStateType(dimensions);
 
     const modes = {
         white: {
@@ -43,6 +47,41 @@ vec3 getColor(${vecType} pos, ${vecType} velocity, ${vecType} field_velocity, ${
             usesMaxVelocity: true,
             usesGradient: true
         },
+        step_size: {
+            name: 'Integrator Step Size',
+            usesGradient: true,
+            usesStepSize: true
+        },
+        lyapunov: {
+            name: 'Lyapunov Exponent',
+            usesGradient: true,
+            usesLyapunov: true
+        },
+        divergence: {
+            name: 'Divergence',
+            usesGradient: true,
+            usesJacobian: true
+        },
+        curl: {
+            name: 'Curl',
+            usesGradient: true,
+            usesJacobian: true
+        },
+        jacobian_determinant: {
+            name: 'Jacobian Determinant',
+            usesGradient: true,
+            usesJacobian: true
+        },
+        jacobian_trace: {
+            name: 'Jacobian Trace',
+            usesGradient: true,
+            usesJacobian: true
+        },
+        eigenvalue_type: {
+            name: 'Eigenvalue Type',
+            usesGradient: true,
+            usesJacobian: true
+        },
         expression: {
             name: 'Expression',
             usesMaxVelocity: false,
@@ -79,7 +118,7 @@ vec3 getColor(${vecType} pos, ${vecType} velocity, ${vecType} field_velocity, ${
  * @returns {string} GLSL color function code
  */
 export function generateExpressionColorMode(dimensions, expressionGLSL, gradientGLSL) {
-    const vecType = `vec${dimensions}`;
+    const vecType = getStateType(dimensions);
 
     // Generate variable declarations for position and velocity components
     const varDecls = [];
@@ -87,8 +126,8 @@ export function generateExpressionColorMode(dimensions, expressionGLSL, gradient
     const velocityVars = ['dx', 'dy', 'dz', 'dw', 'du', 'dv'];
 
     for (let i = 0; i < dimensions; i++) {
-        varDecls.push(`float ${swizzles[i]} = pos.${swizzles[i]};`);
-        varDecls.push(`float ${velocityVars[i]} = velocity.${swizzles[i]};`); // Use full N-D velocity
+        varDecls.push(`float ${swizzles[i]} = ${getStateComponent('pos', i, dimensions)};`);
+        varDecls.push(`float ${velocityVars[i]} = ${getStateComponent('velocity', i, dimensions)};`); // Use full N-D velocity
     }
 
     return `
@@ -112,10 +151,28 @@ vec3 getColor(${vecType} pos, ${vecType} velocity, ${vecType} field_velocity, ${
  * @param {string} modeName - Name of the color mode
  * @param {number} dimensions - Number of dimensions
  * @param {string} gradientGLSL - Generated gradient function code
+ * @param {string[][]|null} jacobian - Symbolic Jacobian, required by the field structure modes (usesJacobian)
  * @returns {string} GLSL color function code
  */
-export function generateGradientColorMode(modeName, dimensions, gradientGLSL) {
-    const vecType = `vec${dimensions}`;
+export function generateGradientColorMode(modeName, dimensions, gradientGLSL, jacobian = null) {
+    const vecType = getStateType(dimensions);
+
+    // Field structure modes evaluate the Jacobian at the particle (see field-structure.js)
+    if (STRUCTURE_MODES.includes(modeName)) {
+        if (!jacobian) {
+            throw new Error(`Color mode '${modeName}' needs the symbolic Jacobian of the field`);
+        }
+        const { uniforms, body } = generateStructureColorGLSL(modeName, dimensions, jacobian);
+        return `
+${gradientGLSL}
+
+${uniforms}
+
+vec3 getColor(${vecType} pos, ${vecType} velocity, ${vecType} field_velocity, ${vecType} velocity_proj) {
+    ${body}
+}
+`;
+    }
 
     let valueExpression;
 
@@ -123,7 +180,7 @@ export function generateGradientColorMode(modeName, dimensions, gradientGLSL) {
         case 'velocity_magnitude':
             valueExpression = `
     // Use full N-dimensional velocity magnitude
-    float speed = length(velocity);
+    float speed = state_length(velocity);
     float normalized;
     if (u_velocity_log_scale > 0.5) {
         // Logarithmic scaling: log(1 + speed) / log(1 + max_velocity)
@@ -138,7 +195,7 @@ export function generateGradientColorMode(modeName, dimensions, gradientGLSL) {
         case 'velocity_angle':
             valueExpression = `
     // Use projected 2D velocity angle
-    float angle = atan(velocity_proj.y, velocity_proj.x);
+    float angle = atan(${getStateComponent('velocity_proj', 1, dimensions)}, ${getStateComponent('velocity_proj', 0, dimensions)});
     float hue = (angle + 3.14159265) / (2.0 * 3.14159265);
     return evaluateGradient(hue);`;
             break;
@@ -146,8 +203,8 @@ export function generateGradientColorMode(modeName, dimensions, gradientGLSL) {
         case 'velocity_combined':
             valueExpression = `
     // Full velocity for magnitude, projected velocity for angle
-    float speed = length(velocity);
-    float angle = atan(velocity_proj.y, velocity_proj.x);
+    float speed = state_length(velocity);
+    float angle = atan(${getStateComponent('velocity_proj', 1, dimensions)}, ${getStateComponent('velocity_proj', 0, dimensions)});
     float hue = (angle + 3.14159265) / (2.0 * 3.14159265);
     float saturation;
     if (u_velocity_log_scale > 0.5) {
@@ -169,7 +226,7 @@ export function generateGradientColorMode(modeName, dimensions, gradientGLSL) {
         case 'field_magnitude':
             valueExpression = `
     // Use field velocity magnitude
-    float speed = length(field_velocity);
+    float speed = state_length(field_velocity);
     float normalized;
     if (u_velocity_log_scale > 0.5) {
         normalized = clamp(log(1.0 + speed) / log(1.0 + max(u_max_velocity, 0.1)), 0.0, 1.0);
@@ -182,7 +239,7 @@ export function generateGradientColorMode(modeName, dimensions, gradientGLSL) {
         case 'field_angle':
             valueExpression = `
     // Use field velocity angle in 2D
-    vec2 field_2d = vec2(field_velocity.x, field_velocity.y);
+    vec2 field_2d = vec2(${getStateComponent('field_velocity', 0, dimensions)}, ${getStateComponent('field_velocity', 1, dimensions)});
     float angle = atan(field_2d.y, field_2d.x);
     float hue = (angle + 3.14159265) / (2.0 * 3.14159265);
     return evaluateGradient(hue);`;
@@ -191,8 +248,8 @@ export function generateGradientColorMode(modeName, dimensions, gradientGLSL) {
         case 'field_combined':
             valueExpression = `
     // Field velocity for both magnitude and angle
-    float speed = length(field_velocity);
-    vec2 field_2d = vec2(field_velocity.x, field_velocity.y);
+    float speed = state_length(field_velocity);
+    vec2 field_2d = vec2(${getStateComponent('field_velocity', 0, dimensions)}, ${getStateComponent('field_velocity', 1, dimensions)});
     float angle = atan(field_2d.y, field_2d.x);
     float hue = (angle + 3.14159265) / (2.0 * 3.14159265);
     float saturation;
@@ -207,6 +264,23 @@ export function generateGradientColorMode(modeName, dimensions, gradientGLSL) {
     return mix(grey, fullColor, saturation);`;
             break;
 
+        case 'step_size':
+            valueExpression = `
+    // Adaptive step size as a fraction of the frame step, on a log scale
+    // (smallest allowed step → 0, full step → 1)
+    float decades = log(max(v_step_size, ${MIN_STEP_RATIO})) / log(10.0);
+    float normalized = clamp(1.0 + decades / ${Math.log10(1 / MIN_STEP_RATIO).toFixed(1)}, 0.0, 1.0);
+    return evaluateGradient(normalized);`;
+            break;
+
+        case 'lyapunov':
+            valueExpression = `
+    // Finite-time Lyapunov exponent: contracting (< 0) below the middle of the gradient,
+    // diverging (> 0) above, ±u_lyapunov_range at the ends
+    float normalized = clamp(0.5 + 0.5 * v_lyapunov / u_lyapunov_range, 0.0, 1.0);
+    return evaluateGradient(normalized);`;
+            break;
+
         default:
             throw new Error(`Cannot create gradient version of color mode: ${modeName}`);
     }
@@ -8,6 +8,8 @@
  * multiple charts, each with singularities in different locations.
  */
 
+import { getStateComponent } from './state-vector.js';
+
 /**
  * Detect atan2(A, B) patterns in an expression
  * @param {string} expression - Math expression to analyze
@@ -153,10 +155,10 @@ export function generateGLSLCondition(condition, cartesianVars) {
 
     // Replace each Cartesian variable with pos.x, pos.y, etc.
     cartesianVars.forEach((varName, index) => {
-        const swizzle = ['x', 'y', 'z', 'w'][index];
+        const component = getStateComponent('pos', index, cartesianVars.length);
         // Use word boundaries to avoid replacing 'x' in 'exp'
         const regex = new RegExp(`\\b${varName}\\b`, 'g');
-        glslCondition = glslCondition.replace(regex, `pos.${swizzle}`);
+        glslCondition = glslCondition.replace(regex, component);
     });
 
     // Convert PI to 3.14159265359
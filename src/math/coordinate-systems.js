@@ -13,6 +13,7 @@
  */
 
 import { computeSymbolicJacobian, invertJacobian } from './jacobian.js';
+import { getStateType, getStateComponent, getStateZero, isPackedState } from './state-vector.js';
 import { generateCharts, generateGLSLCondition } from './coordinate-charts.js';
 
 /**
@@ -56,19 +57,19 @@ class CoordinateSystem {
      */
     generateForwardTransformGLSL(cartesianVars, parseFunc) {
         const nativeVars = this.getVariableNames();
-        const dimType = `vec${this.dimensions}`;
+        const dimType = getStateType(this.dimensions);
 
         // Parse each transform expression to GLSL
         const transformCode = this.forwardTransforms.map((expr, i) => {
             const glsl = parseFunc(expr, cartesianVars);
-            return `    result.${['x', 'y', 'z', 'w'][i]} = ${glsl};`;
+            return `    ${getStateComponent('result', i, this.dimensions)} = ${glsl};`;
         }).join('\n');
 
         return `
 // Forward transform: Cartesian → ${this.name}
 ${dimType} transformToNative(${dimType} pos) {
-    ${dimType} result;
-    float ${cartesianVars.map((v, i) => `${v} = pos.${['x', 'y', 'z', 'w'][i]}`).join(', ')};
+    ${dimType} result = ${getStateZero(this.dimensions)};
+    float ${cartesianVars.map((v, i) => `${v} = ${getStateComponent('pos', i, this.dimensions)}`).join(', ')};
 ${transformCode}
     return result;
 }`;
@@ -100,7 +101,7 @@ ${transformCode}
             return `
 // Velocity transform: ${this.name} → Cartesian (IDENTITY FALLBACK - ERROR)
 // WARNING: Jacobian computation failed, using identity transform
-vec${this.dimensions} transformVelocityToCartesian(vec${this.dimensions} vel_native, vec${this.dimensions} pos) {
+${getStateType(this.dimensions)} transformVelocityToCartesian(${getStateType(this.dimensions)} vel_native, ${getStateType(this.dimensions)} pos) {
     return vel_native; // INCORRECT: Should use inverse Jacobian
 }`;
         }
@@ -118,13 +119,12 @@ vec${this.dimensions} transformVelocityToCartesian(vec${this.dimensions} vel_nat
 // Velocity transform: ${this.name} → Cartesian (IDENTITY FALLBACK - ERROR)
 // WARNING: Jacobian inversion failed, using identity transform
 // This will produce INCORRECT results for non-Cartesian coordinates!
-vec${this.dimensions} transformVelocityToCartesian(vec${this.dimensions} vel_native, vec${this.dimensions} pos) {
+${getStateType(this.dimensions)} transformVelocityToCartesian(${getStateType(this.dimensions)} vel_native, ${getStateType(this.dimensions)} pos) {
     return vel_native; // INCORRECT: Jacobian inversion failed
 }`;
         }
 
-        const dimType = `vec${this.dimensions}`;
-        const swizzles = ['x', 'y', 'z', 'w'];
+        const dimType = getStateType(this.dimensions);
 
         // Generate matrix multiplication code: vel_cartesian = J_inverse * vel_native
         const matrixMultCode = [];
@@ -132,9 +132,9 @@ vec${this.dimensions} transformVelocityToCartesian(vec${this.dimensions} vel_nat
             const row = inverseJacobian[i];
             const terms = row.map((entry, j) => {
                 const parsedEntry = parseFunc(entry, cartesianVars);
-                return `(${parsedEntry}) * vel_native.${swizzles[j]}`;
+                return `(${parsedEntry}) * ${getStateComponent('vel_native', j, this.dimensions)}`;
             });
-            matrixMultCode.push(`    result.${swizzles[i]} = ${terms.join(' + ')};`);
+            matrixMultCode.push(`    ${getStateComponent('result', i, this.dimensions)} = ${terms.join(' + ')};`);
         }
 
         return `
@@ -142,8 +142,8 @@ vec${this.dimensions} transformVelocityToCartesian(vec${this.dimensions} vel_nat
 // J_forward = [${jacobian.map(row => '[' + row.join(', ') + ']').join(',\n//             ')}]
 // J_inverse = [${inverseJacobian.map(row => '[' + row.join(', ') + ']').join(',\n//             ')}]
 ${dimType} transformVelocityToCartesian(${dimType} vel_native, ${dimType} pos) {
-    ${dimType} result;
-    float ${cartesianVars.map((v, i) => `${v} = pos.${swizzles[i]}`).join(', ')};
+    ${dimType} result = ${getStateZero(this.dimensions)};
+    float ${cartesianVars.map((v, i) => `${v} = ${getStateComponent('pos', i, this.dimensions)}`).join(', ')};
 ${matrixMultCode.join('\n')}
     return result;
 }`;
@@ -157,8 +157,7 @@ ${matrixMultCode.join('\n')}
      * @returns {string} - GLSL function code with chart selection
      */
     generateMultiChartVelocityTransformGLSL(cartesianVars, parseFunc) {
-        const dimType = `vec${this.dimensions}`;
-        const swizzles = ['x', 'y', 'z', 'w'];
+        const dimType = getStateType(this.dimensions);
 
         // Compute Jacobian and inverse for each chart
         const chartData = this.charts.map((chart, index) => {
@@ -182,9 +181,9 @@ ${matrixMultCode.join('\n')}
                 const row = inverseJacobian[i];
                 const terms = row.map((entry, j) => {
                     const parsedEntry = parseFunc(entry, cartesianVars);
-                    return `(${parsedEntry}) * vel_native.${swizzles[j]}`;
+                    return `(${parsedEntry}) * ${getStateComponent('vel_native', j, this.dimensions)}`;
                 });
-                matrixMultCode.push(`        result.${swizzles[i]} = ${terms.join(' + ')};`);
+                matrixMultCode.push(`        ${getStateComponent('result', i, this.dimensions)} = ${terms.join(' + ')};`);
             }
 
             return {
@@ -228,8 +227,8 @@ ${data.matrixMultCode.join('\n')}
 // Using ${chartData.length} charts to handle coordinate singularities
 ${chartDocs}
 ${dimType} transformVelocityToCartesian(${dimType} vel_native, ${dimType} pos) {
-    ${dimType} result;
-    float ${cartesianVars.map((v, i) => `${v} = pos.${swizzles[i]}`).join(', ')};
+    ${dimType} result = ${getStateZero(this.dimensions)};
+    float ${cartesianVars.map((v, i) => `${v} = ${getStateComponent('pos', i, this.dimensions)}`).join(', ')};
 ${chartCases}
     return result;
 }`;
@@ -245,8 +244,7 @@ ${chartCases}
      * @returns {string} - GLSL function code
      */
     generateInverseTransformGLSL(nativeVars, parseFunc) {
-        const dimType = `vec${this.dimensions}`;
-        const swizzles = ['x', 'y', 'z', 'w'];
+        const dimType = getStateType(this.dimensions);
         const cartesianVars = ['x', 'y', 'z', 'w', 'u', 'v'].slice(0, this.dimensions);
 
         // Tier 1: Use explicit inverse transforms if provided
@@ -254,15 +252,15 @@ ${chartCases}
             const transformCode = this.inverseTransforms.map((expr, i) => {
                 // Inverse transforms are simple expressions using native variable names
                 // Don't parse them - use directly since we extract variables first
-                return `    result.${swizzles[i]} = ${expr};`;
+                return `    ${getStateComponent('result', i, this.dimensions)} = ${expr};`;
             }).join('\n');
 
             return `
 // Inverse transform: ${this.name} (Native → Cartesian)
 // Using explicit inverse transform (Tier 1)
 ${dimType} transformToCartesian(${dimType} native_pos) {
-    ${dimType} result;
-    float ${nativeVars.map((v, i) => `${v} = native_pos.${swizzles[i]}`).join(', ')};
+    ${dimType} result = ${getStateZero(this.dimensions)};
+    float ${nativeVars.map((v, i) => `${v} = ${getStateComponent('native_pos', i, this.dimensions)}`).join(', ')};
 ${transformCode}
     return result;
 }`;
@@ -293,14 +291,23 @@ ${dimType} transformToCartesian(${dimType} native_pos) {
      * @returns {string} - GLSL function code
      */
     generateNewtonSolverGLSL(cartesianVars, nativeVars, parseFunc) {
-        const dimType = `vec${this.dimensions}`;
+        const dimType = getStateType(this.dimensions);
         const matType = `mat${this.dimensions}`;
-        const swizzles = ['x', 'y', 'z', 'w'];
+
+        // GLSL has no mat5/mat6, so packed 5D/6D states cannot be solved here
+        if (isPackedState(this.dimensions)) {
+            console.error(`Newton solver supports at most 4 dimensions (${this.name} has ${this.dimensions})`);
+            return `
+// Newton solver unavailable for ${this.dimensions}D states
+${dimType} transformToCartesian(${dimType} native_pos) {
+    return native_pos; // ERROR FALLBACK
+}`;
+        }
 
         // Generate forward transform code (used inside Newton iteration)
         const forwardTransformCode = this.forwardTransforms.map((expr, i) => {
             const glsl = parseFunc(expr, cartesianVars);
-            return `        native.${swizzles[i]} = ${glsl};`;
+            return `        ${getStateComponent('native', i, this.dimensions)} = ${glsl};`;
         }).join('\n');
 
         // Compute Jacobian for Newton's method
@@ -329,7 +336,7 @@ ${dimType} transformToCartesian(${dimType} native_pos) {
 // Using Newton's method iterative solver (Tier 3)
 ${dimType} transformToCartesian(${dimType} native_target) {
     // Use previous position as initial guess (stored in global)
-    ${dimType} guess = vec${this.dimensions}(0.0); // TODO: Use previous frame position
+    ${dimType} guess = ${getStateZero(this.dimensions)}; // TODO: Use previous frame position
 
     const int MAX_ITERATIONS = 10;
     const float TOLERANCE = 1e-6;
@@ -337,7 +344,7 @@ ${dimType} transformToCartesian(${dimType} native_target) {
     for(int iter = 0; iter < MAX_ITERATIONS; iter++) {
         // Evaluate forward transform at current guess
         ${dimType} native;
-        float ${cartesianVars.map((v, i) => `${v} = guess.${swizzles[i]}`).join(', ')};
+        float ${cartesianVars.map((v, i) => `${v} = ${getStateComponent('guess', i, this.dimensions)}`).join(', ')};
 ${forwardTransformCode}
 
         // Compute error
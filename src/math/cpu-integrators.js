@@ -0,0 +1,524 @@
+/**
+ * CPU (JavaScript) counterparts of the GLSL integrators
+ * Each method follows the generated shader operation for operation (same
+ * initial guesses, solver loops and finite-difference epsilon), so CPU-side
+ * tools (e.g., trajectory probes) and unit tests reproduce what the GPU computes.
+ * integrators.js attaches these as the `step` of each integrator returned by
+ * getIntegrator().
+ *
+ * States are plain arrays of numbers. `velocity(pos, t)` returns the field
+ * at a state as an array of the same length.
+ */
+
+import { createVelocityEvaluators } from './parser.js';
+import { MIN_STEP_RATIO, STEP_SAFETY, STEP_MIN_FACTOR, STEP_MAX_FACTOR } from './embedded-tableaus.js';
+import { logger } from '../utils/debug-logger.js';
+
+/**
+ * Variable names for dimensions
+ */
+const VARIABLE_NAMES = ['x', 'y', 'z', 'w', 'u', 'v'];
+
+/**
+ * Finite difference epsilon (matches generateNewtonFDSolverBody)
+ */
+const FD_EPSILON = 1e-4;
+
+/**
+ * Gauss-Legendre coefficients for the 2-stage implicit RK4
+ */
+const GL_A11 = 0.25;
+const GL_A12 = 0.25 - Math.sqrt(3) / 6;
+const GL_A21 = 0.25 + Math.sqrt(3) / 6;
+const GL_A22 = 0.25;
+const GL_C1 = 0.5 - Math.sqrt(3) / 6;
+const GL_C2 = 0.5 + Math.sqrt(3) / 6;
+
+/**
+ * pos + scale * dir (component-wise)
+ */
+function axpy(pos, scale, dir) {
+    return pos.map((p, i) => p + scale * dir[i]);
+}
+
+/**
+ * Solve A * x = b with Gauss-Jordan elimination
+ * Same algorithm as the generated GLSL solver: no row pivoting, and pivots
+ * smaller than 1e-4 in magnitude are replaced by 1e-4.
+ *
+ * @param {number[][]} matrix - Row-major NxN matrix
+ * @param {number[]} rhs - Right-hand side
+ * @returns {number[]} Solution x
+ */
+export function solveLinearSystem(matrix, rhs) {
+    const n = rhs.length;
+    const a = matrix.map(row => [...row]);
+    const b = [...rhs];
+
+    for (let pivot = 0; pivot < n; pivot++) {
+        let scale = a[pivot][pivot];
+        if (Math.abs(scale) < 0.0001) scale = 0.0001;
+        for (let col = pivot; col < n; col++) {
+            a[pivot][col] /= scale;
+        }
+        b[pivot] /= scale;
+
+        for (let row = 0; row < n; row++) {
+            if (row === pivot) continue;
+            const factor = a[row][pivot];
+            for (let col = pivot; col < n; col++) {
+                a[row][col] -= factor * a[pivot][col];
+            }
+            b[row] -= factor * b[pivot];
+        }
+    }
+
+    return b;
+}
+
+/**
+ * Build a JavaScript evaluator for a symbolic Jacobian
+ * Elements that fail to compile evaluate to 0 (as in generateJacobianGLSL).
+ *
+ * @param {string[][]} jacobianMatrix - 2D array of symbolic expressions
+ * @param {number} dimensions - Number of dimensions
+ * @returns {function(number[], number): number[][]} (pos, t) => row-major Df
+ */
+export function createJacobianEvaluator(jacobianMatrix, dimensions) {
+    const variables = VARIABLE_NAMES.slice(0, dimensions);
+    const elements = jacobianMatrix.map((row, i) => row.map((expr, j) => {
+        try {
+            return createVelocityEvaluators([expr], variables)[0];
+        } catch (error) {
+            logger.warn(`Failed to compile Jacobian element [${i}][${j}]: ${expr}`, error);
+            return () => 0;
+        }
+    }));
+
+    return (pos, t) => elements.map(row => row.map(f => f(...pos, t)));
+}
+
+/**
+ * Residual Jacobian J = I - scale * Df
+ */
+function residualJacobian(df, scale) {
+    return df.map((row, i) => row.map((value, j) => (i === j ? 1 : 0) - scale * value));
+}
+
+/**
+ * Finite difference Jacobian of fn at v (forward differences, column by column)
+ */
+function finiteDifferenceJacobian(fn, v) {
+    const n = v.length;
+    const f0 = fn(v);
+    const df = Array.from({ length: n }, () => new Array(n));
+    for (let col = 0; col < n; col++) {
+        const perturbed = [...v];
+        perturbed[col] += FD_EPSILON;
+        const f1 = fn(perturbed);
+        for (let row = 0; row < n; row++) {
+            df[row][col] = (f1[row] - f0[row]) / FD_EPSILON;
+        }
+    }
+    return df;
+}
+
+/**
+ * Create one iteration of an implicit solver for v = update(v)
+ * Mirrors the generate*SolverBody functions in integrators.js.
+ *
+ * @param {Object} problem
+ * @param {function(number[]): number[]} problem.update - Fixed-point map (Newton residual is v - update(v))
+ * @param {function(number[]): number[]} [problem.jacobianPoint] - Where Df is evaluated (Newton)
+ * @param {number} [problem.jacobianScale] - J = I - jacobianScale * Df (Newton)
+ * @param {function(number[]): number[]} [problem.fdVelocity] - Function differentiated by Newton-FD
+ * @param {number} [problem.fdScale] - J = I - fdScale * D(fdVelocity) (Newton-FD)
+ * @param {string} method - 'fixed-point', 'midpoint', 'newton' or 'newton-fd'
+ * @param {Function|null} jacobian - (pos) => Df, required for 'newton'
+ * @returns {function(number[]): number[]} One solver iteration
+ */
+function createSolverIteration(problem, method, jacobian) {
+    const residual = (v) => {
+        const rhs = problem.update(v);
+        return v.map((vi, i) => vi - rhs[i]);
+    };
+
+    switch (method) {
+        case 'midpoint':
+            return (v) => {
+                const pred = problem.update(v);
+                const mid = v.map((vi, i) => (vi + pred[i]) * 0.5);
+                return problem.update(mid);
+            };
+        case 'newton':
+            return (v) => {
+                const F = residual(v);
+                const J = residualJacobian(jacobian(problem.jacobianPoint(v)), problem.jacobianScale);
+                return axpy(v, -1, solveLinearSystem(J, F));
+            };
+        case 'newton-fd':
+            return (v) => {
+                const J = residualJacobian(finiteDifferenceJacobian(problem.fdVelocity, v), problem.fdScale);
+                const F = residual(v);
+                return axpy(v, -1, solveLinearSystem(J, F));
+            };
+        default:
+            return problem.update;
+    }
+}
+
+/**
+ * Euler step: x(t+h) = x(t) + h*f(x)
+ */
+export function eulerStep(velocity, pos, t, h) {
+    return axpy(pos, h, velocity(pos, t));
+}
+
+/**
+ * Explicit midpoint (RK2) step
+ */
+export function explicitMidpointStep(velocity, pos, t, h) {
+    const k1 = velocity(pos, t);
+    const k2 = velocity(axpy(pos, h * 0.5, k1), t + h * 0.5);
+    return axpy(pos, h, k2);
+}
+
+/**
+ * Heun (explicit trapezoidal) step
+ */
+export function heunStep(velocity, pos, t, h) {
+    const k1 = velocity(pos, t);
+    const k2 = velocity(axpy(pos, h, k1), t + h);
+    return pos.map((p, i) => p + h * 0.5 * (k1[i] + k2[i]));
+}
+
+/**
+ * Runge-Kutta 4 step
+ */
+export function rk4Step(velocity, pos, t, h) {
+    const k1 = velocity(pos, t);
+    const k2 = velocity(axpy(pos, h * 0.5, k1), t + h * 0.5);
+    const k3 = velocity(axpy(pos, h * 0.5, k2), t + h * 0.5);
+    const k4 = velocity(axpy(pos, h, k3), t + h);
+    return pos.map((p, i) => p + h * (k1[i] / 6 + k2[i] / 3 + k3[i] / 3 + k4[i] / 6));
+}
+
+/**
+ * Implicit Euler step: x_new = pos + h * f(x_new, t + h)
+ *
+ * @param {number} iterations - Solver iterations
+ * @param {string} method - Solver method
+ * @param {Function|null} jacobian - Symbolic Jacobian evaluator (Newton only)
+ * @returns {Function} step(velocity, pos, t, h)
+ */
+export function createImplicitEulerStep(iterations, method, jacobian = null) {
+    return (velocity, pos, t, h) => {
+        const f = v => velocity(v, t + h);
+        const iterate = createSolverIteration({
+            update: v => axpy(pos, h, f(v)),
+            jacobianPoint: v => v,
+            jacobianScale: h,
+            fdVelocity: f,
+            fdScale: h
+        }, method, jacobian && (p => jacobian(p, t + h)));
+
+        let xNew = axpy(pos, h, velocity(pos, t));
+        for (let i = 0; i < iterations; i++) {
+            xNew = iterate(xNew);
+        }
+        return xNew;
+    };
+}
+
+/**
+ * Implicit midpoint step: x_new = pos + h * f((pos + x_new)/2, t + h/2)
+ *
+ * @param {number} iterations - Solver iterations
+ * @param {string} method - Solver method
+ * @param {Function|null} jacobian - Symbolic Jacobian evaluator (Newton only)
+ * @returns {Function} step(velocity, pos, t, h)
+ */
+export function createImplicitMidpointStep(iterations, method, jacobian = null) {
+    return (velocity, pos, t, h) => {
+        const midpoint = v => pos.map((p, i) => (p + v[i]) * 0.5);
+        const f = v => velocity(midpoint(v), t + h * 0.5);
+        const iterate = createSolverIteration({
+            update: v => axpy(pos, h, f(v)),
+            jacobianPoint: midpoint,
+            jacobianScale: h * 0.5,
+            // f already includes the 1/2 from the midpoint average
+            fdVelocity: f,
+            fdScale: h
+        }, method, jacobian && (p => jacobian(p, t + h * 0.5)));
+
+        let xNew = explicitMidpointStep(velocity, pos, t, h);
+        for (let i = 0; i < iterations; i++) {
+            xNew = iterate(xNew);
+        }
+        return xNew;
+    };
+}
+
+/**
+ * Trapezoidal step: x_new = pos + h/2 * (f(pos, t) + f(x_new, t + h))
+ *
+ * @param {number} iterations - Solver iterations
+ * @param {string} method - Solver method
+ * @param {Function|null} jacobian - Symbolic Jacobian evaluator (Newton only)
+ * @returns {Function} step(velocity, pos, t, h)
+ */
+export function createTrapezoidalStep(iterations, method, jacobian = null) {
+    return (velocity, pos, t, h) => {
+        const f0 = velocity(pos, t);
+        const f = v => velocity(v, t + h);
+        const iterate = createSolverIteration({
+            update: v => {
+                const f1 = f(v);
+                return pos.map((p, i) => p + h * 0.5 * (f0[i] + f1[i]));
+            },
+            jacobianPoint: v => v,
+            jacobianScale: h * 0.5,
+            fdVelocity: f,
+            fdScale: h * 0.5
+        }, method, jacobian && (p => jacobian(p, t + h)));
+
+        let xNew = axpy(pos, h, f0);
+        for (let i = 0; i < iterations; i++) {
+            xNew = iterate(xNew);
+        }
+        return xNew;
+    };
+}
+
+/**
+ * Implicit RK4 (2-stage Gauss-Legendre) step
+ * Stages are solved one after the other in each iteration (Gauss-Seidel style),
+ * as in the shader.
+ *
+ * @param {number} iterations - Solver iterations
+ * @param {string} method - Solver method
+ * @param {Function|null} jacobian - Symbolic Jacobian evaluator (Newton only)
+ * @returns {Function} step(velocity, pos, t, h)
+ */
+export function createImplicitRK4Step(iterations, method, jacobian = null) {
+    return (velocity, pos, t, h) => {
+        let k1 = velocity(pos, t);
+        let k2 = velocity(axpy(pos, h * 0.5, k1), t + h * 0.5);
+
+        // Stage points depend on the other stage, so the solvers read k1/k2 when called
+        const point1 = v => pos.map((p, i) => p + h * (GL_A11 * v[i] + GL_A12 * k2[i]));
+        const point2 = v => pos.map((p, i) => p + h * (GL_A21 * k1[i] + GL_A22 * v[i]));
+        const f1 = v => velocity(point1(v), t + GL_C1 * h);
+        const f2 = v => velocity(point2(v), t + GL_C2 * h);
+
+        // f1/f2 already include h * a_ii, so Newton-FD uses an unscaled Jacobian
+        const iterate1 = createSolverIteration({
+            update: f1,
+            jacobianPoint: point1,
+            jacobianScale: h * GL_A11,
+            fdVelocity: f1,
+            fdScale: 1
+        }, method, jacobian && (p => jacobian(p, t + GL_C1 * h)));
+        const iterate2 = createSolverIteration({
+            update: f2,
+            jacobianPoint: point2,
+            jacobianScale: h * GL_A22,
+            fdVelocity: f2,
+            fdScale: 1
+        }, method, jacobian && (p => jacobian(p, t + GL_C2 * h)));
+
+        for (let i = 0; i < iterations; i++) {
+            k1 = iterate1(k1);
+            k2 = iterate2(k2);
+        }
+
+        return pos.map((p, i) => p + h * (0.5 * k1[i] + 0.5 * k2[i]));
+    };
+}
+
+/**
+ * Euclidean norm of a state
+ */
+function norm(v) {
+    return Math.sqrt(v.reduce((sum, vi) => sum + vi * vi, 0));
+}
+
+/**
+ * Adaptive embedded Runge-Kutta step
+ * Covers the frame step h with substeps, accepting those whose error estimate
+ * is within tolerance. The last of maxSubsteps attempts takes whatever remains
+ * of h in one substep and is accepted regardless of its error (as the shader does),
+ * so the whole interval is always covered.
+ *
+ * The optional stepState object plays the role of the GPU step-size texture:
+ * stepState.ratio keeps the proposed substep as a fraction of h between calls,
+ * and stepState.elapsed reports how much of h was covered.
+ *
+ * @param {Object} tableau - Entry of EMBEDDED_TABLEAUS
+ * @param {number} tolerance - Error tolerance (absolute and relative)
+ * @param {number} maxSubsteps - Maximum substep attempts per call
+ * @returns {Function} step(velocity, pos, t, h, stepState)
+ */
+export function createAdaptiveStep(tableau, tolerance, maxSubsteps) {
+    const { a, b, bHat, c } = tableau;
+    const exponent = -1 / (tableau.errorOrder + 1);
+
+    return (velocity, pos, t, h, stepState = {}) => {
+        let proposal = h * (stepState.ratio > 0 ? stepState.ratio : 1);
+        let remaining = h;
+        let y = pos;
+        let tc = t;
+
+        for (let attempt = 0; attempt < maxSubsteps && remaining > h * 1e-6; attempt++) {
+            const last = attempt === maxSubsteps - 1;
+            const dt = last ? remaining : Math.min(proposal, remaining);
+
+            const k = [];
+            for (let i = 0; i < c.length; i++) {
+                const stagePos = y.map((yi, d) => yi + dt * a[i].reduce((sum, aij, j) => sum + aij * k[j][d], 0));
+                k.push(velocity(stagePos, tc + c[i] * dt));
+            }
+
+            const yNew = y.map((yi, d) => yi + dt * b.reduce((sum, bi, i) => sum + bi * k[i][d], 0));
+            const errVec = y.map((_, d) => dt * b.reduce((sum, bi, i) => sum + (bi - bHat[i]) * k[i][d], 0));
+            const err = norm(errVec) / (tolerance * (1 + Math.max(norm(y), norm(yNew))));
+
+            const factor = Number.isFinite(err)
+                ? Math.min(STEP_MAX_FACTOR, Math.max(STEP_MIN_FACTOR, STEP_SAFETY * Math.pow(Math.max(err, 1e-10), exponent)))
+                : STEP_MIN_FACTOR;
+            if (err <= 1 || last) {
+                y = yNew;
+                tc += dt;
+                remaining -= dt;
+                // A step shortened to land on the frame boundary doesn't shrink the proposal
+                proposal = dt < proposal ? Math.max(proposal, dt * factor) : dt * factor;
+            } else {
+                proposal = dt * factor;
+            }
+            proposal = Math.min(h, Math.max(h * MIN_STEP_RATIO, proposal));
+        }
+
+        stepState.ratio = proposal / h;
+        stepState.elapsed = h - Math.max(remaining, 0);
+        return y;
+    };
+}
+
+/**
+ * Yoshida's 4th order composition weights: three Verlet steps of
+ * w1*h, w0*h, w1*h (w0 is negative, so the middle step goes backwards)
+ */
+const YOSHIDA_W1 = 1 / (2 - Math.cbrt(2));
+const YOSHIDA_W0 = -Math.cbrt(2) / (2 - Math.cbrt(2));
+export const YOSHIDA4_WEIGHTS = [YOSHIDA_W1, YOSHIDA_W0, YOSHIDA_W1];
+
+/**
+ * Split the field into its momentum (kick) and position (drift) parts
+ * Coordinates not declared as positions are treated as momenta.
+ *
+ * @param {boolean[]} positionMask - True for position coordinates
+ * @returns {{kick: Function, drift: Function}} Each maps (velocity, pos, t) to a masked velocity
+ */
+function splitField(positionMask) {
+    return {
+        kick: (velocity, pos, t) => velocity(pos, t).map((v, i) => (positionMask[i] ? 0 : v)),
+        drift: (velocity, pos, t) => velocity(pos, t).map((v, i) => (positionMask[i] ? v : 0))
+    };
+}
+
+/**
+ * Symplectic Euler step: kick the momenta, then drift the positions with
+ * the updated momenta
+ *
+ * @param {boolean[]} positionMask - True for position coordinates
+ * @returns {Function} step(velocity, pos, t, h)
+ */
+export function createSymplecticEulerStep(positionMask) {
+    const { kick, drift } = splitField(positionMask);
+    return (velocity, pos, t, h) => {
+        const kicked = axpy(pos, h, kick(velocity, pos, t));
+        return axpy(kicked, h, drift(velocity, kicked, t));
+    };
+}
+
+/**
+ * Störmer-Verlet (leapfrog) step: half kick, full drift, half kick
+ *
+ * @param {boolean[]} positionMask - True for position coordinates
+ * @returns {Function} step(velocity, pos, t, h)
+ */
+export function createVerletStep(positionMask) {
+    const { kick, drift } = splitField(positionMask);
+    return (velocity, pos, t, h) => {
+        let y = axpy(pos, h * 0.5, kick(velocity, pos, t));
+        y = axpy(y, h, drift(velocity, y, t + h * 0.5));
+        return axpy(y, h * 0.5, kick(velocity, y, t + h));
+    };
+}
+
+/**
+ * Yoshida 4th order step: Verlet steps composed with YOSHIDA4_WEIGHTS
+ *
+ * @param {boolean[]} positionMask - True for position coordinates
+ * @returns {Function} step(velocity, pos, t, h)
+ */
+export function createYoshida4Step(positionMask) {
+    const verlet = createVerletStep(positionMask);
+    return (velocity, pos, t, h) => {
+        let y = pos;
+        let tc = t;
+        for (const w of YOSHIDA4_WEIGHTS) {
+            y = verlet(velocity, y, tc, w * h);
+            tc += w * h;
+        }
+        return y;
+    };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @returns {number}
+ */
+export function gaussianRandom() {
+    const u1 = Math.max(Math.random(), 1e-7);
+    const u2 = Math.random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Euler-Maruyama step for dX = f(X, t) dt + g(X, t) dW (diagonal Itô noise)
+ *
+ * @param {Function} diffusion - g(pos, t), one noise amplitude per coordinate
+ * @param {Function} random - Standard normal sampler (default gaussianRandom)
+ * @returns {Function} step(velocity, pos, t, h)
+ */
+export function createEulerMaruyamaStep(diffusion, random = gaussianRandom) {
+    return (velocity, pos, t, h) => {
+        const f = velocity(pos, t);
+        const g = diffusion(pos, t);
+        return pos.map((p, i) => p + h * f[i] + g[i] * Math.sqrt(h) * random());
+    };
+}
+
+/**
+ * Milstein step for diagonal Itô noise
+ * Adds 0.5 * g * dg/dx * (dW^2 - h) per coordinate, with dg_i/dx_i from
+ * central differences (as in the shader).
+ *
+ * @param {Function} diffusion - g(pos, t), one noise amplitude per coordinate
+ * @param {Function} random - Standard normal sampler (default gaussianRandom)
+ * @returns {Function} step(velocity, pos, t, h)
+ */
+export function createMilsteinStep(diffusion, random = gaussianRandom) {
+    return (velocity, pos, t, h) => {
+        const f = velocity(pos, t);
+        const g = diffusion(pos, t);
+        return pos.map((p, i) => {
+            const plus = diffusion(pos.map((q, j) => (j === i ? q + FD_EPSILON : q)), t)[i];
+            const minus = diffusion(pos.map((q, j) => (j === i ? q - FD_EPSILON : q)), t)[i];
+            const dg = (plus - minus) / (2 * FD_EPSILON);
+            const dW = Math.sqrt(h) * random();
+            return p + h * f[i] + g[i] * dW + 0.5 * g[i] * dg * (dW * dW - h);
+        });
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * Butcher tableaus for embedded (adaptive step-size) Runge-Kutta pairs
+ * Shared by the GLSL generator in integrators.js and the CPU step in
+ * cpu-integrators.js so both use identical coefficients and step control.
+ *
+ * Each tableau propagates the solution with weights `b` and estimates the
+ * local error from the difference to the embedded weights `bHat`.
+ */
+
+/**
+ * Smallest step size kept per particle, as a fraction of the frame step
+ */
+export const MIN_STEP_RATIO = 1e-4;
+
+/**
+ * Step control constants (standard safety factor and growth limits)
+ */
+export const STEP_SAFETY = 0.9;
+export const STEP_MIN_FACTOR = 0.2;
+export const STEP_MAX_FACTOR = 5.0;
+
+export const EMBEDDED_TABLEAUS = {
+    // Runge-Kutta-Fehlberg 4(5): propagates the 4th order solution
+    'rkf45': {
+        name: 'RKF45',
+        order: 4,
+        errorOrder: 4,
+        costFactor: 4,
+        c: [0, 1 / 4, 3 / 8, 12 / 13, 1, 1 / 2],
+        a: [
+            [],
+            [1 / 4],
+            [3 / 32, 9 / 32],
+            [1932 / 2197, -7200 / 2197, 7296 / 2197],
+            [439 / 216, -8, 3680 / 513, -845 / 4104],
+            [-8 / 27, 2, -3544 / 2565, 1859 / 4104, -11 / 40]
+        ],
+        b: [25 / 216, 0, 1408 / 2565, 2197 / 4104, -1 / 5, 0],
+        bHat: [16 / 135, 0, 6656 / 12825, 28561 / 56430, -9 / 50, 2 / 55]
+    },
+
+    // Dormand-Prince 5(4): propagates the 5th order solution
+    'dormand-prince': {
+        name: 'Dormand-Prince',
+        order: 5,
+        errorOrder: 4,
+        costFactor: 4,
+        c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+        a: [
+            [],
+            [1 / 5],
+            [3 / 40, 9 / 40],
+            [44 / 45, -56 / 15, 32 / 9],
+            [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+            [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+            [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+        ],
+        b: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0],
+        bHat: [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40]
+    },
+
+    // Bogacki-Shampine 3(2): propagates the 3rd order solution
+    'bogacki-shampine': {
+        name: 'Bogacki-Shampine',
+        order: 3,
+        errorOrder: 2,
+        costFactor: 3,
+        c: [0, 1 / 2, 3 / 4, 1],
+        a: [
+            [],
+            [1 / 2],
+            [0, 3 / 4],
+            [2 / 9, 1 / 3, 4 / 9]
+        ],
+        b: [2 / 9, 1 / 3, 4 / 9, 0],
+        bHat: [7 / 24, 1 / 4, 1 / 3, 1 / 8]
+    }
+};
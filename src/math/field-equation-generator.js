@@ -101,9 +101,9 @@ export class FieldEquationGenerator extends IGLSLGenerator {
         // Step 2: Determine variable names
         const vars = this.variableNames || this._getDefaultVariableNames(totalDims);
 
-        // Step 3: Parse to GLSL
+        // Step 3: Parse to GLSL ('t' refers to the get_velocity(pos, t) parameter)
         try {
-            const glslExpr = parseExpression(expanded, totalDims, vars, 'pos');
+            const glslExpr = parseExpression(expanded, totalDims, vars, 'pos', 't');
             logger.verbose(`Field equation ${dimension} GLSL: ${glslExpr}`);
             return glslExpr;
         } catch (error) {
@@ -17,6 +17,8 @@
 
 import { GLSLWorkflow } from './glsl-workflow.js';
 import { FieldEquationGenerator } from './field-equation-generator.js';
+import { usesDerivativeNotation, reduceToFirstOrder } from './higher-order.js';
+import { isTeXInput, texToExpression } from './parser.js';
 import { logger } from '../utils/debug-logger.js';
 
 /**
@@ -41,6 +43,21 @@ export class FieldEquationWorkflow extends GLSLWorkflow {
         };
     }
 
+    /**
+     * Convert equations typed in LaTeX to parser syntax, then reduce equations in
+     * derivative notation (x'' = ...) to a first-order system
+     *
+     * @param {string[]} sources - Field equations as entered
+     * @returns {string[]} One right-hand side per dimension
+     */
+    prepareExpressions(sources) {
+        const expressions = sources.map(source => isTeXInput(source) ? texToExpression(source) : source);
+        if (!usesDerivativeNotation(expressions)) {
+            return expressions;
+        }
+        return reduceToFirstOrder(expressions).expressions;
+    }
+
     /**
      * Apply field equations to renderer
      *
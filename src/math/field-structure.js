@@ -0,0 +1,279 @@
+/**
+ * Field structure from the Jacobian
+ *
+ * Local quantities of the linearized field J = ∂f/∂x at each particle:
+ * divergence (= trace), curl, determinant and the type of the eigenvalues.
+ * The Jacobian comes from the CAS (see computeSymbolicJacobian) and is
+ * written out as GLSL, so these color modes evaluate it exactly.
+ */
+
+import { parseExpression } from './parser.js';
+import { glslFloat } from './state-vector.js';
+import { EIGENVALUE_ZERO_TOLERANCE } from './fixed-points.js';
+
+/**
+ * Color modes computed from the Jacobian
+ */
+export const STRUCTURE_MODES = ['divergence', 'curl', 'jacobian_determinant', 'jacobian_trace', 'eigenvalue_type'];
+
+/**
+ * Eigenvalue types in gradient order (stable → unstable), as in classifyFixedPoint
+ */
+export const EIGENVALUE_TYPES = [
+    'stable node',
+    'stable focus',
+    'center',
+    'non-hyperbolic',
+    'saddle',
+    'saddle-focus',
+    'unstable focus',
+    'unstable node'
+];
+
+/**
+ * Name of a Jacobian entry in the generated GLSL
+ */
+function entry(row, col) {
+    return `J_${row}_${col}`;
+}
+
+/**
+ * Generate declarations of the Jacobian entries J_i_j = ∂f_i/∂x_j at pos
+ * @param {string[][]} jacobian - Symbolic Jacobian (see computeSymbolicJacobian)
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL statements
+ * @throws {Error} If an entry does not compile
+ */
+export function generateJacobianEntriesGLSL(jacobian, dimensions) {
+    const lines = [];
+    for (let row = 0; row < dimensions; row++) {
+        for (let col = 0; col < dimensions; col++) {
+            let glsl;
+            try {
+                glsl = parseExpression(jacobian[row][col], dimensions, null, 'pos', 'u_time');
+            } catch (error) {
+                throw new Error(`Cannot compile Jacobian entry [${row}][${col}] "${jacobian[row][col]}": ${error.message}`);
+            }
+            lines.push(`float ${entry(row, col)} = ${glsl};`);
+        }
+    }
+    return lines.join('\n    ');
+}
+
+/**
+ * Generate the trace of J (the divergence of the field)
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL expression
+ */
+function generateTraceGLSL(dimensions) {
+    return Array.from({ length: dimensions }, (_, i) => entry(i, i)).join(' + ');
+}
+
+/**
+ * Generate the curl: ∂f_y/∂x - ∂f_x/∂y in 2D, the magnitude of the curl vector
+ * in 3D, and the same norm of the antisymmetric part of J in higher dimensions
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL expression
+ */
+function generateCurlGLSL(dimensions) {
+    if (dimensions === 2) {
+        return `${entry(1, 0)} - ${entry(0, 1)}`;
+    }
+    const terms = [];
+    for (let i = 0; i < dimensions; i++) {
+        for (let j = i + 1; j < dimensions; j++) {
+            terms.push(`(${entry(j, i)} - ${entry(i, j)}) * (${entry(j, i)} - ${entry(i, j)})`);
+        }
+    }
+    return `sqrt(${terms.join(' + ')})`;
+}
+
+/**
+ * Generate statements that set `float det` to the determinant of J
+ * Written out for 2D and 3D; Gaussian elimination with partial pivoting, unrolled, above.
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL statements
+ */
+export function generateDeterminantGLSL(dimensions) {
+    if (dimensions === 2) {
+        return `float det = ${entry(0, 0)} * ${entry(1, 1)} - ${entry(0, 1)} * ${entry(1, 0)};`;
+    }
+    if (dimensions === 3) {
+        return `float det = ${entry(0, 0)} * (${entry(1, 1)} * ${entry(2, 2)} - ${entry(1, 2)} * ${entry(2, 1)})
+        - ${entry(0, 1)} * (${entry(1, 0)} * ${entry(2, 2)} - ${entry(1, 2)} * ${entry(2, 0)})
+        + ${entry(0, 2)} * (${entry(1, 0)} * ${entry(2, 1)} - ${entry(1, 1)} * ${entry(2, 0)});`;
+    }
+
+    const a = (row, col) => `a_${row}_${col}`;
+    const lines = [];
+    for (let row = 0; row < dimensions; row++) {
+        lines.push(Array.from({ length: dimensions }, (_, col) => `float ${a(row, col)} = ${entry(row, col)};`).join(' '));
+    }
+    lines.push('float det = 1.0;', 'float swap;');
+
+    for (let k = 0; k < dimensions; k++) {
+        for (let r = k + 1; r < dimensions; r++) {
+            const swaps = [];
+            for (let c = k; c < dimensions; c++) {
+                swaps.push(`swap = ${a(k, c)}; ${a(k, c)} = ${a(r, c)}; ${a(r, c)} = swap;`);
+            }
+            lines.push(`if (abs(${a(r, k)}) > abs(${a(k, k)})) { ${swaps.join(' ')} det = -det; }`);
+        }
+        lines.push(`det *= ${a(k, k)};`);
+        if (k < dimensions - 1) {
+            const eliminate = [];
+            for (let r = k + 1; r < dimensions; r++) {
+                const updates = [];
+                for (let c = k + 1; c < dimensions; c++) {
+                    updates.push(`${a(r, c)} -= f * ${a(k, c)};`);
+                }
+                eliminate.push(`f = ${a(r, k)} / ${a(k, k)}; ${updates.join(' ')}`);
+            }
+            lines.push(`if (${a(k, k)} != 0.0) { float f; ${eliminate.join(' ')} }`);
+        }
+    }
+    return lines.join('\n    ');
+}
+
+/**
+ * Generate statements that set ev_k = (re, im) for the eigenvalues of J (2D and 3D)
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL statements
+ */
+function generateEigenvaluesGLSL(dimensions) {
+    if (dimensions === 2) {
+        return `float tr = ${generateTraceGLSL(2)};
+    ${generateDeterminantGLSL(2)}
+    float disc = tr * tr - 4.0 * det;
+    float root = sqrt(abs(disc));
+    vec2 ev_0 = disc >= 0.0 ? vec2(0.5 * (tr + root), 0.0) : vec2(0.5 * tr, 0.5 * root);
+    vec2 ev_1 = disc >= 0.0 ? vec2(0.5 * (tr - root), 0.0) : vec2(0.5 * tr, -0.5 * root);`;
+    }
+
+    // Characteristic polynomial λ³ + a λ² + b λ + c, depressed to t³ + p t + q with λ = t - a/3
+    return `float a = -(${generateTraceGLSL(3)});
+    float b = ${entry(0, 0)} * ${entry(1, 1)} - ${entry(0, 1)} * ${entry(1, 0)}
+        + ${entry(0, 0)} * ${entry(2, 2)} - ${entry(0, 2)} * ${entry(2, 0)}
+        + ${entry(1, 1)} * ${entry(2, 2)} - ${entry(1, 2)} * ${entry(2, 1)};
+    ${generateDeterminantGLSL(3)}
+    float c = -det;
+    float p = b - a * a / 3.0;
+    float q = 2.0 * a * a * a / 27.0 - a * b / 3.0 + c;
+    float disc = q * q / 4.0 + p * p * p / 27.0;
+    vec2 ev_0, ev_1, ev_2;
+    if (disc > 0.0) {
+        // One real root and a complex pair (Cardano)
+        float s = sqrt(disc);
+        float u = sign(-0.5 * q + s) * pow(abs(-0.5 * q + s), 1.0 / 3.0);
+        float v = sign(-0.5 * q - s) * pow(abs(-0.5 * q - s), 1.0 / 3.0);
+        ev_0 = vec2(u + v - a / 3.0, 0.0);
+        ev_1 = vec2(-0.5 * (u + v) - a / 3.0, 0.866025404 * abs(u - v));
+        ev_2 = vec2(ev_1.x, -ev_1.y);
+    } else {
+        // Three real roots (trigonometric form)
+        float m = 2.0 * sqrt(max(-p / 3.0, 0.0));
+        float theta = p < 0.0 ? acos(clamp(3.0 * q / (p * m), -1.0, 1.0)) / 3.0 : 0.0;
+        ev_0 = vec2(m * cos(theta) - a / 3.0, 0.0);
+        ev_1 = vec2(m * cos(theta - 2.0943951) - a / 3.0, 0.0);
+        ev_2 = vec2(m * cos(theta - 4.1887902) - a / 3.0, 0.0);
+    }`;
+}
+
+/**
+ * Generate the classification of the eigenvalues ev_k into an index of EIGENVALUE_TYPES
+ * Real parts within EIGENVALUE_ZERO_TOLERANCE of the largest eigenvalue's size count as zero.
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL statements setting `float type`
+ */
+function generateEigenvalueTypeGLSL(dimensions) {
+    const values = Array.from({ length: dimensions }, (_, k) => `ev_${k}`);
+    const index = name => EIGENVALUE_TYPES.indexOf(name).toFixed(1);
+
+    return `float scale = max(1.0, ${values.map(v => `length(${v})`).reduce((acc, v) => `max(${acc}, ${v})`)});
+    float zero = ${glslFloat(EIGENVALUE_ZERO_TOLERANCE)} * scale;
+    float stable = 0.0, unstable = 0.0, oscillating = 0.0;
+    ${values.map(v => `stable += step(${v}.x, -zero); unstable += step(zero, ${v}.x); oscillating += step(zero, abs(${v}.y));`).join('\n    ')}
+    float neutral = ${dimensions}.0 - stable - unstable;
+
+    float type;
+    if (neutral > 0.5) {
+        type = neutral > ${dimensions}.0 - 0.5 && oscillating > ${dimensions}.0 - 0.5 ? ${index('center')} : ${index('non-hyperbolic')};
+    } else if (stable > 0.5 && unstable > 0.5) {
+        type = oscillating > 0.5 ? ${index('saddle-focus')} : ${index('saddle')};
+    } else if (stable > 0.5) {
+        type = oscillating > 0.5 ? ${index('stable focus')} : ${index('stable node')};
+    } else {
+        type = oscillating > 0.5 ? ${index('unstable focus')} : ${index('unstable node')};
+    }`;
+}
+
+/**
+ * Generate the body of getColor for a field structure color mode
+ * Scalar modes map ±u_structure_range to the ends of the gradient (0 in the
+ * middle), on a signed log scale when u_velocity_log_scale is set; the
+ * eigenvalue type picks evenly spaced gradient stops in EIGENVALUE_TYPES order.
+ * @param {string} mode - One of STRUCTURE_MODES
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[][]} jacobian - Symbolic Jacobian (see computeSymbolicJacobian)
+ * @returns {{uniforms: string, body: string}} Uniform declarations and getColor statements
+ * @throws {Error} If the mode is unknown, a Jacobian entry does not compile or the
+ *   eigenvalue type is asked for outside 2D and 3D
+ */
+export function generateStructureColorGLSL(mode, dimensions, jacobian) {
+    if (!STRUCTURE_MODES.includes(mode)) {
+        throw new Error(`Unknown field structure mode: ${mode}`);
+    }
+    if (mode === 'eigenvalue_type' && dimensions > 3) {
+        throw new Error(`The eigenvalue type color mode supports 2D and 3D fields (got ${dimensions}D)`);
+    }
+
+    const entries = generateJacobianEntriesGLSL(jacobian, dimensions);
+
+    if (mode === 'eigenvalue_type') {
+        return {
+            uniforms: '',
+            body: `
+    // Jacobian at the particle
+    ${entries}
+
+    ${generateEigenvaluesGLSL(dimensions)}
+
+    ${generateEigenvalueTypeGLSL(dimensions)}
+    return evaluateGradient(type / ${(EIGENVALUE_TYPES.length - 1).toFixed(1)});`
+        };
+    }
+
+    let value;
+    switch (mode) {
+        case 'divergence':
+        case 'jacobian_trace':
+            value = `float value = ${generateTraceGLSL(dimensions)};`;
+            break;
+        case 'curl':
+            value = `float value = ${generateCurlGLSL(dimensions)};`;
+            break;
+        case 'jacobian_determinant':
+            value = `${generateDeterminantGLSL(dimensions)}
+    float value = det;`;
+            break;
+    }
+
+    return {
+        uniforms: 'uniform float u_structure_range;\nuniform float u_velocity_log_scale;',
+        body: `
+    // Jacobian at the particle
+    ${entries}
+
+    ${value}
+
+    // ±range at the ends of the gradient, 0 in the middle
+    float range = max(u_structure_range, 1e-6);
+    float scaled;
+    if (u_velocity_log_scale > 0.5) {
+        scaled = sign(value) * log(1.0 + abs(value)) / log(1.0 + range);
+    } else {
+        scaled = value / range;
+    }
+    return evaluateGradient(clamp(0.5 + 0.5 * scaled, 0.0, 1.0));`
+    };
+}
@@ -0,0 +1,464 @@
+/**
+ * Fixed points (equilibria) of a vector field and their linear stability
+ * Candidates come from a symbolic solve (when the CAS manages one) and from
+ * multi-start Newton iteration over a box of the state space. Every candidate
+ * is polished with Newton's method, and the eigenvalues of the Jacobian at the
+ * converged point classify it.
+ *
+ * States are plain arrays of numbers. `velocity(pos)` returns the field at a
+ * state as an array of the same length (time is frozen by the caller).
+ */
+
+import { evaluateConstantExpression } from './parser.js';
+import { logger } from '../utils/debug-logger.js';
+
+/**
+ * Relative step for central-difference Jacobians
+ */
+const FD_EPSILON = 1e-6;
+
+/**
+ * Newton iteration stops once the field norm drops below this value
+ */
+export const NEWTON_TOLERANCE = 1e-10;
+
+/**
+ * Eigenvalue real parts within this fraction of the largest eigenvalue count as
+ * zero (loose enough for the float32 eigenvalues of the structure color modes)
+ */
+export const EIGENVALUE_ZERO_TOLERANCE = 1e-4;
+
+/**
+ * Iteration limits for Newton's method and the eigenvalue QR iteration
+ */
+const MAX_NEWTON_ITERATIONS = 50;
+const MAX_QR_ITERATIONS = 30;
+
+/**
+ * Upper bound on the number of Newton start points (grid over the box)
+ */
+const MAX_SEEDS = 400;
+
+/**
+ * Euclidean norm
+ */
+function norm(v) {
+    return Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+}
+
+/**
+ * Central-difference Jacobian J[i][j] = ∂f_i/∂x_j
+ * @param {function(number[]): number[]} velocity - Vector field
+ * @param {number[]} pos - State
+ * @returns {number[][]} Row-major Jacobian
+ */
+export function numericalJacobian(velocity, pos) {
+    const n = pos.length;
+    const jacobian = Array.from({ length: n }, () => new Array(n));
+    for (let col = 0; col < n; col++) {
+        const h = FD_EPSILON * Math.max(1, Math.abs(pos[col]));
+        const plus = [...pos];
+        const minus = [...pos];
+        plus[col] += h;
+        minus[col] -= h;
+        const fPlus = velocity(plus);
+        const fMinus = velocity(minus);
+        for (let row = 0; row < n; row++) {
+            jacobian[row][col] = (fPlus[row] - fMinus[row]) / (2 * h);
+        }
+    }
+    return jacobian;
+}
+
+/**
+ * Solve A * x = b with Gaussian elimination and partial pivoting
+ * @param {number[][]} matrix - Row-major NxN matrix
+ * @param {number[]} rhs - Right-hand side
+ * @returns {number[]|null} Solution, or null if the matrix is (numerically) singular
+ */
+function solvePivoted(matrix, rhs) {
+    const n = rhs.length;
+    const a = matrix.map((row, i) => [...row, rhs[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-14) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+/**
+ * Damped Newton iteration for velocity(pos) = 0
+ * Steps are halved (up to 10 times) until the field norm decreases.
+ * @param {function(number[]): number[]} velocity - Vector field
+ * @param {number[]} start - Initial guess
+ * @param {Object} [options]
+ * @param {function(number[]): number[][]} [options.jacobian] - Exact Jacobian (default: central differences)
+ * @param {number} [options.tolerance] - Convergence threshold on |f|
+ * @param {number} [options.maxIterations] - Iteration limit
+ * @returns {{position: number[], residual: number, converged: boolean}}
+ */
+export function newtonSolve(velocity, start, options = {}) {
+    const {
+        jacobian = pos => numericalJacobian(velocity, pos),
+        tolerance = NEWTON_TOLERANCE,
+        maxIterations = MAX_NEWTON_ITERATIONS
+    } = options;
+
+    let pos = [...start];
+    let f = velocity(pos);
+    let residual = norm(f);
+
+    for (let iter = 0; iter < maxIterations && residual > tolerance; iter++) {
+        const delta = solvePivoted(jacobian(pos), f.map(value => -value));
+        if (!delta || !delta.every(Number.isFinite)) break;
+
+        let scale = 1;
+        let improved = false;
+        for (let halving = 0; halving <= 10; halving++) {
+            const candidate = pos.map((p, i) => p + scale * delta[i]);
+            const fCandidate = velocity(candidate);
+            const candidateResidual = norm(fCandidate);
+            if (Number.isFinite(candidateResidual) && candidateResidual < residual) {
+                pos = candidate;
+                f = fCandidate;
+                residual = candidateResidual;
+                improved = true;
+                break;
+            }
+            scale *= 0.5;
+        }
+        if (!improved) break;
+    }
+
+    return { position: pos, residual, converged: residual <= tolerance };
+}
+
+/**
+ * Reduce a matrix to upper Hessenberg form (elimination with pivoting)
+ * @param {number[][]} a - Matrix, modified in place
+ */
+function toHessenberg(a) {
+    const n = a.length;
+    for (let m = 1; m < n - 1; m++) {
+        let x = 0;
+        let pivot = m;
+        for (let j = m; j < n; j++) {
+            if (Math.abs(a[j][m - 1]) > Math.abs(x)) {
+                x = a[j][m - 1];
+                pivot = j;
+            }
+        }
+        if (pivot !== m) {
+            for (let j = m - 1; j < n; j++) [a[pivot][j], a[m][j]] = [a[m][j], a[pivot][j]];
+            for (let j = 0; j < n; j++) [a[j][pivot], a[j][m]] = [a[j][m], a[j][pivot]];
+        }
+        if (x !== 0) {
+            for (let i = m + 1; i < n; i++) {
+                let y = a[i][m - 1];
+                if (y !== 0) {
+                    y /= x;
+                    a[i][m - 1] = y;
+                    for (let j = m; j < n; j++) a[i][j] -= y * a[m][j];
+                    for (let j = 0; j < n; j++) a[j][m] += y * a[j][i];
+                }
+            }
+        }
+    }
+    // Clear the multipliers stored below the subdiagonal
+    for (let i = 2; i < n; i++) {
+        for (let j = 0; j < i - 1; j++) a[i][j] = 0;
+    }
+}
+
+/**
+ * Eigenvalues of a real square matrix
+ * Hessenberg reduction followed by the shifted QR algorithm (Francis double shift).
+ * @param {number[][]} matrix - Row-major NxN matrix
+ * @returns {{re: number, im: number}[]} Eigenvalues, sorted by decreasing real part
+ */
+export function eigenvalues(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const values = new Array(n);
+    const sign = (value, of) => (of >= 0 ? Math.abs(value) : -Math.abs(value));
+
+    toHessenberg(a);
+
+    let anorm = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = Math.max(i - 1, 0); j < n; j++) anorm += Math.abs(a[i][j]);
+    }
+
+    let nn = n - 1;
+    let t = 0;
+    while (nn >= 0) {
+        let its = 0;
+        let l;
+        do {
+            // Look for a single small subdiagonal element
+            for (l = nn; l > 0; l--) {
+                let s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+                if (s === 0) s = anorm;
+                if (Math.abs(a[l][l - 1]) <= Number.EPSILON * s) {
+                    a[l][l - 1] = 0;
+                    break;
+                }
+            }
+
+            let x = a[nn][nn];
+            if (l === nn) {
+                // One root found
+                values[nn--] = { re: x + t, im: 0 };
+            } else {
+                let y = a[nn - 1][nn - 1];
+                let w = a[nn][nn - 1] * a[nn - 1][nn];
+                if (l === nn - 1) {
+                    // Two roots found
+                    const p = 0.5 * (y - x);
+                    const q = p * p + w;
+                    let z = Math.sqrt(Math.abs(q));
+                    x += t;
+                    if (q >= 0) {
+                        z = p + sign(z, p);
+                        values[nn - 1] = { re: x + z, im: 0 };
+                        values[nn] = { re: z !== 0 ? x - w / z : x + z, im: 0 };
+                    } else {
+                        values[nn - 1] = { re: x + p, im: z };
+                        values[nn] = { re: x + p, im: -z };
+                    }
+                    nn -= 2;
+                } else {
+                    if (its === MAX_QR_ITERATIONS) {
+                        throw new Error('Eigenvalue iteration did not converge');
+                    }
+                    if (its === 10 || its === 20) {
+                        // Exceptional shift
+                        t += x;
+                        for (let i = 0; i <= nn; i++) a[i][i] -= x;
+                        const s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+                        y = x = 0.75 * s;
+                        w = -0.4375 * s * s;
+                    }
+                    its++;
+
+                    // Form the shift and look for two consecutive small subdiagonal elements
+                    let m;
+                    let p, q, r, z;
+                    for (m = nn - 2; m >= l; m--) {
+                        z = a[m][m];
+                        r = x - z;
+                        const s0 = y - z;
+                        p = (r * s0 - w) / a[m + 1][m] + a[m][m + 1];
+                        q = a[m + 1][m + 1] - z - r - s0;
+                        r = a[m + 2][m + 1];
+                        const s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                        p /= s;
+                        q /= s;
+                        r /= s;
+                        if (m === l) break;
+                        const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+                        const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+                        if (u <= Number.EPSILON * v) break;
+                    }
+                    for (let i = m; i < nn - 1; i++) {
+                        a[i + 2][i] = 0;
+                        if (i !== m) a[i + 2][i - 1] = 0;
+                    }
+
+                    // Double QR step on rows l..nn and columns m..nn
+                    for (let k = m; k < nn; k++) {
+                        if (k !== m) {
+                            p = a[k][k - 1];
+                            q = a[k + 1][k - 1];
+                            r = k + 1 !== nn ? a[k + 2][k - 1] : 0;
+                            x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                            if (x !== 0) {
+                                p /= x;
+                                q /= x;
+                                r /= x;
+                            }
+                        }
+                        const s = sign(Math.sqrt(p * p + q * q + r * r), p);
+                        if (s !== 0) {
+                            if (k === m) {
+                                if (l !== m) a[k][k - 1] = -a[k][k - 1];
+                            } else {
+                                a[k][k - 1] = -s * x;
+                            }
+                            p += s;
+                            x = p / s;
+                            y = q / s;
+                            z = r / s;
+                            q /= p;
+                            r /= p;
+                            for (let j = k; j <= nn; j++) {
+                                p = a[k][j] + q * a[k + 1][j];
+                                if (k + 1 !== nn) {
+                                    p += r * a[k + 2][j];
+                                    a[k + 2][j] -= p * z;
+                                }
+                                a[k + 1][j] -= p * y;
+                                a[k][j] -= p * x;
+                            }
+                            const mmin = nn < k + 3 ? nn : k + 3;
+                            for (let i = l; i <= mmin; i++) {
+                                p = x * a[i][k] + y * a[i][k + 1];
+                                if (k + 1 !== nn) {
+                                    p += z * a[i][k + 2];
+                                    a[i][k + 2] -= p * r;
+                                }
+                                a[i][k + 1] -= p * q;
+                                a[i][k] -= p;
+                            }
+                        }
+                    }
+                }
+            }
+        } while (l + 1 < nn);
+    }
+
+    return values.sort((u, v) => v.re - u.re || v.im - u.im);
+}
+
+/**
+ * Classify a fixed point from the eigenvalues of its Jacobian
+ * Real parts within `tolerance` (relative to the largest eigenvalue) count as zero.
+ * - node: all eigenvalues real with the same sign
+ * - focus: same-sign real parts with at least one complex pair
+ * - saddle (saddle-focus with complex pairs): real parts of both signs
+ * - center: all eigenvalues purely imaginary (linearization is inconclusive)
+ * - non-hyperbolic: any other case with a zero real part
+ * @param {{re: number, im: number}[]} values - Eigenvalues
+ * @param {number} [tolerance=EIGENVALUE_ZERO_TOLERANCE] - Relative threshold for zero real parts
+ * @returns {{type: string, hyperbolic: boolean, stable: number, unstable: number, neutral: number}}
+ *   type, and the number of eigenvalues with negative, positive and zero real part
+ */
+export function classifyFixedPoint(values, tolerance = EIGENVALUE_ZERO_TOLERANCE) {
+    const scale = Math.max(1, ...values.map(v => Math.hypot(v.re, v.im)));
+    const zero = tolerance * scale;
+    const stable = values.filter(v => v.re < -zero).length;
+    const unstable = values.filter(v => v.re > zero).length;
+    const neutral = values.length - stable - unstable;
+    const complex = values.some(v => Math.abs(v.im) > zero);
+
+    let type;
+    if (neutral > 0) {
+        const allImaginary = neutral === values.length && values.every(v => Math.abs(v.im) > zero);
+        type = allImaginary ? 'center' : 'non-hyperbolic';
+    } else if (stable > 0 && unstable > 0) {
+        type = complex ? 'saddle-focus' : 'saddle';
+    } else {
+        type = `${stable > 0 ? 'stable' : 'unstable'} ${complex ? 'focus' : 'node'}`;
+    }
+
+    return { type, hyperbolic: neutral === 0, stable, unstable, neutral };
+}
+
+/**
+ * Candidate fixed points from a symbolic solve of f(x) = 0
+ * Solutions that do not evaluate to finite real numbers (free parameters,
+ * complex roots) are skipped.
+ * @param {{solveSystem: Function}} cas - Notebook or CAS engine
+ * @param {string[]} expressions - Field expressions, one per dimension
+ * @param {string[]} variables - Variable names
+ * @returns {number[][]} Candidate positions
+ */
+export function solveFixedPointsSymbolic(cas, expressions, variables) {
+    let solutions = null;
+    try {
+        solutions = cas.solveSystem(expressions, variables);
+    } catch (error) {
+        logger.warn('Symbolic fixed-point solve failed:', error.message);
+    }
+    if (!solutions) return [];
+
+    const candidates = [];
+    for (const solution of solutions) {
+        try {
+            candidates.push(variables.map(name => evaluateConstantExpression(String(solution[name]))));
+        } catch (error) {
+            logger.verbose('Skipping symbolic solution:', error.message);
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Find and classify the fixed points of a vector field inside a box
+ * Newton's method starts from the given candidates (e.g. symbolic solutions)
+ * and from a regular grid over the box (at most MAX_SEEDS points). Converged
+ * points within the box, extended by `margin` of its size, are kept once.
+ * @param {function(number[]): number[]} velocity - Vector field
+ * @param {{min: number, max: number}[]} bounds - Search box, one range per dimension
+ * @param {Object} [options]
+ * @param {number[][]} [options.candidates] - Extra start points (reported with source 'symbolic')
+ * @param {function(number[]): number[][]} [options.jacobian] - Exact Jacobian (default: central differences)
+ * @param {number} [options.margin=0.1] - Box extension (fraction of its size) for accepted points
+ * @returns {{position: number[], eigenvalues: Object[], classification: Object, source: string}[]}
+ */
+export function findFixedPoints(velocity, bounds, options = {}) {
+    const { candidates = [], jacobian = null, margin = 0.1 } = options;
+    const dimensions = bounds.length;
+    const jacobianAt = jacobian || (pos => numericalJacobian(velocity, pos));
+    const size = Math.max(...bounds.map(range => range.max - range.min));
+    const duplicateDistance = 1e-6 * Math.max(1, size);
+
+    // Grid of start points (cell centers)
+    const perDim = Math.max(2, Math.floor(Math.pow(MAX_SEEDS, 1 / dimensions)));
+    const seeds = candidates.map(position => ({ position, source: 'symbolic' }));
+    const total = Math.pow(perDim, dimensions);
+    for (let index = 0; index < total; index++) {
+        let rest = index;
+        const position = bounds.map(range => {
+            const cell = rest % perDim;
+            rest = Math.floor(rest / perDim);
+            return range.min + (cell + 0.5) / perDim * (range.max - range.min);
+        });
+        seeds.push({ position, source: 'newton' });
+    }
+
+    const inside = pos => pos.every((value, i) => {
+        const extra = margin * (bounds[i].max - bounds[i].min);
+        return value >= bounds[i].min - extra && value <= bounds[i].max + extra;
+    });
+
+    const points = [];
+    for (const seed of seeds) {
+        const result = newtonSolve(velocity, seed.position, { jacobian: jacobianAt });
+        if (!result.converged || !inside(result.position)) continue;
+
+        const isDuplicate = points.some(point =>
+            norm(point.position.map((value, i) => value - result.position[i])) < duplicateDistance
+        );
+        if (isDuplicate) continue;
+
+        const values = eigenvalues(jacobianAt(result.position));
+        points.push({
+            position: result.position,
+            eigenvalues: values,
+            classification: classifyFixedPoint(values),
+            source: seed.source
+        });
+    }
+
+    return points;
+}
@@ -18,6 +18,7 @@ import { logger } from '../utils/debug-logger.js';
  * @typedef {Object} WorkflowResult
  * @property {boolean} success - True if workflow completed successfully
  * @property {string[]} glslArray - Generated GLSL code (only if success=true)
+ * @property {string[]} expressions - Math expressions as entered (only if success=true)
  * @property {Array<{index: number, error: string}>} errors - Errors by index (only if success=false)
  */
 
@@ -64,6 +65,18 @@ export class GLSLWorkflow {
         throw new Error('GLSLWorkflow subclass must implement applyToRenderer()');
     }
 
+    /**
+     * Turn the expressions as entered into the ones to generate
+     * Identity by default; subclasses may rewrite or reshape the array
+     *
+     * @param {string[]} expressions - Math expressions as entered
+     * @returns {string[]} Expressions to validate and generate
+     * @throws {Error} If the expressions cannot be prepared
+     */
+    prepareExpressions(expressions) {
+        return expressions;
+    }
+
     /**
      * Execute interactive workflow (from UI controls)
      *
@@ -81,11 +94,18 @@ export class GLSLWorkflow {
      * @returns {Promise<WorkflowResult>}
      */
     async executeInteractive(controls, notebook, renderer, modal) {
-        const totalCount = controls.length;
         const errors = [];
 
         // Step 1: Collect expressions from controls
-        const expressions = controls.map(ctrl => ctrl.getMath());
+        const sources = controls.map(ctrl => ctrl.getMath());
+        let expressions;
+        try {
+            expressions = this.prepareExpressions(sources);
+        } catch (error) {
+            this._displayErrors(modal, [{ index: -1, error: error.message }]);
+            return { success: false, errors: [{ index: -1, error: error.message }] };
+        }
+        const totalCount = expressions.length;
 
         // Step 2: Validate ALL expressions first
         for (let i = 0; i < expressions.length; i++) {
@@ -141,7 +161,7 @@ export class GLSLWorkflow {
 
         // Step 5: Close modal on success
         modal.hide();
-        return { success: true, glslArray, expressions };
+        return { success: true, glslArray, expressions: sources };
     }
 
     /**
@@ -152,13 +172,14 @@ export class GLSLWorkflow {
      * 2. Generate ALL GLSL
      * 3. Apply to renderer (atomic)
      *
-     * @param {string[]} expressions - Array of math expressions
+     * @param {string[]} sources - Array of math expressions as entered
      * @param {Notebook} notebook - Notebook instance
      * @param {Renderer} renderer - Renderer instance
      * @returns {WorkflowResult}
      * @throws {Error} If workflow fails (automated = fail fast)
      */
-    executeAutomated(expressions, notebook, renderer) {
+    executeAutomated(sources, notebook, renderer) {
+        const expressions = this.prepareExpressions(sources);
         const totalCount = expressions.length;
         const errors = [];
 
@@ -200,7 +221,7 @@ export class GLSLWorkflow {
             throw new Error(`Failed to apply to renderer: ${error.message}`);
         }
 
-        return { success: true, glslArray, expressions };
+        return { success: true, glslArray, expressions: sources };
     }
 
     /**
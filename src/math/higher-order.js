@@ -0,0 +1,142 @@
+/**
+ * Higher-order equations
+ *
+ * Equations may be written in derivative notation, e.g. "x'' = -sin(x) - 0.1*x'".
+ * They are reduced to the first-order system the renderer integrates: an
+ * equation of order n for x keeps x as a state variable and adds one for each
+ * of x', ..., x^(n-1). Those take the state names the equations leave unused,
+ * in order, so x'' and y'' give the state (x, y, z = x', w = y').
+ */
+
+const VARIABLE_NAMES = ['x', 'y', 'z', 'w', 'u', 'v'];
+
+/**
+ * Left-hand side in derivative notation: name, primes, "="
+ */
+const DERIVATIVE_LHS = /^\s*([a-zA-Z_][a-zA-Z_0-9]*)\s*('+)\s*=(.*)$/;
+
+/**
+ * Derivative references on the right-hand side, e.g. x' or y''
+ */
+const DERIVATIVE_REFERENCE = /\b([a-zA-Z_][a-zA-Z_0-9]*)('+)/g;
+
+/**
+ * Whether any equation uses derivative notation (a prime)
+ * @param {string[]} equations - Field equations as entered
+ * @returns {boolean}
+ */
+export function usesDerivativeNotation(equations) {
+    return Array.isArray(equations) && equations.some(equation => String(equation).includes("'"));
+}
+
+/**
+ * Display name of a derivative: x, x', x'', ...
+ * @param {string} variable - Variable name
+ * @param {number} order - Derivative order
+ * @returns {string}
+ */
+export function derivativeName(variable, order) {
+    return variable + "'".repeat(order);
+}
+
+/**
+ * Reduce equations in derivative notation to a first-order system
+ * Blank equations are skipped; every other one needs a left-hand side such as x'' = ...
+ * @param {string[]} equations - Field equations as entered
+ * @param {string[]} variableNames - State variable names by dimension
+ * @returns {{
+ *   expressions: string[],
+ *   variables: string[],
+ *   equations: {variable: string, order: number, rhs: string}[],
+ *   dimensions: number
+ * }} First-order right-hand sides and the display name (x, x', ...) of each
+ *    state variable, the parsed source equations and the state dimension
+ * @throws {Error} With the offending equation number
+ */
+export function reduceToFirstOrder(equations, variableNames = VARIABLE_NAMES) {
+    const sources = [];
+    equations.forEach((text, i) => {
+        if (!String(text).trim()) return;
+
+        const match = String(text).match(DERIVATIVE_LHS);
+        if (!match) {
+            throw new Error(`Equation ${i + 1}: expected a left-hand side such as ${derivativeName(variableNames[0], 2)} = ...`);
+        }
+        const [, variable, primes, rhs] = match;
+        if (!variableNames.includes(variable)) {
+            throw new Error(`Equation ${i + 1}: '${variable}' is not a state variable (${variableNames.join(', ')})`);
+        }
+        if (sources.some(source => source.variable === variable)) {
+            throw new Error(`Equation ${i + 1}: ${variable} already has an equation`);
+        }
+        if (!rhs.trim()) {
+            throw new Error(`Equation ${i + 1}: the right-hand side is empty`);
+        }
+        sources.push({ variable, order: primes.length, rhs: rhs.trim(), number: i + 1 });
+    });
+
+    if (sources.length === 0) {
+        throw new Error('No equations');
+    }
+
+    const dimensions = sources.reduce((sum, source) => sum + source.order, 0);
+    if (dimensions > variableNames.length) {
+        throw new Error(`The equations need ${dimensions} state variables, at most ${variableNames.length} are available`);
+    }
+
+    // The equations' own variables must be among the first `dimensions` names
+    const stateNames = variableNames.slice(0, dimensions);
+    for (const source of sources) {
+        if (!stateNames.includes(source.variable)) {
+            throw new Error(`Equation ${source.number}: a ${dimensions}D system has the variables ${stateNames.join(', ')}, ` +
+                `write the equation for one of those instead of ${source.variable}`);
+        }
+    }
+
+    // State name for each derivative below the highest order: x → x, x' → first free name, ...
+    const freeNames = stateNames.filter(name => !sources.some(source => source.variable === name));
+    const stateOf = {};
+    for (const source of sources) {
+        stateOf[source.variable] = source.variable;
+        for (let k = 1; k < source.order; k++) {
+            stateOf[derivativeName(source.variable, k)] = freeNames.shift();
+        }
+    }
+    const derivativeStates = new Set(Object.entries(stateOf)
+        .filter(([name]) => name.includes("'"))
+        .map(([, state]) => state));
+
+    const expressions = new Array(dimensions);
+    const variables = new Array(dimensions);
+    for (const source of sources) {
+        // Free names stand for derivatives here, so they cannot also be used by name
+        for (const [, name] of source.rhs.matchAll(/\b([a-zA-Z_][a-zA-Z_0-9]*)\b(?!')/g)) {
+            if (derivativeStates.has(name)) {
+                throw new Error(`Equation ${source.number}: ${name} holds a derivative in this system, use the derivative name instead`);
+            }
+        }
+
+        const rhs = source.rhs.replace(DERIVATIVE_REFERENCE, (reference, name) => {
+            if (!stateOf.hasOwnProperty(reference)) {
+                const known = sources.find(other => other.variable === name);
+                throw new Error(known
+                    ? `Equation ${source.number}: ${reference} is not a state variable (${name} has order ${known.order})`
+                    : `Equation ${source.number}: ${reference} refers to ${name}, which has no equation`);
+            }
+            return stateOf[reference];
+        });
+
+        for (let k = 0; k < source.order; k++) {
+            const index = stateNames.indexOf(stateOf[derivativeName(source.variable, k)]);
+            variables[index] = derivativeName(source.variable, k);
+            expressions[index] = k < source.order - 1 ? stateOf[derivativeName(source.variable, k + 1)] : rhs;
+        }
+    }
+
+    return {
+        expressions,
+        variables,
+        equations: sources.map(({ variable, order, rhs }) => ({ variable, order, rhs })),
+        dimensions
+    };
+}
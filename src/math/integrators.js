@@ -1,17 +1,37 @@
 /**
  * Numerical integration methods for updating particle positions
- * Each integrator generates GLSL code for computing position updates
+ * Each integrator generates GLSL code for computing position updates,
+ * plus a matching CPU `step(velocity, pos, t, h)` from cpu-integrators.js
  */
 
 import { computeSymbolicJacobian, isValidJacobian } from './jacobian.js';
-import { parseExpression } from './parser.js';
+import { parseExpression, createVelocityEvaluators, stripWienerIncrement } from './parser.js';
 import { logger } from '../utils/debug-logger.js';
+import { getStateType, getStateComponent, getStateZero, buildState, buildBasisState, isPackedState, glslFloat } from './state-vector.js';
+import {
+    eulerStep, explicitMidpointStep, heunStep, rk4Step,
+    createImplicitEulerStep, createImplicitMidpointStep, createTrapezoidalStep, createImplicitRK4Step,
+    createJacobianEvaluator, createAdaptiveStep,
+    createSymplecticEulerStep, createVerletStep, createYoshida4Step, YOSHIDA4_WEIGHTS,
+    createEulerMaruyamaStep, createMilsteinStep
+} from './cpu-integrators.js';
+import { EMBEDDED_TABLEAUS, MIN_STEP_RATIO, STEP_SAFETY, STEP_MIN_FACTOR, STEP_MAX_FACTOR } from './embedded-tableaus.js';
 
 /**
  * Variable names for dimensions
  */
 const VARIABLE_NAMES = ['x', 'y', 'z', 'w', 'u', 'v'];
 
+/**
+ * CPU solver method for each solver actually used (after Newton fallbacks)
+ */
+const CPU_SOLVER_METHODS = {
+    'Fixed-Point': 'fixed-point',
+    'Midpoint': 'midpoint',
+    'Newton': 'newton',
+    'Newton (FD)': 'newton-fd'
+};
+
 /**
  * Generate GLSL code for NxN matrix inversion using Gauss-Jordan elimination
  *
@@ -107,8 +127,76 @@ ${matType} ${funcName}(${matType} m) {
     return code;
 }
 
+/**
+ * Generate GLSL code for solving an NxN linear system on packed (5D/6D) states
+ *
+ * GLSL has no mat5/mat6, so rather than returning an inverse this solves
+ * J * delta = rhs directly, with J passed as N column states.
+ *
+ * @param {number} n - System dimension (5 or 6)
+ * @returns {string} - GLSL function code for solve${n}()
+ */
+function generatePackedSolverGLSL(n) {
+    const columnParams = Array.from({ length: n }, (_, col) => `mat3 c${col}`).join(', ');
+
+    let code = `
+// Solve J * delta = rhs for a ${n}D packed state using Gauss-Jordan elimination
+// J is passed as ${n} column states
+mat3 solve${n}(${columnParams}, mat3 rhs) {
+    // Unpack matrix entries a{row}_{col} and right-hand side b{row}
+`;
+
+    for (let row = 0; row < n; row++) {
+        for (let col = 0; col < n; col++) {
+            code += `    float a${row}_${col} = ${getStateComponent(`c${col}`, row, n)};\n`;
+        }
+        code += `    float b${row} = ${getStateComponent('rhs', row, n)};\n`;
+    }
+    code += `\n`;
+
+    for (let pivot = 0; pivot < n; pivot++) {
+        code += `    // Pivot ${pivot}: Make diagonal element = 1 and eliminate column ${pivot}\n`;
+        code += `    float scale${pivot} = a${pivot}_${pivot};\n`;
+        // Protect against division by zero
+        code += `    if (abs(scale${pivot}) < 0.0001) scale${pivot} = 0.0001;\n`;
+        for (let col = pivot; col < n; col++) {
+            code += `    a${pivot}_${col} /= scale${pivot};\n`;
+        }
+        code += `    b${pivot} /= scale${pivot};\n\n`;
+
+        for (let row = 0; row < n; row++) {
+            if (row === pivot) continue;
+
+            code += `    float factor${pivot}_${row} = a${row}_${pivot};\n`;
+            for (let col = pivot; col < n; col++) {
+                code += `    a${row}_${col} -= factor${pivot}_${row} * a${pivot}_${col};\n`;
+            }
+            code += `    b${row} -= factor${pivot}_${row} * b${pivot};\n`;
+        }
+        code += `\n`;
+    }
+
+    const solution = Array.from({ length: n }, (_, row) => `b${row}`);
+    code += `    return ${buildState(solution, n)};\n`;
+    code += `}\n`;
+
+    return code;
+}
+
+/**
+ * Generate the GLSL linear solve helper used by Newton's method
+ * inverse${n}() for vector states, solve${n}() for packed states
+ *
+ * @param {number} n - System dimension
+ * @returns {string} - GLSL function code
+ */
+function generateLinearSolverGLSL(n) {
+    return isPackedState(n) ? generatePackedSolverGLSL(n) : generateMatrixInverseGLSL(n);
+}
+
 /**
  * Generate GLSL code for computing the Jacobian matrix
+ * The functions take the time t like get_velocity, so each stage can pass its own time.
  *
  * @param {string[][]} jacobianMatrix - 2D array of symbolic expressions
  * @param {number} dimensions - Number of dimensions
@@ -116,38 +204,56 @@ ${matType} ${funcName}(${matType} m) {
  */
 function generateJacobianGLSL(jacobianMatrix, dimensions) {
     const matType = dimensions === 2 ? 'mat2' : dimensions === 3 ? 'mat3' : 'mat4';
-    const vecType = `vec${dimensions}`;
+    const vecType = getStateType(dimensions);
 
     // Generate variable declarations
     let varDecls = '';
     for (let i = 0; i < dimensions; i++) {
-        varDecls += `    float ${VARIABLE_NAMES[i]} = pos.${['x', 'y', 'z', 'w'][i]};\n`;
+        varDecls += `    float ${VARIABLE_NAMES[i]} = ${getStateComponent('pos', i, dimensions)};\n`;
     }
 
     // Generate matrix constructor arguments
     // GLSL matrices are column-major, so we need to transpose
-    const matrixElements = [];
+    const columns = [];
     for (let col = 0; col < dimensions; col++) {
+        const columnElements = [];
         for (let row = 0; row < dimensions; row++) {
             const symbolicExpr = jacobianMatrix[row][col];
             try {
-                const glslExpr = parseExpression(symbolicExpr, dimensions);
-                matrixElements.push(glslExpr);
+                const glslExpr = parseExpression(symbolicExpr, dimensions, null, 'pos', 't');
+                columnElements.push(glslExpr);
             } catch (error) {
                 logger.warn(`Failed to compile Jacobian element [${row}][${col}]: ${symbolicExpr}`, error);
-                matrixElements.push('0.0');
+                columnElements.push('0.0');
             }
         }
+        columns.push(columnElements);
+    }
+
+    // Generate linear solve function (WebGL 1.0 doesn't have built-in inverse())
+    const inverseFunc = generateLinearSolverGLSL(dimensions);
+
+    // Packed states have no matching matrix type, so emit one function per column
+    if (isPackedState(dimensions)) {
+        const columnFuncs = columns.map((columnElements, col) => `
+// Compute Jacobian column ${col} (d(velocity)/d${VARIABLE_NAMES[col]}) at given position and time
+${vecType} computeJacobianCol${col}(${vecType} pos, float t) {
+${varDecls}
+    return ${buildState(columnElements, dimensions)};
+}`).join('\n');
+
+        return `
+${inverseFunc}
+${columnFuncs}`;
     }
 
-    // Generate matrix inverse function (WebGL 1.0 doesn't have built-in inverse())
-    const inverseFunc = generateMatrixInverseGLSL(dimensions);
+    const matrixElements = columns.flat();
 
     return `
 ${inverseFunc}
 
-// Compute Jacobian matrix at given position
-${matType} computeJacobian(${vecType} pos) {
+// Compute Jacobian matrix at given position and time
+${matType} computeJacobian(${vecType} pos, float t) {
 ${varDecls}
     return ${matType}(
         ${matrixElements.join(',\n        ')}
@@ -182,7 +288,7 @@ function generateFixedPointSolverBody(varName, updateExprFn, dimensions) {
  * @returns {string} - GLSL code for single solver iteration (just the loop body)
  */
 function generateMidpointSolverBody(varName, updateExprFn, dimensions) {
-    const vecType = `vec${dimensions}`;
+    const vecType = getStateType(dimensions);
     const predName = `${varName}_pred`;
     const midName = `${varName}_mid`;
 
@@ -199,24 +305,42 @@ function generateMidpointSolverBody(varName, updateExprFn, dimensions) {
 
 /**
  * Generate Newton's method solver body (single iteration step)
+ * The residual Jacobian has the form J = I - scale * Df(point)
  *
  * @param {string} varName - Variable name to solve for
  * @param {function(string): string} residualExprFn - Function that takes variable name and returns GLSL residual F(x)
- * @param {function(string): string} jacobianExprFn - Function that takes variable name and returns GLSL Jacobian matrix
+ * @param {string} jacobianScale - GLSL scale applied to the velocity Jacobian (e.g., 'h', '(h * 0.5)')
+ * @param {function(string): string} jacobianPointFn - Function that takes variable name and returns the GLSL point where Df is evaluated
+ * @param {string} jacobianTime - GLSL stage time where Df is evaluated (e.g., 't + h', 't + c1 * h')
  * @param {number} dimensions - Number of dimensions
  * @returns {string} - GLSL code for single solver iteration (just the loop body)
  */
-function generateNewtonSolverBody(varName, residualExprFn, jacobianExprFn, dimensions) {
-    const vecType = `vec${dimensions}`;
+function generateNewtonSolverBody(varName, residualExprFn, jacobianScale, jacobianPointFn, jacobianTime, dimensions) {
+    const vecType = getStateType(dimensions);
     const matType = dimensions === 2 ? 'mat2' : dimensions === 3 ? 'mat3' : 'mat4';
     const inverseFuncName = `inverse${dimensions}`;
 
     const residualExpr = residualExprFn(varName);
-    const jacobianExpr = jacobianExprFn(varName);
+    const jacobianPoint = jacobianPointFn(varName);
+
+    if (isPackedState(dimensions)) {
+        const columnNames = Array.from({ length: dimensions }, (_, col) => `J_col${col}_${varName}`);
+        const columnCode = columnNames.map((colName, col) =>
+            `        ${vecType} ${colName} = ${buildBasisState(col, dimensions)} - ${jacobianScale} * computeJacobianCol${col}(Jpos_${varName}, ${jacobianTime});`
+        ).join('\n');
+
+        return `        ${vecType} F_${varName} = ${residualExpr};
+        ${vecType} Jpos_${varName} = ${jacobianPoint};
+${columnCode}
+
+        // Newton step: solve J * delta = F, then x -= delta
+        ${vecType} delta_${varName} = solve${dimensions}(${columnNames.join(', ')}, F_${varName});
+        ${varName} -= delta_${varName};`;
+    }
 
     // Use varName prefix for local variables to avoid redeclaration when used multiple times in same scope
     return `        ${vecType} F_${varName} = ${residualExpr};
-        ${matType} J_${varName} = ${jacobianExpr};
+        ${matType} J_${varName} = ${matType}(1.0) - ${jacobianScale} * computeJacobian(${jacobianPoint}, ${jacobianTime});
 
         // Newton step: x -= J^(-1) * F
         ${vecType} delta_${varName} = ${inverseFuncName}(J_${varName}) * F_${varName};
@@ -237,10 +361,9 @@ function generateNewtonSolverBody(varName, residualExprFn, jacobianExprFn, dimen
  * @returns {string} - GLSL code for single solver iteration (just the loop body)
  */
 function generateNewtonFDSolverBody(varName, velocityExprFn, dimensions, hScale = 'h', residualRHS = null) {
-    const vecType = `vec${dimensions}`;
+    const vecType = getStateType(dimensions);
     const matType = dimensions === 2 ? 'mat2' : dimensions === 3 ? 'mat3' : 'mat4';
     const inverseFuncName = `inverse${dimensions}`;
-    const coords = ['x', 'y', 'z', 'w'];
 
     // Epsilon for finite differences - balanced to avoid both truncation and cancellation errors
     const epsilon = '1e-4';
@@ -253,21 +376,41 @@ function generateNewtonFDSolverBody(varName, velocityExprFn, dimensions, hScale
         const colName = `Df_col${col}_${varName}`;
 
         // Create perturbation vector (unit vector in dimension col)
-        const perturbation = Array.from({length: dimensions}, (_, i) =>
-            i === col ? epsilon : '0.0'
-        ).join(', ');
+        const perturbation = buildBasisState(col, dimensions, epsilon);
 
         // Compute f(x + eps*e_col) and f(x) - this is the derivative of the velocity field
-        const velocityAtPerturbed = velocityExprFn(`${varName} + ${vecType}(${perturbation})`);
+        const velocityAtPerturbed = velocityExprFn(`${varName} + ${perturbation}`);
         const velocityAtCurrent = velocityExprFn(varName);
 
         jacobianCode += `
-        // Velocity Jacobian column ${col}: d(velocity)/d${coords[col]}
+        // Velocity Jacobian column ${col}: d(velocity)/d${VARIABLE_NAMES[col]}
         ${vecType} ${colName} = (${velocityAtPerturbed} - ${velocityAtCurrent}) / ${epsilon};`;
 
         dfColumns.push(colName);
     }
 
+    // Compute residual
+    const currentVel = velocityExprFn(varName);
+    const residual = residualRHS || `pos + ${hScale} * ${currentVel}`;
+
+    if (isPackedState(dimensions)) {
+        // No mat5/mat6: build residual Jacobian columns J_F = I - ${hScale} * Df directly
+        const columnNames = dfColumns.map((_, col) => `J_col${col}_${varName}`);
+        jacobianCode += `
+
+        // Residual Jacobian columns: J_F = I - ${hScale} * Df
+${columnNames.map((colName, col) => `        ${vecType} ${colName} = ${buildBasisState(col, dimensions)} - ${hScale} * ${dfColumns[col]};`).join('\n')}`;
+
+        return `        // Finite difference Jacobian approximation (epsilon = ${epsilon})${jacobianCode}
+
+        // Compute residual: F(x) = x - RHS
+        ${vecType} F_${varName} = ${varName} - (${residual});
+
+        // Newton step: solve J * delta = F, then x -= delta
+        ${vecType} delta_${varName} = solve${dimensions}(${columnNames.join(', ')}, F_${varName});
+        ${varName} -= delta_${varName};`;
+    }
+
     // Build the Jacobian of the velocity field
     jacobianCode += `
 
@@ -277,10 +420,6 @@ function generateNewtonFDSolverBody(varName, velocityExprFn, dimensions, hScale
         // Residual Jacobian: J_F = I - ${hScale} * Df
         ${matType} J_${varName} = ${matType}(1.0) - ${hScale} * Df_${varName};`;
 
-    // Compute residual
-    const currentVel = velocityExprFn(varName);
-    const residual = residualRHS || `pos + ${hScale} * ${currentVel}`;
-
     return `        // Finite difference Jacobian approximation (epsilon = ${epsilon})${jacobianCode}
 
         // Compute residual: F(x) = x - RHS
@@ -296,13 +435,16 @@ function generateNewtonFDSolverBody(varName, velocityExprFn, dimensions, hScale
  * Simple forward step: x(t+h) = x(t) + h*f(x)
  */
 export function eulerIntegrator(dimensions) {
+    const vecType = getStateType(dimensions);
+
     return {
         name: 'Euler',
         costFactor: 1, // 1 function evaluation per step
+        step: eulerStep,
         code: `
 // Euler integration
-vec${dimensions} integrate(vec${dimensions} pos, float h) {
-    vec${dimensions} velocity = get_velocity(pos);
+${vecType} integrate(${vecType} pos, float t, float h) {
+    ${vecType} velocity = get_velocity(pos, t);
     return pos + h * velocity;
 }
 `
@@ -314,14 +456,17 @@ vec${dimensions} integrate(vec${dimensions} pos, float h) {
  * 2nd order accurate
  */
 export function explicitMidpointIntegrator(dimensions) {
+    const vecType = getStateType(dimensions);
+
     return {
         name: 'Explicit Midpoint',
         costFactor: 2, // 2 function evaluations per step
+        step: explicitMidpointStep,
         code: `
 // Explicit Midpoint (RK2) integration
-vec${dimensions} integrate(vec${dimensions} pos, float h) {
-    vec${dimensions} k1 = get_velocity(pos);
-    vec${dimensions} k2 = get_velocity(pos + h * 0.5 * k1);
+${vecType} integrate(${vecType} pos, float t, float h) {
+    ${vecType} k1 = get_velocity(pos, t);
+    ${vecType} k2 = get_velocity(pos + h * 0.5 * k1, t + h * 0.5);
     return pos + h * k2;
 }
 `
@@ -334,14 +479,17 @@ vec${dimensions} integrate(vec${dimensions} pos, float h) {
  * Explicit counterpart to implicit trapezoidal rule
  */
 export function heunIntegrator(dimensions) {
+    const vecType = getStateType(dimensions);
+
     return {
         name: 'Heun (Explicit Trapezoidal)',
         costFactor: 2, // 2 function evaluations per step
+        step: heunStep,
         code: `
 // Heun's Method (Explicit Trapezoidal) integration
-vec${dimensions} integrate(vec${dimensions} pos, float h) {
-    vec${dimensions} k1 = get_velocity(pos);
-    vec${dimensions} k2 = get_velocity(pos + h * k1);
+${vecType} integrate(${vecType} pos, float t, float h) {
+    ${vecType} k1 = get_velocity(pos, t);
+    ${vecType} k2 = get_velocity(pos + h * k1, t + h);
     return pos + h * 0.5 * (k1 + k2);
 }
 `
@@ -353,16 +501,19 @@ vec${dimensions} integrate(vec${dimensions} pos, float h) {
  * 4th order accurate, good balance of accuracy and performance
  */
 export function rk4Integrator(dimensions) {
+    const vecType = getStateType(dimensions);
+
     return {
         name: 'RK4',
         costFactor: 4, // 4 function evaluations per step
+        step: rk4Step,
         code: `
 // Runge-Kutta 4 integration
-vec${dimensions} integrate(vec${dimensions} pos, float h) {
-    vec${dimensions} k1 = get_velocity(pos);
-    vec${dimensions} k2 = get_velocity(pos + h * 0.5 * k1);
-    vec${dimensions} k3 = get_velocity(pos + h * 0.5 * k2);
-    vec${dimensions} k4 = get_velocity(pos + h * k3);
+${vecType} integrate(${vecType} pos, float t, float h) {
+    ${vecType} k1 = get_velocity(pos, t);
+    ${vecType} k2 = get_velocity(pos + h * 0.5 * k1, t + h * 0.5);
+    ${vecType} k3 = get_velocity(pos + h * 0.5 * k2, t + h * 0.5);
+    ${vecType} k4 = get_velocity(pos + h * k3, t + h);
 
     return pos + h * (k1 / 6.0 + k2 / 3.0 + k3 / 3.0 + k4 / 6.0);
 }
@@ -379,17 +530,17 @@ vec${dimensions} integrate(vec${dimensions} pos, float h) {
 export function implicitEulerIntegrator(dimensions, iterations = 3, solutionMethod = 'fixed-point', expressions = null) {
     logger.info(`*** Implicit Euler integrator requested: solutionMethod=${solutionMethod}, hasExpressions=${!!expressions}`);
 
-    const vecType = `vec${dimensions}`;
-    const matType = dimensions === 2 ? 'mat2' : dimensions === 3 ? 'mat3' : 'mat4';
+    const vecType = getStateType(dimensions);
 
-    // Problem definition for Implicit Euler: x_new = pos + h * f(x_new)
-    const initialGuess = 'pos + h * get_velocity(pos)';
-    const updateExprFn = (v) => `pos + h * get_velocity(${v})`;
-    const velocityExprFn = (v) => `get_velocity(${v})`;
+    // Problem definition for Implicit Euler: x_new = pos + h * f(x_new, t + h)
+    const initialGuess = 'pos + h * get_velocity(pos, t)';
+    const updateExprFn = (v) => `pos + h * get_velocity(${v}, t + h)`;
+    const velocityExprFn = (v) => `get_velocity(${v}, t + h)`;
 
     let solverBody;
     let solverName;
     let jacobianGLSL = '';
+    let jacobianEvaluator = null;
 
     // Choose solver method
     if (solutionMethod === 'newton' && expressions) {
@@ -401,10 +552,11 @@ export function implicitEulerIntegrator(dimensions, iterations = 3, solutionMeth
             logger.info('✓ Successfully using Newton\'s method for Implicit Euler');
 
             jacobianGLSL = generateJacobianGLSL(jacobian, dimensions);
-            const residualExprFn = (v) => `${v} - pos - h * get_velocity(${v})`;
-            const jacobianExprFn = (v) => `${matType}(1.0) - h * computeJacobian(${v})`;
+            jacobianEvaluator = createJacobianEvaluator(jacobian, dimensions);
+            const residualExprFn = (v) => `${v} - pos - h * get_velocity(${v}, t + h)`;
+            const jacobianPointFn = (v) => v;
 
-            solverBody = generateNewtonSolverBody('x_new', residualExprFn, jacobianExprFn, dimensions);
+            solverBody = generateNewtonSolverBody('x_new', residualExprFn, 'h', jacobianPointFn, 't + h', dimensions);
             solverName = 'Newton';
         } else {
             logger.warn('✗ Failed to compute Jacobian for Newton\'s method');
@@ -416,7 +568,7 @@ export function implicitEulerIntegrator(dimensions, iterations = 3, solutionMeth
         // Finite difference Newton's method - no symbolic expressions needed
         logger.info('✓ Using finite difference Newton\'s method for Implicit Euler');
 
-        jacobianGLSL = generateMatrixInverseGLSL(dimensions);
+        jacobianGLSL = generateLinearSolverGLSL(dimensions);
         solverBody = generateNewtonFDSolverBody('x_new', velocityExprFn, dimensions);
         solverName = 'Newton (FD)';
     } else if (solutionMethod === 'midpoint') {
@@ -431,10 +583,11 @@ export function implicitEulerIntegrator(dimensions, iterations = 3, solutionMeth
     return {
         name: `Implicit Euler (${solverName})`,
         costFactor: 1, // Base cost (iterations are tunable convergence parameter)
+        step: createImplicitEulerStep(iterations, CPU_SOLVER_METHODS[solverName], jacobianEvaluator),
         code: `
 ${jacobianGLSL}
 // Implicit Euler integration (${solverName.toLowerCase()} solver)
-${vecType} integrate(${vecType} pos, float h) {
+${vecType} integrate(${vecType} pos, float t, float h) {
     // Start with initial guess
     ${vecType} x_new = ${initialGuess};
 
@@ -458,20 +611,20 @@ ${solverBody}
 export function implicitMidpointIntegrator(dimensions, iterations = 4, solutionMethod = 'fixed-point', expressions = null) {
     logger.info(`*** Implicit Midpoint integrator requested: solutionMethod=${solutionMethod}, hasExpressions=${!!expressions}`);
 
-    const vecType = `vec${dimensions}`;
-    const matType = dimensions === 2 ? 'mat2' : dimensions === 3 ? 'mat3' : 'mat4';
+    const vecType = getStateType(dimensions);
 
     // Initial guess: explicit RK2
-    const k1Init = 'get_velocity(pos)';
-    const initialGuess = `pos + h * get_velocity(pos + h * 0.5 * ${k1Init})`;
+    const k1Init = 'get_velocity(pos, t)';
+    const initialGuess = `pos + h * get_velocity(pos + h * 0.5 * ${k1Init}, t + h * 0.5)`;
 
-    // Problem definition for Implicit Midpoint: x_new = pos + h * f((pos + x_new)/2)
-    const updateExprFn = (v) => `pos + h * get_velocity((pos + ${v}) * 0.5)`;
-    const velocityExprFn = (v) => `get_velocity((pos + ${v}) * 0.5)`;
+    // Problem definition for Implicit Midpoint: x_new = pos + h * f((pos + x_new)/2, t + h/2)
+    const updateExprFn = (v) => `pos + h * get_velocity((pos + ${v}) * 0.5, t + h * 0.5)`;
+    const velocityExprFn = (v) => `get_velocity((pos + ${v}) * 0.5, t + h * 0.5)`;
 
     let solverBody;
     let solverName;
     let jacobianGLSL = '';
+    let jacobianEvaluator = null;
 
     // Choose solver method
     if (solutionMethod === 'newton' && expressions) {
@@ -483,10 +636,11 @@ export function implicitMidpointIntegrator(dimensions, iterations = 4, solutionM
             logger.info('✓ Successfully using Newton\'s method for Implicit Midpoint');
 
             jacobianGLSL = generateJacobianGLSL(jacobian, dimensions);
-            const residualExprFn = (v) => `${v} - pos - h * get_velocity((pos + ${v}) * 0.5)`;
-            const jacobianExprFn = (v) => `${matType}(1.0) - (h * 0.5) * computeJacobian((pos + ${v}) * 0.5)`;
+            jacobianEvaluator = createJacobianEvaluator(jacobian, dimensions);
+            const residualExprFn = (v) => `${v} - pos - h * get_velocity((pos + ${v}) * 0.5, t + h * 0.5)`;
+            const jacobianPointFn = (v) => `(pos + ${v}) * 0.5`;
 
-            solverBody = generateNewtonSolverBody('x_new', residualExprFn, jacobianExprFn, dimensions);
+            solverBody = generateNewtonSolverBody('x_new', residualExprFn, '(h * 0.5)', jacobianPointFn, 't + h * 0.5', dimensions);
             solverName = 'Newton';
         } else {
             logger.warn('✗ Failed to compute Jacobian for Newton\'s method (Implicit Midpoint)');
@@ -497,8 +651,9 @@ export function implicitMidpointIntegrator(dimensions, iterations = 4, solutionM
     } else if (solutionMethod === 'newton-fd') {
         logger.info('✓ Using finite difference Newton\'s method for Implicit Midpoint');
 
-        jacobianGLSL = generateMatrixInverseGLSL(dimensions);
-        solverBody = generateNewtonFDSolverBody('x_new', velocityExprFn, dimensions, 'h * 0.5');
+        jacobianGLSL = generateLinearSolverGLSL(dimensions);
+        // velocityExprFn already includes the 1/2 from the midpoint average
+        solverBody = generateNewtonFDSolverBody('x_new', velocityExprFn, dimensions, 'h');
         solverName = 'Newton (FD)';
     } else if (solutionMethod === 'midpoint') {
         solverBody = generateMidpointSolverBody('x_new', updateExprFn, dimensions);
@@ -512,10 +667,11 @@ export function implicitMidpointIntegrator(dimensions, iterations = 4, solutionM
     return {
         name: `Implicit Midpoint (${solverName})`,
         costFactor: 2, // 2nd order method (like explicit midpoint)
+        step: createImplicitMidpointStep(iterations, CPU_SOLVER_METHODS[solverName], jacobianEvaluator),
         code: `
 ${jacobianGLSL}
 // Implicit Midpoint integration (${solverName.toLowerCase()} solver)
-${vecType} integrate(${vecType} pos, float h) {
+${vecType} integrate(${vecType} pos, float t, float h) {
     // Start with initial guess
     ${vecType} x_new = ${initialGuess};
 
@@ -539,18 +695,18 @@ ${solverBody}
 export function trapezoidalIntegrator(dimensions, iterations = 4, solutionMethod = 'fixed-point', expressions = null) {
     logger.info(`*** Trapezoidal integrator requested: solutionMethod=${solutionMethod}, hasExpressions=${!!expressions}`);
 
-    const vecType = `vec${dimensions}`;
-    const matType = dimensions === 2 ? 'mat2' : dimensions === 3 ? 'mat3' : 'mat4';
+    const vecType = getStateType(dimensions);
 
     const initialGuess = 'pos + h * f0';
 
     // Problem definition for Trapezoidal: x_new = pos + h/2 * (f0 + f(x_new))
-    const updateExprFn = (v) => `pos + h * 0.5 * (f0 + get_velocity(${v}))`;
-    const velocityExprFn = (v) => `get_velocity(${v})`;
+    const updateExprFn = (v) => `pos + h * 0.5 * (f0 + get_velocity(${v}, t + h))`;
+    const velocityExprFn = (v) => `get_velocity(${v}, t + h)`;
 
     let solverBody;
     let solverName;
     let jacobianGLSL = '';
+    let jacobianEvaluator = null;
 
     // Choose solver method
     if (solutionMethod === 'newton' && expressions) {
@@ -562,10 +718,11 @@ export function trapezoidalIntegrator(dimensions, iterations = 4, solutionMethod
             logger.info('✓ Successfully using Newton\'s method for Trapezoidal');
 
             jacobianGLSL = generateJacobianGLSL(jacobian, dimensions);
-            const residualExprFn = (v) => `${v} - pos - h * 0.5 * (f0 + get_velocity(${v}))`;
-            const jacobianExprFn = (v) => `${matType}(1.0) - (h * 0.5) * computeJacobian(${v})`;
+            jacobianEvaluator = createJacobianEvaluator(jacobian, dimensions);
+            const residualExprFn = (v) => `${v} - pos - h * 0.5 * (f0 + get_velocity(${v}, t + h))`;
+            const jacobianPointFn = (v) => v;
 
-            solverBody = generateNewtonSolverBody('x_new', residualExprFn, jacobianExprFn, dimensions);
+            solverBody = generateNewtonSolverBody('x_new', residualExprFn, '(h * 0.5)', jacobianPointFn, 't + h', dimensions);
             solverName = 'Newton';
         } else {
             logger.warn('✗ Failed to compute Jacobian for Newton\'s method (Trapezoidal)');
@@ -576,7 +733,7 @@ export function trapezoidalIntegrator(dimensions, iterations = 4, solutionMethod
     } else if (solutionMethod === 'newton-fd') {
         logger.info('✓ Using finite difference Newton\'s method for Trapezoidal');
 
-        jacobianGLSL = generateMatrixInverseGLSL(dimensions);
+        jacobianGLSL = generateLinearSolverGLSL(dimensions);
         solverBody = generateNewtonFDSolverBody('x_new', velocityExprFn, dimensions, 'h * 0.5', 'pos + h * 0.5 * (f0 + ' + velocityExprFn('x_new') + ')');
         solverName = 'Newton (FD)';
     } else if (solutionMethod === 'midpoint') {
@@ -591,11 +748,12 @@ export function trapezoidalIntegrator(dimensions, iterations = 4, solutionMethod
     return {
         name: `Trapezoidal (${solverName})`,
         costFactor: 2, // 2nd order method (like Heun)
+        step: createTrapezoidalStep(iterations, CPU_SOLVER_METHODS[solverName], jacobianEvaluator),
         code: `
 ${jacobianGLSL}
 // Trapezoidal Rule integration (${solverName.toLowerCase()} solver)
-${vecType} integrate(${vecType} pos, float h) {
-    ${vecType} f0 = get_velocity(pos);
+${vecType} integrate(${vecType} pos, float t, float h) {
+    ${vecType} f0 = get_velocity(pos, t);
 
     // Start with initial guess
     ${vecType} x_new = ${initialGuess};
@@ -625,8 +783,7 @@ ${solverBody}
 export function implicitRK4Integrator(dimensions, iterations = 5, solutionMethod = 'fixed-point', expressions = null) {
     logger.info(`*** Implicit RK4 integrator requested: solutionMethod=${solutionMethod}, hasExpressions=${!!expressions}`);
 
-    const vecType = `vec${dimensions}`;
-    const matType = dimensions === 2 ? 'mat2' : dimensions === 3 ? 'mat3' : 'mat4';
+    const vecType = getStateType(dimensions);
 
     // Gauss-Legendre coefficients (will be inlined in GLSL)
     const coeffsGLSL = `
@@ -642,24 +799,25 @@ export function implicitRK4Integrator(dimensions, iterations = 5, solutionMethod
 
     const initialGuessGLSL = `
     // Start with explicit RK4 as initial guess
-    ${vecType} k1_guess = get_velocity(pos);
-    ${vecType} k2_guess = get_velocity(pos + h * 0.5 * k1_guess);
+    ${vecType} k1_guess = get_velocity(pos, t);
+    ${vecType} k2_guess = get_velocity(pos + h * 0.5 * k1_guess, t + h * 0.5);
 
     ${vecType} k1 = k1_guess;
     ${vecType} k2 = k2_guess;`;
 
-    // Problem: k1 = f(pos + h*(a11*k1 + a12*k2)), k2 = f(pos + h*(a21*k1 + a22*k2))
+    // Problem: k1 = f(pos + h*(a11*k1 + a12*k2), t + c1*h), k2 = f(pos + h*(a21*k1 + a22*k2), t + c2*h)
     // Update functions for each stage
-    const k1_updateFn = (v) => `get_velocity(pos + h * (a11 * ${v} + a12 * k2))`;
-    const k2_updateFn = (v) => `get_velocity(pos + h * (a21 * k1 + a22 * ${v}))`;
+    const k1_updateFn = (v) => `get_velocity(pos + h * (a11 * ${v} + a12 * k2), t + c1 * h)`;
+    const k2_updateFn = (v) => `get_velocity(pos + h * (a21 * k1 + a22 * ${v}), t + c2 * h)`;
 
     // Velocity functions for finite difference
-    const k1_velocityFn = (v) => `get_velocity(pos + h * (a11 * ${v} + a12 * k2))`;
-    const k2_velocityFn = (v) => `get_velocity(pos + h * (a21 * k1 + a22 * ${v}))`;
+    const k1_velocityFn = (v) => `get_velocity(pos + h * (a11 * ${v} + a12 * k2), t + c1 * h)`;
+    const k2_velocityFn = (v) => `get_velocity(pos + h * (a21 * k1 + a22 * ${v}), t + c2 * h)`;
 
     let k1_solverBody, k2_solverBody;
     let solverName;
     let jacobianGLSL = '';
+    let jacobianEvaluator = null;
 
     // Choose solver method
     if (solutionMethod === 'newton' && expressions) {
@@ -671,18 +829,19 @@ export function implicitRK4Integrator(dimensions, iterations = 5, solutionMethod
             logger.info('✓ Successfully using simplified Newton\'s method for Implicit RK4');
 
             jacobianGLSL = generateJacobianGLSL(jacobian, dimensions);
+            jacobianEvaluator = createJacobianEvaluator(jacobian, dimensions);
 
             // Define residual and Jacobian functions for each stage
             // Stage 1: F1(k1) = k1 - f(pos + h*(a11*k1 + a12*k2))
-            const k1_residualFn = (v) => `${v} - get_velocity(pos + h * (a11 * ${v} + a12 * k2))`;
-            const k1_jacobianFn = (v) => `${matType}(1.0) - (h * a11) * computeJacobian(pos + h * (a11 * ${v} + a12 * k2))`;
+            const k1_residualFn = (v) => `${v} - get_velocity(pos + h * (a11 * ${v} + a12 * k2), t + c1 * h)`;
+            const k1_jacobianPointFn = (v) => `pos + h * (a11 * ${v} + a12 * k2)`;
 
             // Stage 2: F2(k2) = k2 - f(pos + h*(a21*k1 + a22*k2))
-            const k2_residualFn = (v) => `${v} - get_velocity(pos + h * (a21 * k1 + a22 * ${v}))`;
-            const k2_jacobianFn = (v) => `${matType}(1.0) - (h * a22) * computeJacobian(pos + h * (a21 * k1 + a22 * ${v}))`;
+            const k2_residualFn = (v) => `${v} - get_velocity(pos + h * (a21 * k1 + a22 * ${v}), t + c2 * h)`;
+            const k2_jacobianPointFn = (v) => `pos + h * (a21 * k1 + a22 * ${v})`;
 
-            k1_solverBody = generateNewtonSolverBody('k1', k1_residualFn, k1_jacobianFn, dimensions);
-            k2_solverBody = generateNewtonSolverBody('k2', k2_residualFn, k2_jacobianFn, dimensions);
+            k1_solverBody = generateNewtonSolverBody('k1', k1_residualFn, '(h * a11)', k1_jacobianPointFn, 't + c1 * h', dimensions);
+            k2_solverBody = generateNewtonSolverBody('k2', k2_residualFn, '(h * a22)', k2_jacobianPointFn, 't + c2 * h', dimensions);
 
             solverName = 'Newton';
         } else {
@@ -695,13 +854,13 @@ export function implicitRK4Integrator(dimensions, iterations = 5, solutionMethod
     } else if (solutionMethod === 'newton-fd') {
         logger.info('✓ Using finite difference Newton\'s method for Implicit RK4 (simplified)');
 
-        jacobianGLSL = generateMatrixInverseGLSL(dimensions);
+        jacobianGLSL = generateLinearSolverGLSL(dimensions);
 
         // For each stage k_i: k_i = f(pos + h*(a_i1*k1 + a_i2*k2))
         // Residual: F(k_i) = k_i - f(...)
-        // Jacobian: J = I - h*a_ii*Df
-        k1_solverBody = generateNewtonFDSolverBody('k1', k1_velocityFn, dimensions, 'h * a11');
-        k2_solverBody = generateNewtonFDSolverBody('k2', k2_velocityFn, dimensions, 'h * a22');
+        // Jacobian: J = I - h*a_ii*Df (the FD derivative of the stage function already includes h*a_ii)
+        k1_solverBody = generateNewtonFDSolverBody('k1', k1_velocityFn, dimensions, '1.0', k1_velocityFn('k1'));
+        k2_solverBody = generateNewtonFDSolverBody('k2', k2_velocityFn, dimensions, '1.0', k2_velocityFn('k2'));
 
         solverName = 'Newton (FD)';
     } else if (solutionMethod === 'midpoint') {
@@ -729,10 +888,11 @@ ${k2_solverBody}
     return {
         name: `Implicit RK4 (${solverName})`,
         costFactor: 4, // 4th order method (like explicit RK4)
+        step: createImplicitRK4Step(iterations, CPU_SOLVER_METHODS[solverName], jacobianEvaluator),
         code: `
 ${jacobianGLSL}
 // Implicit RK4 (Gauss-Legendre 2-stage) integration (${solverName.toLowerCase()} solver)
-${vecType} integrate(${vecType} pos, float h) {
+${vecType} integrate(${vecType} pos, float t, float h) {
 ${coeffsGLSL}
 ${initialGuessGLSL}
 ${solverCode}
@@ -743,6 +903,323 @@ ${solverCode}
     };
 }
 
+/**
+ * Build a GLSL weighted sum of stage variables (k1, k2, ...), skipping zero weights
+ * @param {number[]} weights - One weight per stage
+ * @returns {string|null} GLSL expression, or null if all weights are zero
+ */
+function weightedStageSum(weights) {
+    const terms = weights
+        .map((w, i) => (w === 0 ? null : `${glslFloat(w)} * k${i + 1}`))
+        .filter(term => term !== null);
+    return terms.length > 0 ? terms.join(' + ') : null;
+}
+
+/**
+ * Adaptive embedded Runge-Kutta integrator (RKF45, Dormand-Prince, Bogacki-Shampine)
+ * Each frame covers the step h with substeps sized by the embedded error estimate.
+ * The proposed substep is carried between frames per particle (as a fraction of h)
+ * through the global integrator_step_ratio, which the update shader loads from and
+ * stores to the step-size texture. The last of the maxSubsteps attempts covers
+ * whatever remains of h in one substep, accepted whatever its error, so particles
+ * never fall behind simulation time (u_time advances by the full h).
+ *
+ * @param {string} tableauName - Key of EMBEDDED_TABLEAUS
+ * @param {number} dimensions - Number of dimensions
+ * @param {number} tolerance - Error tolerance (absolute and relative)
+ * @param {number} maxSubsteps - Maximum substep attempts per frame
+ */
+export function adaptiveIntegrator(tableauName, dimensions, tolerance = 1e-4, maxSubsteps = 16) {
+    const vecType = getStateType(dimensions);
+    const tableau = EMBEDDED_TABLEAUS[tableauName];
+    const steps = Math.max(1, Math.round(maxSubsteps));
+
+    const stageCode = tableau.c.map((ci, i) => {
+        const sum = weightedStageSum(tableau.a[i]);
+        const stagePos = sum ? `y + dt * (${sum})` : 'y';
+        const stageTime = ci === 0 ? 'tc' : `tc + ${glslFloat(ci)} * dt`;
+        return `        ${vecType} k${i + 1} = get_velocity(${stagePos}, ${stageTime});`;
+    }).join('\n');
+
+    const errorWeights = tableau.b.map((bi, i) => bi - tableau.bHat[i]);
+
+    return {
+        name: `${tableau.name} (adaptive)`,
+        costFactor: tableau.costFactor,
+        adaptive: true,
+        step: createAdaptiveStep(tableau, tolerance, steps),
+        code: `
+// Step size carried between frames as a fraction of the frame step (0 = not set yet)
+float integrator_step_ratio = 0.0;
+
+// ${tableau.name} adaptive integration (order ${tableau.order}, error estimate order ${tableau.errorOrder})
+${vecType} integrate(${vecType} pos, float t, float h) {
+    float proposal = h * (integrator_step_ratio > 0.0 ? integrator_step_ratio : 1.0);
+    float remaining = h;
+    ${vecType} y = pos;
+    float tc = t;
+
+    for (int i = 0; i < ${steps}; i++) {
+        if (remaining <= h * 1e-6) break;
+        bool last = i == ${steps - 1};
+        float dt = last ? remaining : min(proposal, remaining);
+
+${stageCode}
+
+        ${vecType} y_new = y + dt * (${weightedStageSum(tableau.b)});
+        ${vecType} err_vec = dt * (${weightedStageSum(errorWeights)});
+        float err = state_length(err_vec) / (${glslFloat(tolerance)} * (1.0 + max(state_length(y), state_length(y_new))));
+
+        // Standard step controller (NaN errors shrink the step as much as allowed)
+        float factor = err < 1e30 ? clamp(${glslFloat(STEP_SAFETY)} * pow(max(err, 1e-10), ${glslFloat(-1 / (tableau.errorOrder + 1))}), ${glslFloat(STEP_MIN_FACTOR)}, ${glslFloat(STEP_MAX_FACTOR)}) : ${glslFloat(STEP_MIN_FACTOR)};
+        if (err <= 1.0 || last) {
+            y = y_new;
+            tc += dt;
+            remaining -= dt;
+            // A step shortened to land on the frame boundary doesn't shrink the proposal
+            proposal = dt < proposal ? max(proposal, dt * factor) : dt * factor;
+        } else {
+            proposal = dt * factor;
+        }
+        proposal = clamp(proposal, h * ${glslFloat(MIN_STEP_RATIO)}, h);
+    }
+
+    integrator_step_ratio = proposal / h;
+    return y;
+}
+`
+    };
+}
+
+/**
+ * Resolve which coordinates are positions for the symplectic integrators
+ * All other coordinates are momenta. Without a (valid) declaration the first
+ * half of the coordinates are positions, as in canonical (q, p) ordering.
+ *
+ * @param {string|string[]|null} positions - Position variable names (e.g., 'x, y')
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[]} variables - Variable names of the coordinate system
+ * @returns {boolean[]} True for position coordinates
+ */
+export function resolvePositionMask(positions, dimensions, variables = VARIABLE_NAMES) {
+    const defaultMask = Array.from({ length: dimensions }, (_, i) => i < Math.floor(dimensions / 2));
+    const names = (Array.isArray(positions) ? positions : String(positions || '').split(','))
+        .map(name => name.trim())
+        .filter(name => name !== '');
+
+    if (names.length === 0) {
+        return defaultMask;
+    }
+
+    const mask = new Array(dimensions).fill(false);
+    for (const name of names) {
+        const index = variables.slice(0, dimensions).indexOf(name);
+        if (index === -1) {
+            logger.warn(`Unknown position coordinate "${name}" (ignored)`);
+        } else {
+            mask[index] = true;
+        }
+    }
+
+    if (mask.every(isPosition => isPosition) || !mask.some(isPosition => isPosition)) {
+        logger.warn('Symplectic integrators need at least one position and one momentum coordinate');
+        logger.warn('Falling back to the first half of the coordinates as positions');
+        return defaultMask;
+    }
+    return mask;
+}
+
+/**
+ * GLSL helpers splitting the field into its momentum (kick) and
+ * position (drift) parts
+ */
+function generateSplitFieldGLSL(positionMask, dimensions) {
+    const vecType = getStateType(dimensions);
+    const masked = (keepPositions) => buildState(
+        positionMask.map((isPosition, i) => (isPosition === keepPositions ? getStateComponent('f', i, dimensions) : '0.0')),
+        dimensions
+    );
+
+    return `
+// Momentum part of the field (coordinates not declared as positions)
+${vecType} symplectic_kick(${vecType} pos, float t) {
+    ${vecType} f = get_velocity(pos, t);
+    return ${masked(false)};
+}
+
+// Position part of the field
+${vecType} symplectic_drift(${vecType} pos, float t) {
+    ${vecType} f = get_velocity(pos, t);
+    return ${masked(true)};
+}
+`;
+}
+
+/**
+ * Symplectic (geometric) integrators for Hamiltonian systems
+ * The state is split into positions q and momenta p, updated alternately.
+ * For separable systems (q' depends only on p, p' only on q) the methods are
+ * explicit and symplectic, so energy errors stay bounded instead of drifting.
+ *
+ * - symplectic-euler: kick, then drift with the new momenta (1st order)
+ * - verlet: Störmer-Verlet / leapfrog, half kick, drift, half kick (2nd order)
+ * - yoshida4: three Verlet steps with Yoshida's weights (4th order)
+ *
+ * @param {string} method - 'symplectic-euler', 'verlet' or 'yoshida4'
+ * @param {number} dimensions - Number of dimensions
+ * @param {boolean[]} positionMask - True for position coordinates (see resolvePositionMask)
+ * @param {string[]} variables - Variable names of the coordinate system (for comments)
+ */
+export function symplecticIntegrator(method, dimensions, positionMask, variables = VARIABLE_NAMES) {
+    const vecType = getStateType(dimensions);
+    const describe = (keepPositions) => variables.slice(0, dimensions).filter((_, i) => positionMask[i] === keepPositions).join(', ');
+    const splitGLSL = generateSplitFieldGLSL(positionMask, dimensions);
+    const header = `// Positions: ${describe(true)}; momenta: ${describe(false)}`;
+
+    const verletGLSL = `
+${header}
+// Störmer-Verlet (leapfrog) step
+${vecType} verlet_step(${vecType} pos, float t, float h) {
+    ${vecType} y = pos + h * 0.5 * symplectic_kick(pos, t);
+    y = y + h * symplectic_drift(y, t + h * 0.5);
+    return y + h * 0.5 * symplectic_kick(y, t + h);
+}
+`;
+
+    switch (method) {
+        case 'symplectic-euler':
+            return {
+                name: 'Symplectic Euler',
+                costFactor: 1, // 1st order method (like Euler)
+                step: createSymplecticEulerStep(positionMask),
+                code: `${splitGLSL}
+${header}
+// Symplectic Euler integration
+${vecType} integrate(${vecType} pos, float t, float h) {
+    ${vecType} kicked = pos + h * symplectic_kick(pos, t);
+    return kicked + h * symplectic_drift(kicked, t);
+}
+`
+            };
+        case 'verlet':
+            return {
+                name: 'Störmer-Verlet',
+                costFactor: 2, // 2nd order method (like explicit midpoint)
+                step: createVerletStep(positionMask),
+                code: `${splitGLSL}${verletGLSL}
+// Störmer-Verlet integration
+${vecType} integrate(${vecType} pos, float t, float h) {
+    return verlet_step(pos, t, h);
+}
+`
+            };
+        default: {
+            const [w1, w0] = YOSHIDA4_WEIGHTS.map(glslFloat);
+            return {
+                name: 'Yoshida 4',
+                costFactor: 4, // 4th order method (like RK4)
+                step: createYoshida4Step(positionMask),
+                code: `${splitGLSL}${verletGLSL}
+// Yoshida 4th order integration (composition of three Verlet steps)
+${vecType} integrate(${vecType} pos, float t, float h) {
+    ${vecType} y = verlet_step(pos, t, ${w1} * h);
+    y = verlet_step(y, t + ${w1} * h, ${w0} * h);
+    return verlet_step(y, t + (1.0 - ${w1}) * h, ${w1} * h);
+}
+`
+            };
+        }
+    }
+}
+
+/**
+ * Create a CPU evaluator for the diffusion (noise amplitude) of each coordinate
+ * Terms that fail to parse contribute no noise, like missing ones.
+ *
+ * @param {string[]|null} expressions - Diffusion terms (e.g., '0.3*dW'), one per dimension
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[]} variables - Variable names of the coordinate system
+ * @returns {Function} g(pos, t) returning one amplitude per coordinate
+ */
+function createDiffusionEvaluator(expressions, dimensions, variables) {
+    const terms = Array.from({ length: dimensions }, (_, i) => stripWienerIncrement(expressions?.[i]));
+    const evaluators = terms.map((term, i) => {
+        try {
+            return createVelocityEvaluators([term], variables.slice(0, dimensions))[0];
+        } catch (error) {
+            logger.warn(`Invalid diffusion term for dimension ${i} (no noise applied):`, error.message);
+            return () => 0;
+        }
+    });
+    return (pos, t) => evaluators.map(g => g(...pos, t));
+}
+
+/**
+ * Stochastic integrators for dX = f(X, t) dt + g(X, t) dW
+ * Noise is diagonal (independent Wiener processes per coordinate) and Itô.
+ * get_diffusion() and sde_noise() (one standard normal per coordinate, fixed
+ * per particle and frame so every output pass sees the same increment) are
+ * defined by the update shader.
+ *
+ * - euler-maruyama: strong order 0.5
+ * - milstein: strong order 1, adds 0.5 * g * dg/dx * (dW^2 - h)
+ *
+ * @param {string} method - 'euler-maruyama' or 'milstein'
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[]|null} diffusionExpressions - Diffusion terms, one per dimension (CPU step)
+ * @param {string[]} variables - Variable names of the coordinate system
+ */
+export function stochasticIntegrator(method, dimensions, diffusionExpressions = null, variables = VARIABLE_NAMES) {
+    const vecType = getStateType(dimensions);
+    const diffusion = createDiffusionEvaluator(diffusionExpressions, dimensions, variables);
+
+    if (method === 'milstein') {
+        const derivatives = Array.from({ length: dimensions }, (_, i) => {
+            const offset = buildBasisState(i, dimensions, '1e-4');
+            const component = (name) => getStateComponent(name, i, dimensions);
+            return `    g_plus = get_diffusion(pos + ${offset}, t);
+    g_minus = get_diffusion(pos - ${offset}, t);
+    ${component('dg')} = (${component('g_plus')} - ${component('g_minus')}) / 2e-4;`;
+        }).join('\n');
+
+        return {
+            name: 'Milstein',
+            costFactor: 1, // Single-stage method (like Euler)
+            stochastic: true,
+            step: createMilsteinStep(diffusion),
+            code: `
+// Milstein integration (diagonal Itô noise)
+${vecType} integrate(${vecType} pos, float t, float h) {
+    ${vecType} dW = sqrt(h) * sde_noise();
+    ${vecType} g = get_diffusion(pos, t);
+
+    // Diagonal derivatives dg_i/dx_i (central differences)
+    ${vecType} dg = ${getStateZero(dimensions)};
+    ${vecType} g_plus;
+    ${vecType} g_minus;
+${derivatives}
+
+    return pos + h * get_velocity(pos, t) + state_mul(g, dW) + 0.5 * state_mul(state_mul(g, dg), state_mul(dW, dW) - h);
+}
+`
+        };
+    }
+
+    return {
+        name: 'Euler-Maruyama',
+        costFactor: 1, // Single-stage method (like Euler)
+        stochastic: true,
+        step: createEulerMaruyamaStep(diffusion),
+        code: `
+// Euler-Maruyama integration (diagonal Itô noise)
+${vecType} integrate(${vecType} pos, float t, float h) {
+    ${vecType} dW = sqrt(h) * sde_noise();
+    return pos + h * get_velocity(pos, t) + state_mul(get_diffusion(pos, t), dW);
+}
+`
+    };
+}
+
 /**
  * Get integrator by name
  */
@@ -768,6 +1245,17 @@ export function getIntegrator(name, dimensions, params = {}) {
             return trapezoidalIntegrator(dimensions, params.iterations || 4, solutionMethod, expressions);
         case 'implicit-rk4':
             return implicitRK4Integrator(dimensions, params.iterations || 5, solutionMethod, expressions);
+        case 'rkf45':
+        case 'dormand-prince':
+        case 'bogacki-shampine':
+            return adaptiveIntegrator(name, dimensions, params.tolerance || 1e-4, params.maxSubsteps || 16);
+        case 'symplectic-euler':
+        case 'verlet':
+        case 'yoshida4':
+            return symplecticIntegrator(name, dimensions, resolvePositionMask(params.positions, dimensions, params.variables), params.variables);
+        case 'euler-maruyama':
+        case 'milstein':
+            return stochasticIntegrator(name, dimensions, params.diffusionExpressions, params.variables);
         // Legacy aliases
         case 'rk2':
             return explicitMidpointIntegrator(dimensions);
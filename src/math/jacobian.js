@@ -3,6 +3,7 @@
  */
 
 import { logger } from '../utils/debug-logger.js';
+import { differentiatePiecewise } from './parser.js';
 
 /**
  * Notebook instance (injected from main.js)
@@ -19,6 +20,14 @@ export function setNotebook(nb) {
     logger.info('Jacobian: Notebook set (CAS engine:', notebook.casEngine.getName() + ')');
 }
 
+/**
+ * Whether symbolic Jacobians can be computed (Notebook set and CAS engine ready)
+ * @returns {boolean}
+ */
+export function isJacobianAvailable() {
+    return !!notebook && notebook.casEngine.isReady();
+}
+
 /**
  * Variable names for each dimension (matches parser.js)
  */
@@ -131,8 +140,9 @@ export function computeSymbolicJacobian(expressions, dimensions) {
                 try {
                     // Compute symbolic derivative ∂f_i/∂x_j using Notebook
                     // Notebook ensures context is applied before calling CAS engine
+                    // (conditionals are split off first: the CAS only sees smooth branches)
                     logger.verbose(`  Computing ∂(${expr})/∂${variable}...`);
-                    const derivative = notebook.differentiate(expr, variable);
+                    const derivative = differentiatePiecewise(expr, variable, (e, v) => notebook.differentiate(e, v));
                     logger.verbose(`  Derivative: ${derivative}`);
 
                     // Note: differentiate() already handles optimization internally
@@ -0,0 +1,214 @@
+/**
+ * Finite-time Lyapunov exponents on the GPU
+ *
+ * Each particle carries a tangent vector that follows the linearized flow
+ * dv/dt = J(x) v along its trajectory. Every frame the tangent is renormalized
+ * and the logarithm of its growth feeds a running average: the particle's
+ * largest finite-time Lyapunov exponent. The average is cumulative until the
+ * particle has been tracked for one averaging window, then exponential with
+ * that window, so it follows the particle into new regions of phase space.
+ */
+
+import { parseExpression } from './parser.js';
+import { getStateType, getStateComponent, getStateZero, buildState, glslFloat } from './state-vector.js';
+import { logger } from '../utils/debug-logger.js';
+
+/**
+ * Stored exponents are clamped to ±LYAPUNOV_LIMIT (the storage range of fixed-point textures)
+ */
+export const LYAPUNOV_LIMIT = 100;
+
+/**
+ * Default averaging window (simulation time)
+ */
+export const DEFAULT_LYAPUNOV_WINDOW = 50;
+
+/**
+ * Generate tangent_velocity(p, v, t) = J(p) v
+ * With a symbolic Jacobian (Cartesian fields in untransformed coordinates) the
+ * product is written out; otherwise it is the central difference of get_velocity
+ * along v, which works in any integration space.
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[][]|null} jacobian - Symbolic Jacobian J[i][j] = ∂f_i/∂x_j (see computeSymbolicJacobian)
+ * @returns {string} GLSL source
+ */
+export function generateTangentVelocityGLSL(dimensions, jacobian = null) {
+    const vecType = getStateType(dimensions);
+
+    if (jacobian) {
+        try {
+            const rows = jacobian.map(row => row.map(entry => parseExpression(entry, dimensions, null, 'p', 't')));
+            const components = rows.map((row, i) =>
+                `    ${getStateComponent('result', i, dimensions)} = ${row.map((entry, j) => `(${entry}) * ${getStateComponent('v', j, dimensions)}`).join(' + ')};`
+            ).join('\n');
+
+            return `
+// Linearized flow J(p) v from the symbolic Jacobian
+${vecType} tangent_velocity(${vecType} p, ${vecType} v, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
+${components}
+    return result;
+}
+`;
+        } catch (error) {
+            logger.warn('Cannot compile the Jacobian for Lyapunov exponents, using finite differences:', error.message);
+        }
+    }
+
+    return `
+// Linearized flow J(p) v as a central difference of the field along v
+${vecType} tangent_velocity(${vecType} p, ${vecType} v, float t) {
+    float eps = 1e-3 * (1.0 + state_length(p));
+    return (get_velocity(p + eps * v, t) - get_velocity(p - eps * v, t)) / (2.0 * eps);
+}
+`;
+}
+
+/**
+ * Generate the update shader declarations for Lyapunov tracking: tangent and
+ * exponent samplers (see TextureManager.bindLyapunovTextures), tangent_velocity
+ * and tangent_step
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[][]|null} jacobian - Symbolic Jacobian, or null for finite differences
+ * @returns {string} GLSL source (after get_velocity)
+ */
+export function generateLyapunovFunctionsGLSL(dimensions, jacobian = null) {
+    const vecType = getStateType(dimensions);
+    const tangentUniforms = Array.from({ length: dimensions }, (_, i) =>
+        `uniform sampler2D u_tangent_${i};`
+    ).join('\n');
+
+    return `
+// Lyapunov tracking: unit tangent per particle, running exponent and averaged time
+const float LYAPUNOV_LIMIT = ${glslFloat(LYAPUNOV_LIMIT)};
+${tangentUniforms}
+uniform sampler2D u_lyapunov;
+uniform sampler2D u_lyapunov_time;
+uniform float u_lyapunov_window;
+${generateTangentVelocityGLSL(dimensions, jacobian)}
+// RK4 for dv/dt = J(x(t)) v, with x(t) following the step from p0 to p1
+${vecType} tangent_step(${vecType} p0, ${vecType} p1, ${vecType} v, float t, float h) {
+    ${vecType} pm = 0.5 * (p0 + p1);
+    ${vecType} k1 = tangent_velocity(p0, v, t);
+    ${vecType} k2 = tangent_velocity(pm, v + 0.5 * h * k1, t + 0.5 * h);
+    ${vecType} k3 = tangent_velocity(pm, v + 0.5 * h * k2, t + 0.5 * h);
+    ${vecType} k4 = tangent_velocity(p1, v + h * k3, t + h);
+    return v + (h / 6.0) * (k1 + 2.0 * k2 + 2.0 * k3 + k4);
+}
+`;
+}
+
+/**
+ * Generate the update shader passes that write the tangent components
+ * (u_out_coordinate = dimensions + 1 + i), the exponent (2 * dimensions + 1)
+ * and the averaged time (2 * dimensions + 2)
+ * Expects texcoord, should_respawn and the step's start and end in main().
+ * @param {number} dimensions - Number of dimensions
+ * @param {string} startVar - State at the start of the step (integration space)
+ * @param {string} endVar - State at the end of the step (integration space)
+ * @returns {string} GLSL statements
+ */
+export function generateLyapunovPassGLSL(dimensions, startVar, endVar) {
+    const vecType = getStateType(dimensions);
+    const base = dimensions + 1;
+    const diagonal = buildState(Array(dimensions).fill(glslFloat(1 / Math.sqrt(dimensions))), dimensions);
+    const tangentReads = Array.from({ length: dimensions }, (_, i) =>
+        `${getStateComponent('tangent', i, dimensions)} = denormalizeFromViewport(decodeFloat(texture2D(u_tangent_${i}, texcoord)), -1.0, 1.0);`
+    ).join('\n        ');
+    const tangentWrites = Array.from({ length: dimensions }, (_, i) =>
+        `if (u_out_coordinate == ${base + i}) {
+            gl_FragColor = encodeFloat(normalizeToViewport(${getStateComponent('tangent', i, dimensions)}, -1.0, 1.0));
+        } else `
+    ).join('');
+
+    return `
+    // Tangent vector and Lyapunov exponent passes
+    if (u_out_coordinate >= ${base}) {
+        ${vecType} tangent = ${getStateZero(dimensions)};
+        ${tangentReads}
+        float lyapunov = denormalizeFromViewport(decodeFloat(texture2D(u_lyapunov, texcoord)), -LYAPUNOV_LIMIT, LYAPUNOV_LIMIT);
+        float lyapunov_time = denormalizeFromViewport(decodeFloat(texture2D(u_lyapunov_time, texcoord)), 0.0, u_lyapunov_window);
+
+        // Fresh textures hold no direction yet: start along the diagonal
+        float tangent_norm = state_length(tangent);
+        if (!(tangent_norm > 1e-6)) {
+            tangent = ${diagonal};
+            lyapunov_time = 0.0;
+        } else {
+            tangent /= tangent_norm;
+        }
+
+        // Growth over this step, averaged over the particle's time (at most one window)
+        ${vecType} evolved = tangent_step(${startVar}, ${endVar}, tangent, u_time, u_h);
+        float growth = state_length(evolved);
+        if (growth > 0.0 && growth < 1e30) {
+            float rate = log(growth) / u_h;
+            lyapunov_time = min(lyapunov_time + u_h, u_lyapunov_window);
+            lyapunov += (u_h / lyapunov_time) * (rate - lyapunov);
+            tangent = evolved / growth;
+        } else {
+            tangent = ${diagonal};
+            lyapunov_time = 0.0;
+        }
+
+        if (should_respawn) {
+            tangent = ${diagonal};
+            lyapunov = 0.0;
+            lyapunov_time = 0.0;
+        }
+
+        ${tangentWrites}if (u_out_coordinate == ${2 * dimensions + 1}) {
+            gl_FragColor = encodeFloat(normalizeToViewport(clamp(lyapunov, -LYAPUNOV_LIMIT, LYAPUNOV_LIMIT), -LYAPUNOV_LIMIT, LYAPUNOV_LIMIT));
+        } else {
+            gl_FragColor = encodeFloat(normalizeToViewport(lyapunov_time, 0.0, u_lyapunov_window));
+        }
+        return;
+    }
+`;
+}
+
+/**
+ * Summarize per-particle exponents (debug tab)
+ * Particles without averaged time (just spawned) are left out.
+ * @param {ArrayLike<number>} exponents - Exponent per particle
+ * @param {ArrayLike<number>} times - Averaged time per particle
+ * @param {number} bins - Histogram bins
+ * @returns {{count: number, mean: number, min: number, max: number, meanTime: number,
+ *   histogram: {min: number, max: number, counts: number[]}}|null} Null without tracked particles
+ */
+export function summarizeLyapunovExponents(exponents, times, bins = 20) {
+    const values = [];
+    let timeSum = 0;
+    for (let i = 0; i < exponents.length; i++) {
+        if (times[i] > 0 && Number.isFinite(exponents[i])) {
+            values.push(exponents[i]);
+            timeSum += times[i];
+        }
+    }
+    if (values.length === 0) return null;
+
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    for (const value of values) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+        sum += value;
+    }
+
+    const counts = new Array(bins).fill(0);
+    const width = (max - min) / bins;
+    for (const value of values) {
+        const bin = width > 0 ? Math.min(Math.floor((value - min) / width), bins - 1) : 0;
+        counts[bin]++;
+    }
+
+    return {
+        count: values.length,
+        mean: sum / values.length,
+        min,
+        max,
+        meanTime: timeSum / values.length,
+        histogram: { min, max, counts }
+    };
+}
@@ -4,6 +4,7 @@
  */
 
 import { parseExpression } from './parser.js';
+import { getStateType, getStateComponent } from './state-vector.js';
 
 /**
  * Select mapper - choose 2 dimensions to display (with optional depth)
@@ -26,12 +27,12 @@ export function selectMapper(dim1, dim2, totalDims, depthDim = null) {
         params: { dim1, dim2, depthDim },
         code: `
 // Select 2 dimensions for display${hasDepth ? ' (with depth)' : ''}
-vec2 project_to_2d(vec${totalDims} pos) {
-    return vec2(pos[${dim1}], pos[${dim2}]);
+vec2 project_to_2d(${getStateType(totalDims)} pos) {
+    return vec2(${getStateComponent('pos', dim1, totalDims)}, ${getStateComponent('pos', dim2, totalDims)});
 }
 
-vec3 project_to_3d(vec${totalDims} pos) {
-    return vec3(pos[${dim1}], pos[${dim2}], ${hasDepth ? `pos[${depthDim}]` : '0.0'});
+vec3 project_to_3d(${getStateType(totalDims)} pos) {
+    return vec3(${getStateComponent('pos', dim1, totalDims)}, ${getStateComponent('pos', dim2, totalDims)}, ${hasDepth ? getStateComponent('pos', depthDim, totalDims) : '0.0'});
 }
 `
     };
@@ -44,23 +45,23 @@ vec3 project_to_3d(vec${totalDims} pos) {
  */
 export function linearProjectionMapper(matrix, dimensions) {
     // Generate GLSL code for matrix multiplication
-    const row1 = matrix[0].map((val, i) => `${val.toFixed(6)} * pos[${i}]`).join(' + ');
-    const row2 = matrix[1].map((val, i) => `${val.toFixed(6)} * pos[${i}]`).join(' + ');
-    const row3 = matrix[2] ? matrix[2].map((val, i) => `${val.toFixed(6)} * pos[${i}]`).join(' + ') : null;
+    const row1 = matrix[0].map((val, i) => `${val.toFixed(6)} * ${getStateComponent('pos', i, dimensions)}`).join(' + ');
+    const row2 = matrix[1].map((val, i) => `${val.toFixed(6)} * ${getStateComponent('pos', i, dimensions)}`).join(' + ');
+    const row3 = matrix[2] ? matrix[2].map((val, i) => `${val.toFixed(6)} * ${getStateComponent('pos', i, dimensions)}`).join(' + ') : null;
 
     return {
         name: 'Linear Projection',
         params: { matrix },
         code: `
 // Linear projection matrix
-vec2 project_to_2d(vec${dimensions} pos) {
+vec2 project_to_2d(${getStateType(dimensions)} pos) {
     return vec2(
         ${row1},
         ${row2}
     );
 }
 
-vec3 project_to_3d(vec${dimensions} pos) {
+vec3 project_to_3d(${getStateType(dimensions)} pos) {
     return vec3(
         ${row1},
         ${row2},
@@ -87,12 +88,12 @@ export function orthographicMapper(axis, dimensions) {
         params: { axis },
         code: `
 // Orthographic projection (remove axis ${axis}, use as depth)
-vec2 project_to_2d(vec${dimensions} pos) {
-    return vec2(pos[${dim1}], pos[${dim2}]);
+vec2 project_to_2d(${getStateType(dimensions)} pos) {
+    return vec2(${getStateComponent('pos', dim1, dimensions)}, ${getStateComponent('pos', dim2, dimensions)});
 }
 
-vec3 project_to_3d(vec${dimensions} pos) {
-    return vec3(pos[${dim1}], pos[${dim2}], pos[${axis}]);
+vec3 project_to_3d(${getStateType(dimensions)} pos) {
+    return vec3(${getStateComponent('pos', dim1, dimensions)}, ${getStateComponent('pos', dim2, dimensions)}, ${getStateComponent('pos', axis, dimensions)});
 }
 `
     };
@@ -136,21 +137,23 @@ vec3 project_to_3d(vec3 pos) {
  * Projects from N-sphere to 2D plane
  */
 export function stereographicMapper(dimensions) {
+    const last = getStateComponent('pos', dimensions - 1, dimensions);
+
     return {
         name: 'Stereographic',
         params: {},
         code: `
 // Stereographic projection
-vec2 project_to_2d(vec${dimensions} pos) {
-    float denom = 1.0 - pos[${dimensions - 1}];
+vec2 project_to_2d(${getStateType(dimensions)} pos) {
+    float denom = 1.0 - ${last};
     if (abs(denom) < 0.001) denom = 0.001;
-    return vec2(pos[0] / denom, pos[1] / denom);
+    return vec2(${getStateComponent('pos', 0, dimensions)} / denom, ${getStateComponent('pos', 1, dimensions)} / denom);
 }
 
-vec3 project_to_3d(vec${dimensions} pos) {
-    float denom = 1.0 - pos[${dimensions - 1}];
+vec3 project_to_3d(${getStateType(dimensions)} pos) {
+    float denom = 1.0 - ${last};
     if (abs(denom) < 0.001) denom = 0.001;
-    return vec3(pos[0] / denom, pos[1] / denom, pos[${dimensions - 1}]);
+    return vec3(${getStateComponent('pos', 0, dimensions)} / denom, ${getStateComponent('pos', 1, dimensions)} / denom, ${last});
 }
 `
     };
@@ -225,14 +228,14 @@ export function customMapper(horizontalExpr, verticalExpr, depthExpr, dimensions
         params: { horizontalExpr, verticalExpr, depthExpr },
         code: `
 // Custom mapper
-vec2 project_to_2d(vec${dimensions} pos) {
+vec2 project_to_2d(${getStateType(dimensions)} pos) {
     return vec2(
         ${horizontalGLSL},
         ${verticalGLSL}
     );
 }
 
-vec3 project_to_3d(vec${dimensions} pos) {
+vec3 project_to_3d(${getStateType(dimensions)} pos) {
     return vec3(
         ${horizontalGLSL},
         ${verticalGLSL},
@@ -341,6 +341,17 @@ export class Notebook {
         return this.casEngine.solve(equation, variable);
     }
 
+    /**
+     * Solve a system of equations (with notebook context)
+     * @param {string[]} equations - Expressions set to zero
+     * @param {string[]} variables - Variables to solve for
+     * @returns {Object<string, string>[]|null} - Solutions (variable -> value)
+     */
+    solveSystem(equations, variables) {
+        this.ensureContext();
+        return this.casEngine.solveSystem(equations, variables);
+    }
+
     /**
      * Invert matrix (with notebook context)
      * @param {string[][]} matrix - Matrix elements
@@ -0,0 +1,427 @@
+/**
+ * XPPAUT model files
+ *
+ * Imports .ode files (and plain-text models written in the same syntax) as
+ * presets, and exports the current system as an .ode file. XPPAUT variables
+ * can have any name, so they are renamed to the state names x, y, z, w, u, v
+ * in the order they are declared. Parameters, functions and fixed quantities
+ * whose names the parser reserves get a '_' suffix.
+ */
+
+import { parseExpressionToXPP, parseModelParameters, isReservedName } from './parser.js';
+import { usesDerivativeNotation, reduceToFirstOrder } from './higher-order.js';
+
+const VARIABLE_NAMES = ['x', 'y', 'z', 'w', 'u', 'v'];
+
+const IDENTIFIER = /[a-z_][a-z0-9_]*/g;
+
+/**
+ * XPPAUT integration methods (@ meth=...) and the matching integrators
+ */
+const METHODS = {
+    euler: 'euler',
+    modeuler: 'heun',
+    rungekutta: 'rk4',
+    runge: 'rk4',
+    rk4: 'rk4',
+    backeul: 'implicit-euler',
+    qualrk: 'rkf45',
+    dorprin: 'dormand-prince'
+};
+
+/**
+ * Plot window of an XPPAUT file when it sets only some of xlo, xhi, ylo, yhi
+ */
+const DEFAULT_WINDOW = { xlo: 0, xhi: 20, ylo: -1, yhi: 1 };
+
+/**
+ * Spread of the particles seeded around the initial condition
+ */
+const INITIAL_CONDITION_SIGMA = 0.1;
+
+/**
+ * Parameters per 'par' line in exported files
+ */
+const PARAMETERS_PER_LINE = 6;
+
+/**
+ * Statements that have no counterpart here
+ */
+const UNSUPPORTED_STATEMENTS = new Set([
+    'aux', 'global', 'wiener', 'table', 'markov', 'set', 'bdry', 'bndry', 'special', 'volterra', 'options', 'opt'
+]);
+
+/**
+ * XPPAUT functions that have no counterpart here
+ */
+const UNSUPPORTED_FUNCTIONS = new Set([
+    'ran', 'normal', 'besselj', 'bessely', 'besseli', 'erf', 'erfc', 'shift', 'del_shft', 'sum', 'lgamma', 'hom_bcs'
+]);
+
+/**
+ * Index of the parenthesis closing the one at `open`, -1 if unbalanced
+ */
+function matchParen(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        if (text[i] === ')' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Rewrite if(c)then(a)else(b) as if(c, a, b)
+ */
+function convertIfThenElse(text) {
+    const start = text.search(/\bif\s*\(/);
+    if (start < 0) return text;
+
+    const group = (from, keyword) => {
+        const match = text.slice(from).match(new RegExp(`^\\s*${keyword}\\s*\\(`));
+        if (!match) return null;
+        const open = from + match[0].length - 1;
+        const close = matchParen(text, open);
+        return close < 0 ? null : { inner: text.slice(open + 1, close), end: close + 1 };
+    };
+
+    const condition = group(start, 'if');
+    const whenTrue = condition && group(condition.end, 'then');
+    const whenFalse = whenTrue && group(whenTrue.end, 'else');
+    if (!whenFalse) {
+        // Already if(c, a, b)
+        if (!condition) return text;
+        return `${text.slice(0, start)}if(${convertIfThenElse(condition.inner)})${convertIfThenElse(text.slice(condition.end))}`;
+    }
+
+    const parts = [condition, whenTrue, whenFalse].map(part => convertIfThenElse(part.inner));
+    return `${text.slice(0, start)}if(${parts.join(', ')})${convertIfThenElse(text.slice(whenFalse.end))}`;
+}
+
+/**
+ * Rewrite delay(x, tau) as x(t - (tau))
+ */
+function convertDelays(text) {
+    const match = text.match(/\bdelay\s*\(/);
+    if (!match) return text;
+    const open = match.index + match[0].length - 1;
+    const close = matchParen(text, open);
+    const args = close < 0 ? null : text.slice(open + 1, close).match(/^\s*([a-z_][a-z0-9_]*)\s*,(.*)$/s);
+    if (!args) return text;
+    return `${text.slice(0, match.index)}${args[1]}(t - (${convertDelays(args[2].trim())}))${convertDelays(text.slice(close + 1))}`;
+}
+
+/**
+ * Translate an XPPAUT expression (already lower case) to the parser's syntax
+ */
+function translateExpression(text) {
+    let result = text
+        .replace(/\*\*/g, '^')
+        // The parser reads no exponent notation: 1e-3 → (1*10^(-3))
+        .replace(/(?<![a-z0-9_.])(\d+\.?\d*|\.\d+)e([+-]?\d+)/g, '($1*10^($2))')
+        .replace(/(?<![&|])([&|])(?![&|])/g, '$1$1')
+        .replace(/\bheav\s*\(/g, 'heaviside(')
+        .replace(/\bflr\s*\(/g, 'floor(')
+        .replace(/\bln\s*\(/g, 'log(')
+        .replace(/\bnot\s*\(/g, '!(');
+    result = convertIfThenElse(result);
+    return convertDelays(result);
+}
+
+/**
+ * Parse "a=1, b=2" or "a=1 b=2" into [name, value] pairs
+ */
+function parseAssignments(text) {
+    return [...text.matchAll(/([a-z_][a-z0-9_]*)\s*=\s*([^,\s]+)/g)].map(([, name, value]) => [name, value]);
+}
+
+/**
+ * Replace every identifier that has an entry in `names`
+ */
+function renameIdentifiers(text, names) {
+    return text.replace(IDENTIFIER, name => names.hasOwnProperty(name) ? names[name] : name);
+}
+
+/**
+ * Parse an XPPAUT .ode file into a preset
+ * @param {string} text - File contents
+ * @param {string} name - Preset name (e.g. the file name)
+ * @returns {{preset: Object, variables: Object<string, string>, warnings: string[]}}
+ *    Preset settings, the state name given to each file variable, and what
+ *    could not be imported
+ * @throws {Error} If the file has no usable differential equations
+ */
+export function parseODEFile(text, name = 'Imported model') {
+    const warnings = [];
+    const equations = [];      // { variable, rhs }
+    const parameters = [];     // [name, value]
+    const initial = {};        // variable → value text
+    const functions = [];      // { name, params, body }
+    const fixed = [];          // { name, expr }
+    const options = {};
+
+    // Join continuation lines, keep line numbers for warnings
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const previous = lines[lines.length - 1];
+        if (previous && previous.continued) {
+            previous.text += raw;
+            previous.continued = false;
+        } else {
+            lines.push({ number: i + 1, text: raw });
+        }
+        const last = lines[lines.length - 1];
+        if (/\\\s*$/.test(last.text)) {
+            last.text = last.text.replace(/\\\s*$/, '');
+            last.continued = true;
+        }
+    });
+
+    for (const { number, text: raw } of lines) {
+        // XPPAUT is case insensitive; '#' starts a comment and '"' an active comment
+        const line = raw.replace(/#.*$/, '').trim().toLowerCase();
+        if (!line || line.startsWith('"')) continue;
+        if (line === 'done' || line === 'd') break;
+
+        const keyword = line.match(/^([a-z]+)\b/)?.[1];
+        let match;
+        if (/^(par|param|p|number|num|n)\s+[a-z_]/.test(line)) {
+            parameters.push(...parseAssignments(line.replace(/^[a-z]+\s+/, '')));
+        } else if (/^(init|i)\s+[a-z_]/.test(line)) {
+            for (const [variable, value] of parseAssignments(line.replace(/^[a-z]+\s+/, ''))) {
+                initial[variable] = value;
+            }
+        } else if (line.startsWith('@')) {
+            for (const [option, value] of parseAssignments(line.slice(1))) {
+                options[option] = value;
+            }
+        } else if (UNSUPPORTED_STATEMENTS.has(keyword) && !/^[a-z_][a-z0-9_]*\s*(\(|'|=)/.test(line)) {
+            warnings.push(`Line ${number}: '${keyword}' statements are not supported and were skipped`);
+        } else if ((match = line.match(/^d([a-z_][a-z0-9_]*)\/dt\s*=(.*)$/) || line.match(/^([a-z_][a-z0-9_]*)\s*'\s*=(.*)$/))) {
+            equations.push({ variable: match[1], rhs: match[2].trim(), number });
+        } else if ((match = line.match(/^([a-z_][a-z0-9_]*)\s*\(\s*0\s*\)\s*=(.*)$/))) {
+            initial[match[1]] = match[2].trim();
+        } else if ((match = line.match(/^([a-z_][a-z0-9_]*)\s*\(\s*t\s*(\+[^)]*)?\)\s*=/))) {
+            warnings.push(match[2]
+                ? `Line ${number}: difference equations (${match[1]}(t+1) = ...) are not supported and were skipped`
+                : `Line ${number}: integral equations (${match[1]}(t) = ...) are not supported and were skipped`);
+        } else if ((match = line.match(/^([a-z_][a-z0-9_]*)\s*\(([^)]*)\)\s*=(.*)$/))) {
+            const params = match[2].split(',').map(param => param.trim()).filter(param => param);
+            functions.push({ name: match[1], params, body: match[3].trim() });
+        } else if ((match = line.match(/^([a-z_][a-z0-9_]*)\s*=(.*)$/))) {
+            fixed.push({ name: match[1], expr: match[2].trim() });
+        } else {
+            warnings.push(`Line ${number}: could not read "${raw.trim()}", skipped`);
+        }
+    }
+
+    if (equations.length === 0) {
+        throw new Error('No differential equations found (expected lines like dx/dt = ... or x\' = ...)');
+    }
+    if (equations.length > VARIABLE_NAMES.length) {
+        throw new Error(`The model has ${equations.length} variables, at most ${VARIABLE_NAMES.length} are supported`);
+    }
+
+    // State variables take x, y, ... in order; other names only move if the parser reserves them
+    const names = {};
+    equations.forEach(({ variable }, i) => {
+        names[variable] = VARIABLE_NAMES[i];
+    });
+    const taken = new Set(Object.values(names));
+    for (const declared of [...parameters.map(([param]) => param), ...functions.map(f => f.name)]) {
+        if (names.hasOwnProperty(declared)) continue;
+        let renamed = declared;
+        for (let k = 1; isReservedName(renamed) || taken.has(renamed); k++) {
+            renamed = k === 1 ? `${declared}_` : `${declared}_${k}`;
+        }
+        if (renamed !== declared) {
+            warnings.push(`Renamed '${declared}' to '${renamed}' (the name is reserved here)`);
+        }
+        names[declared] = renamed;
+        taken.add(renamed);
+    }
+
+    for (const expr of [...equations.map(e => e.rhs), ...functions.map(f => f.body), ...fixed.map(f => f.expr)]) {
+        for (const [call] of expr.matchAll(/[a-z_][a-z0-9_]*(?=\s*\()/g)) {
+            if (UNSUPPORTED_FUNCTIONS.has(call)) {
+                warnings.push(`${call}() is not supported, equations using it will not compile`);
+            }
+        }
+    }
+
+    // Fixed quantities are substituted into the expressions that follow them
+    const inlined = {};
+    const inline = expr => expr.replace(IDENTIFIER, id => inlined.hasOwnProperty(id) ? `(${inlined[id]})` : id);
+    for (const { name: fixedName, expr } of fixed) {
+        inlined[fixedName] = inline(translateExpression(expr));
+    }
+    // Delays need constant lags: parameters in them take their values
+    const parameterValues = Object.fromEntries(parameters);
+    let frozenLags = false;
+    const freezeLags = expr => expr.replace(/\(t - \(([^()]*)\)\)/g, (delay, lag) => {
+        const frozen = lag.replace(IDENTIFIER, id => {
+            if (!parameterValues.hasOwnProperty(id)) return id;
+            frozenLags = true;
+            return `(${translateExpression(parameterValues[id])})`;
+        });
+        return `(t - (${frozen}))`;
+    });
+    const convert = expr => renameIdentifiers(freezeLags(inline(translateExpression(expr))), names);
+
+    const expressions = equations.map(({ rhs }) => convert(rhs));
+    if (frozenLags) {
+        warnings.push('Delays use the parameter values of the file, changing those parameters does not change the delays');
+    }
+    if (expressions.length === 1) {
+        expressions.push('0');
+        warnings.push('1D model: added y with dy/dt = 0');
+    }
+
+    const preset = {
+        name,
+        dimensions: expressions.length,
+        expressions,
+        modelParameters: parameters.map(([param, value]) => `${names[param]} = ${translateExpression(value)}`).join('\n'),
+        customFunctions: functions.map(({ name: fn, params, body }) => {
+            // Function arguments shadow the file's names
+            const local = { ...names };
+            params.forEach(param => delete local[param]);
+            return `${names[fn]}(${params.join(', ')}) = ${renameIdentifiers(inline(translateExpression(body)), local)}`;
+        }).join('\n')
+    };
+
+    // Initial conditions: seed particles around them
+    const initialNames = Object.keys(initial).filter(variable => equations.some(e => e.variable === variable));
+    if (initialNames.length > 0) {
+        const center = equations.map(({ variable }) => {
+            const value = Number(initial[variable] ?? 0);
+            return isFinite(value) ? value : 0;
+        });
+        while (center.length < preset.dimensions) center.push(0);
+        preset.seedingType = 'gaussian';
+        preset.seedingParams = { center: center.join(', '), sigma: INITIAL_CONDITION_SIGMA };
+    }
+    for (const variable of Object.keys(initial)) {
+        if (!initialNames.includes(variable)) {
+            warnings.push(`Initial condition for '${variable}' ignored (not a variable)`);
+        }
+    }
+
+    // Options
+    const ignored = [];
+    for (const [option, value] of Object.entries(options)) {
+        if (option === 'dt') {
+            const dt = Number(value);
+            if (dt > 0) preset.timestep = dt;
+        } else if (option === 'meth' || option === 'method') {
+            const method = Object.keys(METHODS).find(key => key.startsWith(value) || value.startsWith(key));
+            if (method) {
+                preset.integratorType = METHODS[method];
+            } else {
+                warnings.push(`Integration method '${value}' is not available, using the default integrator`);
+            }
+        } else if (!['xp', 'yp', 'xlo', 'xhi', 'ylo', 'yhi'].includes(option)) {
+            ignored.push(option);
+        }
+    }
+    if (ignored.length > 0) {
+        warnings.push(`Ignored options: ${ignored.join(', ')}`);
+    }
+
+    // Plot axes and window (XPPAUT plots against t unless xp is set)
+    const hasWindow = ['xlo', 'xhi', 'ylo', 'yhi'].some(option => option in options);
+    const xp = options.xp ?? 't';
+    const yp = options.yp ?? equations[0].variable;
+    const dim1 = equations.findIndex(e => e.variable === xp);
+    const dim2 = equations.findIndex(e => e.variable === yp);
+    if (dim1 >= 0 && dim2 >= 0 && dim1 !== dim2) {
+        if (dim1 !== 0 || dim2 !== 1) {
+            preset.mapperType = 'select';
+            preset.mapperParams = { dim1, dim2 };
+        }
+        if (hasWindow) {
+            const plot = Object.fromEntries(Object.entries(DEFAULT_WINDOW)
+                .map(([option, fallback]) => [option, Number(options[option] ?? fallback)]));
+            if (plot.xlo < plot.xhi && plot.ylo < plot.yhi) {
+                preset.bbox = { min: [plot.xlo, plot.ylo], max: [plot.xhi, plot.yhi] };
+            }
+        }
+    } else if (options.xp !== undefined || options.yp !== undefined || hasWindow) {
+        warnings.push(`Plot axes ${xp}, ${yp} are not two variables, showing ${names[equations[0].variable]} and y instead`);
+    }
+
+    return { preset, variables: Object.fromEntries(equations.map(({ variable }) => [variable, names[variable]])), warnings };
+}
+
+/**
+ * XPPAUT expression without redundant outer parentheses
+ */
+function toXPP(expression) {
+    const xpp = parseExpressionToXPP(expression);
+    return xpp.startsWith('(') && matchParen(xpp, 0) === xpp.length - 1 ? xpp.slice(1, -1) : xpp;
+}
+
+/**
+ * Export a system as an XPPAUT .ode file
+ * @param {Object} settings - Settings (as saved): expressions, modelParameters,
+ *    parameterValues, customFunctions, timestep, integratorType, bbox,
+ *    mapperType/mapperParams and seedingType/seedingParams are used
+ * @param {string} name - Model name for the header comment
+ * @returns {string} File contents
+ * @throws {Error} If an expression has no XPPAUT equivalent
+ */
+export function exportODEFile(settings, name = 'model') {
+    const lines = [`# ${name}`, '# Exported from N-Dimensional Vector Field Flow', ''];
+
+    let expressions = settings.expressions || [];
+    if (usesDerivativeNotation(expressions)) {
+        expressions = reduceToFirstOrder(expressions).expressions;
+    }
+    const variables = VARIABLE_NAMES.slice(0, expressions.length);
+
+    const functionLines = (settings.customFunctions || '').split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#') && !line.startsWith('//'));
+    for (const line of functionLines) {
+        const [, head, body] = line.match(/^([^=]+?)\s*=\s*(.+)$/) || [];
+        if (head) {
+            lines.push(`${head.replace(/\s+/g, '')}=${toXPP(body)}`);
+        }
+    }
+
+    const definitions = parseModelParameters(settings.modelParameters || '');
+    if (definitions.length > 0) {
+        // A few per line: XPPAUT limits the line length
+        const values = settings.parameterValues || {};
+        const assignments = definitions.map(({ name: param, value }) => `${param}=${values[param] ?? value}`);
+        for (let i = 0; i < assignments.length; i += PARAMETERS_PER_LINE) {
+            lines.push(`par ${assignments.slice(i, i + PARAMETERS_PER_LINE).join(', ')}`);
+        }
+    }
+
+    if (['gaussian', 'sphere', 'grid'].includes(settings.seedingType) && settings.seedingParams?.center !== undefined) {
+        const center = String(settings.seedingParams.center).split(',').map(Number);
+        lines.push(`init ${variables.map((variable, i) => `${variable}=${isFinite(center[i]) ? center[i] : 0}`).join(', ')}`);
+    }
+
+    if (lines[lines.length - 1] !== '') lines.push('');
+    expressions.forEach((expression, i) => {
+        lines.push(`d${variables[i]}/dt=${toXPP(expression)}`);
+    });
+    lines.push('');
+
+    const options = [];
+    if (settings.timestep !== undefined) options.push(`dt=${settings.timestep}`);
+    const method = Object.keys(METHODS).find(key => METHODS[key] === settings.integratorType);
+    if (method) options.push(`meth=${method}`);
+    const { dim1 = 0, dim2 = 1 } = (settings.mapperType ?? 'select') === 'select' ? (settings.mapperParams || {}) : {};
+    options.push(`xp=${variables[dim1] || 'x'}`, `yp=${variables[dim2] || 'y'}`);
+    if (settings.bbox) {
+        options.push(`xlo=${settings.bbox.min[0]}`, `xhi=${settings.bbox.max[0]}`,
+            `ylo=${settings.bbox.min[1]}`, `yhi=${settings.bbox.max[1]}`);
+    }
+    lines.push(`@ ${options.join(', ')}`);
+    lines.push('done', '');
+
+    return lines.join('\n');
+}
@@ -20,6 +20,7 @@
  */
 
 import { logger } from '../utils/debug-logger.js';
+import { getStateComponent } from './state-vector.js';
 
 // ============================================================================
 // Expression Interface
@@ -44,9 +45,10 @@ class IExpression {
     /**
      * Convert to LaTeX notation
      * @param {string[]} variables - Available variable names
+     * @param {Object<string, string>} variableTeX - Optional LaTeX to show for some variables
      * @returns {string} LaTeX code
      */
-    toTeX(variables) {
+    toTeX(variables, variableTeX = null) {
         throw new Error('Must implement toTeX()');
     }
 
@@ -91,11 +93,11 @@ class NativeExpression extends IExpression {
     }
 
     toGLSL(variables, options = {}) {
-        return astToGLSL(this.ast, variables, options.useDirectMapping || false, options.posVarName || 'pos');
+        return astToGLSL(this.ast, variables, options.useDirectMapping || false, options.posVarName || 'pos', options.timeVarName || 'u_time');
     }
 
-    toTeX(variables) {
-        return astToTeX(this.ast, variables);
+    toTeX(variables, variableTeX = null) {
+        return astToTeX(this.ast, variables, variableTeX);
     }
 
     toJS(variables) {
@@ -161,7 +163,7 @@ class VariableNode extends ASTNode {
 }
 
 /**
- * Binary operation node (+, -, *, /, ^, %)
+ * Binary operation node (+, -, *, /, ^, %, comparisons, && and ||)
  */
 class BinaryOpNode extends ASTNode {
     constructor(operator, left, right) {
@@ -173,7 +175,7 @@ class BinaryOpNode extends ASTNode {
 }
 
 /**
- * Unary operation node (currently just unary minus)
+ * Unary operation node (unary minus and logical not)
  */
 class UnaryOpNode extends ASTNode {
     constructor(operator, operand) {
@@ -194,6 +196,19 @@ class FunctionCallNode extends ASTNode {
     }
 }
 
+/**
+ * Delayed state variable node, e.g. x(t - 17)
+ * `lag` keeps the delay expression for display, `tau` its (positive) value
+ */
+class DelayNode extends ASTNode {
+    constructor(name, lag, tau) {
+        super('delay');
+        this.name = name;
+        this.lag = lag;
+        this.tau = tau;
+    }
+}
+
 // ============================================================================
 // Tokenizer
 // ============================================================================
@@ -204,34 +219,72 @@ const TOKEN_TYPES = {
     FUNCTION: 'FUNCTION',
     OPERATOR: 'OPERATOR',
     UNARY_MINUS: 'UNARY_MINUS',
+    NOT: 'NOT',
     LPAREN: 'LPAREN',
     RPAREN: 'RPAREN',
     COMMA: 'COMMA',
     EOF: 'EOF'
 };
 
+// Two-character operators are matched before single characters ('<=' before '<')
+// '?' and ':' form the conditional c ? a : b, parsed as if(c, a, b)
 const OPERATORS = {
-    '+': { precedence: 1, associativity: 'L' },
-    '-': { precedence: 1, associativity: 'L' },
-    '*': { precedence: 2, associativity: 'L' },
-    '/': { precedence: 2, associativity: 'L' },
-    '^': { precedence: 3, associativity: 'R' },
-    '%': { precedence: 2, associativity: 'L' }
+    '?': { precedence: 1, associativity: 'R' },
+    ':': { precedence: 1, associativity: 'R' },
+    '||': { precedence: 2, associativity: 'L' },
+    '&&': { precedence: 3, associativity: 'L' },
+    '==': { precedence: 4, associativity: 'L' },
+    '!=': { precedence: 4, associativity: 'L' },
+    '<': { precedence: 5, associativity: 'L' },
+    '<=': { precedence: 5, associativity: 'L' },
+    '>': { precedence: 5, associativity: 'L' },
+    '>=': { precedence: 5, associativity: 'L' },
+    '+': { precedence: 6, associativity: 'L' },
+    '-': { precedence: 6, associativity: 'L' },
+    '*': { precedence: 7, associativity: 'L' },
+    '/': { precedence: 7, associativity: 'L' },
+    '^': { precedence: 8, associativity: 'R' },
+    '%': { precedence: 7, associativity: 'L' }
+};
+
+// Operators whose result is a truth value (1 or 0 when used as a number)
+const COMPARISON_OPERATORS = new Set(['<', '<=', '>', '>=', '==', '!=']);
+const LOGICAL_OPERATORS = new Set(['&&', '||']);
+const RELATION_TEX = {
+    '<': '<', '<=': '\\leq', '>': '>', '>=': '\\geq', '==': '=', '!=': '\\neq',
+    '&&': '\\land', '||': '\\lor'
 };
 
 const BUILTIN_FUNCTIONS = new Set([
     'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2',
     'sinh', 'cosh', 'tanh',
     'exp', 'log', 'log2', 'sqrt', 'abs',
-    'floor', 'ceil', 'fract', 'sign',
+    'floor', 'ceil', 'fract', 'sign', 'sgn',
     'min', 'max', 'pow', 'mod',
-    'length', 'normalize', 'dot'
+    'length', 'normalize', 'dot',
+    'if', 'step', 'heaviside', 'clamp', 'smoothstep'
 ]);
 
 // Custom function registry
 // Format: { functionName: { params: ['x', 'y', ...], body: 'expression' } }
 const customFunctions = {};
 
+// Model parameter registry (named constants adjustable without recompiling)
+// Format: { parameterName: { value: 10, min: 0, max: 30 } }
+const modelParameters = {};
+
+// Current model parameter values, shared with the JS evaluators
+// (shaders read them from the u_param_<name> uniforms)
+const parameterValues = {};
+
+// Names that model parameters cannot take
+const RESERVED_NAMES = new Set([
+    'x', 'y', 'z', 'w', 'u', 'v',
+    'dx', 'dy', 'dz', 'dw', 'du', 'dv',
+    'a', 't',
+    'dW' // Wiener increment of noise terms (see stripWienerIncrement)
+]);
+
 const CONSTANTS = {
     'pi': 'PI',
     'e': 'E',
@@ -239,6 +292,14 @@ const CONSTANTS = {
     'E': 'E'
 };
 
+// Greek letter names with a LaTeX command of their own
+const GREEK_LETTERS = new Set([
+    'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta',
+    'iota', 'kappa', 'lambda', 'mu', 'nu', 'xi', 'rho', 'sigma',
+    'tau', 'phi', 'chi', 'psi', 'omega',
+    'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Sigma', 'Phi', 'Psi', 'Omega'
+]);
+
 /**
  * Tokenize an expression string
  */
@@ -280,6 +341,9 @@ function tokenize(expr) {
                 token = { type: TOKEN_TYPES.FUNCTION, value: name };
             } else if (CONSTANTS.hasOwnProperty(name)) {
                 token = { type: TOKEN_TYPES.NUMBER, value: CONSTANTS[name], isConstant: true };
+            } else if (/^\s*\(/.test(expr.slice(i))) {
+                // Variable applied to a time argument: delay term x(t - tau)
+                token = { type: TOKEN_TYPES.FUNCTION, value: name, delay: true };
             } else {
                 token = { type: TOKEN_TYPES.VARIABLE, value: name };
             }
@@ -288,12 +352,23 @@ function tokenize(expr) {
             continue;
         }
 
+        // Logical not (but not the '!=' operator)
+        if (char === '!' && expr[i + 1] !== '=') {
+            const token = { type: TOKEN_TYPES.NOT };
+            tokens.push(token);
+            lastToken = token;
+            i++;
+            continue;
+        }
+
         // Operators (handle unary minus)
-        if (OPERATORS.hasOwnProperty(char)) {
+        const symbol = OPERATORS.hasOwnProperty(expr.slice(i, i + 2)) ? expr.slice(i, i + 2) : char;
+        if (OPERATORS.hasOwnProperty(symbol)) {
             // Check if this is a unary minus
-            if (char === '-' && (lastToken === null ||
+            if (symbol === '-' && (lastToken === null ||
                 lastToken.type === TOKEN_TYPES.OPERATOR ||
                 lastToken.type === TOKEN_TYPES.UNARY_MINUS ||
+                lastToken.type === TOKEN_TYPES.NOT ||
                 lastToken.type === TOKEN_TYPES.LPAREN ||
                 lastToken.type === TOKEN_TYPES.COMMA)) {
                 // This is a unary minus
@@ -303,10 +378,10 @@ function tokenize(expr) {
                 i++;
                 continue;
             }
-            const token = { type: TOKEN_TYPES.OPERATOR, value: char };
+            const token = { type: TOKEN_TYPES.OPERATOR, value: symbol };
             tokens.push(token);
             lastToken = token;
-            i++;
+            i += symbol.length;
             continue;
         }
 
@@ -362,14 +437,14 @@ function parse(tokens) {
             output.push(token);
         } else if (token.type === TOKEN_TYPES.FUNCTION) {
             operators.push(token);
-        } else if (token.type === TOKEN_TYPES.UNARY_MINUS) {
-            // Unary minus has high precedence (higher than ^, right-associative)
+        } else if (token.type === TOKEN_TYPES.UNARY_MINUS || token.type === TOKEN_TYPES.NOT) {
+            // Unary minus (and logical not) has high precedence (just below ^, right-associative)
             // Pop operators with higher or equal precedence
             while (operators.length > 0) {
                 const o2 = operators[operators.length - 1];
-                // Only pop other unary minus operators (right-associative)
+                // Only pop other unary operators (right-associative)
                 // Don't pop binary operators or functions
-                if (o2.type === TOKEN_TYPES.UNARY_MINUS) {
+                if (o2.type === TOKEN_TYPES.UNARY_MINUS || o2.type === TOKEN_TYPES.NOT) {
                     output.push(operators.pop());
                 } else {
                     break;
@@ -380,6 +455,18 @@ function parse(tokens) {
             while (operators.length > 0 && operators[operators.length - 1].type !== TOKEN_TYPES.LPAREN) {
                 output.push(operators.pop());
             }
+        } else if (token.type === TOKEN_TYPES.OPERATOR && token.value === ':') {
+            // Everything since the innermost open '?' is the 'then' branch; the '?'
+            // becomes the conditional itself, applied once the 'else' branch is complete
+            while (operators.length > 0 && operators[operators.length - 1].type !== TOKEN_TYPES.LPAREN &&
+                   operators[operators.length - 1].value !== '?') {
+                output.push(operators.pop());
+            }
+            if (operators.length === 0 || operators[operators.length - 1].value !== '?') {
+                throw new Error("':' without a matching '?'");
+            }
+            operators.pop();
+            operators.push(token);
         } else if (token.type === TOKEN_TYPES.OPERATOR) {
             const o1 = token;
             while (operators.length > 0) {
@@ -393,13 +480,13 @@ function parse(tokens) {
                     } else {
                         break;
                     }
-                } else if (o2.type === TOKEN_TYPES.UNARY_MINUS) {
-                    // Unary minus has precedence 2.5 (between * and ^)
+                } else if (o2.type === TOKEN_TYPES.UNARY_MINUS || o2.type === TOKEN_TYPES.NOT) {
+                    // Unary minus sits between * and ^
                     // -x^2 should parse as -(x^2), so ^ has higher precedence
                     // 2*-x should parse as 2*(-x), so * pops unary minus
                     const op1 = OPERATORS[o1.value];
-                    if (op1.precedence <= 2) {
-                        // Current operator is + or - or * or /
+                    if (op1.precedence < OPERATORS['^'].precedence) {
+                        // Current operator is anything but ^
                         // Pop unary minus (it has higher precedence, so it evaluates first)
                         output.push(operators.pop());
                     } else {
@@ -458,11 +545,24 @@ function rpnToAST(rpn) {
             if (stack.length < 1) throw new Error('Invalid expression');
             const operand = stack.pop();
             stack.push(new UnaryOpNode('-', operand));
+        } else if (token.type === TOKEN_TYPES.NOT) {
+            if (stack.length < 1) throw new Error('Invalid expression');
+            stack.push(new UnaryOpNode('!', stack.pop()));
+        } else if (token.type === TOKEN_TYPES.OPERATOR && token.value === '?') {
+            throw new Error("Conditional '?' is missing its ':' branch");
+        } else if (token.type === TOKEN_TYPES.OPERATOR && token.value === ':') {
+            if (stack.length < 3) throw new Error('Invalid expression');
+            const whenFalse = stack.pop();
+            const whenTrue = stack.pop();
+            stack.push(new FunctionCallNode('if', [stack.pop(), whenTrue, whenFalse]));
         } else if (token.type === TOKEN_TYPES.OPERATOR) {
             if (stack.length < 2) throw new Error('Invalid expression');
             const right = stack.pop();
             const left = stack.pop();
             stack.push(new BinaryOpNode(token.value, left, right));
+        } else if (token.type === TOKEN_TYPES.FUNCTION && token.delay) {
+            if (stack.length < 1) throw new Error(`Missing time argument for ${token.value}`);
+            stack.push(createDelayNode(token.value, stack.pop()));
         } else if (token.type === TOKEN_TYPES.FUNCTION) {
             const argCount = getFunctionArgCount(token.value);
             if (stack.length < argCount) throw new Error(`Not enough arguments for ${token.value}`);
@@ -482,6 +582,61 @@ function rpnToAST(rpn) {
     return stack[0];
 }
 
+/**
+ * Check whether an AST contains no variables (numbers, constants and functions of them)
+ * @param {ASTNode} node - AST node
+ * @returns {boolean}
+ */
+function isConstantAST(node) {
+    if (node.type === 'number') {
+        return true;
+    } else if (node.type === 'unaryOp') {
+        return isConstantAST(node.operand);
+    } else if (node.type === 'binaryOp') {
+        return isConstantAST(node.left) && isConstantAST(node.right);
+    } else if (node.type === 'functionCall') {
+        return node.args.every(isConstantAST);
+    }
+    return false;
+}
+
+/**
+ * Check whether a node yields a truth value (comparison, && / || or !)
+ * Truth values read as 1 or 0 wherever a number is expected, and any nonzero
+ * number counts as true where a condition is expected.
+ * @param {ASTNode} node - AST node
+ * @returns {boolean}
+ */
+function isConditionNode(node) {
+    if (node.type === 'binaryOp') {
+        return COMPARISON_OPERATORS.has(node.operator) || LOGICAL_OPERATORS.has(node.operator);
+    }
+    return node.type === 'unaryOp' && node.operator === '!';
+}
+
+/**
+ * Build a delay node from the argument of `name(...)`
+ * Only constant delays are supported: the argument must read t - tau with tau > 0.
+ * @param {string} name - Delayed variable name
+ * @param {ASTNode} arg - Time argument
+ * @returns {DelayNode}
+ */
+function createDelayNode(name, arg) {
+    const isTimeMinusLag = arg.type === 'binaryOp' && arg.operator === '-' &&
+        arg.left.type === 'variable' && arg.left.name === 't';
+
+    if (!isTimeMinusLag || !isConstantAST(arg.right)) {
+        throw new Error(`Delay term ${name}(...) must have the form ${name}(t - tau) with a constant tau`);
+    }
+
+    const tau = new Function(`return ${astToJS(arg.right, [])};`)();
+    if (!isFinite(tau) || tau <= 0) {
+        throw new Error(`Delay tau in ${name}(t - tau) must be positive, got ${tau}`);
+    }
+
+    return new DelayNode(name, arg.right, tau);
+}
+
 /**
  * Clone an AST (deep copy)
  * @param {ASTNode} node - AST node to clone
@@ -498,6 +653,8 @@ function cloneAST(node) {
         return new BinaryOpNode(node.operator, cloneAST(node.left), cloneAST(node.right));
     } else if (node.type === 'functionCall') {
         return new FunctionCallNode(node.name, node.args.map(arg => cloneAST(arg)));
+    } else if (node.type === 'delay') {
+        return new DelayNode(node.name, cloneAST(node.lag), node.tau);
     }
     throw new Error(`Unknown node type: ${node.type}`);
 }
@@ -509,7 +666,7 @@ function cloneAST(node) {
  * @returns {ASTNode} New AST with substitutions applied
  */
 function substituteVariables(node, substitutions) {
-    if (node.type === 'number') {
+    if (node.type === 'number' || node.type === 'delay') {
         return cloneAST(node);
     } else if (node.type === 'variable') {
         // If this variable should be substituted, return the substitution (cloned)
@@ -541,7 +698,7 @@ function substituteVariables(node, substitutions) {
  * @returns {ASTNode} New AST with function calls replaced by their bodies
  */
 function substituteAST(node, functionDefs) {
-    if (node.type === 'number' || node.type === 'variable') {
+    if (node.type === 'number' || node.type === 'variable' || node.type === 'delay') {
         return cloneAST(node);
     } else if (node.type === 'unaryOp') {
         return new UnaryOpNode(node.operator, substituteAST(node.operand, functionDefs));
@@ -576,6 +733,173 @@ function substituteAST(node, functionDefs) {
     throw new Error(`Unknown node type: ${node.type}`);
 }
 
+/**
+ * Rewrite step-like built-ins as explicit conditionals (the form the CAS bridge differentiates)
+ * @param {FunctionCallNode} node - Call to heaviside, step, sgn/sign, clamp or smoothstep
+ * @returns {ASTNode|null} Equivalent if(...) tree, or null for other functions
+ */
+function expandStepFunction(node) {
+    const num = value => new NumberNode(value);
+    const compare = (operator, left, right) => new BinaryOpNode(operator, cloneAST(left), cloneAST(right));
+    const choose = (condition, whenTrue, whenFalse) => new FunctionCallNode('if', [condition, whenTrue, whenFalse]);
+    const [first, second, third] = node.args;
+
+    switch (node.name) {
+        case 'heaviside':
+            return choose(compare('>=', first, num(0)), num(1), num(0));
+        case 'step':
+            return choose(compare('>=', second, first), num(1), num(0));
+        case 'sgn':
+        case 'sign':
+            return choose(compare('>', first, num(0)), num(1),
+                choose(compare('<', first, num(0)), num(-1), num(0)));
+        case 'clamp':
+            return choose(compare('<', first, second), cloneAST(second),
+                choose(compare('>', first, third), cloneAST(third), cloneAST(first)));
+        case 'smoothstep': {
+            // s = (x - e0) / (e1 - e0), smoothstep = s^2 (3 - 2s) between the edges
+            const s = new BinaryOpNode('/',
+                new BinaryOpNode('-', cloneAST(third), cloneAST(first)),
+                new BinaryOpNode('-', cloneAST(second), cloneAST(first)));
+            const cubic = new BinaryOpNode('*',
+                new BinaryOpNode('^', s, num(2)),
+                new BinaryOpNode('-', num(3), new BinaryOpNode('*', num(2), cloneAST(s))));
+            return choose(compare('<=', third, first), num(0),
+                choose(compare('>=', third, second), num(1), cubic));
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Move every conditional to the top of an AST: f(if(c, a, b)) = if(c, f(a), f(b))
+ * Truth values used as numbers and step-like built-ins become conditionals too, so
+ * the leaves of the result are smooth expressions; conditions are left as they are.
+ * @param {ASTNode} node - AST node
+ * @returns {ASTNode} Equivalent AST whose if(...) nodes are all above the leaves
+ */
+function liftConditionals(node) {
+    if (node.type === 'functionCall' && node.name === 'if') {
+        const [condition, whenTrue, whenFalse] = node.args;
+        return new FunctionCallNode('if', [cloneAST(condition), liftConditionals(whenTrue), liftConditionals(whenFalse)]);
+    }
+    if (isConditionNode(node)) {
+        return new FunctionCallNode('if', [cloneAST(node), new NumberNode(1), new NumberNode(0)]);
+    }
+    if (node.type === 'functionCall') {
+        const expanded = expandStepFunction(node);
+        if (expanded) {
+            return liftConditionals(expanded);
+        }
+    }
+
+    // Rebuild this node around lifted children, hoisting the first conditional child
+    let children;
+    let rebuild;
+    if (node.type === 'unaryOp') {
+        children = [node.operand];
+        rebuild = ([operand]) => new UnaryOpNode(node.operator, operand);
+    } else if (node.type === 'binaryOp') {
+        children = [node.left, node.right];
+        rebuild = ([left, right]) => new BinaryOpNode(node.operator, left, right);
+    } else if (node.type === 'functionCall') {
+        children = node.args;
+        rebuild = args => new FunctionCallNode(node.name, args);
+    } else {
+        return cloneAST(node);
+    }
+
+    const lifted = children.map(liftConditionals);
+    const k = lifted.findIndex(child => child.type === 'functionCall' && child.name === 'if');
+    if (k < 0) {
+        return rebuild(lifted);
+    }
+
+    const [condition, whenTrue, whenFalse] = lifted[k].args;
+    const withBranch = branch => liftConditionals(rebuild(lifted.map((child, i) => i === k ? branch : child)));
+    return new FunctionCallNode('if', [condition, withBranch(whenTrue), withBranch(whenFalse)]);
+}
+
+/**
+ * Convert AST back to expression text (parser syntax, which the CAS also reads for smooth expressions)
+ * @param {ASTNode} node - AST node
+ * @returns {string} Fully parenthesized expression
+ */
+function astToSource(node) {
+    if (node.type === 'number') {
+        if (node.isConstant) {
+            return node.value === 'PI' ? 'pi' : 'e';
+        }
+        // No exponent notation: 1e-7 would read as 1 * e - 7
+        const [mantissa, exponent] = node.value.toString().split('e');
+        return exponent === undefined ? mantissa : `(${mantissa}*10^(${exponent}))`;
+    } else if (node.type === 'variable') {
+        return node.name;
+    } else if (node.type === 'unaryOp') {
+        return `(${node.operator}${astToSource(node.operand)})`;
+    } else if (node.type === 'binaryOp') {
+        return `(${astToSource(node.left)} ${node.operator} ${astToSource(node.right)})`;
+    } else if (node.type === 'functionCall') {
+        return `${node.name}(${node.args.map(astToSource).join(', ')})`;
+    } else if (node.type === 'delay') {
+        return `${node.name}(t - ${astToSource(node.lag)})`;
+    }
+    throw new Error(`Unknown node type: ${node.type}`);
+}
+
+/**
+ * Convert AST to XPPAUT (.ode) expression syntax
+ * @param {ASTNode} node - AST node
+ * @returns {string} XPPAUT expression
+ * @throws {Error} For functions without an XPPAUT equivalent
+ */
+function astToXPP(node) {
+    if (node.type === 'number') {
+        if (node.isConstant) {
+            return node.value === 'PI' ? 'pi' : 'exp(1)';
+        }
+        return node.value.toString();
+    } else if (node.type === 'variable') {
+        return node.name;
+    } else if (node.type === 'unaryOp') {
+        return node.operator === '!' ? `not(${astToXPP(node.operand)})` : `(-${astToXPP(node.operand)})`;
+    } else if (node.type === 'binaryOp') {
+        const left = astToXPP(node.left);
+        const right = astToXPP(node.right);
+        if (node.operator === '%') {
+            return `mod(${left}, ${right})`;
+        }
+        const xppOperators = { '&&': '&', '||': '|' };
+        return `(${left} ${xppOperators[node.operator] || node.operator} ${right})`;
+    } else if (node.type === 'functionCall') {
+        const args = node.args.map(astToXPP);
+        switch (node.name) {
+            case 'if': return `if(${args[0]})then(${args[1]})else(${args[2]})`;
+            case 'heaviside': return `heav(${args[0]})`;
+            case 'step': return `heav(${args[1]} - ${args[0]})`;
+            case 'sgn': return `sign(${args[0]})`;
+            case 'floor': return `flr(${args[0]})`;
+            case 'fract': return `(${args[0]} - flr(${args[0]}))`;
+            case 'log2': return `(ln(${args[0]}) / ln(2))`;
+            case 'pow': return `(${args[0]} ^ ${args[1]})`;
+            case 'clamp': return `min(max(${args[0]}, ${args[1]}), ${args[2]})`;
+            case 'smoothstep': {
+                const s = `min(max((${args[2]} - ${args[0]}) / (${args[1]} - ${args[0]}), 0), 1)`;
+                return `(${s} * ${s} * (3 - 2 * ${s}))`;
+            }
+            case 'length':
+            case 'normalize':
+            case 'dot':
+                throw new Error(`${node.name}() has no XPPAUT equivalent`);
+        }
+        return `${node.name}(${args.join(', ')})`;
+    } else if (node.type === 'delay') {
+        return `delay(${node.name}, ${astToXPP(node.lag)})`;
+    }
+    throw new Error(`Unknown node type: ${node.type}`);
+}
+
 /**
  * Pretty-print AST tree for debugging
  * @param {ASTNode} node - AST node to print
@@ -603,6 +927,8 @@ function prettyPrintAST(node, indent = 0) {
     } else if (node.type === 'functionCall') {
         const argsStr = node.args.map(arg => prettyPrintAST(arg, indent + 1)).join('\n');
         return `${indentStr}FunctionCallNode(${node.name})\n${argsStr}`;
+    } else if (node.type === 'delay') {
+        return `${indentStr}DelayNode(${node.name}, tau = ${node.tau})`;
     }
     return `${indentStr}Unknown(${node.type})`;
 }
@@ -618,6 +944,7 @@ function astToJS(node, variables) {
     const velocityVars = ['dx', 'dy', 'dz', 'dw', 'du', 'dv'];
     velocityVars.forEach(v => varSet.add(v));
     varSet.add('a'); // Animation alpha
+    varSet.add('t'); // Simulation time
 
     function walk(node) {
         if (node.type === 'number') {
@@ -630,9 +957,13 @@ function astToJS(node, variables) {
         } else if (node.type === 'variable') {
             if (varSet.has(node.name)) {
                 return node.name;
+            } else if (modelParameters.hasOwnProperty(node.name)) {
+                return `__params.${node.name}`;
             } else {
-                throw new Error(`Unknown variable: ${node.name}. Available: ${variables.join(', ')}, dx, dy, dz, dw, du, dv, a`);
+                throw new Error(`Unknown variable: ${node.name}. Available: ${variables.join(', ')}, dx, dy, dz, dw, du, dv, a, t`);
             }
+        } else if (isConditionNode(node)) {
+            return `(${walkCondition(node)} ? 1 : 0)`;
         } else if (node.type === 'unaryOp') {
             const operand = walk(node.operand);
             return `(-${operand})`;
@@ -645,18 +976,50 @@ function astToJS(node, variables) {
                 return `(${left} ${node.operator} ${right})`;
             }
         } else if (node.type === 'functionCall') {
+            if (node.name === 'if') {
+                return `(${walkCondition(node.args[0])} ? ${walk(node.args[1])} : ${walk(node.args[2])})`;
+            }
             const args = node.args.map(arg => walk(arg));
+            if (customFunctions.hasOwnProperty(node.name)) {
+                // Custom function: arrow function of its parameters, like the GLSL declaration
+                const func = customFunctions[node.name];
+                const body = astToJS(parse(tokenize(func.body)), func.params);
+                return `((${func.params.join(', ')}) => ${body})(${args.join(', ')})`;
+            }
             const funcMap = {
                 'mod': '%',
                 'fract': '(x => x - Math.floor(x))',
-                'mix': '(a, b, t) => a * (1 - t) + b * t'
+                'mix': '(a, b, t) => a * (1 - t) + b * t',
+                'sgn': 'Math.sign',
+                'step': '((edge, x) => x < edge ? 0 : 1)',
+                'heaviside': '(x => x < 0 ? 0 : 1)',
+                'clamp': '((x, lo, hi) => Math.min(Math.max(x, lo), hi))',
+                'smoothstep': '((e0, e1, x) => { const s = Math.min(Math.max((x - e0) / (e1 - e0), 0), 1); return s * s * (3 - 2 * s); })'
             };
             const funcName = funcMap[node.name] || `Math.${node.name}`;
             return `${funcName}(${args.join(', ')})`;
+        } else if (node.type === 'delay') {
+            // CPU evaluators keep no history: the delayed value is approximated by the current one
+            if (!variables.includes(node.name)) {
+                throw new Error(`Unknown delayed variable: ${node.name}. Available: ${variables.join(', ')}`);
+            }
+            return node.name;
         }
         throw new Error(`Unknown node type: ${node.type}`);
     }
 
+    // Boolean JS code for a condition (numbers are true when nonzero)
+    function walkCondition(node) {
+        if (node.type === 'unaryOp' && node.operator === '!') {
+            return `(!${walkCondition(node.operand)})`;
+        } else if (node.type === 'binaryOp' && LOGICAL_OPERATORS.has(node.operator)) {
+            return `(${walkCondition(node.left)} ${node.operator} ${walkCondition(node.right)})`;
+        } else if (node.type === 'binaryOp' && COMPARISON_OPERATORS.has(node.operator)) {
+            return `(${walk(node.left)} ${node.operator} ${walk(node.right)})`;
+        }
+        return `(${walk(node)} !== 0)`;
+    }
+
     return walk(node);
 }
 
@@ -700,41 +1063,44 @@ function optimizeIntegerPower(base, exponent) {
  * @param {string[]} variables - Available variable names
  * @param {boolean} useDirectMapping - Use direct variable mapping
  * @param {string} posVarName - GLSL position variable name
+ * @param {string} timeVarName - GLSL name for simulation time 't' (parameter 't' inside get_velocity, uniform elsewhere)
  * @returns {string} GLSL code
  */
-function astToGLSL(node, variables, useDirectMapping = false, posVarName = 'pos') {
+function astToGLSL(node, variables, useDirectMapping = false, posVarName = 'pos', timeVarName = 'u_time') {
     const varMap = {};
 
+    // Model parameters are uniforms (state variables and function arguments take precedence)
+    for (const name of Object.keys(modelParameters)) {
+        varMap[name] = `u_param_${name}`;
+    }
+
     if (useDirectMapping) {
         // Direct mapping for custom functions - variables map to themselves
         variables.forEach(v => {
             varMap[v] = v;
         });
     } else {
-        // Map variable names to swizzle notation (for vector fields)
-        const swizzles = ['x', 'y', 'z', 'w', 'u', 'v'];
+        // Map variable names to state components (pos.x for vecN, pos[1][0] for packed 5D/6D)
+        const dimensions = variables.length;
         const velocityVars = ['dx', 'dy', 'dz', 'dw', 'du', 'dv'];
 
         // Map position variables (x, y, z, w, u, v) or custom variables (r, theta, etc.)
         variables.forEach((v, i) => {
-            if (i < 6) {
-                varMap[v] = `${posVarName}.${swizzles[i]}`;
-            } else {
-                varMap[v] = `${posVarName}[${i}]`;
-            }
+            varMap[v] = getStateComponent(posVarName, i, dimensions);
         });
 
         // Map velocity variables (dx, dy, dz, dw, du, dv)
-        velocityVars.forEach((v, i) => {
-            if (i < 6) {
-                varMap[v] = `velocity.${swizzles[i]}`;
-            } else {
-                varMap[v] = `velocity[${i}]`;
-            }
+        velocityVars.slice(0, dimensions).forEach((v, i) => {
+            varMap[v] = getStateComponent('velocity', i, dimensions);
         });
 
         // Map animation alpha variable to uniform
         varMap['a'] = 'u_alpha';
+
+        // Map simulation time (unless a coordinate variable is already called 't')
+        if (!varMap.hasOwnProperty('t')) {
+            varMap['t'] = timeVarName;
+        }
     }
 
     function walk(node) {
@@ -757,6 +1123,8 @@ function astToGLSL(node, variables, useDirectMapping = false, posVarName = 'pos'
             } else {
                 throw new Error(`Unknown variable: ${node.name}. Available: ${variables.join(', ')}`);
             }
+        } else if (isConditionNode(node)) {
+            return `(${walkCondition(node)} ? 1.0 : 0.0)`;
         } else if (node.type === 'unaryOp') {
             const operand = walk(node.operand);
             return `(-${operand})`;
@@ -773,6 +1141,9 @@ function astToGLSL(node, variables, useDirectMapping = false, posVarName = 'pos'
                 return `(${left} ${node.operator} ${right})`;
             }
         } else if (node.type === 'functionCall') {
+            if (node.name === 'if') {
+                return `(${walkCondition(node.args[0])} ? ${walk(node.args[1])} : ${walk(node.args[2])})`;
+            }
             const args = node.args.map(arg => walk(arg));
 
             // Map function names to GLSL equivalents
@@ -780,13 +1151,36 @@ function astToGLSL(node, variables, useDirectMapping = false, posVarName = 'pos'
             if (node.name === 'atan2') {
                 // GLSL uses atan(y, x) instead of atan2(y, x)
                 glslFunc = 'atan';
+            } else if (node.name === 'sgn') {
+                glslFunc = 'sign';
+            } else if (node.name === 'heaviside') {
+                return `step(0.0, ${args[0]})`;
             }
 
             return `${glslFunc}(${args.join(', ')})`;
+        } else if (node.type === 'delay') {
+            // History lookup defined by the shader, e.g. delayed_0_17(t, pos.x)
+            const index = variables.indexOf(node.name);
+            if (useDirectMapping || index < 0) {
+                throw new Error(`Delay terms must refer to a state variable (${variables.join(', ')}), got ${node.name}`);
+            }
+            return `${getDelayFunctionName(index, node.tau)}(${varMap['t']}, ${varMap[node.name]})`;
         }
         throw new Error(`Unknown node type: ${node.type}`);
     }
 
+    // bool GLSL code for a condition (numbers are true when nonzero)
+    function walkCondition(node) {
+        if (node.type === 'unaryOp' && node.operator === '!') {
+            return `(!${walkCondition(node.operand)})`;
+        } else if (node.type === 'binaryOp' && LOGICAL_OPERATORS.has(node.operator)) {
+            return `(${walkCondition(node.left)} ${node.operator} ${walkCondition(node.right)})`;
+        } else if (node.type === 'binaryOp' && COMPARISON_OPERATORS.has(node.operator)) {
+            return `(${walk(node.left)} ${node.operator} ${walk(node.right)})`;
+        }
+        return `(${walk(node)} != 0.0)`;
+    }
+
     return walk(node);
 }
 
@@ -794,17 +1188,25 @@ function astToGLSL(node, variables, useDirectMapping = false, posVarName = 'pos'
  * Convert AST to LaTeX code
  * @param {ASTNode} node - AST node
  * @param {string[]} variables - Available variable names
+ * @param {Object<string, string>} variableTeX - Optional LaTeX to show for some variables (e.g. y → x')
  * @returns {string} LaTeX code
  */
-function astToTeX(node, variables) {
+function astToTeX(node, variables, variableTeX = null) {
     const varSet = new Set(variables);
 
     // Add velocity variables to allowed set
     const velocityVars = ['dx', 'dy', 'dz', 'dw', 'du', 'dv'];
     velocityVars.forEach(v => varSet.add(v));
 
-    // Add animation alpha variable
+    // Add animation alpha and simulation time variables
     varSet.add('a');
+    varSet.add('t');
+
+    // Model parameters named after greek letters are shown as such (sigma → \sigma)
+    const paramTeX = {};
+    for (const name of Object.keys(modelParameters)) {
+        paramTeX[name] = GREEK_LETTERS.has(name) ? `\\${name}` : name;
+    }
 
     /**
      * Check if a node needs parentheses when used as base of power
@@ -833,22 +1235,39 @@ function astToTeX(node, variables) {
                 return node.value.toString();
             }
         } else if (node.type === 'variable') {
-            if (varSet.has(node.name)) {
+            if (variableTeX && variableTeX.hasOwnProperty(node.name)) {
+                return variableTeX[node.name];
+            } else if (varSet.has(node.name)) {
                 return node.name;
+            } else if (paramTeX.hasOwnProperty(node.name)) {
+                return paramTeX[node.name];
             } else {
                 throw new Error(`Unknown variable: ${node.name}`);
             }
-        } else if (node.type === 'unaryOp') {
+        } else if (node.type === 'unaryOp' && node.operator === '!') {
             const operand = walk(node.operand);
+            return node.operand.type === 'binaryOp' ? `\\lnot\\left(${operand}\\right)` : `\\lnot ${operand}`;
+        } else if (node.type === 'unaryOp') {
+            const operand = walkOperand(node.operand);
             // Wrap in parens if complex expression
             if (operand.includes(' ') || operand.includes('+') || operand.includes('-')) {
                 return `-(${operand})`;
             } else {
                 return `-${operand}`;
             }
+        } else if (node.type === 'binaryOp' && LOGICAL_OPERATORS.has(node.operator)) {
+            // Parenthesize a nested && inside || (and vice versa)
+            const side = child => {
+                const tex = walk(child);
+                const mixed = child.type === 'binaryOp' && LOGICAL_OPERATORS.has(child.operator) && child.operator !== node.operator;
+                return mixed ? `\\left(${tex}\\right)` : tex;
+            };
+            return `${side(node.left)} ${RELATION_TEX[node.operator]} ${side(node.right)}`;
+        } else if (node.type === 'binaryOp' && COMPARISON_OPERATORS.has(node.operator)) {
+            return `${walk(node.left)} ${RELATION_TEX[node.operator]} ${walk(node.right)}`;
         } else if (node.type === 'binaryOp') {
-            const left = walk(node.left);
-            const right = walk(node.right);
+            const left = walkOperand(node.left);
+            const right = walkOperand(node.right);
 
             if (node.operator === '^') {
                 // Power: a^b
@@ -875,11 +1294,25 @@ function astToTeX(node, variables) {
                 // Other operators
                 return `${left} ${node.operator} ${right}`;
             }
+        } else if (node.type === 'functionCall' && node.name === 'if') {
+            // Chained conditionals (else-if) become rows of one cases environment
+            const rows = [];
+            let branch = node;
+            while (branch.type === 'functionCall' && branch.name === 'if') {
+                rows.push(`${walk(branch.args[1])} & \\text{if } ${walk(branch.args[0])}`);
+                branch = branch.args[2];
+            }
+            rows.push(`${walk(branch)} & \\text{otherwise}`);
+            return `\\begin{cases} ${rows.join(' \\\\ ')} \\end{cases}`;
         } else if (node.type === 'functionCall') {
             const args = node.args.map(arg => walk(arg));
 
             // Map functions to LaTeX notation
-            if (node.name === 'sqrt') {
+            if (node.name === 'sgn' || node.name === 'sign') {
+                return `\\operatorname{sgn}(${args[0]})`;
+            } else if (node.name === 'heaviside') {
+                return `H(${args[0]})`;
+            } else if (node.name === 'sqrt') {
                 return `\\sqrt{${args[0]}}`;
             } else if (node.name === 'sin') {
                 return `\\sin(${args[0]})`;
@@ -897,10 +1330,568 @@ function astToTeX(node, variables) {
                 // Other functions: use regular notation
                 return `${node.name}(${args.join(', ')})`;
             }
+        } else if (node.type === 'delay') {
+            return `${node.name}(t - ${walk(node.lag)})`;
         }
         throw new Error(`Unknown node type: ${node.type}`);
     }
 
+    // Truth values used as numbers get Iverson brackets: [x > 0] \cdot y
+    function walkOperand(node) {
+        return isConditionNode(node) ? `\\left[${walk(node)}\\right]` : walk(node);
+    }
+
+    return walk(node);
+}
+
+// ============================================================================
+// TeX Input
+// ============================================================================
+
+// LaTeX commands that stand for a function of the parser
+const TEX_FUNCTIONS = {
+    'sin': 'sin', 'cos': 'cos', 'tan': 'tan',
+    'arcsin': 'asin', 'arccos': 'acos', 'arctan': 'atan',
+    'sinh': 'sinh', 'cosh': 'cosh', 'tanh': 'tanh',
+    'exp': 'exp', 'ln': 'log', 'log': 'log',
+    'min': 'min', 'max': 'max', 'sgn': 'sgn'
+};
+
+// LaTeX commands that read as an operator or delimiter
+const TEX_SYMBOLS = {
+    'cdot': '*', 'times': '*', 'div': '/', 'bmod': '%',
+    'lt': '<', 'gt': '>', 'le': '<=', 'leq': '<=', 'leqslant': '<=',
+    'ge': '>=', 'geq': '>=', 'geqslant': '>=', 'ne': '!=', 'neq': '!=',
+    'land': '&&', 'wedge': '&&', 'lor': '||', 'vee': '||', 'lnot': '!', 'neg': '!',
+    'vert': '|', 'lvert': '|', 'rvert': '|', '{': '(', '}': ')', '\\': '\\\\'
+};
+
+// Sizing and spacing commands, which carry no meaning here
+const TEX_IGNORED = new Set([
+    'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr',
+    'displaystyle', 'quad', 'qquad', ',', ';', ':', '!', ' '
+]);
+
+// Commands whose braced argument is read as plain text: \operatorname{sgn}, \text{if }
+const TEX_TEXT_COMMANDS = new Set(['operatorname', 'mathrm', 'mathit', 'text', 'textrm']);
+
+// Greek letter variants spelled differently from the parameter name
+const TEX_GREEK_VARIANTS = { 'varepsilon': 'epsilon', 'vartheta': 'theta', 'varphi': 'phi', 'varrho': 'rho', 'varsigma': 'sigma' };
+
+// Two-character operators typed in ASCII ('||' is left out: |x||y| is two absolute values)
+const TEX_ASCII_OPERATORS = ['<=', '>=', '!=', '==', '&&'];
+
+/**
+ * Tokenize LaTeX math
+ * Letters are grouped into words, which parseTeX splits into names.
+ * @param {string} tex - LaTeX source
+ * @returns {Array<{type: string, value: string}>} Tokens of type number, word, command, text or symbol
+ */
+function tokenizeTeX(tex) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < tex.length) {
+        const char = tex[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (/\d/.test(char) || (char === '.' && /\d/.test(tex[i + 1]))) {
+            const [number] = tex.slice(i).match(/^\d*\.?\d*/);
+            tokens.push({ type: 'number', value: number });
+            i += number.length;
+        } else if (/[a-zA-Z]/.test(char)) {
+            const [word] = tex.slice(i).match(/^[a-zA-Z]+/);
+            tokens.push({ type: 'word', value: word });
+            i += word.length;
+        } else if (char === '\\') {
+            const [, command] = tex.slice(i).match(/^\\([a-zA-Z]+|.?)/);
+            i += command.length + 1;
+            if (!command) {
+                throw new Error('Unexpected \\ at the end');
+            } else if (TEX_IGNORED.has(command)) {
+                continue;
+            } else if (TEX_SYMBOLS.hasOwnProperty(command)) {
+                tokens.push({ type: 'symbol', value: TEX_SYMBOLS[command] });
+            } else if (TEX_TEXT_COMMANDS.has(command)) {
+                const match = tex.slice(i).match(/^\s*\{([^{}]*)\}/);
+                if (!match) {
+                    throw new Error(`\\${command} needs a braced argument`);
+                }
+                tokens.push({ type: 'text', value: match[1].trim() });
+                i += match[0].length;
+            } else {
+                tokens.push({ type: 'command', value: command });
+            }
+        } else {
+            const operator = TEX_ASCII_OPERATORS.find(op => tex.startsWith(op, i));
+            tokens.push({ type: 'symbol', value: operator || char });
+            i += operator ? operator.length : 1;
+        }
+    }
+
+    tokens.push({ type: 'eof', value: '' });
+    return tokens;
+}
+
+/**
+ * Parse LaTeX math into an AST
+ *
+ * Follows TeX reading conventions: a run of letters is a product of single-letter
+ * variables (xy → x*y), except where it spells a known name (model parameters,
+ * Greek letters, pi, dx, ...), and juxtaposition multiplies (2\pi x). A function
+ * command applies to the parenthesized argument after it, or else to the product
+ * that follows (\sin 2x → sin(2*x)).
+ * Primes and \dot{x} give derivative names (x', x''), for higher-order equations.
+ * @param {string} tex - LaTeX source, without an equation's left-hand side
+ * @returns {ASTNode} Root node of AST
+ */
+function parseTeX(tex) {
+    const tokens = tokenizeTeX(tex);
+    let i = 0;
+    // '=' compares inside brackets and conditions; outside them it may be a misplaced
+    // equation, so those comparisons are kept to check against the result
+    let conditionDepth = 0;
+    const topLevelEquals = new Set();
+    // Inside |...| a '|' closes the absolute value rather than starting a factor
+    let absDepth = 0;
+
+    const peek = () => tokens[i];
+    const consume = () => tokens[i++];
+    const isSymbol = (value, token = peek()) => token.type === 'symbol' && token.value === value;
+    const isCommand = (value, token = peek()) => token.type === 'command' && token.value === value;
+    const describe = token => token.type === 'eof' ? 'end of input' :
+        token.type === 'command' ? `\\${token.value}` : `'${token.value}'`;
+
+    function expect(value) {
+        if (!isSymbol(value)) {
+            throw new Error(`Expected '${value}' but found ${describe(peek())}`);
+        }
+        consume();
+    }
+
+    function isFunctionName(name) {
+        return BUILTIN_FUNCTIONS.has(name) || customFunctions.hasOwnProperty(name);
+    }
+
+    // Names read whole within a run of letters
+    function isKnownName(name) {
+        return modelParameters.hasOwnProperty(name) || GREEK_LETTERS.has(name) ||
+            CONSTANTS.hasOwnProperty(name) || RESERVED_NAMES.has(name);
+    }
+
+    function startsFactor(token, allowFunctions = true) {
+        if (token.type === 'number' || token.type === 'word') {
+            return true;
+        } else if (token.type === 'text') {
+            return allowFunctions || !isFunctionName(token.value);
+        } else if (token.type === 'command') {
+            const closes = ['rfloor', 'rceil', 'end'].includes(token.value);
+            return !closes && (allowFunctions || !TEX_FUNCTIONS.hasOwnProperty(token.value));
+        }
+        return ['(', '[', '{'].includes(token.value) || (token.value === '|' && absDepth === 0);
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (isSymbol('||')) {
+            consume();
+            left = new BinaryOpNode('||', left, parseAnd());
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseComparison();
+        while (isSymbol('&&')) {
+            consume();
+            left = new BinaryOpNode('&&', left, parseComparison());
+        }
+        return left;
+    }
+
+    function parseComparison() {
+        let left = parseAdditive();
+        while (peek().type === 'symbol' && ['<', '<=', '>', '>=', '=', '==', '!='].includes(peek().value)) {
+            const operator = consume().value;
+            left = new BinaryOpNode(operator === '=' ? '==' : operator, left, parseAdditive());
+            if (operator === '=' && conditionDepth === 0) {
+                topLevelEquals.add(left);
+            }
+        }
+        return left;
+    }
+
+    function parseAdditive() {
+        let left = parseTerm();
+        while (isSymbol('+') || isSymbol('-')) {
+            const operator = consume().value;
+            left = new BinaryOpNode(operator, left, parseTerm());
+        }
+        return left;
+    }
+
+    function parseTerm() {
+        let left = parseFactor();
+        for (;;) {
+            if (isSymbol('*') || isSymbol('/') || isSymbol('%')) {
+                const operator = consume().value;
+                left = new BinaryOpNode(operator, left, parseFactor());
+            } else if (startsFactor(peek())) {
+                left = new BinaryOpNode('*', left, parseFactor());
+            } else {
+                return left;
+            }
+        }
+    }
+
+    // Argument of a function written without parentheses: \sin 2x, \ln x^2
+    function parseImplicitProduct() {
+        let left = parseFactor();
+        while (startsFactor(peek(), false)) {
+            left = new BinaryOpNode('*', left, parseFactor());
+        }
+        return left;
+    }
+
+    // Unary minus and \lnot bind below ^ as in the parser: -x^2 is -(x^2), \lnot x > 0 is (\lnot x) > 0
+    function parseFactor() {
+        if (isSymbol('-') || isSymbol('!')) {
+            return new UnaryOpNode(consume().value, parseFactor());
+        } else if (isSymbol('+')) {
+            consume();
+            return parseFactor();
+        }
+        const base = parseAtom();
+        if (isSymbol('^')) {
+            consume();
+            return new BinaryOpNode('^', base, parseScript());
+        }
+        return base;
+    }
+
+
+    // Argument of ^, \frac, \sqrt, ...: a braced group or a single character (x^23 is x^2 * 3)
+    function parseScript() {
+        const token = peek();
+        if (isSymbol('{')) {
+            return parseGroup('{', '}');
+        } else if ((token.type === 'number' || token.type === 'word') && /^[a-zA-Z\d]./.test(token.value)) {
+            const char = token.value[0];
+            token.value = token.value.slice(1);
+            return token.type === 'number' ? new NumberNode(parseFloat(char)) : nameToNode(char);
+        }
+        return parseAtom();
+    }
+
+    // Text of a subscript, which becomes part of the name: k_{12} → k_12
+    function parseSubscript() {
+        const token = peek();
+        if (!isSymbol('{')) {
+            if (token.type !== 'number' && token.type !== 'word') {
+                throw new Error(`Unexpected ${describe(token)} in a subscript`);
+            } else if (token.value.length > 1) {
+                const char = token.value[0];
+                token.value = token.value.slice(1);
+                return char;
+            }
+            return consume().value;
+        }
+        consume();
+        let text = '';
+        while (peek().type === 'number' || peek().type === 'word') {
+            text += consume().value;
+        }
+        expect('}');
+        if (!/^[a-zA-Z\d]+$/.test(text)) {
+            throw new Error('Subscripts may only hold letters and digits');
+        }
+        return text;
+    }
+
+    function parseGroup(open, close) {
+        expect(open);
+        conditionDepth++;
+        const node = parseOr();
+        conditionDepth--;
+        expect(close);
+        return node;
+    }
+
+    function parseArguments() {
+        expect('(');
+        conditionDepth++;
+        const args = [parseOr()];
+        while (isSymbol(',')) {
+            consume();
+            args.push(parseOr());
+        }
+        conditionDepth--;
+        expect(')');
+        return args;
+    }
+
+    function parseAtom() {
+        const token = peek();
+        if (token.type === 'number') {
+            consume();
+            return new NumberNode(parseFloat(token.value));
+        } else if (token.type === 'word') {
+            return parseWord();
+        } else if (token.type === 'text') {
+            consume();
+            if (!/^[a-zA-Z][a-zA-Z_\d]*$/.test(token.value)) {
+                throw new Error(`Unknown name '${token.value}'`);
+            }
+            return isFunctionName(token.value) ? parseFunction(token.value) : parseName(token.value);
+        } else if (token.type === 'command') {
+            consume();
+            return parseCommand(token.value);
+        } else if (isSymbol('(')) {
+            return parseGroup('(', ')');
+        } else if (isSymbol('[')) {
+            // Brackets group, or make a truth value a number: [x > 0]
+            return parseGroup('[', ']');
+        } else if (isSymbol('{')) {
+            return parseGroup('{', '}');
+        } else if (isSymbol('|')) {
+            consume();
+            absDepth++;
+            conditionDepth++;
+            const node = parseOr();
+            conditionDepth--;
+            absDepth--;
+            expect('|');
+            return new FunctionCallNode('abs', [node]);
+        }
+        throw new Error(`Unexpected ${describe(token)}`);
+    }
+
+    // Take the longest known name off the front of a run of letters, or else one letter
+    function parseWord() {
+        const token = peek();
+        const word = token.value;
+        const next = tokens[i + 1];
+
+        // A name ending in digits: the parameter v1, atan2(y, x)
+        if (next.type === 'number' && /^\d+$/.test(next.value)) {
+            const name = word + next.value;
+            if (isKnownName(name) || (isFunctionName(name) && isSymbol('(', tokens[i + 2]))) {
+                i += 2;
+                return parseName(name);
+            }
+        }
+
+        let length = word.length;
+        while (length > 1 && !isKnownName(word.slice(0, length)) &&
+               !(length === word.length && isFunctionName(word) && isSymbol('(', next))) {
+            length--;
+        }
+        if (length < word.length) {
+            token.value = word.slice(length);
+            return nameToNode(word.slice(0, length));
+        }
+        consume();
+        return parseName(word);
+    }
+
+    // Subscripts and primes complete a name: x_0, x''
+    function parseName(name) {
+        if (isSymbol('_')) {
+            consume();
+            name += '_' + parseSubscript();
+        }
+        while (isSymbol("'")) {
+            consume();
+            name += "'";
+        }
+        return nameToNode(name);
+    }
+
+    function nameToNode(name) {
+        if (isSymbol('(') && isFunctionName(name)) {
+            return parseFunction(name);
+        } else if (isSymbol('(') && name === 'H' && !modelParameters.hasOwnProperty(name)) {
+            return parseFunction('heaviside');
+        } else if (isSymbol('(') && RESERVED_NAMES.has(name) && tokens[i + 1].value === 't' && isSymbol('-', tokens[i + 2])) {
+            // Delayed state variable: x(t - \tau)
+            return createDelayNode(name, parseGroup('(', ')'));
+        } else if (CONSTANTS.hasOwnProperty(name)) {
+            return new NumberNode(CONSTANTS[name], true);
+        }
+        return new VariableNode(name);
+    }
+
+    function parseFunction(name) {
+        // \sin^2 x is (\sin x)^2, \sin^{-1} x the inverse function
+        let power = null;
+        if (isSymbol('^')) {
+            consume();
+            power = parseScript();
+        }
+
+        let args;
+        if (isSymbol('(')) {
+            args = parseArguments();
+        } else if (isSymbol('{')) {
+            args = [parseGroup('{', '}')];
+        } else {
+            args = [parseImplicitProduct()];
+        }
+
+        const count = getFunctionArgCount(name);
+        if (args.length !== count) {
+            throw new Error(`${name} takes ${count} argument${count === 1 ? '' : 's'}, got ${args.length}`);
+        }
+
+        const isInverse = power && power.type === 'unaryOp' && power.operator === '-' &&
+            power.operand.type === 'number' && power.operand.value === 1;
+        if (isInverse && ['sin', 'cos', 'tan'].includes(name)) {
+            return new FunctionCallNode(`a${name}`, args);
+        }
+        const call = new FunctionCallNode(name, args);
+        return power ? new BinaryOpNode('^', call, power) : call;
+    }
+
+    function parseCommand(command) {
+        if (command === 'pi') {
+            return new NumberNode('PI', true);
+        } else if (GREEK_LETTERS.has(command) || TEX_GREEK_VARIANTS.hasOwnProperty(command)) {
+            return parseName(TEX_GREEK_VARIANTS[command] || command);
+        } else if (['frac', 'dfrac', 'tfrac', 'cfrac'].includes(command)) {
+            const numerator = parseScript();
+            return new BinaryOpNode('/', numerator, parseScript());
+        } else if (command === 'sqrt') {
+            // \sqrt[n]{x} is x^(1/n)
+            if (isSymbol('[')) {
+                const index = parseGroup('[', ']');
+                return new BinaryOpNode('^', parseScript(), new BinaryOpNode('/', new NumberNode(1), index));
+            }
+            return new FunctionCallNode('sqrt', [parseScript()]);
+        } else if (['dot', 'ddot', 'dddot'].includes(command)) {
+            const variable = parseScript();
+            if (variable.type !== 'variable') {
+                throw new Error(`\\${command} needs a variable`);
+            }
+            return new VariableNode(variable.name + "'".repeat(command.length - 2));
+        } else if (command === 'lfloor' || command === 'lceil') {
+            const node = parseOr();
+            const close = command === 'lfloor' ? 'rfloor' : 'rceil';
+            if (!isCommand(close)) {
+                throw new Error(`Expected \\${close} but found ${describe(peek())}`);
+            }
+            consume();
+            return new FunctionCallNode(command.slice(1), [node]);
+        } else if (command === 'log' && isSymbol('_')) {
+            // Logarithm to a base: \log_2 x
+            consume();
+            const base = parseScript();
+            const call = parseFunction('log');
+            if (base.type === 'number' && base.value === 2) {
+                return new FunctionCallNode('log2', call.args);
+            }
+            return new BinaryOpNode('/', call, new FunctionCallNode('log', [base]));
+        } else if (TEX_FUNCTIONS.hasOwnProperty(command)) {
+            return parseFunction(TEX_FUNCTIONS[command]);
+        } else if (command === 'begin') {
+            return parseCases();
+        }
+        throw new Error(`Unsupported LaTeX command \\${command}`);
+    }
+
+    function parseEnvironmentName() {
+        expect('{');
+        const name = peek().type === 'word' ? consume().value : '';
+        expect('}');
+        return name;
+    }
+
+    // \begin{cases} a & \text{if } c \\ b & \text{otherwise} \end{cases} is if(c, a, b)
+    function parseCases() {
+        const environment = parseEnvironmentName();
+        if (environment !== 'cases') {
+            throw new Error(`Unsupported environment '${environment}'`);
+        }
+
+        const rows = [];
+        let otherwise = null;
+        while (!isCommand('end')) {
+            if (otherwise) {
+                throw new Error("The 'otherwise' row must come last in cases");
+            }
+            const value = parseOr();
+            if (isSymbol(',')) consume();
+            expect('&');
+
+            const text = peek().type === 'text' ? consume().value.toLowerCase().replace(/[.,:;]$/, '') : '';
+            if (text === 'otherwise' || text === 'else') {
+                otherwise = value;
+            } else {
+                conditionDepth++;
+                rows.push({ value, condition: parseOr() });
+                conditionDepth--;
+            }
+
+            if (isSymbol(',') || isSymbol('.')) consume();
+            if (isSymbol('\\\\')) consume();
+        }
+        consume();
+        parseEnvironmentName();
+
+        if (!otherwise) {
+            throw new Error("cases need an 'otherwise' row");
+        }
+        return rows.reduceRight((rest, row) => new FunctionCallNode('if', [row.condition, row.value, rest]), otherwise);
+    }
+
+    // a = b on its own reads as an equation, only as part of a condition as a comparison
+    const ast = parseOr();
+    if (topLevelEquals.has(ast)) {
+        throw new Error("Unexpected '=': write an equation as \\dot{x} = ... or \\frac{dx}{dt} = ...");
+    } else if (peek().type !== 'eof') {
+        throw new Error(`Unexpected ${describe(peek())}`);
+    }
+    return ast;
+}
+
+/**
+ * Convert AST to expression text with only the parentheses precedence requires
+ * Unlike astToSource, the result is meant for people to read and edit: x*(y - 1)/2
+ * @param {ASTNode} node - AST node
+ * @returns {string} Expression in parser syntax
+ */
+function astToReadableSource(node) {
+    // Unary minus and logical not sit between * and ^
+    const UNARY_PRECEDENCE = 7.5;
+    const precedence = n => n.type === 'binaryOp' ? OPERATORS[n.operator].precedence :
+        n.type === 'unaryOp' ? UNARY_PRECEDENCE : Infinity;
+
+    function operand(child, minimum) {
+        const text = walk(child);
+        return precedence(child) < minimum ? `(${text})` : text;
+    }
+
+    function walk(n) {
+        if (n.type === 'number') {
+            return astToSource(n);
+        } else if (n.type === 'variable') {
+            return n.name;
+        } else if (n.type === 'unaryOp') {
+            return n.operator + operand(n.operand, UNARY_PRECEDENCE);
+        } else if (n.type === 'binaryOp') {
+            // Equal precedence needs parentheses on the side the operator does not group from
+            const { precedence: p, associativity } = OPERATORS[n.operator];
+            const left = operand(n.left, associativity === 'R' ? p + 0.1 : p);
+            const right = operand(n.right, associativity === 'L' ? p + 0.1 : p);
+            return ['*', '/', '^', '%'].includes(n.operator) ? `${left}${n.operator}${right}` : `${left} ${n.operator} ${right}`;
+        } else if (n.type === 'functionCall') {
+            return `${n.name}(${n.args.map(walk).join(', ')})`;
+        } else if (n.type === 'delay') {
+            return `${n.name}(t - ${operand(n.lag, OPERATORS['-'].precedence + 0.1)})`;
+        }
+        throw new Error(`Unknown node type: ${n.type}`);
+    }
+
     return walk(node);
 }
 
@@ -913,18 +1904,27 @@ function getFunctionArgCount(funcName) {
         return customFunctions[funcName].params.length;
     }
     // Check built-in functions
-    const multiArg = new Set(['min', 'max', 'pow', 'mod', 'dot', 'atan2']);
-    return multiArg.has(funcName) ? 2 : 1;
+    const threeArg = new Set(['if', 'clamp', 'smoothstep']);
+    const multiArg = new Set(['min', 'max', 'pow', 'mod', 'dot', 'atan2', 'step']);
+    return threeArg.has(funcName) ? 3 : multiArg.has(funcName) ? 2 : 1;
 }
 
 /**
  * Generate GLSL function declarations for all custom functions
+ * Preceded by the model parameter uniforms, which field and function bodies may use
  * @param {string[]} availableVars - Variables available in the current context
  * @returns {string} GLSL function declarations
  */
 function generateGLSLFunctionDeclarations(availableVars) {
     let declarations = '';
 
+    for (const name of Object.keys(modelParameters)) {
+        declarations += `uniform float u_param_${name};\n`;
+    }
+    if (declarations) {
+        declarations += '\n';
+    }
+
     for (const [funcName, func] of Object.entries(customFunctions)) {
         // Parse the function body into an AST
         const bodyTokens = tokenize(func.body);
@@ -975,16 +1975,17 @@ export function parseToExpression(expression, dimensions, customVariables = null
  * @param {number} dimensions - Number of dimensions
  * @param {Array<string>} customVariables - Optional custom variable names (e.g., ['r', 'theta'])
  * @param {string} posVarName - Optional GLSL position variable name (default: 'pos')
+ * @param {string} timeVarName - Optional GLSL name for simulation time 't' (default: 'u_time' uniform)
  * @returns {string} GLSL code
  */
-export function parseExpression(expression, dimensions, customVariables = null, posVarName = 'pos') {
+export function parseExpression(expression, dimensions, customVariables = null, posVarName = 'pos', timeVarName = 'u_time') {
     const variables = customVariables || ['x', 'y', 'z', 'w', 'u', 'v'].slice(0, dimensions);
     const expr = parseToExpression(expression, dimensions, customVariables);
-    return expr.toGLSL(variables, { useDirectMapping: false, posVarName });
+    return expr.toGLSL(variables, { useDirectMapping: false, posVarName, timeVarName });
 }
 
 /**
- * Get GLSL function declarations for custom functions
+ * Get GLSL function declarations for custom functions (and model parameter uniforms)
  * This should be prepended to shaders that use custom functions
  * @returns {string} GLSL function declarations
  */
@@ -994,6 +1995,8 @@ export function getGLSLFunctionDeclarations() {
 
 /**
  * Parse all dimension expressions
+ * Time 't' maps to the 't' parameter of get_velocity(pos, t), so integrator
+ * stages can evaluate the field at intermediate times (t + h/2, etc.)
  * @param {string[]} expressions - Array of expressions, one per dimension
  * @param {Array<string>} customVariables - Optional custom variable names (e.g., ['r', 'theta'])
  * @param {string} posVarName - Optional GLSL position variable name (default: 'pos')
@@ -1003,15 +2006,83 @@ export function parseVectorField(expressions, customVariables = null, posVarName
     const dimensions = expressions.length;
     return expressions.map((expr, i) => {
         try {
-            return parseExpression(expr.trim(), dimensions, customVariables, posVarName);
+            return parseExpression(expr.trim(), dimensions, customVariables, posVarName, 't');
         } catch (error) {
             throw new Error(`Error in dimension ${i}: ${error.message}`);
         }
     });
 }
 
+/**
+ * GLSL name of the history lookup for one delayed variable, e.g. delayed_0_17 for x(t - 17)
+ * @param {number} index - Index of the delayed state variable
+ * @param {number} tau - Delay
+ * @returns {string}
+ */
+function getDelayFunctionName(index, tau) {
+    return `delayed_${index}_${String(tau).replace(/[^0-9a-zA-Z]/g, '_')}`;
+}
+
+/**
+ * Collect the distinct delay terms x(t - tau) used by a vector field
+ * Expressions that fail to parse are skipped (their errors surface when compiling).
+ * @param {string[]} expressions - Array of expressions, one per dimension
+ * @param {Array<string>} customVariables - Optional custom variable names (e.g., ['r', 'theta'])
+ * @returns {{name: string, index: number, tau: number, glslName: string}[]} Delays in order of appearance
+ */
+export function collectDelays(expressions, customVariables = null) {
+    const variables = customVariables || ['x', 'y', 'z', 'w', 'u', 'v'].slice(0, expressions.length);
+    const delays = new Map();
+
+    function walk(node) {
+        if (node.type === 'delay') {
+            const index = variables.indexOf(node.name);
+            const glslName = getDelayFunctionName(index, node.tau);
+            if (index >= 0 && !delays.has(glslName)) {
+                delays.set(glslName, { name: node.name, index, tau: node.tau, glslName });
+            }
+        } else if (node.type === 'unaryOp') {
+            walk(node.operand);
+        } else if (node.type === 'binaryOp') {
+            walk(node.left);
+            walk(node.right);
+        } else if (node.type === 'functionCall') {
+            node.args.forEach(walk);
+        }
+    }
+
+    for (const expr of expressions) {
+        try {
+            walk(parse(tokenize(String(expr).trim())));
+        } catch (error) {
+            // Reported by the GLSL generation instead
+        }
+    }
+
+    return [...delays.values()];
+}
+
+/**
+ * Reduce a diffusion (noise) term to its coefficient of dW
+ * Noise terms may be written with the Wiener increment, e.g. `0.3*x*dW` or
+ * `sigma*dW_x`; the stochastic integrators supply dW themselves.
+ * @param {string} expression - Diffusion term
+ * @returns {string} Coefficient of dW ('0' for empty input)
+ */
+export function stripWienerIncrement(expression) {
+    const trimmed = String(expression || '').trim();
+    if (/^dW\w*$/.test(trimmed)) {
+        return '1';
+    }
+    return trimmed.replace(/\s*\*\s*dW\w*$/, '') || '0';
+}
+
 /**
  * Create JavaScript velocity evaluator functions
+ * Evaluators take position components followed by simulation time,
+ * e.g. for 2D: (x, y, t) => expression. Non-autonomous fields return NaN
+ * if t is omitted. Model parameters are read at call time, so evaluators
+ * follow setModelParameterValues without being recreated.
  * @param {string[]} expressions - Array of expressions, one per dimension
  * @param {Array<string>} customVariables - Optional custom variable names (e.g., ['r', 'theta'])
  * @returns {Function[]} Array of evaluator functions
@@ -1019,6 +2090,7 @@ export function parseVectorField(expressions, customVariables = null, posVarName
 export function createVelocityEvaluators(expressions, customVariables = null) {
     const dimensions = expressions.length;
     const variables = customVariables || ['x', 'y', 'z', 'w', 'u', 'v'].slice(0, dimensions);
+    const params = variables.includes('t') ? variables : [...variables, 't'];
 
     return expressions.map((expr, i) => {
         try {
@@ -1026,10 +2098,10 @@ export function createVelocityEvaluators(expressions, customVariables = null) {
             const ast = parse(tokens);
             const jsCode = astToJS(ast, variables);
 
-            // Create a function that takes position components as arguments
-            // e.g., for 2D: (x, y) => expression
+            // Create a function that takes position components and time as arguments
+            // e.g., for 2D: (x, y, t) => expression
             const funcBody = `return ${jsCode};`;
-            return new Function(...variables, funcBody);
+            return new Function('__params', ...params, funcBody).bind(null, parameterValues);
         } catch (error) {
             throw new Error(`Error creating evaluator for dimension ${i}: ${error.message}`);
         }
@@ -1041,12 +2113,137 @@ export function createVelocityEvaluators(expressions, customVariables = null) {
  * @param {string} expression - Math expression to parse
  * @param {number} dimensions - Number of dimensions
  * @param {Array<string>} customVariables - Optional custom variable names (e.g., ['r', 'theta'])
+ * @param {Object<string, string>} variableTeX - Optional LaTeX to show for some variables (e.g. y → x')
  * @returns {string} LaTeX code
  */
-export function parseExpressionToTeX(expression, dimensions, customVariables = null) {
+export function parseExpressionToTeX(expression, dimensions, customVariables = null, variableTeX = null) {
     const variables = customVariables || ['x', 'y', 'z', 'w', 'u', 'v'].slice(0, dimensions);
     const expr = parseToExpression(expression, dimensions, customVariables);
-    return expr.toTeX(variables);
+    return expr.toTeX(variables, variableTeX);
+}
+
+// Derivative on the left of an equation typed in LaTeX: \frac{d^2x}{dt^2}, \ddot{x}, x''
+const TEX_DIFFERENTIAL = String.raw`(?:d|\\math(?:rm|it)\s*\{\s*d\s*\})`;
+const TEX_ORDER = String.raw`(?:\^\s*\{?\s*(\d)\s*\}?)?`;
+const TEX_DERIVATIVE_LHS = [
+    new RegExp(String.raw`^\s*\\[dt]?frac\s*\{\s*${TEX_DIFFERENTIAL}\s*${TEX_ORDER}\s*([a-zA-Z])\s*\}` +
+        String.raw`\s*\{\s*${TEX_DIFFERENTIAL}\s*t\s*${TEX_ORDER}\s*\}\s*=(.*)$`, 's'),
+    /^\s*\\(d{1,3})ot\s*(?:\{\s*([a-zA-Z])\s*\}|([a-zA-Z]))\s*=(.*)$/s,
+    /^\s*([a-zA-Z])\s*('+)\s*=(.*)$/s
+];
+
+/**
+ * Whether an expression is written in LaTeX (uses a command or braces)
+ * @param {string} text - Expression as entered
+ * @returns {boolean}
+ */
+export function isTeXInput(text) {
+    return /[\\{}]/.test(String(text));
+}
+
+/**
+ * Convert LaTeX math to expression text the parser reads,
+ * e.g. "\frac{\sin\theta}{2} \cdot x^{2}" → "sin(theta)/2*x^2"
+ * An equation with a derivative on the left (\frac{d^2x}{dt^2} = ..., \ddot{x} = ...)
+ * becomes derivative notation: "x'' = ...".
+ * @param {string} tex - LaTeX math
+ * @returns {string} Expression in parser syntax
+ * @throws {Error} If the LaTeX cannot be read
+ */
+export function texToExpression(tex) {
+    let lhs = '';
+    let rhs = tex;
+
+    const [fraction, dot, prime] = TEX_DERIVATIVE_LHS.map(pattern => tex.match(pattern));
+    if (fraction) {
+        const [, order = '1', variable, denominatorOrder = '1', body] = fraction;
+        if (order !== denominatorOrder) {
+            throw new Error(`LaTeX error: mismatched derivative orders in d^${order}${variable}/dt^${denominatorOrder}`);
+        }
+        lhs = variable + "'".repeat(Number(order));
+        rhs = body;
+    } else if (dot) {
+        lhs = (dot[2] || dot[3]) + "'".repeat(dot[1].length);
+        rhs = dot[4];
+    } else if (prime) {
+        lhs = prime[1] + prime[2];
+        rhs = prime[3];
+    }
+
+    try {
+        const expression = astToReadableSource(parseTeX(rhs));
+        return lhs ? `${lhs} = ${expression}` : expression;
+    } catch (error) {
+        throw new Error(`LaTeX error: ${error.message}`);
+    }
+}
+
+/**
+ * Parse expression and convert to XPPAUT (.ode) syntax
+ * @param {string} expression - Math expression to parse
+ * @returns {string} XPPAUT expression, e.g. "if(x > 0)then(1)else(heav(y))"
+ * @throws {Error} If the expression fails to parse or uses functions XPPAUT lacks
+ */
+export function parseExpressionToXPP(expression) {
+    return astToXPP(parse(tokenize(expression.trim())));
+}
+
+/**
+ * Whether a name is taken by the parser: a built-in function, a constant or a
+ * reserved variable name (x, ..., v, dx, ..., a, t, dW)
+ * @param {string} name - Identifier
+ * @returns {boolean}
+ */
+export function isReservedName(name) {
+    return BUILTIN_FUNCTIONS.has(name) || CONSTANTS.hasOwnProperty(name) || RESERVED_NAMES.has(name);
+}
+
+/**
+ * Evaluate a constant expression (no position variables), e.g. "2*pi/1.2"
+ * Model parameters take their current values.
+ * @param {string} expression - Math expression to evaluate
+ * @returns {number} Numeric value
+ * @throws {Error} If the expression fails to parse or is not a finite number
+ */
+export function evaluateConstantExpression(expression) {
+    const tokens = tokenize(expression.trim());
+    const ast = parse(tokens);
+    const jsCode = astToJS(ast, []);
+    const value = new Function('__params', `return ${jsCode};`)(parameterValues);
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error(`Expression "${expression}" does not evaluate to a finite number`);
+    }
+    return value;
+}
+
+/**
+ * Differentiate an expression with a CAS that only understands smooth expressions
+ * Conditionals (and heaviside, step, sgn/sign, clamp, smoothstep, comparisons used as
+ * numbers) are lifted to the top of the expression, each smooth branch is
+ * differentiated by the CAS and the conditions are kept, e.g.
+ * d/dx if(x > 0, x^2, -x) = if(x > 0, 2*x, -1). The jumps between branches are
+ * ignored: the derivative at a switching surface is that of the selected branch.
+ * Expressions without conditional syntax go to the CAS unchanged.
+ * @param {string} expression - Expression in parser syntax
+ * @param {string} variable - Variable to differentiate with respect to
+ * @param {function(string, string): string} differentiate - CAS derivative of a smooth expression
+ * @returns {string} Derivative in parser syntax
+ */
+export function differentiatePiecewise(expression, variable, differentiate) {
+    if (!/[<>=!?&|]|\b(if|heaviside|step|sgn|sign|clamp|smoothstep)\s*\(/.test(expression)) {
+        return differentiate(expression, variable);
+    }
+
+    function walk(node) {
+        if (node.type === 'functionCall' && node.name === 'if') {
+            const whenTrue = walk(node.args[1]);
+            const whenFalse = walk(node.args[2]);
+            return whenTrue === whenFalse ? whenTrue : `if(${astToSource(node.args[0])}, ${whenTrue}, ${whenFalse})`;
+        }
+        return differentiate(astToSource(node), variable);
+    }
+
+    return walk(liftConditionals(parse(tokenize(expression.trim()))));
 }
 
 /**
@@ -1126,3 +2323,144 @@ export function setCustomFunctions(functionsText) {
 export function getCustomFunctions() {
     return { ...customFunctions };
 }
+
+/**
+ * Evaluate a number of a model parameter definition (value or range bound)
+ * Parameters cannot refer to each other or to variables, only to constants.
+ * @param {string} text - Constant expression, e.g. "8/3"
+ * @returns {number}
+ */
+function evaluateParameterNumber(text) {
+    const ast = parse(tokenize(text));
+    if (!isConstantAST(ast)) {
+        throw new Error(`"${text}" is not a constant`);
+    }
+    const value = new Function(`return ${astToJS(ast, [])};`)();
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error(`"${text}" does not evaluate to a finite number`);
+    }
+    return value;
+}
+
+/**
+ * Parse a model parameter block (does not register it)
+ * One parameter per line, with an optional slider range:
+ *   sigma = 10 [0, 30]
+ *   beta = 8/3
+ * Without a range the slider spans value ± max(|value|, 1).
+ * @param {string} parametersText - Multi-line parameter block ('#' and '//' start comments)
+ * @returns {{name: string, value: number, min: number, max: number}[]} Definitions in order
+ * @throws {Error} With the offending line number
+ */
+export function parseModelParameters(parametersText) {
+    const definitions = [];
+    if (!parametersText || !parametersText.trim()) {
+        return definitions;
+    }
+
+    const lines = parametersText.split('\n');
+    for (let lineNum = 0; lineNum < lines.length; lineNum++) {
+        const line = lines[lineNum].trim();
+
+        // Skip empty lines and comments
+        if (!line || line.startsWith('//') || line.startsWith('#')) {
+            continue;
+        }
+
+        // Parse parameter definition: name = value [min, max]
+        const match = line.match(/^([a-zA-Z][a-zA-Z_0-9]*)\s*=\s*([^\[]+?)\s*(?:\[([^,\]]+),([^\]]+)\])?$/);
+        if (!match) {
+            throw new Error(`Line ${lineNum + 1}: Invalid parameter definition syntax. Expected: name = value [min, max]`);
+        }
+
+        const [, name, valueText, minText, maxText] = match;
+
+        if (BUILTIN_FUNCTIONS.has(name) || customFunctions.hasOwnProperty(name)) {
+            throw new Error(`Line ${lineNum + 1}: Cannot use function name '${name}' as parameter name`);
+        }
+        if (CONSTANTS.hasOwnProperty(name)) {
+            throw new Error(`Line ${lineNum + 1}: Cannot use constant name '${name}' as parameter name`);
+        }
+        if (RESERVED_NAMES.has(name)) {
+            throw new Error(`Line ${lineNum + 1}: '${name}' is a variable name`);
+        }
+        if (name.includes('__')) {
+            // Reserved in GLSL identifiers
+            throw new Error(`Line ${lineNum + 1}: Invalid parameter name '${name}'`);
+        }
+        if (definitions.some(definition => definition.name === name)) {
+            throw new Error(`Line ${lineNum + 1}: Parameter '${name}' is already defined`);
+        }
+
+        let value, min, max;
+        try {
+            value = evaluateParameterNumber(valueText);
+            if (minText !== undefined) {
+                min = evaluateParameterNumber(minText.trim());
+                max = evaluateParameterNumber(maxText.trim());
+            } else {
+                const halfRange = Math.max(Math.abs(value), 1);
+                min = value - halfRange;
+                max = value + halfRange;
+            }
+        } catch (error) {
+            throw new Error(`Line ${lineNum + 1}: ${error.message}`);
+        }
+
+        if (!(min < max)) {
+            throw new Error(`Line ${lineNum + 1}: Range [${min}, ${max}] is empty`);
+        }
+
+        definitions.push({ name, value, min, max });
+    }
+
+    return definitions;
+}
+
+/**
+ * Register model parameters (replaces the previous ones)
+ * Registered names parse as u_param_<name> uniforms in GLSL and as live values
+ * in the JS evaluators. Values start at the definition values.
+ * @param {{name: string, value: number, min: number, max: number}[]} definitions - See parseModelParameters
+ */
+export function setModelParameters(definitions) {
+    for (const key in modelParameters) {
+        delete modelParameters[key];
+    }
+    for (const key in parameterValues) {
+        delete parameterValues[key];
+    }
+
+    for (const { name, value, min, max } of definitions || []) {
+        modelParameters[name] = { value, min, max };
+        parameterValues[name] = value;
+    }
+}
+
+/**
+ * Get current model parameter definitions
+ * @returns {object} Model parameter registry
+ */
+export function getModelParameters() {
+    return { ...modelParameters };
+}
+
+/**
+ * Update the values of registered model parameters (unknown names are ignored)
+ * @param {Object<string, number>} values - Values by parameter name
+ */
+export function setModelParameterValues(values) {
+    for (const [name, value] of Object.entries(values || {})) {
+        if (modelParameters.hasOwnProperty(name) && typeof value === 'number' && isFinite(value)) {
+            parameterValues[name] = value;
+        }
+    }
+}
+
+/**
+ * Get current model parameter values
+ * @returns {Object<string, number>} Values by parameter name
+ */
+export function getModelParameterValues() {
+    return { ...parameterValues };
+}
@@ -0,0 +1,135 @@
+/**
+ * Poincaré sections
+ *
+ * A section is the hypersurface s(x, t) = 0 given by an equation such as
+ * "z = 27". A particle crosses it during a step when s changes sign between
+ * its previous and current position in the selected direction; the crossing
+ * point is interpolated linearly along the step and recorded in two chosen
+ * coordinates of the section.
+ */
+
+import { parseExpression } from './parser.js';
+import { getStateType } from './state-vector.js';
+
+/**
+ * Crossing directions: s increasing (positive), decreasing (negative) or either
+ */
+export const POINCARE_DIRECTIONS = ['positive', 'negative', 'both'];
+
+/**
+ * Recorded crossings kept for export (older ones stay in the image only)
+ */
+export const POINCARE_MAX_POINTS = 200000;
+
+/**
+ * Frames between crossing read-backs (readPixels stalls the pipeline, so the
+ * point cloud samples one frame in this many while the image gets every crossing)
+ */
+export const POINCARE_RECORD_INTERVAL = 10;
+
+/**
+ * Turn a section equation into the expression s with s = 0 on the section
+ * "z = 27" gives "(z) - (27)"; an expression without "=" is taken as s itself.
+ * @param {string} equation - Section equation
+ * @returns {string} Expression for s
+ * @throws {Error} If the equation is empty or has more than one "="
+ */
+export function parseSectionEquation(equation) {
+    const sides = String(equation).split('=').map(side => side.trim());
+    if (sides.length > 2) {
+        throw new Error(`Section "${equation}" has more than one "="`);
+    }
+    if (sides.some(side => side === '')) {
+        throw new Error(`Section "${equation}" is incomplete`);
+    }
+    return sides.length === 2 ? `(${sides[0]}) - (${sides[1]})` : sides[0];
+}
+
+/**
+ * Generate the GLSL section function and the crossing test
+ *   float section(p, t)           - s at a Cartesian state
+ *   float section_crossing(s0, s1) - fraction of the step at the crossing, or -1.0
+ * @param {number} dimensions - Number of dimensions
+ * @param {string} equation - Section equation (see parseSectionEquation)
+ * @param {string} direction - One of POINCARE_DIRECTIONS
+ * @returns {string} GLSL source
+ * @throws {Error} If the equation does not parse or the direction is unknown
+ */
+export function generateSectionGLSL(dimensions, equation, direction = 'positive') {
+    if (!POINCARE_DIRECTIONS.includes(direction)) {
+        throw new Error(`Unknown crossing direction: ${direction}`);
+    }
+    const vecType = getStateType(dimensions);
+    const expression = parseExpression(parseSectionEquation(equation), dimensions, null, 'p', 't');
+    const crosses = {
+        positive: 's0 < 0.0 && s1 >= 0.0',
+        negative: 's0 > 0.0 && s1 <= 0.0',
+        both: '(s0 < 0.0 && s1 >= 0.0) || (s0 > 0.0 && s1 <= 0.0)'
+    }[direction];
+
+    return `
+// Poincaré section s(p, t) = 0
+float section(${vecType} p, float t) {
+    return ${expression};
+}
+
+// Fraction of the step where s changes sign (${direction}), or -1.0 without a crossing
+float section_crossing(float s0, float s1) {
+    if (${crosses}) {
+        return s0 / (s0 - s1);
+    }
+    return -1.0;
+}
+`;
+}
+
+/**
+ * Bounds around recorded crossings, widened to an aspect ratio so the section keeps square cells
+ * @param {{u: number, v: number}[]} points - Crossings in section coordinates
+ * @param {number} aspect - Width / height of the view
+ * @param {number} margin - Extra space around the points (fraction of their extent)
+ * @returns {{min: number[], max: number[]}|null} Null without points
+ */
+export function fitSectionBounds(points, aspect = 1, margin = 0.05) {
+    if (points.length === 0) return null;
+
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+    for (const { u, v } of points) {
+        minU = Math.min(minU, u);
+        maxU = Math.max(maxU, u);
+        minV = Math.min(minV, v);
+        maxV = Math.max(maxV, v);
+    }
+
+    const centerU = 0.5 * (minU + maxU);
+    const centerV = 0.5 * (minV + maxV);
+    let halfU = 0.5 * (maxU - minU) * (1 + 2 * margin);
+    let halfV = 0.5 * (maxV - minV) * (1 + 2 * margin);
+    if (halfU === 0 && halfV === 0) {
+        halfU = halfV = 1;
+    }
+    if (halfU < halfV * aspect) {
+        halfU = halfV * aspect;
+    } else {
+        halfV = halfU / aspect;
+    }
+
+    return {
+        min: [centerU - halfU, centerV - halfV],
+        max: [centerU + halfU, centerV + halfV]
+    };
+}
+
+/**
+ * Recorded crossings as CSV (section coordinates and crossing time)
+ * @param {{u: number, v: number, t: number}[]} points - Crossings
+ * @param {string[]} axisNames - Names of the two section coordinates
+ * @returns {string}
+ */
+export function sectionPointsToCSV(points, axisNames) {
+    const lines = [`${axisNames[0]},${axisNames[1]},t`];
+    for (const { u, v, t } of points) {
+        lines.push(`${u},${v},${t}`);
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,388 @@
+/**
+ * Particle seeding distributions
+ * Each distribution decides where particles are placed when they are
+ * initialized or respawned. A distribution provides:
+ *   - code: GLSL defining seed_position(vec2 cell), used by the update shader on respawn
+ *   - sample(context): JavaScript equivalent, used by ParticleSystem.initializeParticles
+ *
+ * `cell` is the particle's texture coordinate in [0, 1]^2. Random draws are
+ * derived from it (plus the per-frame random seed), so every coordinate pass
+ * of the update shader respawns a particle at the same point.
+ */
+
+import { parseExpression, createVelocityEvaluators } from './parser.js';
+import { getStateType, getStateComponent, buildState, getStateZero, glslFloat } from './state-vector.js';
+
+const VARIABLE_NAMES = ['x', 'y', 'z', 'w', 'u', 'v'];
+
+/**
+ * Number of candidates tried by the density rejection sampler
+ */
+const DENSITY_CANDIDATES = 16;
+
+/**
+ * Normalize a point parameter to an array of numbers with one entry per dimension
+ * @param {number[]|string} value - Array or comma-separated string (e.g., "1, 0")
+ * @param {number} dimensions - Number of dimensions
+ * @returns {number[]} Point padded with zeros
+ */
+export function parsePoint(value, dimensions) {
+    const parts = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return Array.from({ length: dimensions }, (_, i) => {
+        const num = parseFloat(parts[i]);
+        return isFinite(num) ? num : 0;
+    });
+}
+
+/**
+ * GLSL expressions for the storage range of a dimension
+ * (viewport for x/y, u_dim_range_N for higher dimensions)
+ */
+function rangeGLSL(dim) {
+    if (dim < 2) {
+        const axis = dim === 0 ? 'x' : 'y';
+        return { min: `u_min.${axis}`, max: `u_max.${axis}` };
+    }
+    return { min: `u_dim_range_${dim}.x`, max: `u_dim_range_${dim}.y` };
+}
+
+/**
+ * GLSL literal state for a point
+ */
+function pointGLSL(point, dimensions) {
+    return buildState(point.map(glslFloat), dimensions);
+}
+
+/**
+ * Shared GLSL helpers for seeding (requires rand() from the update shader)
+ */
+function generateSeedingHelpersGLSL() {
+    return `
+// Independent uniform random stream k for a particle
+// u_rand_seed changes every frame (but not between the passes of one frame), so a
+// respawned particle lands somewhere new while all its coordinates still agree
+float seed_rand(vec2 cell, float k) {
+    return rand(cell * (1.0 + 0.618 * k) + vec2(k * 7.13 + u_rand_seed * 5.17, k * 3.71 + u_rand_seed * 2.93));
+}
+
+// Standard normal sample (Box-Muller)
+float seed_gauss(vec2 cell, float k) {
+    float u1 = max(seed_rand(cell, k), 1e-6);
+    float u2 = seed_rand(cell, k + 0.5);
+    return sqrt(-2.0 * log(u1)) * cos(6.28318530718 * u2);
+}
+`;
+}
+
+/**
+ * Standard normal sample (Box-Muller) from a uniform random source
+ */
+function gaussian(random) {
+    const u1 = Math.max(random(), 1e-6);
+    const u2 = random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Uniform seeding - fill the storage range of every dimension
+ * Spawns 2% outside the range for a natural flow-in effect
+ */
+export function uniformSeeding(dimensions) {
+    const stateType = getStateType(dimensions);
+
+    const assignments = Array.from({ length: dimensions }, (_, i) => {
+        const target = getStateComponent('p', i, dimensions);
+        if (i === 0) return `${target} = u_min.x + width * margin + rand(cell * 1.234 + vec2(u_rand_seed)) * width * (1.0 - 2.0 * margin);`;
+        if (i === 1) return `${target} = u_min.y + height * margin + rand2(cell * 5.678 + vec2(u_rand_seed * 2.345)) * height * (1.0 - 2.0 * margin);`;
+        // For higher dimensions, use varied seeds for better distribution
+        return `${target} = u_dim_range_${i}.x + (u_dim_range_${i}.y - u_dim_range_${i}.x) * (margin + rand(cell * ${i + 1}.37 + vec2(u_rand_seed * ${i + 3}.5)) * (1.0 - 2.0 * margin));`;
+    });
+
+    return {
+        name: 'Uniform',
+        params: {},
+        code: `
+// Uniform seeding over the storage range
+${stateType} seed_position(vec2 cell) {
+    const float margin = -0.02;
+    float width = u_max.x - u_min.x;
+    float height = u_max.y - u_min.y;
+    ${stateType} p = ${getStateZero(dimensions)};
+    ${assignments.join('\n    ')}
+    return p;
+}
+`,
+        sample({ random, getRange }) {
+            const margin = -0.02;
+            return Array.from({ length: dimensions }, (_, dim) => {
+                const { min, max } = getRange(dim);
+                const range = max - min;
+                return min + range * margin + random() * range * (1 - 2 * margin);
+            });
+        }
+    };
+}
+
+/**
+ * Line segment seeding - uniform along the segment from start to end
+ * @param {number[]} start - Start point
+ * @param {number[]} end - End point
+ * @param {number} dimensions - Number of dimensions
+ */
+export function lineSeeding(start, end, dimensions) {
+    const stateType = getStateType(dimensions);
+
+    return {
+        name: 'Line Segment',
+        params: { start, end },
+        code: `
+// Line segment seeding
+${stateType} seed_position(vec2 cell) {
+    ${stateType} a = ${pointGLSL(start, dimensions)};
+    ${stateType} b = ${pointGLSL(end, dimensions)};
+    return a + seed_rand(cell, 0.0) * (b - a);
+}
+`,
+        sample({ random }) {
+            const s = random();
+            return start.map((a, i) => a + s * (end[i] - a));
+        }
+    };
+}
+
+/**
+ * Parametric curve seeding - one expression per dimension in the parameter s ∈ [0, 1]
+ * @param {string[]} curveExprs - Expressions for each coordinate (e.g., ['cos(2*pi*s)', 'sin(2*pi*s)'])
+ * @param {number} dimensions - Number of dimensions
+ */
+export function curveSeeding(curveExprs, dimensions) {
+    const stateType = getStateType(dimensions);
+    const exprs = Array.from({ length: dimensions }, (_, i) => (curveExprs[i] || '0').trim() || '0');
+
+    // 's' binds to curve.x of a helper vec2 (t still refers to simulation time)
+    const components = exprs.map(expr => parseExpression(expr, 1, ['s'], 'curve'));
+    const evaluators = createVelocityEvaluators(exprs, ['s']);
+
+    return {
+        name: 'Parametric Curve',
+        params: { curveExprs: exprs },
+        code: `
+// Parametric curve seeding
+${stateType} seed_position(vec2 cell) {
+    vec2 curve = vec2(seed_rand(cell, 0.0));
+    return ${buildState(components, dimensions)};
+}
+`,
+        sample({ random, time = 0 }) {
+            const s = random();
+            return evaluators.map(f => f(s, time));
+        }
+    };
+}
+
+/**
+ * Sphere seeding - uniform on the surface of an N-sphere (a circle in 2D)
+ * @param {number[]} center - Sphere center
+ * @param {number} radius - Sphere radius
+ * @param {number} dimensions - Number of dimensions
+ */
+export function sphereSeeding(center, radius, dimensions) {
+    const stateType = getStateType(dimensions);
+    const normals = Array.from({ length: dimensions }, (_, i) => `seed_gauss(cell, ${i}.0)`);
+
+    return {
+        name: 'Circle / Sphere',
+        params: { center, radius },
+        code: `
+// Sphere surface seeding (normalized Gaussian direction)
+${stateType} seed_position(vec2 cell) {
+    ${stateType} dir = ${buildState(normals, dimensions)};
+    return ${pointGLSL(center, dimensions)} + ${glslFloat(radius)} * dir / max(state_length(dir), 1e-6);
+}
+`,
+        sample({ random }) {
+            const dir = center.map(() => gaussian(random));
+            const length = Math.max(Math.hypot(...dir), 1e-6);
+            return center.map((c, i) => c + radius * dir[i] / length);
+        }
+    };
+}
+
+/**
+ * Gaussian blob seeding - isotropic normal distribution around a point
+ * @param {number[]} center - Mean
+ * @param {number} sigma - Standard deviation
+ * @param {number} dimensions - Number of dimensions
+ */
+export function gaussianSeeding(center, sigma, dimensions) {
+    const stateType = getStateType(dimensions);
+    const normals = Array.from({ length: dimensions }, (_, i) => `seed_gauss(cell, ${i}.0)`);
+
+    return {
+        name: 'Gaussian Blob',
+        params: { center, sigma },
+        code: `
+// Gaussian blob seeding
+${stateType} seed_position(vec2 cell) {
+    return ${pointGLSL(center, dimensions)} + ${glslFloat(sigma)} * ${buildState(normals, dimensions)};
+}
+`,
+        sample({ random }) {
+            return center.map(c => c + sigma * gaussian(random));
+        }
+    };
+}
+
+/**
+ * Grid seeding - one particle per cell of a regular grid over the viewport
+ * The grid follows the particle texture layout, so its resolution is
+ * sqrt(particle count) per axis. The grid spans the two displayed dimensions,
+ * the others are fixed at `center`.
+ * @param {number[]} center - Values for the dimensions off the grid
+ * @param {number} dimensions - Number of dimensions
+ * @param {number[]} [displayDims=[0, 1]] - State dimensions along the grid's axes
+ */
+export function gridSeeding(center, dimensions, displayDims = [0, 1]) {
+    const stateType = getStateType(dimensions);
+    const [dim1, dim2] = displayDims;
+
+    return {
+        name: 'Grid',
+        params: { center },
+        code: `
+// Grid seeding (texture cell -> viewport cell)
+${stateType} seed_position(vec2 cell) {
+    ${stateType} p = ${pointGLSL(center, dimensions)};
+    ${getStateComponent('p', dim1, dimensions)} = u_min.x + (u_max.x - u_min.x) * cell.x;
+    ${getStateComponent('p', dim2, dimensions)} = u_min.y + (u_max.y - u_min.y) * cell.y;
+    return p;
+}
+`,
+        sample({ index, resolution, getRange }) {
+            const point = [...center];
+            const cellX = ((index % resolution) + 0.5) / resolution;
+            const cellY = (Math.floor(index / resolution) + 0.5) / resolution;
+            const rangeX = getRange(0);
+            const rangeY = getRange(1);
+            point[dim1] = rangeX.min + (rangeX.max - rangeX.min) * cellX;
+            point[dim2] = rangeY.min + (rangeY.max - rangeY.min) * cellY;
+            return point;
+        }
+    };
+}
+
+/**
+ * Density seeding - rejection sampling from an expression over the storage range
+ * The expression is treated as an acceptance probability (clamped to [0, 1]).
+ * If no candidate is accepted, the candidate with the highest density is used.
+ * @param {string} densityExpr - Density expression in the state variables (e.g., 'exp(-(x^2 + y^2))')
+ * @param {number} dimensions - Number of dimensions
+ */
+export function densitySeeding(densityExpr, dimensions) {
+    const stateType = getStateType(dimensions);
+    const expr = (densityExpr || '1').trim() || '1';
+    const densityGLSL = parseExpression(expr, dimensions, null, 'candidate');
+    const [evaluator] = createVelocityEvaluators([expr], VARIABLE_NAMES.slice(0, dimensions));
+
+    // Stream k * (dimensions + 1) + i draws coordinate i; the last stream draws acceptance
+    const stride = dimensions + 1;
+    const candidateAssignments = Array.from({ length: dimensions }, (_, i) => {
+        const { min, max } = rangeGLSL(i);
+        return `${getStateComponent('candidate', i, dimensions)} = ${min} + (${max} - ${min}) * seed_rand(cell, fk * ${glslFloat(stride)} + ${glslFloat(i)});`;
+    });
+
+    return {
+        name: 'Density Expression',
+        params: { densityExpr: expr },
+        code: `
+// Density seeding (rejection sampling, ${DENSITY_CANDIDATES} candidates)
+${stateType} seed_position(vec2 cell) {
+    ${stateType} best = ${getStateZero(dimensions)};
+    float best_density = -1.0;
+    for (int k = 0; k < ${DENSITY_CANDIDATES}; k++) {
+        float fk = float(k);
+        ${stateType} candidate = ${getStateZero(dimensions)};
+        ${candidateAssignments.join('\n        ')}
+        float density = ${densityGLSL};
+        if (seed_rand(cell, fk * ${glslFloat(stride)} + ${glslFloat(dimensions)}) < density) {
+            return candidate;
+        }
+        if (density > best_density) {
+            best = candidate;
+            best_density = density;
+        }
+    }
+    return best;
+}
+`,
+        sample({ random, getRange, time = 0 }) {
+            let best = null;
+            let bestDensity = -Infinity;
+            for (let k = 0; k < DENSITY_CANDIDATES; k++) {
+                const candidate = Array.from({ length: dimensions }, (_, dim) => {
+                    const { min, max } = getRange(dim);
+                    return min + (max - min) * random();
+                });
+                const density = evaluator(...candidate, time);
+                if (random() < density) {
+                    return candidate;
+                }
+                if (density > bestDensity || best === null) {
+                    best = candidate;
+                    bestDensity = density;
+                }
+            }
+            return best;
+        }
+    };
+}
+
+/**
+ * Get seeding distribution by type
+ * @param {string} type - Seeding type ('uniform', 'line', 'curve', 'sphere', 'gaussian', 'grid', 'density')
+ * @param {number} dimensions - Number of dimensions
+ * @param {Object} params - Distribution parameters
+ * @returns {{name: string, params: Object, code: string, sample: Function}}
+ *   code also includes the shared seed_rand()/seed_gauss() helpers
+ */
+export function getSeeding(type, dimensions, params = {}) {
+    let seeding;
+
+    switch (type) {
+        case 'line':
+            seeding = lineSeeding(
+                parsePoint(params.start ?? '-1, 0', dimensions),
+                parsePoint(params.end ?? '1, 0', dimensions),
+                dimensions
+            );
+            break;
+
+        case 'curve':
+            seeding = curveSeeding(params.curveExprs || ['cos(2*pi*s)', 'sin(2*pi*s)'], dimensions);
+            break;
+
+        case 'sphere':
+            seeding = sphereSeeding(parsePoint(params.center, dimensions), params.radius ?? 1, dimensions);
+            break;
+
+        case 'gaussian':
+            seeding = gaussianSeeding(parsePoint(params.center, dimensions), params.sigma ?? 0.5, dimensions);
+            break;
+
+        case 'grid':
+            seeding = gridSeeding(parsePoint(params.center, dimensions), dimensions);
+            break;
+
+        case 'density':
+            seeding = densitySeeding(params.densityExpr, dimensions);
+            break;
+
+        default:
+            seeding = uniformSeeding(dimensions);
+    }
+
+    return {
+        ...seeding,
+        code: generateSeedingHelpersGLSL() + seeding.code
+    };
+}
@@ -0,0 +1,154 @@
+/**
+ * GLSL state vector representation for N-dimensional systems
+ *
+ * GLSL ES 1.0 vectors stop at vec4, so 5D and 6D systems pack their state
+ * into the first two columns of a mat3:
+ *   column 0 = (x, y, z), column 1 = (w, u, v), column 2 = unused (zero)
+ *
+ * Matrices support the same +, -, scalar * and scalar / arithmetic that the
+ * integrators use on vectors, so integrator bodies like
+ * `pos + h * 0.5 * k1` compile unchanged for every dimension count.
+ * Anything that needs individual components (texture reads/writes, velocity
+ * functions, mappers, color modes) goes through getStateComponent().
+ *
+ * Dimensions 2-4 keep using plain vecN, so generated code is unchanged there.
+ */
+
+/**
+ * Maximum number of dimensions supported by the GPU pipeline
+ */
+export const MAX_DIMENSIONS = 6;
+
+/**
+ * Largest dimension count that fits in a native GLSL vector
+ */
+export const MAX_VECTOR_DIMENSIONS = 4;
+
+const SWIZZLES = ['x', 'y', 'z', 'w'];
+
+/**
+ * Whether a dimension count needs the packed mat3 representation
+ * @param {number} dimensions - Number of dimensions
+ * @returns {boolean}
+ */
+export function isPackedState(dimensions) {
+    return dimensions > MAX_VECTOR_DIMENSIONS;
+}
+
+/**
+ * Get the GLSL type used to hold an N-dimensional state
+ * @param {number} dimensions - Number of dimensions (2-6)
+ * @returns {string} GLSL type name (e.g., 'vec3', 'mat3')
+ */
+export function getStateType(dimensions) {
+    if (dimensions > MAX_DIMENSIONS) {
+        throw new Error(`At most ${MAX_DIMENSIONS} dimensions are supported (got ${dimensions})`);
+    }
+    return isPackedState(dimensions) ? 'mat3' : `vec${dimensions}`;
+}
+
+/**
+ * Get a GLSL l-value/r-value for one component of a state variable
+ * @param {string} varName - GLSL variable name (e.g., 'pos')
+ * @param {number} index - Component index (0-based)
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL component access (e.g., 'pos.y', 'pos[1][1]')
+ */
+export function getStateComponent(varName, index, dimensions) {
+    if (isPackedState(dimensions)) {
+        return `${varName}[${Math.floor(index / 3)}][${index % 3}]`;
+    }
+    return `${varName}.${SWIZZLES[index]}`;
+}
+
+/**
+ * Format a number as a GLSL float literal
+ * @param {number} value - Number to format
+ * @returns {string} GLSL literal (e.g., '2.0', '0.5', '1e-8')
+ */
+export function glslFloat(value) {
+    const str = String(value);
+    return /[.eE]/.test(str) ? str : `${str}.0`;
+}
+
+/**
+ * Build a GLSL constructor for a state from per-component expressions
+ * @param {string[]} components - GLSL expressions, one per dimension
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL constructor (e.g., 'vec2(a, b)', 'mat3(a, b, c, d, e, 0.0, 0.0, 0.0, 0.0)')
+ */
+export function buildState(components, dimensions) {
+    if (isPackedState(dimensions)) {
+        const padded = [...components];
+        while (padded.length < 9) {
+            padded.push('0.0');
+        }
+        return `mat3(${padded.join(', ')})`;
+    }
+    return `vec${dimensions}(${components.join(', ')})`;
+}
+
+/**
+ * Build a GLSL unit basis state (1.0 in one component, scaled)
+ * @param {number} index - Component index set to the scale
+ * @param {number} dimensions - Number of dimensions
+ * @param {string} scale - GLSL literal for the non-zero component (default '1.0')
+ * @returns {string} GLSL constructor
+ */
+export function buildBasisState(index, dimensions, scale = '1.0') {
+    const components = Array.from({ length: dimensions }, (_, i) => i === index ? scale : '0.0');
+    return buildState(components, dimensions);
+}
+
+/**
+ * GLSL zero state constructor
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL expression (e.g., 'vec3(0.0)', 'mat3(0.0)')
+ */
+export function getStateZero(dimensions) {
+    return `${getStateType(dimensions)}(0.0)`;
+}
+
+/**
+ * Generate GLSL helper functions for working with state values
+ * Provides state_length() and state_dot(), which reduce to length()/dot()
+ * for vector states and sum over the packed columns for mat3 states, and
+ * state_mul() for component-wise products (mat3 * mat3 is a matrix product).
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL function declarations
+ */
+export function generateStateHelpersGLSL(dimensions) {
+    const stateType = getStateType(dimensions);
+
+    if (isPackedState(dimensions)) {
+        return `
+// State helpers (${dimensions}D packed into mat3 columns 0-1)
+float state_dot(mat3 a, mat3 b) {
+    return dot(a[0], b[0]) + dot(a[1], b[1]);
+}
+
+float state_length(mat3 s) {
+    return sqrt(state_dot(s, s));
+}
+
+mat3 state_mul(mat3 a, mat3 b) {
+    return matrixCompMult(a, b);
+}
+`;
+    }
+
+    return `
+// State helpers (${dimensions}D)
+float state_dot(${stateType} a, ${stateType} b) {
+    return dot(a, b);
+}
+
+float state_length(${stateType} s) {
+    return length(s);
+}
+
+${stateType} state_mul(${stateType} a, ${stateType} b) {
+    return a * b;
+}
+`;
+}
@@ -4,15 +4,27 @@
 
 import { logger } from '../utils/debug-logger.js';
 
+/**
+ * Default storage range for dimensions beyond x and y
+ */
+export const DEFAULT_DIMENSION_RANGE = { min: -10, max: 10 };
+
+/**
+ * Variable names used as keys for per-dimension storage ranges
+ */
+const DIMENSION_NAMES = ['x', 'y', 'z', 'w', 'u', 'v'];
+
 /**
  * Particle system class
  */
 export class ParticleSystem {
-    constructor(particleCount, dimensions, bbox, strategy) {
+    constructor(particleCount, dimensions, bbox, strategy, dimensionRanges = {}) {
         this.particleCount = particleCount;
         this.dimensions = dimensions;
         this.bbox = bbox || this.getDefaultBBox(dimensions);
         this.strategy = strategy;
+        this.dimensionRanges = dimensionRanges; // Storage ranges for dimensions 2+, keyed by variable name
+        this.seeding = null; // Seeding distribution (see math/seeding.js); null = uniform over storage ranges
 
         // Calculate texture resolution (square texture)
         this.resolution = Math.ceil(Math.sqrt(particleCount));
@@ -34,40 +46,65 @@ export class ParticleSystem {
     }
 
     /**
-     * Initialize particle positions randomly within bounding box
+     * Get the world-space storage range for a dimension
+     * Dimensions 0 and 1 follow the viewport bbox; higher dimensions use
+     * their configured range (or DEFAULT_DIMENSION_RANGE)
+     * @param {number} dim - Dimension index
+     * @returns {{min: number, max: number}}
+     */
+    getDimensionRange(dim) {
+        if (dim < 2) {
+            return { min: this.bbox.min[dim], max: this.bbox.max[dim] };
+        }
+        return this.dimensionRanges[DIMENSION_NAMES[dim]] || DEFAULT_DIMENSION_RANGE;
+    }
+
+    /**
+     * Sample a world-space starting position for a particle
+     * Uses the seeding distribution if set, otherwise uniform over the storage
+     * ranges (spawning 2% OUTSIDE the range for natural flow-in effect)
+     * @param {number} index - Particle index
+     * @returns {number[]} Position, one value per dimension
+     */
+    samplePosition(index) {
+        if (this.seeding) {
+            return this.seeding.sample({
+                index,
+                resolution: this.resolution,
+                random: Math.random,
+                getRange: (dim) => this.getDimensionRange(dim)
+            });
+        }
+
+        const margin = -0.02;
+        return Array.from({ length: this.dimensions }, (_, dim) => {
+            const { min, max } = this.getDimensionRange(dim);
+            const range = max - min;
+            return min + range * margin + Math.random() * range * (1 - 2 * margin);
+        });
+    }
+
+    /**
+     * Initialize particle positions from the seeding distribution
      */
     initializeParticles() {
-        this.data = [];
         const debugSamples = []; // Track samples for debugging
 
         const ArrayType = this.strategy.getArrayType();
         const componentsPerValue = this.strategy.getComponentsPerValue();
 
-        for (let dim = 0; dim < this.dimensions; dim++) {
-            const dimData = new ArrayType(this.actualParticleCount * componentsPerValue);
-
-            for (let i = 0; i < this.actualParticleCount; i++) {
-                // Random position within bounding box for this dimension
-                // Generate world coordinate
-                // Spawn 2% OUTSIDE viewport for natural flow-in effect
-                const margin = -0.02;
-                let worldValue;
-
-                if (dim < 2 && this.bbox.min && this.bbox.max) {
-                    // Use 2D bounding box for first two dimensions
-                    const min = dim === 0 ? this.bbox.min[0] : this.bbox.min[1];
-                    const max = dim === 0 ? this.bbox.max[0] : this.bbox.max[1];
-                    const range = max - min;
-                    // Spawn slightly outside viewport (negative margin)
-                    worldValue = min + range * margin + Math.random() * range * (1 - 2 * margin);
-                } else {
-                    // For higher dimensions, use default range [-10, 10] extending slightly beyond
-                    worldValue = -10.4 + Math.random() * 20.8;
-                }
+        const ranges = Array.from({ length: this.dimensions }, (_, dim) => this.getDimensionRange(dim));
+        this.data = ranges.map(() => new ArrayType(this.actualParticleCount * componentsPerValue));
+
+        for (let i = 0; i < this.actualParticleCount; i++) {
+            const position = this.samplePosition(i);
+
+            for (let dim = 0; dim < this.dimensions; dim++) {
+                const dimData = this.data[dim];
+                const { min, max } = ranges[dim];
+                const worldValue = position[dim];
 
                 // Encode using strategy
-                const min = dim < 2 ? (dim === 0 ? this.bbox.min[0] : this.bbox.min[1]) : -10;
-                const max = dim < 2 ? (dim === 0 ? this.bbox.max[0] : this.bbox.max[1]) : 10;
                 const encoded = this.strategy.encodeValue(worldValue, min, max);
 
                 // Copy encoded value to dimData
@@ -103,8 +140,6 @@ export class ParticleSystem {
                     };
                 }
             }
-
-            this.data.push(dimData);
         }
 
         // Log debug samples
@@ -160,6 +195,7 @@ export class ParticleSystem {
     setDimensions(newDimensions) {
         this.dimensions = newDimensions;
         this.bbox = this.getDefaultBBox(newDimensions);
+        this.seeding = null; // Distribution was built for the old dimension count
         this.initializeParticles();
     }
 
@@ -170,6 +206,22 @@ export class ParticleSystem {
         this.bbox = newBBox;
     }
 
+    /**
+     * Set the seeding distribution used by initializeParticles
+     * @param {Object|null} seeding - Distribution from getSeeding() (null = uniform)
+     */
+    setSeeding(seeding) {
+        this.seeding = seeding;
+    }
+
+    /**
+     * Update storage ranges for dimensions beyond x and y
+     * @param {Object<string, {min: number, max: number}>} ranges - Ranges keyed by variable name (e.g., { z: { min: 0, max: 50 } })
+     */
+    setDimensionRanges(ranges) {
+        this.dimensionRanges = ranges || {};
+    }
+
     /**
      * Get current resolution
      */
@@ -0,0 +1,233 @@
+/**
+ * Bifurcation Panel
+ *
+ * Sweeps the animation alpha or a constant of the field (see
+ * animation/bifurcation.js), plots parameter against the recorded coordinate
+ * as a density image and exports the diagram as PNG or CSV.
+ */
+
+import { logger } from '../utils/debug-logger.js';
+import { evaluateConstantExpression } from '../math/parser.js';
+import { BifurcationSweep } from '../animation/bifurcation.js';
+import {
+    findNumericConstants,
+    fitBifurcationBounds,
+    accumulateBifurcationDensity,
+    bifurcationToCSV
+} from '../math/bifurcation.js';
+
+const CARTESIAN_VARS = ['x', 'y', 'z', 'w', 'u', 'v'];
+
+/**
+ * Room for the axis labels around the plot (pixels)
+ */
+const LABEL_MARGIN = 28;
+
+export class BifurcationPanel {
+    /**
+     * @param {Renderer} renderer - Renderer the sweep runs on
+     * @param {HTMLCanvasElement} canvas - Canvas the diagram is drawn on (its size sets the resolution)
+     */
+    constructor(renderer, canvas) {
+        this.renderer = renderer;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.sweep = new BifurcationSweep(renderer);
+        this.constants = [];
+        this.bounds = null;
+    }
+
+    /**
+     * Rebuild the parameter list from the current field expressions (keeps the selection when it still exists)
+     */
+    refreshParameters() {
+        const $select = $('#bifurcation-parameter');
+        const previous = $select.val();
+        this.constants = findNumericConstants(this.renderer.expressions || []);
+
+        $select.empty();
+        $select.append($('<option>').val('a').text('a (animation alpha)'));
+        this.constants.forEach((constant, i) => {
+            const label = `${constant.text} in d${CARTESIAN_VARS[constant.dim]}/dt (#${constant.index + 1})`;
+            $select.append($('<option>').val(String(i)).text(label));
+        });
+
+        if (previous !== null && $select.find(`option[value="${previous}"]`).length > 0) {
+            $select.val(previous);
+        }
+    }
+
+    /**
+     * Selected parameter: 'a' or a constant from findNumericConstants
+     */
+    getParameter() {
+        const selected = $('#bifurcation-parameter').val();
+        return selected === 'a' || selected === null ? 'a' : this.constants[Number(selected)];
+    }
+
+    /**
+     * Name of a parameter for labels and the CSV header
+     */
+    getParameterName(parameter) {
+        return parameter === 'a' ? 'a' : `${CARTESIAN_VARS[parameter.dim]}_c${parameter.index + 1}`;
+    }
+
+    /**
+     * Suggest a range around the selected parameter's current value
+     */
+    suggestRange() {
+        const parameter = this.getParameter();
+        let start = 0, end = 1;
+        if (parameter !== 'a') {
+            start = parameter.value === 0 ? -1 : parameter.value * 0.5;
+            end = parameter.value === 0 ? 1 : parameter.value * 1.5;
+        }
+        $('#bifurcation-start').val(String(start));
+        $('#bifurcation-end').val(String(end));
+    }
+
+    /**
+     * Read the sweep options from the panel
+     * @returns {Object} Options for BifurcationSweep.run
+     * @throws {Error} If the range does not evaluate to numbers
+     */
+    readOptions() {
+        const integer = (id, min) => Math.max(min, parseInt($(id).val(), 10) || min);
+        return {
+            parameter: this.getParameter(),
+            start: evaluateConstantExpression(String($('#bifurcation-start').val())),
+            end: evaluateConstantExpression(String($('#bifurcation-end').val())),
+            count: integer('#bifurcation-count', 1),
+            coordinate: Number($('#bifurcation-coordinate').val()),
+            mode: $('#bifurcation-mode').val(),
+            burnInSteps: integer('#bifurcation-burn-in', 0),
+            accumulationSteps: integer('#bifurcation-accumulation', 1),
+            sampleInterval: integer('#bifurcation-interval', 1),
+            particles: integer('#bifurcation-particles', 1)
+        };
+    }
+
+    /**
+     * Run a sweep with the panel's options, redrawing after every parameter value
+     */
+    async run() {
+        let options;
+        try {
+            options = this.readOptions();
+        } catch (error) {
+            logger.error('Invalid bifurcation range:', error.message);
+            return;
+        }
+
+        const $progress = $('#bifurcation-progress');
+        try {
+            await this.sweep.run(options, (done, total) => {
+                $progress.text(`${done} / ${total} values, ${this.sweep.points.length} points`);
+                this.draw();
+            });
+            $progress.text(`${this.sweep.points.length} points`);
+        } catch (error) {
+            logger.error('Bifurcation sweep failed:', error.message);
+            $progress.text(`Failed: ${error.message}`);
+        }
+        this.draw();
+    }
+
+    /**
+     * Stop the running sweep after the current parameter value
+     */
+    stop() {
+        this.sweep.stop();
+    }
+
+    /**
+     * Draw the recorded points as a log-scaled density image with the axis ranges
+     */
+    draw() {
+        const { canvas, ctx } = this;
+        const options = this.sweep.options;
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (!options) return;
+
+        const points = this.sweep.points;
+        const width = canvas.width - LABEL_MARGIN;
+        const height = canvas.height - LABEL_MARGIN;
+        this.bounds = fitBifurcationBounds(points, options.start, options.end);
+        const { counts, max } = accumulateBifurcationDensity(points, width, height, this.bounds);
+
+        const image = ctx.createImageData(width, height);
+        const scale = max > 0 ? 1 / Math.log1p(max) : 0;
+        for (let i = 0; i < counts.length; i++) {
+            const level = counts[i] > 0 ? 0.25 + 0.75 * Math.log1p(counts[i]) * scale : 0;
+            image.data[i * 4] = 17 + level * (255 - 17);
+            image.data[i * 4 + 1] = 17 + level * (255 - 17);
+            image.data[i * 4 + 2] = 17 + level * (255 - 17);
+            image.data[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(image, LABEL_MARGIN, 0);
+
+        const format = value => Number(value.toPrecision(4)).toString();
+        const [p0, p1] = this.bounds.parameter;
+        const [v0, v1] = this.bounds.value;
+        ctx.fillStyle = '#4CAF50';
+        ctx.font = `${Math.round(LABEL_MARGIN * 0.5)}px monospace`;
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        ctx.fillText(format(p0), LABEL_MARGIN, canvas.height - 4);
+        ctx.textAlign = 'center';
+        ctx.fillText(this.getParameterName(options.parameter), LABEL_MARGIN + width / 2, canvas.height - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(format(p1), canvas.width - 2, canvas.height - 4);
+
+        ctx.save();
+        ctx.translate(LABEL_MARGIN - 6, height);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'left';
+        ctx.fillText(format(v0), 0, 0);
+        ctx.textAlign = 'center';
+        ctx.fillText(CARTESIAN_VARS[options.coordinate] + (options.mode === 'maxima' ? ' (maxima)' : ''), height / 2, 0);
+        ctx.textAlign = 'right';
+        ctx.fillText(format(v1), height, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Download a blob under a timestamped name
+     */
+    download(blob, extension) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        link.download = `bifurcation-${timestamp}.${extension}`;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Export the diagram image as PNG
+     */
+    exportPNG() {
+        if (this.sweep.points.length === 0) {
+            logger.warn('No bifurcation diagram to export');
+            return;
+        }
+        this.canvas.toBlob(blob => this.download(blob, 'png'), 'image/png');
+    }
+
+    /**
+     * Export the recorded points as CSV
+     */
+    exportCSV() {
+        const points = this.sweep.points;
+        if (points.length === 0) {
+            logger.warn('No bifurcation points to export');
+            return;
+        }
+        const options = this.sweep.options;
+        const csv = bifurcationToCSV(points, this.getParameterName(options.parameter), CARTESIAN_VARS[options.coordinate]);
+        this.download(new Blob([csv], { type: 'text/csv' }), 'csv');
+        logger.info(`Exported ${points.length} bifurcation point(s) to CSV`);
+    }
+}
@@ -89,10 +89,10 @@ export class FieldEquationsEditor {
 
                 // If successful, sync simple UI controls with the original expressions from this editor
                 if (result.success) {
-                    // Sync dimensions
+                    // Sync dimensions (equations in derivative notation may need more than one per equation)
                     const dimensionsElement = document.getElementById('dimensions');
                     if (dimensionsElement && dimensionsElement.setValue) {
-                        dimensionsElement.setValue(this.controls.length);
+                        dimensionsElement.setValue(this.renderer.dimensions);
                     }
 
                     // Sync expression inputs with ORIGINAL expressions (not expanded)
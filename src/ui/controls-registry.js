@@ -37,8 +37,12 @@ import { AnimatableParameterControl } from './parameter-control.js';
 import {
     DimensionInputsControl,
     MapperParamsControl,
+    DimensionRangesControl,
+    DiffusionInputsControl,
+    SeedingParamsControl,
     GradientControl,
-    TransformParamsControl
+    TransformParamsControl,
+    ModelParamsControl
 } from './custom-controls.js';
 
 import { initGradientEditor } from './gradient-editor.js';
@@ -48,6 +52,8 @@ import { getDefaultGradient } from '../math/gradients.js';
 import { logger } from '../utils/debug-logger.js';
 import { resizeAccordion } from './accordion-utils.js';
 import { FieldEquationWorkflow } from '../math/field-equation-workflow.js';
+import { evaluateConstantExpression, isTeXInput, texToExpression } from '../math/parser.js';
+import { usesDerivativeNotation, reduceToFirstOrder } from '../math/higher-order.js';
 import { WebComponentControlRegistry } from './web-component-registry.js';
 import { equationOverlay } from './equation-overlay.js';
 import { AnimationController } from '../animation/animation-controller.js';
@@ -56,9 +62,9 @@ import { PanelManager } from './utils/panel-manager.js';
 import { isMobile } from './utils/mobile.js';
 
 // Import specialized modules (Phase 3 refactoring)
-import { updateWhitePointVisibility, updateExpressionControls, updateGradientButtonVisibility, updateVelocityScalingVisibility } from './visibility-manager.js';
+import { updateWhitePointVisibility, updateExpressionControls, updateGradientButtonVisibility, updateVelocityScalingVisibility, updateLyapunovControlsVisibility, updateStructureControlsVisibility, updateGlyphControlsVisibility, updateLICControlsVisibility, updateFTLEControlsVisibility, updateBasinControlsVisibility, updatePoincareControlsVisibility, updateIntegratorControlsVisibility } from './visibility-manager.js';
 import { loadSettingsFromURLOrStorage, saveAllSettings, applyInitialSettings, restoreBBox, shareSettings } from './settings-manager.js';
-import { loadPresets, loadPreset, initPresetControls } from './preset-manager.js';
+import { loadPresets, loadPreset, initPresetControls, collectIntegratorParams } from './preset-manager.js';
 import { initGradientPanel } from './panel-controllers/gradient-panel.js';
 import { initRenderingPanel } from './panel-controllers/rendering-panel.js';
 import { initAnimationControls } from './animation-setup.js';
@@ -79,6 +85,9 @@ export function initControls(renderer, callback) {
     // Track previous dimensions to detect changes
     let previousDimensions = null;
 
+    // Track the previous model parameter block to rebuild its sliders
+    let previousModelParameters = null;
+
     // ========================================
     // Create ControlManager
     // ========================================
@@ -88,9 +97,119 @@ export function initControls(renderer, callback) {
         storageKey: 'vectorFieldSettings',
         debounceTime: 300,
         onApply: (settings) => {
-            // Transform implicitIterations into integratorParams
-            if (settings.implicitIterations !== undefined) {
-                settings.integratorParams = { iterations: settings.implicitIterations };
+            // Transform solver settings into integratorParams
+            collectIntegratorParams(settings);
+
+            // Evaluate time period expression (e.g., "2*pi") to a number
+            if (settings.timePeriod !== undefined) {
+                try {
+                    settings.timePeriod = settings.timePeriod === '' ? 0 : evaluateConstantExpression(String(settings.timePeriod));
+                } catch (error) {
+                    logger.warn(`Invalid time period "${settings.timePeriod}":`, error.message);
+                    delete settings.timePeriod;
+                }
+            }
+
+            // Evaluate isocline slopes ("1, -1, pi/4") to numbers
+            if (settings.isoclineSlopes !== undefined) {
+                try {
+                    settings.isoclineSlopes = settings.isoclineSlopes.split(',')
+                        .map(slope => slope.trim())
+                        .filter(slope => slope !== '')
+                        .map(slope => evaluateConstantExpression(slope));
+                } catch (error) {
+                    logger.warn(`Invalid isocline slopes "${settings.isoclineSlopes}":`, error.message);
+                    delete settings.isoclineSlopes;
+                }
+            }
+
+            // Evaluate the LIC phase speed expression (cycles per unit of simulation time)
+            if (settings.licSpeed !== undefined) {
+                try {
+                    settings.licSpeed = settings.licSpeed === '' ? 0 : evaluateConstantExpression(String(settings.licSpeed));
+                } catch (error) {
+                    logger.warn(`Invalid LIC phase speed "${settings.licSpeed}":`, error.message);
+                    delete settings.licSpeed;
+                }
+            }
+
+            // Evaluate the FTLE horizon expression; the grid size select gives a string
+            if (settings.ftleHorizon !== undefined) {
+                try {
+                    const horizon = evaluateConstantExpression(String(settings.ftleHorizon));
+                    if (!(horizon > 0)) {
+                        throw new Error('horizon must be positive');
+                    }
+                    settings.ftleHorizon = horizon;
+                } catch (error) {
+                    logger.warn(`Invalid FTLE horizon "${settings.ftleHorizon}":`, error.message);
+                    delete settings.ftleHorizon;
+                }
+            }
+            if (settings.ftleResolution !== undefined) {
+                settings.ftleResolution = Number(settings.ftleResolution);
+            }
+
+            // Basin steps and tolerance are expressions; the grid size select gives a string
+            if (settings.basinSteps !== undefined) {
+                try {
+                    const steps = Math.round(evaluateConstantExpression(String(settings.basinSteps)));
+                    if (!(steps >= 1)) {
+                        throw new Error('at least one step is needed');
+                    }
+                    settings.basinSteps = steps;
+                } catch (error) {
+                    logger.warn(`Invalid basin steps "${settings.basinSteps}":`, error.message);
+                    delete settings.basinSteps;
+                }
+            }
+            if (settings.basinTolerance !== undefined) {
+                try {
+                    const tolerance = evaluateConstantExpression(String(settings.basinTolerance));
+                    if (!(tolerance > 0)) {
+                        throw new Error('tolerance must be positive');
+                    }
+                    settings.basinTolerance = tolerance;
+                } catch (error) {
+                    logger.warn(`Invalid basin tolerance "${settings.basinTolerance}":`, error.message);
+                    delete settings.basinTolerance;
+                }
+            }
+            if (settings.basinResolution !== undefined) {
+                settings.basinResolution = Number(settings.basinResolution);
+            }
+
+            // Poincaré section coordinates come from selects as strings
+            for (const key of ['poincareDim1', 'poincareDim2']) {
+                if (settings[key] !== undefined) {
+                    settings[key] = Number(settings[key]);
+                }
+            }
+
+            // LaTeX the expression inputs could not convert: report why
+            const unreadTeX = (settings.expressions || []).find(isTeXInput);
+            if (unreadTeX) {
+                try {
+                    texToExpression(unreadTeX);
+                } catch (error) {
+                    logger.error('Invalid field equations:', error.message);
+                    showError(`Failed to apply field equations: ${error.message}`);
+                    return;
+                }
+            }
+
+            // Equations in derivative notation (x'' = ...) set the dimension themselves
+            if (usesDerivativeNotation(settings.expressions)) {
+                try {
+                    const system = reduceToFirstOrder(settings.expressions);
+                    settings.dimensions = system.dimensions;
+                    document.getElementById('dimensions')?.setValue?.(system.dimensions);
+                    manager.get('dimension-inputs')?.updateInputs();
+                } catch (error) {
+                    logger.error('Invalid field equations:', error.message);
+                    showError(`Failed to apply field equations: ${error.message}`);
+                    return;
+                }
             }
 
             // Update expression inputs BEFORE applying to renderer if dimensions changed
@@ -110,9 +229,41 @@ export function initControls(renderer, callback) {
                     mapperParamsControl.updateControls();
                 }
 
+                // Rebuild seeding inputs (curve expressions are per dimension)
+                const seedingParamsControl = manager.get('seeding-params');
+                if (seedingParamsControl) {
+                    seedingParamsControl.updateControls();
+                    settings.seedingParams = seedingParamsControl.getValue();
+                }
+
+                // Rebuild storage range inputs and drop ranges for removed dimensions
+                const dimensionRangesControl = manager.get('dimension-ranges');
+                if (dimensionRangesControl) {
+                    dimensionRangesControl.updateControls();
+                    settings.dimensionRanges = dimensionRangesControl.getValue();
+                }
+
+                // Rebuild noise inputs (one term per dimension)
+                const diffusionInputsControl = manager.get('diffusion-inputs');
+                if (diffusionInputsControl) {
+                    diffusionInputsControl.updateControls();
+                    settings.diffusionExpressions = diffusionInputsControl.getValue();
+                }
+
                 previousDimensions = currentDimensions;
             }
 
+            // Rebuild the model parameter sliders when the parameter block changed
+            // (the renderer registers the block before the field equations are parsed)
+            if (settings.modelParameters !== previousModelParameters) {
+                const modelParamsControl = manager.get('model-params');
+                if (modelParamsControl) {
+                    modelParamsControl.updateControls();
+                    settings.parameterValues = modelParamsControl.getValue();
+                }
+                previousModelParameters = settings.modelParameters;
+            }
+
             // Keep original expressions for equation overlay display (LaTeX should show user input, not algebraic expansion)
             const originalExpressions = settings.expressions ? [...settings.expressions] : null;
 
@@ -202,11 +353,8 @@ export function initControls(renderer, callback) {
     const integratorElement = document.getElementById('integrator');
     if (integratorElement) {
         integratorElement.addEventListener('change', () => {
-            const value = integratorElement.getValue();
-            // Show/hide implicit method controls based on integrator type
-            const isImplicit = value.startsWith('implicit-') || value === 'trapezoidal';
-            $('#implicit-iterations-group').toggle(isImplicit);
-            $('#solution-method-group').toggle(isImplicit);
+            // Show/hide implicit and adaptive method controls based on integrator type
+            updateIntegratorControlsVisibility(integratorElement.getValue());
             resizeAccordion('#integrator', 0);
         });
     }
@@ -217,6 +365,58 @@ export function initControls(renderer, callback) {
     // Timestep slider with custom increment buttons
     webComponentRegistry.register('animatable-timestep', 'timestep');
 
+    // Time period for non-autonomous fields (expression, wraps t when > 0)
+    manager.register(new TextControl('time-period', '0', {
+        settingsKey: 'timePeriod'
+    }));
+
+    // Position coordinates for symplectic integrators (comma-separated, others are momenta)
+    manager.register(new TextControl('symplectic-positions', '', {
+        settingsKey: 'symplecticPositions'
+    }));
+
+    // Isocline slopes for the nullcline overlay (comma-separated expressions)
+    manager.register(new TextControl('isocline-slopes', '', {
+        settingsKey: 'isoclineSlopes'
+    }));
+
+    // LIC background phase speed (expression)
+    manager.register(new TextControl('lic-speed', '1', {
+        settingsKey: 'licSpeed'
+    }));
+
+    // FTLE field integration horizon (expression)
+    manager.register(new TextControl('ftle-horizon', '10', {
+        settingsKey: 'ftleHorizon'
+    }));
+
+    // Field arrow length scaling
+    webComponentRegistry.register('select-control', 'glyph-scaling');
+
+    // FTLE field direction and grid size
+    webComponentRegistry.register('select-control', 'ftle-direction');
+    webComponentRegistry.register('select-control', 'ftle-resolution');
+
+    // Basin attractor points, integration steps and tolerance (expressions)
+    manager.register(new TextControl('basin-attractors', '', {
+        settingsKey: 'basinAttractors'
+    }));
+    manager.register(new TextControl('basin-steps', '2000', {
+        settingsKey: 'basinSteps'
+    }));
+    manager.register(new TextControl('basin-tolerance', '0.1', {
+        settingsKey: 'basinTolerance'
+    }));
+    webComponentRegistry.register('select-control', 'basin-resolution');
+
+    // Poincaré section equation and coordinates
+    manager.register(new TextControl('poincare-equation', 'z = 27', {
+        settingsKey: 'poincareEquation'
+    }));
+    webComponentRegistry.register('select-control', 'poincare-direction');
+    webComponentRegistry.register('select-control', 'poincare-dim1');
+    webComponentRegistry.register('select-control', 'poincare-dim2');
+
     // === Particle controls ===
 
     // Fade slider with custom logarithmic transform
@@ -281,6 +481,26 @@ export function initControls(renderer, callback) {
     const dimensionsElement = document.getElementById('dimensions');
     mapperParamsControl.setRelatedControls(dimensionsElement, mapperElement);
 
+    // === Seeding controls ===
+
+    // Seeding distribution select (web component with onChange handler)
+    webComponentRegistry.register('select-control', 'seeding');
+    const seedingElement = document.getElementById('seeding');
+    if (seedingElement) {
+        seedingElement.addEventListener('change', () => {
+            // Update seeding params UI when seeding type changes
+            const seedingParamsControl = manager.get('seeding-params');
+            if (seedingParamsControl) {
+                seedingParamsControl.updateControls();
+            }
+        });
+    }
+
+    const seedingParamsControl = manager.register(new SeedingParamsControl({}, {
+        settingsKey: 'seedingParams'
+    }));
+    seedingParamsControl.setRelatedControls(dimensionsElement, seedingElement);
+
     // === Color mode controls ===
 
     // Color mode select (web component with onChange handler)
@@ -292,6 +512,8 @@ export function initControls(renderer, callback) {
             updateExpressionControls(value);
             updateGradientButtonVisibility(value);
             updateVelocityScalingVisibility(value);
+            updateLyapunovControlsVisibility(value);
+            updateStructureControlsVisibility(value);
         });
     }
 
@@ -312,6 +534,43 @@ export function initControls(renderer, callback) {
         settingsKey: 'expressions'
     }));
 
+    // === Storage ranges for dimensions beyond x/y (custom control) ===
+
+    const dimensionRangesControl = manager.register(new DimensionRangesControl({}, {
+        settingsKey: 'dimensionRanges'
+    }));
+    dimensionRangesControl.setDimensionsControl(document.getElementById('dimensions'));
+
+    // === Noise terms for stochastic integrators (custom control) ===
+
+    const diffusionInputsControl = manager.register(new DiffusionInputsControl([], {
+        settingsKey: 'diffusionExpressions'
+    }));
+    diffusionInputsControl.setDimensionsControl(document.getElementById('dimensions'));
+
+    // === Model parameters (block of named constants with generated sliders) ===
+
+    const modelParametersControl = manager.register(new TextControl('model-parameters', '', {
+        settingsKey: 'modelParameters'
+    }));
+
+    // Function definitions usable in the field and parameter blocks
+    manager.register(new TextControl('custom-functions', '', {
+        settingsKey: 'customFunctions'
+    }));
+
+    // Slider moves only update the parameter uniforms: no recompile, no debounced apply
+    // (restored values, e.g. from animation keyframes, go the same way through onChange)
+    const modelParamsControl = manager.register(new ModelParamsControl({}, {
+        settingsKey: 'parameterValues',
+        onChange: (values) => renderer.updateConfig({ parameterValues: values }),
+        onValuesChange: (values) => {
+            renderer.updateConfig({ parameterValues: values });
+            saveAllSettings(manager, renderer);
+        }
+    }));
+    modelParamsControl.setDefinitionsControl(modelParametersControl);
+
     // === Tone mapping controls ===
 
     // Tonemap operator select (web component with onChange handler)
@@ -346,6 +605,7 @@ export function initControls(renderer, callback) {
     });
 
     webComponentRegistry.register('linear-slider', 'implicit-iterations');
+    webComponentRegistry.register('linear-slider', 'adaptive-max-substeps');
     webComponentRegistry.register('linear-slider', 'particles');
     webComponentRegistry.register('linear-slider', 'drop');
     webComponentRegistry.register('linear-slider', 'supersample-factor');
@@ -353,6 +613,13 @@ export function initControls(renderer, callback) {
     webComponentRegistry.register('linear-slider', 'bilateral-intensity');
 
     // Log sliders
+    webComponentRegistry.register('log-slider', 'adaptive-tolerance');
+    webComponentRegistry.register('log-slider', 'lyapunov-range');
+    webComponentRegistry.register('log-slider', 'lyapunov-window');
+    webComponentRegistry.register('log-slider', 'structure-range');
+    webComponentRegistry.register('log-slider', 'glyph-spacing');
+    webComponentRegistry.register('log-slider', 'lic-length');
+    webComponentRegistry.register('log-slider', 'lic-intensity');
     webComponentRegistry.register('log-slider', 'exposure');
     webComponentRegistry.register('log-slider', 'gamma');
     webComponentRegistry.register('log-slider', 'luminance-gamma');
@@ -378,11 +645,41 @@ export function initControls(renderer, callback) {
     webComponentRegistry.register('percent-slider', 'brightness-desat');
     webComponentRegistry.register('percent-slider', 'saturation-buildup');
     webComponentRegistry.register('percent-slider', 'respawn-margin');
+    webComponentRegistry.register('percent-slider', 'lic-phase');
 
     // Checkboxes
     webComponentRegistry.register('check-box', 'velocity-log-scale');
     webComponentRegistry.register('check-box', 'show-grid');
     webComponentRegistry.register('check-box', 'show-equations');
+    webComponentRegistry.register('check-box', 'show-nullclines');
+    webComponentRegistry.register('check-box', 'show-glyphs').then(el => {
+        if (el) {
+            el.addEventListener('change', () => updateGlyphControlsVisibility(el.getValue()));
+        }
+    });
+    webComponentRegistry.register('check-box', 'lic-enabled').then(el => {
+        if (el) {
+            el.addEventListener('change', () => updateLICControlsVisibility(el.getValue()));
+        }
+    });
+    webComponentRegistry.register('check-box', 'lic-animate');
+    webComponentRegistry.register('check-box', 'ftle-enabled').then(el => {
+        if (el) {
+            el.addEventListener('change', () => updateFTLEControlsVisibility(el.getValue()));
+        }
+    });
+    webComponentRegistry.register('check-box', 'basin-enabled').then(el => {
+        if (el) {
+            el.addEventListener('change', () => updateBasinControlsVisibility(el.getValue()));
+        }
+    });
+    webComponentRegistry.register('check-box', 'basin-shading');
+    webComponentRegistry.register('check-box', 'poincare-enabled').then(el => {
+        if (el) {
+            el.addEventListener('change', () => updatePoincareControlsVisibility(el.getValue()));
+        }
+    });
+    webComponentRegistry.register('check-box', 'poincare-view');
     webComponentRegistry.register('check-box', 'frame-limit-enabled');
     webComponentRegistry.register('check-box', 'use-hdr');
     webComponentRegistry.register('check-box', 'smaa-enabled');
@@ -476,6 +773,28 @@ export function initControls(renderer, callback) {
         renderer.clearScreen();
     });
 
+    // Reset Time button (restarts the simulation clock at t = 0)
+    $('#reset-time').on('click', function() {
+        renderer.resetTime();
+    });
+
+    // Auto-fit storage ranges for dimensions beyond x/y by sampling trajectories
+    $('#fit-dimension-ranges').on('click', async function() {
+        const button = $(this);
+        button.prop('disabled', true);
+        try {
+            const ranges = await renderer.fitDimensionRanges();
+            if (!ranges) {
+                return;
+            }
+            const dimensionRangesControl = manager.get('dimension-ranges');
+            dimensionRangesControl.setValue(ranges);
+            manager.apply();
+        } finally {
+            button.prop('disabled', false);
+        }
+    });
+
     // Save Image button (saves render buffer at scaled resolution as PNG)
     $('#save-image').on('click', async function() {
         try {
@@ -557,6 +876,15 @@ export function initControls(renderer, callback) {
             return;
         }
 
+        // Handle dynamically created model parameter sliders
+        if (sliderId.startsWith('model-param-')) {
+            const modelParamsControl = manager.get('model-params');
+            if (modelParamsControl) {
+                modelParamsControl.handleModelParamButton(sliderId, action);
+            }
+            return;
+        }
+
         console.warn(`No button handler found for slider: ${sliderId}`);
     });
 
@@ -758,12 +1086,16 @@ export function initControls(renderer, callback) {
             updateExpressionControls(colorMode);
             updateGradientButtonVisibility(colorMode);
             updateVelocityScalingVisibility(colorMode);
-
-            // Initialize implicit method controls visibility
-            const currentIntegrator = manager.get('integrator').getValue() || 'rk2';
-            const isImplicit = currentIntegrator.startsWith('implicit-') || currentIntegrator === 'trapezoidal';
-            $('#implicit-iterations-group').toggle(isImplicit);
-            $('#solution-method-group').toggle(isImplicit);
+            updateLyapunovControlsVisibility(colorMode);
+            updateStructureControlsVisibility(colorMode);
+            updateGlyphControlsVisibility(document.getElementById('show-glyphs')?.getValue?.());
+            updateLICControlsVisibility(document.getElementById('lic-enabled')?.getValue?.());
+            updateFTLEControlsVisibility(document.getElementById('ftle-enabled')?.getValue?.());
+            updateBasinControlsVisibility(document.getElementById('basin-enabled')?.getValue?.());
+            updatePoincareControlsVisibility(document.getElementById('poincare-enabled')?.getValue?.());
+
+            // Initialize implicit and adaptive method controls visibility
+            updateIntegratorControlsVisibility(manager.get('integrator').getValue() || 'rk2');
 
             // Initialize equation overlay visibility
             if (showEquationsCheckbox?.getValue && showEquationsCheckbox.getValue()) {
@@ -6,8 +6,11 @@
 import { Control, CheckboxControl } from './control-base.js';
 import { ParameterControl, AnimatableParameterControl } from './parameter-control.js';
 import { getTransform } from '../math/transforms.js';
+import { parseModelParameters, isTeXInput, texToExpression } from '../math/parser.js';
+import { usesDerivativeNotation } from '../math/higher-order.js';
 import { logger } from '../utils/debug-logger.js';
 import { resizeAccordion } from './accordion-utils.js';
+import { DEFAULT_DIMENSION_RANGE } from '../particles/system.js';
 
 /**
  * FloatCheckboxControl - checkbox that outputs 0.0 or 1.0 instead of boolean
@@ -91,22 +94,75 @@ export class DimensionInputsControl extends Control {
      * Get current expression values
      */
     getValue() {
+        // Equations in derivative notation set their own dimension: return the
+        // filled-in ones as entered
+        const entered = this.getEnteredValues().map(value => this.fromTeX(this.toAscii(value)));
+        if (usesDerivativeNotation(entered)) {
+            return entered.filter(expr => expr !== '');
+        }
+
         const dimensions = this.getDimensions();
         const expressions = [];
         for (let i = 0; i < dimensions; i++) {
             const value = $(`#expr-${i}`).val();
-            let expr = value ? value.trim() : '0';
-
-            // Convert Unicode symbols to ASCII (θ → theta, φ → phi, etc.)
-            if (expr && window.UnicodeAutocomplete && window.UnicodeAutocomplete.unicodeToAscii) {
-                expr = window.UnicodeAutocomplete.unicodeToAscii(expr);
-            }
-
+            const expr = this.fromTeX(this.toAscii(value ? value.trim() : '0'));
             expressions.push(expr || '0');
         }
         return expressions;
     }
 
+    /**
+     * Trimmed values of all existing expression inputs
+     * @returns {string[]}
+     */
+    getEnteredValues() {
+        const values = [];
+        for (let i = 0; $(`#expr-${i}`).length > 0; i++) {
+            const value = $(`#expr-${i}`).val();
+            values.push(value ? value.trim() : '');
+        }
+        return values;
+    }
+
+    /**
+     * Convert Unicode symbols to ASCII (θ → theta, φ → phi, etc.)
+     * @param {string} expr - Expression as typed
+     * @returns {string}
+     */
+    toAscii(expr) {
+        if (expr && window.UnicodeAutocomplete && window.UnicodeAutocomplete.unicodeToAscii) {
+            return window.UnicodeAutocomplete.unicodeToAscii(expr);
+        }
+        return expr;
+    }
+
+    /**
+     * Convert an expression typed in LaTeX to parser syntax
+     * LaTeX that does not convert is returned as is: applying it reports the error.
+     * @param {string} expr - Expression as typed
+     * @returns {string}
+     */
+    fromTeX(expr) {
+        if (!isTeXInput(expr)) {
+            return expr;
+        }
+        try {
+            return texToExpression(expr);
+        } catch (error) {
+            return expr;
+        }
+    }
+
+    /**
+     * Whether the entered values are equations in derivative notation,
+     * also when written in LaTeX (\ddot{x} = ...)
+     * @param {string[]} values - Expression input values
+     * @returns {boolean}
+     */
+    usesEquations(values) {
+        return usesDerivativeNotation(values.map(value => this.fromTeX(String(value))));
+    }
+
     /**
      * Set expression values
      */
@@ -149,14 +205,10 @@ export class DimensionInputsControl extends Control {
             try {
                 if (firstElement.length > 0) {
                     // Read all existing expression inputs (find max index)
-                    const existingValues = [];
-                    let i = 0;
-                    while ($(`#expr-${i}`).length > 0) {
-                        const value = $(`#expr-${i}`).val();
-                        existingValues.push(value ? value.trim() : '0');
-                        i++;
-                    }
-                    valuesToUse = existingValues;
+                    const existingValues = this.getEnteredValues();
+                    valuesToUse = this.usesEquations(existingValues)
+                        ? existingValues
+                        : existingValues.map(value => value || '0');
                     logger.verbose('Got current values from existing inputs:', valuesToUse);
                 } else {
                     valuesToUse = this.defaultValue;
@@ -168,6 +220,12 @@ export class DimensionInputsControl extends Control {
             }
         }
 
+        // Derivative notation: one numbered input per equation, whatever the dimension
+        if (this.usesEquations(valuesToUse)) {
+            this.buildEquationInputs(container, valuesToUse.filter(value => String(value).trim() !== ''));
+            return;
+        }
+
         // Pad valuesToUse to match new dimensions if needed
         // This preserves existing values when increasing dimensions
         if (valuesToUse.length < dimensions) {
@@ -213,6 +271,45 @@ export class DimensionInputsControl extends Control {
         this.updateAccordionHeight();
     }
 
+    /**
+     * Build inputs for equations in derivative notation (x'' = ...), plus a
+     * blank one to add another equation
+     * @param {jQuery} container - The #dimension-inputs element
+     * @param {string[]} equations - Non-blank equations
+     */
+    buildEquationInputs(container, equations) {
+        // Already showing these equations: keep the inputs (and focus) as they are
+        const current = container.children('.equation-input').find('input')
+            .map((i, input) => $(input).val().trim()).get();
+        if (current.length === equations.length + 1 && equations.every((equation, i) => current[i] === equation)) {
+            return;
+        }
+
+        container.empty();
+        [...equations, ''].forEach((equation, i) => container.append(this.createEquationInput(i, equation)));
+
+        this.attachInputListeners();
+        if (window.unicodeAutocomplete) {
+            window.unicodeAutocomplete.attachToAll('[id^="expr-"]');
+        }
+        this.updateAccordionHeight();
+    }
+
+    /**
+     * Create one numbered equation input
+     * @param {number} index - Input index
+     * @param {string} equation - Initial equation text
+     * @returns {jQuery}
+     */
+    createEquationInput(index, equation) {
+        const div = $('<div class="dimension-input equation-input"></div>');
+        div.append(`<label>${index + 1}.</label>`);
+        const input = $(`<input type="text" id="expr-${index}" placeholder="x'' = ...">`);
+        input.val(equation);
+        div.append(input);
+        return div;
+    }
+
     /**
      * Update accordion section height to fit content
      */
@@ -231,6 +328,16 @@ export class DimensionInputsControl extends Control {
 
         // Add new listeners
         $(document).on('input', '[id^="expr-"]', () => {
+            // Keep a blank input at the end for the next equation
+            const entered = this.getEnteredValues();
+            if (this.usesEquations(entered) && entered[entered.length - 1] !== '') {
+                $('#dimension-inputs').append(this.createEquationInput(entered.length, ''));
+                if (window.unicodeAutocomplete) {
+                    window.unicodeAutocomplete.attachToAll('[id^="expr-"]');
+                }
+                this.updateAccordionHeight();
+            }
+
             if (this.onChange) this.onChange(this.getValue());
             if (callback) callback();
         });
@@ -479,6 +586,400 @@ export class MapperParamsControl extends Control {
     }
 }
 
+/**
+ * DimensionRangesControl - manages storage ranges for dimensions beyond x and y
+ * Creates min/max inputs for each higher dimension. Only ranges that were
+ * edited are stored; other dimensions use DEFAULT_DIMENSION_RANGE.
+ */
+export class DimensionRangesControl extends Control {
+    constructor(defaultValue, options = {}) {
+        super('dimension-ranges', defaultValue, options);
+        this.dimensionsControl = null;
+        this.currentRanges = { ...defaultValue };
+        this.varNames = ['x', 'y', 'z', 'w', 'u', 'v'];
+    }
+
+    /**
+     * Set reference to dimensions control
+     */
+    setDimensionsControl(dimensionsControl) {
+        this.dimensionsControl = dimensionsControl;
+    }
+
+    /**
+     * Get current dimension count
+     */
+    getDimensions() {
+        return this.dimensionsControl ? this.dimensionsControl.getValue() : 2;
+    }
+
+    /**
+     * Get ranges for the active dimensions, keyed by variable name
+     */
+    getValue() {
+        const dimensions = this.getDimensions();
+        const ranges = {};
+
+        for (let i = 2; i < dimensions; i++) {
+            const name = this.varNames[i];
+            if (this.currentRanges[name]) {
+                ranges[name] = { ...this.currentRanges[name] };
+            }
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Set ranges
+     */
+    setValue(ranges) {
+        this.currentRanges = { ...(ranges || {}) };
+        this.updateControls();
+    }
+
+    /**
+     * Rebuild min/max inputs for the current dimension count
+     */
+    updateControls() {
+        const dimensions = this.getDimensions();
+        const container = $('#dimension-ranges-controls');
+
+        if (container.length === 0) return;
+
+        container.empty();
+        $('#dimension-ranges-group').toggle(dimensions > 2);
+
+        for (let i = 2; i < dimensions; i++) {
+            const name = this.varNames[i];
+            const range = this.currentRanges[name] || DEFAULT_DIMENSION_RANGE;
+
+            const row = $('<div class="control-row"></div>');
+            row.append(`<label style="width: 20px;">${name}</label>`);
+            row.append(`<input type="number" class="dimension-range-min" data-var="${name}" value="${range.min}" step="any" style="flex: 1;" title="Minimum ${name}">`);
+            row.append(`<input type="number" class="dimension-range-max" data-var="${name}" value="${range.max}" step="any" style="flex: 1;" title="Maximum ${name}">`);
+            container.append(row);
+        }
+
+        this.attachInputListeners();
+        resizeAccordion('#dimension-ranges-controls', 0);
+    }
+
+    /**
+     * Attach listeners to min/max inputs
+     */
+    attachInputListeners() {
+        const callback = this.onChangeCallback;
+
+        $('#dimension-ranges-controls input').off('change').on('change', (e) => {
+            const name = $(e.target).data('var');
+            const min = parseFloat($(`.dimension-range-min[data-var="${name}"]`).val());
+            const max = parseFloat($(`.dimension-range-max[data-var="${name}"]`).val());
+
+            if (!isFinite(min) || !isFinite(max) || min >= max) {
+                logger.warn(`Invalid storage range for ${name}: [${min}, ${max}] (min must be less than max)`);
+                return;
+            }
+
+            this.currentRanges[name] = { min, max };
+            if (this.onChange) this.onChange(this.getValue());
+            if (callback) callback();
+        });
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachListeners(callback) {
+        this.onChangeCallback = callback;
+        this.updateControls();
+    }
+
+    /**
+     * Reset to default value
+     */
+    reset() {
+        this.currentRanges = { ...this.defaultValue };
+        this.updateControls();
+    }
+}
+
+/**
+ * DiffusionInputsControl - noise terms per dimension for stochastic integrators
+ * Terms are written as the coefficient of dW (a trailing `*dW` is accepted);
+ * empty inputs add no noise.
+ */
+export class DiffusionInputsControl extends Control {
+    constructor(defaultValue, options = {}) {
+        super('diffusion-inputs', defaultValue, options);
+        this.dimensionsControl = null;
+        this.currentTerms = [...defaultValue];
+        this.varNames = ['x', 'y', 'z', 'w', 'u', 'v'];
+    }
+
+    /**
+     * Set reference to dimensions control
+     */
+    setDimensionsControl(dimensionsControl) {
+        this.dimensionsControl = dimensionsControl;
+    }
+
+    /**
+     * Get current dimension count
+     */
+    getDimensions() {
+        return this.dimensionsControl ? this.dimensionsControl.getValue() : 2;
+    }
+
+    /**
+     * Get noise terms for the active dimensions ('0' where empty)
+     */
+    getValue() {
+        const dimensions = this.getDimensions();
+        return Array.from({ length: dimensions }, (_, i) => {
+            const term = (this.currentTerms[i] || '').trim();
+            return term || '0';
+        });
+    }
+
+    /**
+     * Set noise terms
+     */
+    setValue(terms) {
+        if (!Array.isArray(terms)) return;
+        this.currentTerms = [...terms];
+        this.updateControls();
+    }
+
+    /**
+     * Rebuild one input per dimension
+     */
+    updateControls() {
+        const dimensions = this.getDimensions();
+        const container = $('#diffusion-inputs');
+
+        if (container.length === 0) return;
+
+        container.empty();
+        for (let i = 0; i < dimensions; i++) {
+            const name = this.varNames[i];
+            const term = this.currentTerms[i] || '0';
+
+            const div = $('<div class="dimension-input"></div>');
+            div.append(`<label>σ<sub>${name}</sub> =</label>`);
+            div.append(`<input type="text" class="diffusion-term" data-index="${i}" value="${term}" title="Noise on d${name}: coefficient of dW (e.g., 0.3 or 0.3*${name}*dW)">`);
+            container.append(div);
+        }
+
+        this.attachInputListeners();
+        resizeAccordion('#diffusion-inputs', 0);
+    }
+
+    /**
+     * Attach listeners to the term inputs
+     */
+    attachInputListeners() {
+        const callback = this.onChangeCallback;
+
+        $('#diffusion-inputs input').off('input').on('input', (e) => {
+            const index = $(e.target).data('index');
+            this.currentTerms[index] = $(e.target).val();
+            if (this.onChange) this.onChange(this.getValue());
+            if (callback) callback();
+        });
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachListeners(callback) {
+        this.onChangeCallback = callback;
+        this.updateControls();
+    }
+
+    /**
+     * Reset to default value
+     */
+    reset() {
+        this.currentTerms = [...this.defaultValue];
+        this.updateControls();
+    }
+}
+
+/**
+ * Input fields for each seeding distribution (curve expressions are built per dimension)
+ * Points are comma-separated coordinate lists; missing coordinates default to 0
+ */
+const SEEDING_FIELDS = {
+    line: [
+        { key: 'start', label: 'Start point', default: '-1, 0', placeholder: 'e.g., -1, 0' },
+        { key: 'end', label: 'End point', default: '1, 0', placeholder: 'e.g., 1, 0' }
+    ],
+    sphere: [
+        { key: 'center', label: 'Center', default: '0, 0', placeholder: 'e.g., 0, 0' },
+        { key: 'radius', label: 'Radius', default: 1, type: 'number' }
+    ],
+    gaussian: [
+        { key: 'center', label: 'Center', default: '0, 0', placeholder: 'e.g., 0, 0' },
+        { key: 'sigma', label: 'Standard deviation', default: 0.5, type: 'number' }
+    ],
+    grid: [
+        { key: 'center', label: 'Other dimensions at (x, y ignored)', default: '0, 0', placeholder: 'e.g., 0, 0, 25' }
+    ],
+    density: [
+        { key: 'densityExpr', label: 'Density (0-1)', default: 'exp(-(x^2 + y^2))', placeholder: 'e.g., exp(-(x^2 + y^2))', monospace: true }
+    ]
+};
+
+const DEFAULT_CURVE_EXPRS = ['cos(2*pi*s)', 'sin(2*pi*s)'];
+
+/**
+ * SeedingParamsControl - manages parameters for the particle seeding distribution
+ * Creates inputs for the selected seeding type
+ */
+export class SeedingParamsControl extends Control {
+    constructor(defaultValue, options = {}) {
+        super('seeding-params', defaultValue, options);
+        this.dimensionsControl = null;
+        this.seedingControl = null;
+        this.currentParams = { ...defaultValue };
+        this.varNames = ['x', 'y', 'z', 'w', 'u', 'v'];
+    }
+
+    /**
+     * Set references to related controls
+     */
+    setRelatedControls(dimensionsControl, seedingControl) {
+        this.dimensionsControl = dimensionsControl;
+        this.seedingControl = seedingControl;
+    }
+
+    /**
+     * Get current dimensions and seeding type
+     */
+    getContext() {
+        const dimensions = this.dimensionsControl ? this.dimensionsControl.getValue() : 2;
+        const seeding = this.seedingControl ? this.seedingControl.getValue() : 'uniform';
+        return { dimensions, seeding };
+    }
+
+    /**
+     * Get parameters for the current seeding type
+     */
+    getValue() {
+        const { dimensions, seeding } = this.getContext();
+
+        if (seeding === 'curve') {
+            const exprs = this.currentParams.curveExprs || DEFAULT_CURVE_EXPRS;
+            return {
+                curveExprs: Array.from({ length: dimensions }, (_, i) => exprs[i] || '0')
+            };
+        }
+
+        const params = {};
+        for (const field of SEEDING_FIELDS[seeding] || []) {
+            params[field.key] = this.currentParams[field.key] ?? field.default;
+        }
+        return params;
+    }
+
+    /**
+     * Set seeding params
+     */
+    setValue(params) {
+        this.currentParams = { ...(params || {}) };
+        this.updateControls();
+    }
+
+    /**
+     * Update inputs based on seeding type and dimensions
+     */
+    updateControls() {
+        const { dimensions, seeding } = this.getContext();
+        const container = $('#seeding-controls');
+
+        if (container.length === 0) return;
+
+        container.empty();
+
+        if (seeding === 'curve') {
+            const exprs = this.getValue().curveExprs;
+            for (let i = 0; i < dimensions; i++) {
+                const group = $('<div class="control-group"></div>');
+                group.append(`<label>${this.varNames[i]}(s):</label>`);
+                const input = $(`<input type="text" class="seeding-curve-expr" data-index="${i}" placeholder="e.g., cos(2*pi*s)" style="font-family: monospace; width: 100%;" />`);
+                input.val(exprs[i]);
+                group.append(input);
+                container.append(group);
+            }
+            container.append('<div class="info">Curve parameter s runs from 0 to 1.</div>');
+        } else {
+            const values = this.getValue();
+            for (const field of SEEDING_FIELDS[seeding] || []) {
+                const group = $('<div class="control-group"></div>');
+                group.append(`<label>${field.label}:</label>`);
+                const input = field.type === 'number'
+                    ? $(`<input type="number" step="any" data-key="${field.key}" style="width: 100%;" />`)
+                    : $(`<input type="text" data-key="${field.key}" placeholder="${field.placeholder}" style="${field.monospace ? 'font-family: monospace; ' : ''}width: 100%;" />`);
+                input.val(values[field.key]);
+                group.append(input);
+                container.append(group);
+            }
+        }
+
+        this.attachInputListeners();
+        resizeAccordion('#seeding-controls', 0);
+    }
+
+    /**
+     * Attach listeners to seeding inputs
+     */
+    attachInputListeners() {
+        const callback = this.onChangeCallback;
+
+        $('#seeding-controls input').off('change').on('change', (e) => {
+            const input = $(e.target);
+
+            if (input.hasClass('seeding-curve-expr')) {
+                const exprs = [...this.getValue().curveExprs];
+                exprs[input.data('index')] = input.val().trim() || '0';
+                this.currentParams.curveExprs = exprs;
+            } else {
+                const key = input.data('key');
+                if (input.attr('type') === 'number') {
+                    const value = parseFloat(input.val());
+                    if (!isFinite(value)) {
+                        logger.warn(`Invalid seeding parameter ${key}: ${input.val()}`);
+                        return;
+                    }
+                    this.currentParams[key] = value;
+                } else {
+                    this.currentParams[key] = input.val().trim();
+                }
+            }
+
+            if (this.onChange) this.onChange(this.getValue());
+            if (callback) callback();
+        });
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachListeners(callback) {
+        this.onChangeCallback = callback;
+        this.updateControls();
+    }
+
+    /**
+     * Reset to default value
+     */
+    reset() {
+        this.currentParams = { ...this.defaultValue };
+        this.updateControls();
+    }
+}
+
 /**
  * GradientControl - integrates with existing gradient editor
  * Wraps the gradient editor for use with ControlManager
@@ -734,3 +1235,189 @@ export class TransformParamsControl extends Control {
         }
     }
 }
+
+/**
+ * ModelParamsControl - manages model parameter sliders
+ * Creates one slider per parameter of the model parameter block
+ * (e.g. "sigma = 10 [0, 30]", see parseModelParameters in parser.js)
+ *
+ * Values are saved by parameter name. Slider moves go to onValuesChange
+ * instead of the debounced apply, so they only update uniforms (no recompile).
+ */
+export class ModelParamsControl extends Control {
+    constructor(defaultValue, options = {}) {
+        super('model-params', defaultValue, options);
+        this.definitionsControl = null;
+        this.onValuesChange = options.onValuesChange || null;
+        this.currentParams = { ...(defaultValue || {}) };
+        this.definitions = [];
+        this.parameterControls = new Map(); // Maps control ID -> AnimatableParameterControl instance
+    }
+
+    /**
+     * Set reference to the parameter block control
+     */
+    setDefinitionsControl(definitionsControl) {
+        this.definitionsControl = definitionsControl;
+    }
+
+    /**
+     * Parse the parameter block
+     * @returns {Object[]|null} Definitions, null if the block does not parse
+     */
+    getDefinitions() {
+        const text = this.definitionsControl ? this.definitionsControl.getValue() : '';
+        try {
+            return parseModelParameters(text);
+        } catch (error) {
+            logger.warn('Invalid model parameters:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get current parameter values
+     */
+    getValue() {
+        const values = {};
+
+        // Collect values from all parameter controls
+        for (const paramControl of this.parameterControls.values()) {
+            values[paramControl.settingsKey] = paramControl.getValue();
+        }
+
+        return values;
+    }
+
+    /**
+     * Set parameter values (sliders are kept when the parameters are the same)
+     */
+    setValue(params) {
+        this.currentParams = { ...(params || {}) };
+
+        const controls = [...this.parameterControls.values()];
+        const sameParameters = controls.length > 0 &&
+            controls.every(paramControl => this.currentParams[paramControl.settingsKey] !== undefined);
+        if (sameParameters) {
+            controls.forEach(paramControl => paramControl.setValue(this.currentParams[paramControl.settingsKey]));
+        } else {
+            this.updateControls();
+        }
+    }
+
+    /**
+     * Rebuild the sliders from the parameter block
+     * A parameter whose value changed in the block starts from the new value;
+     * the others keep their slider value. An invalid block keeps the current sliders.
+     */
+    updateControls() {
+        const container = $('#model-parameter-controls');
+        if (container.length === 0) return;
+
+        const definitions = this.getDefinitions();
+        if (!definitions) return;
+
+        // Redefined parameters start from their new value
+        const previous = new Map(this.definitions.map(definition => [definition.name, definition]));
+        definitions.forEach(definition => {
+            const old = previous.get(definition.name);
+            if (old && old.value !== definition.value) {
+                delete this.currentParams[definition.name];
+            }
+        });
+        this.definitions = definitions;
+
+        // Clear old controls
+        container.empty();
+        this.parameterControls.clear();
+
+        definitions.forEach((definition, index) => {
+            const controlId = `model-param-${index}`;
+            const value = this.currentParams[definition.name] ?? definition.value;
+
+            const paramControl = new AnimatableParameterControl(
+                controlId,
+                {
+                    name: definition.name,
+                    label: definition.name,
+                    min: definition.min,
+                    max: definition.max,
+                    step: (definition.max - definition.min) / 1000,
+                    default: definition.value,
+                    displayPrecision: 3
+                },
+                value,
+                {
+                    settingsKey: definition.name, // Use parameter name as settings key
+                    container: '#model-parameter-controls',
+                    onChange: (newValue) => {
+                        this.currentParams[definition.name] = newValue;
+                    }
+                }
+            );
+
+            // Render and append to container
+            container.append(paramControl.render());
+
+            // Slider moves update the uniforms directly
+            paramControl.attachListeners(() => {
+                if (this.onValuesChange) this.onValuesChange(this.getValue());
+            });
+
+            // Store reference for button handling
+            this.parameterControls.set(controlId, paramControl);
+        });
+
+        resizeAccordion('#model-parameter-controls', 0);
+    }
+
+    /**
+     * Handle button actions for dynamically created model parameter sliders
+     * @param {string} sliderId - The slider ID (e.g., 'model-param-0')
+     * @param {string} action - The button action
+     * @returns {boolean} True if handled
+     */
+    handleModelParamButton(sliderId, action) {
+        const control = this.parameterControls.get(sliderId);
+        if (control) {
+            return control.handleButtonAction(action);
+        }
+        return false;
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachListeners(callback) {
+        this.onChangeCallback = callback;
+
+        // Initial setup
+        this.updateControls();
+    }
+
+    /**
+     * Reset to default value
+     */
+    reset() {
+        this.currentParams = { ...(this.defaultValue || {}) };
+        this.definitions = [];
+        this.parameterControls.clear();
+        this.updateControls();
+    }
+
+    /**
+     * Save to settings
+     */
+    saveToSettings(settings) {
+        settings[this.settingsKey] = this.getValue();
+    }
+
+    /**
+     * Restore from settings
+     */
+    restoreFromSettings(settings) {
+        if (settings && settings[this.settingsKey] !== undefined) {
+            this.setValue(settings[this.settingsKey]);
+        }
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * Fixed Point Panel
+ *
+ * Locates the equilibria of the current vector field (symbolic solve where
+ * the CAS manages one, multi-start Newton otherwise), classifies them from
+ * the eigenvalues of the Jacobian and marks them on an overlay canvas.
+ * Non-autonomous fields are frozen at the current simulation time.
+ */
+
+import { logger } from '../utils/debug-logger.js';
+import { findFixedPoints, solveFixedPointsSymbolic } from '../math/fixed-points.js';
+import { computeSymbolicJacobian, isValidJacobian } from '../math/jacobian.js';
+import { createJacobianEvaluator } from '../math/cpu-integrators.js';
+
+const CARTESIAN_VARS = ['x', 'y', 'z', 'w', 'u', 'v'];
+
+/**
+ * Glyph color per classification (stable = filled, unstable = hollow)
+ */
+const TYPE_COLORS = {
+    'stable node': '#4caf50',
+    'stable focus': '#4caf50',
+    'unstable node': '#f44336',
+    'unstable focus': '#f44336',
+    'saddle': '#ffc107',
+    'saddle-focus': '#ffc107',
+    'center': '#2196f3',
+    'non-hyperbolic': '#9e9e9e'
+};
+
+export class FixedPointPanel {
+    /**
+     * @param {Renderer} renderer - Renderer (field, view, simulation time)
+     * @param {HTMLCanvasElement} canvas - Main canvas (for overlay size)
+     * @param {HTMLCanvasElement} overlayCanvas - Canvas the glyphs are drawn on
+     * @param {HTMLElement} readoutElement - Element listing the fixed points
+     * @param {Notebook|null} notebook - Notebook for symbolic solve and Jacobian (optional)
+     */
+    constructor(renderer, canvas, overlayCanvas, readoutElement, notebook = null) {
+        this.renderer = renderer;
+        this.canvas = canvas;
+        this.overlayCanvas = overlayCanvas;
+        this.ctx = overlayCanvas.getContext('2d');
+        this.readoutElement = readoutElement;
+        this.notebook = notebook;
+
+        this.points = [];
+        this.expressions = null;
+
+        this.tick = this.tick.bind(this);
+        requestAnimationFrame(this.tick);
+    }
+
+    /**
+     * Search box: the viewport for dimensions 0 and 1, storage ranges beyond
+     * @returns {{min: number, max: number}[]}
+     */
+    getSearchBounds() {
+        const particleSystem = this.renderer.particleSystem;
+        return Array.from({ length: this.renderer.dimensions }, (_, dim) => particleSystem.getDimensionRange(dim));
+    }
+
+    /**
+     * Exact Jacobian evaluator from the CAS, or null to use finite differences
+     * @param {string[]} expressions - Field expressions
+     * @param {number} t - Frozen time
+     * @returns {Function|null}
+     */
+    createJacobian(expressions, t) {
+        if (!this.notebook || !this.notebook.casEngine.isReady()) return null;
+
+        const symbolic = computeSymbolicJacobian(expressions, expressions.length);
+        if (!isValidJacobian(symbolic)) {
+            logger.warn('Symbolic Jacobian unavailable, using finite differences');
+            return null;
+        }
+        const evaluate = createJacobianEvaluator(symbolic, expressions.length);
+        return pos => evaluate(pos, t);
+    }
+
+    /**
+     * Find and classify the fixed points of the current field
+     * @returns {Object[]} Fixed points (see findFixedPoints)
+     */
+    find() {
+        const renderer = this.renderer;
+        const dimensions = renderer.dimensions;
+        const evaluators = renderer.velocityEvaluators;
+        const expressions = renderer.expressions;
+
+        if (!evaluators || evaluators.length !== dimensions || !expressions) {
+            logger.warn('Cannot find fixed points: velocity evaluators not available');
+            return [];
+        }
+        if (!renderer.coordinateSystem.name.includes('Cartesian')) {
+            logger.warn(`Fixed points are only located in Cartesian coordinates, not ${renderer.coordinateSystem.name}`);
+            return [];
+        }
+
+        const t = renderer.simulationTime || 0;
+        const velocity = pos => evaluators.map(f => f(...pos, t));
+        const variables = CARTESIAN_VARS.slice(0, dimensions);
+        const candidates = this.notebook ? solveFixedPointsSymbolic(this.notebook, expressions, variables) : [];
+
+        try {
+            this.points = findFixedPoints(velocity, this.getSearchBounds(), {
+                candidates,
+                jacobian: this.createJacobian(expressions, t)
+            });
+        } catch (error) {
+            logger.error('Fixed point search failed:', error.message);
+            this.points = [];
+        }
+        this.expressions = expressions;
+
+        logger.info(`Found ${this.points.length} fixed point(s)` +
+            (candidates.length > 0 ? ` (${candidates.length} symbolic candidate(s))` : ''));
+        this.updateReadout();
+        return this.points;
+    }
+
+    /**
+     * Animation frame: drop stale points and redraw in the current view
+     */
+    tick() {
+        // Points found for another field no longer apply
+        if (this.points.length > 0 && this.renderer.expressions !== this.expressions) {
+            this.clear();
+        }
+        this.draw();
+        requestAnimationFrame(this.tick);
+    }
+
+    /**
+     * Draw a glyph per fixed point: filled circle for sinks, hollow circle for
+     * sources, cross for saddles, ring with a dot for centers, diamond otherwise
+     */
+    draw() {
+        const overlay = this.overlayCanvas;
+        if (overlay.width !== this.canvas.width || overlay.height !== this.canvas.height) {
+            overlay.width = this.canvas.width;
+            overlay.height = this.canvas.height;
+        }
+
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+        if (this.points.length === 0) return;
+
+        const bbox = this.renderer.bbox;
+        const [dim1, dim2] = this.renderer.getDisplayDims();
+        const r = 6;
+
+        ctx.lineWidth = 2;
+        for (const point of this.points) {
+            const sx = ((point.position[dim1] - bbox.min[0]) / (bbox.max[0] - bbox.min[0])) * overlay.width;
+            const sy = ((bbox.max[1] - point.position[dim2]) / (bbox.max[1] - bbox.min[1])) * overlay.height;
+            const type = point.classification.type;
+            const color = TYPE_COLORS[type];
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+
+            ctx.beginPath();
+            if (type.startsWith('saddle')) {
+                ctx.moveTo(sx - r, sy - r);
+                ctx.lineTo(sx + r, sy + r);
+                ctx.moveTo(sx + r, sy - r);
+                ctx.lineTo(sx - r, sy + r);
+                ctx.stroke();
+            } else if (type === 'center') {
+                ctx.arc(sx, sy, r, 0, 2 * Math.PI);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.arc(sx, sy, 2, 0, 2 * Math.PI);
+                ctx.fill();
+            } else if (type === 'non-hyperbolic') {
+                ctx.moveTo(sx, sy - r);
+                ctx.lineTo(sx + r, sy);
+                ctx.lineTo(sx, sy + r);
+                ctx.lineTo(sx - r, sy);
+                ctx.closePath();
+                ctx.stroke();
+            } else {
+                ctx.arc(sx, sy, r, 0, 2 * Math.PI);
+                if (type.startsWith('stable')) ctx.fill();
+                else ctx.stroke();
+            }
+        }
+    }
+
+    /**
+     * List position, type and eigenvalues of each fixed point
+     */
+    updateReadout() {
+        if (!this.readoutElement) return;
+
+        if (this.points.length === 0) {
+            this.readoutElement.style.display = 'none';
+            return;
+        }
+
+        const formatEigenvalue = ({ re, im }) => {
+            if (Math.abs(im) < 1e-9) return re.toFixed(3);
+            return `${re.toFixed(3)} ${im < 0 ? '−' : '+'} ${Math.abs(im).toFixed(3)}i`;
+        };
+        const lines = this.points.map((point, i) => {
+            const { type, hyperbolic } = point.classification;
+            const position = point.position.map((v, dim) => `${CARTESIAN_VARS[dim]}: ${v.toFixed(3)}`).join(', ');
+            const eigenvalues = point.eigenvalues.map(formatEigenvalue).join(', ');
+            const label = hyperbolic || type === 'non-hyperbolic' ? type : `${type} (non-hyperbolic)`;
+            return `<span style="color: ${TYPE_COLORS[type]};">#${i + 1} ${label}</span><br>&nbsp;&nbsp;${position}<br>&nbsp;&nbsp;λ: ${eigenvalues}`;
+        });
+
+        this.readoutElement.style.display = 'block';
+        this.readoutElement.innerHTML = lines.join('<br>');
+    }
+
+    /**
+     * Remove all fixed points
+     */
+    clear() {
+        this.points = [];
+        this.expressions = null;
+        this.draw();
+        this.updateReadout();
+    }
+}
@@ -241,6 +241,9 @@ export class AnimatableParameterControl extends ParameterControl {
         this.animationMax = options.animationMax ?? (parameterDef.min + range * 0.75);
         this.currentAlpha = 0.0;
         this.isAnimating = false;
+
+        // Accordion content resized when the animation bounds show or hide
+        this.container = options.container || '#transform-controls';
     }
 
     /**
@@ -351,7 +354,7 @@ export class AnimatableParameterControl extends ParameterControl {
      * Update accordion section height to fit content
      */
     updateAccordionHeight() {
-        resizeAccordion('#transform-controls', 0);
+        resizeAccordion(this.container, 0);
     }
 
     /**
@@ -6,6 +6,7 @@
 import { CoordinateSystem, getCartesianSystem } from '../math/coordinate-systems.js';
 import { logger } from '../utils/debug-logger.js';
 import { FieldEquationWorkflow } from '../math/field-equation-workflow.js';
+import { parseODEFile, exportODEFile } from '../math/ode-file.js';
 
 // LocalStorage key for custom presets
 const CUSTOM_PRESETS_KEY = 'customPresets';
@@ -137,6 +138,7 @@ export function loadPresets() {
         '3d_lorenz': {
             dimensions: 3,
             expressions: ['10*(y - x)', 'x*(28 - z) - y', 'x*y - 2.67*z'],
+            dimensionRanges: { z: { min: -5, max: 55 } },
             colorMode: 'velocity_angle',
             integratorType: 'implicit-euler',
             solutionMethod: 'fixed-point',
@@ -420,6 +422,23 @@ function expandBBoxForAspectRatio(bbox, canvas) {
     };
 }
 
+/**
+ * Collect solver settings into settings.integratorParams
+ * (implicit iterations, adaptive tolerance and substep limit, symplectic positions)
+ * @param {Object} settings - Settings object (modified in place)
+ */
+export function collectIntegratorParams(settings) {
+    const params = {};
+    if (settings.implicitIterations !== undefined) params.iterations = settings.implicitIterations;
+    if (settings.adaptiveTolerance !== undefined) params.tolerance = settings.adaptiveTolerance;
+    if (settings.adaptiveMaxSubsteps !== undefined) params.maxSubsteps = settings.adaptiveMaxSubsteps;
+    if (settings.symplecticPositions !== undefined) params.positions = settings.symplecticPositions;
+
+    if (Object.keys(params).length > 0) {
+        settings.integratorParams = params;
+    }
+}
+
 /**
  * Load a specific preset (built-in or custom)
  * @param {string} name - Preset identifier
@@ -492,11 +511,26 @@ export function loadPreset(name, manager) {
         mapperParamsControl.updateControls();
     }
 
+    const dimensionRangesControl = manager.get('dimension-ranges');
+    if (dimensionRangesControl) {
+        dimensionRangesControl.updateControls();
+    }
+
+    const seedingParamsControl = manager.get('seeding-params');
+    if (seedingParamsControl) {
+        seedingParamsControl.updateControls();
+    }
+
     const transformParamsControl = manager.get('transform-params');
     if (transformParamsControl) {
         transformParamsControl.updateControls();
     }
 
+    const modelParamsControl = manager.get('model-params');
+    if (modelParamsControl) {
+        modelParamsControl.updateControls();
+    }
+
     // Get settings from controls and merge bbox if present in preset
     const settings = manager.getSettings();
 
@@ -519,10 +553,8 @@ export function loadPreset(name, manager) {
         }
     }
 
-    // Transform implicitIterations into integratorParams (same as in onApply)
-    if (settings.implicitIterations !== undefined) {
-        settings.integratorParams = { iterations: settings.implicitIterations };
-    }
+    // Transform solver settings into integratorParams (same as in onApply)
+    collectIntegratorParams(settings);
 
     // Extract expressions from settings (will be applied via workflow)
     const expressions = settings.expressions;
@@ -684,6 +716,70 @@ export function initPresetControls(manager) {
         }
     });
 
+    // Import .ode: the model becomes a custom preset named after the file
+    $('#import-ode-btn').on('click', function() {
+        $('#ode-file-input').trigger('click');
+    });
+
+    $('#ode-file-input').on('change', function(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        $(this).val(''); // Allow importing the same file again
+
+        const reader = new FileReader();
+        reader.onload = function(event) {
+            try {
+                const presetName = file.name.replace(/\.(ode|txt)$/i, '');
+                const { preset, variables, warnings } = parseODEFile(event.target.result, presetName);
+
+                saveCustomPreset(presetName, preset);
+                refreshCustomPresetsDropdown();
+                loadPreset(presetName, manager);
+                $('#preset-name-input').val(presetName);
+                $('#delete-preset-btn').show();
+
+                const renamed = Object.entries(variables)
+                    .filter(([from, to]) => from !== to)
+                    .map(([from, to]) => `${from} → ${to}`);
+                logger.info(`Imported model ${presetName}` + (renamed.length ? ` (variables: ${renamed.join(', ')})` : ''));
+                warnings.forEach(warning => logger.warn(`Import ${file.name}: ${warning}`));
+                if (warnings.length > 0) {
+                    alert(`Imported "${presetName}" with warnings:\n\n- ${warnings.join('\n- ')}`);
+                }
+            } catch (error) {
+                logger.error('Model import failed:', error.message);
+                alert('Failed to import model: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+    });
+
+    // Export the current system as .ode
+    $('#export-ode-btn').on('click', function() {
+        const name = $('#preset-name-input').val().trim() || 'model';
+        const settings = manager.getSettings();
+        if (window.renderer && window.renderer.bbox) {
+            settings.bbox = {
+                min: [...window.renderer.bbox.min],
+                max: [...window.renderer.bbox.max]
+            };
+        }
+
+        try {
+            const blob = new Blob([exportODEFile(settings, name)], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${name.replace(/[^a-zA-Z0-9_-]+/g, '_')}.ode`;
+            link.click();
+            URL.revokeObjectURL(url);
+            logger.info(`Exported model ${name}`);
+        } catch (error) {
+            logger.error('Model export failed:', error.message);
+            alert('Failed to export model: ' + error.message);
+        }
+    });
+
     // Load custom presets on init
     refreshCustomPresetsDropdown();
 }
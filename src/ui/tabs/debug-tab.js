@@ -1,7 +1,8 @@
 /**
  * Debug Console tab for the modal window
  *
- * Provides debug logging, shader inspection, and performance monitoring.
+ * Provides debug logging, shader inspection, performance monitoring, an
+ * integrator energy drift comparison and a Lyapunov exponent summary.
  */
 
 import { Tab } from './tab-base.js';
@@ -18,6 +19,7 @@ export class DebugTab extends Tab {
         this.bufferSizeSpan = null;
         this.bufferPercentSpan = null;
         this.bufferStatusDiv = null;
+        this.lyapunovSummary = null;
     }
 
     /**
@@ -51,10 +53,18 @@ export class DebugTab extends Tab {
                 <button id="debug-log-screen-shader" class="secondary" style="padding: 4px 8px;" title="Screen fade shader (trail decay)">Fade Shader</button>
                 <button id="debug-log-stats-shaders" class="secondary" style="padding: 4px 8px;" title="Velocity statistics shader (max velocity tracking)">Velocity Stats</button>
                 <button id="debug-buffer-stats" class="secondary" style="padding: 4px 8px;">Buffer Stats</button>
+                <button id="debug-lyapunov-stats" class="secondary" style="padding: 4px 8px;" title="Mean and histogram of the particles' finite-time Lyapunov exponents (Lyapunov Exponent color mode)">Lyapunov</button>
                 <button id="debug-copy" class="secondary" style="padding: 4px 8px;">Copy Log</button>
                 <button id="debug-clear" class="secondary" style="padding: 4px 8px;">Clear</button>
             </div>
 
+            <div style="display: flex; gap: 8px; margin-bottom: 16px;" title="Compare how well integrators conserve a quantity (e.g., energy of a Hamiltonian system), measured on the CPU with sampled trajectories">
+                <input type="text" id="debug-energy-expression" placeholder="Energy expression, e.g. 0.5*y*y - cos(x)" style="flex: 1; font-family: 'Courier New', monospace; font-size: 11px;">
+                <button id="debug-energy-drift" class="secondary" style="padding: 4px 8px;">Energy Drift</button>
+            </div>
+
+            <div id="debug-lyapunov-summary" style="display: none; padding: 8px; background: #1f1f1f; border-radius: 4px; margin-bottom: 12px; font-size: 11px; color: #aaa;"></div>
+
             <div id="debug-buffer-status" style="display: none; padding: 8px; background: #2a2a2a; border-radius: 4px; margin-bottom: 12px; font-size: 11px; color: #888;">
                 <span style="color: #FFA726; font-weight: bold;">SILENT MODE:</span>
                 Buffering <span id="buffer-size" style="color: #4CAF50;">0</span> logs
@@ -86,6 +96,7 @@ export class DebugTab extends Tab {
         this.bufferSizeSpan = content.querySelector('#buffer-size');
         this.bufferPercentSpan = content.querySelector('#buffer-percent');
         this.bufferStatusDiv = content.querySelector('#debug-buffer-status');
+        this.lyapunovSummary = content.querySelector('#debug-lyapunov-summary');
 
         // Setup event listeners
         this._setupEventListeners(content);
@@ -104,6 +115,9 @@ export class DebugTab extends Tab {
         // Make logger output to this debug output div
         this.logger.setOutputElement(this.debugOutput);
 
+        // Restore energy expression from localStorage
+        content.querySelector('#debug-energy-expression').value = localStorage.getItem('debugEnergyExpression') || '';
+
         // Restore line numbers preference from localStorage
         const showLineNumbers = localStorage.getItem('debugShowLineNumbers') === 'true';
         const lineNumbersCheckbox = content.querySelector('#debug-show-line-numbers');
@@ -234,6 +248,29 @@ export class DebugTab extends Tab {
             }
         });
 
+        content.querySelector('#debug-lyapunov-stats').addEventListener('click', () => {
+            if (window.renderer && typeof window.renderer.logLyapunovStats === 'function') {
+                this._updateLyapunovSummary(window.renderer.logLyapunovStats());
+            } else {
+                this.logger.warn('Renderer not initialized - cannot summarize Lyapunov exponents');
+            }
+        });
+
+        content.querySelector('#debug-energy-drift').addEventListener('click', () => {
+            const expression = content.querySelector('#debug-energy-expression').value.trim();
+            if (!expression) {
+                this.logger.warn('Enter an energy expression to measure drift');
+                return;
+            }
+            localStorage.setItem('debugEnergyExpression', expression);
+
+            if (window.renderer && typeof window.renderer.logEnergyDrift === 'function') {
+                window.renderer.logEnergyDrift(expression);
+            } else {
+                this.logger.warn('Renderer not initialized - cannot measure energy drift');
+            }
+        });
+
         // Enable/disable stats
         content.querySelector('#debug-enable-stats').addEventListener('change', (e) => {
             if (window.renderer) {
@@ -263,6 +300,37 @@ export class DebugTab extends Tab {
         }
     }
 
+    /**
+     * Show the mean and histogram of the Lyapunov exponents
+     * @param {Object|null} stats - Summary from renderer.computeLyapunovStats (null hides it)
+     * @private
+     */
+    _updateLyapunovSummary(stats) {
+        if (!stats) {
+            this.lyapunovSummary.style.display = 'none';
+            return;
+        }
+
+        const { counts, min, max } = stats.histogram;
+        const peak = Math.max(...counts);
+        const bars = counts.map(count => {
+            const height = Math.round(60 * count / peak);
+            return `<div style="flex: 1; align-self: flex-end; height: ${height}px; background: #4CAF50;" title="${count}"></div>`;
+        }).join('');
+
+        this.lyapunovSummary.innerHTML = `
+            <div style="margin-bottom: 6px;">
+                <span style="color: #4CAF50; font-weight: bold;">λ mean ${stats.mean.toFixed(4)}</span>
+                (${stats.count} particles, mean averaging time ${stats.meanTime.toFixed(1)})
+            </div>
+            <div style="display: flex; gap: 1px; height: 60px;">${bars}</div>
+            <div style="display: flex; justify-content: space-between;">
+                <span>${min.toFixed(3)}</span><span>${max.toFixed(3)}</span>
+            </div>
+        `;
+        this.lyapunovSummary.style.display = 'block';
+    }
+
     /**
      * Called when tab becomes active
      */
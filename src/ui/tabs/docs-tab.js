@@ -18,6 +18,7 @@ export class DocsTab extends Tab {
             { id: 'display-options', title: 'Display Options & UI Controls', file: 'docs/display-options.md' },
             { id: 'vector-fields', title: 'Vector Fields', file: 'docs/vector-fields.md' },
             { id: 'integrators', title: 'Integration Methods', file: 'docs/integrators.md' },
+            { id: 'analysis', title: 'Phase Space Analysis', file: 'docs/analysis.md' },
             { id: 'color-modes', title: 'Color Modes', file: 'docs/color-modes.md' },
             { id: 'projection', title: '2D Projection', file: 'docs/projection.md' },
             { id: 'coordinate-systems', title: 'Coordinate Systems', file: 'docs/coordinate-systems.md' },
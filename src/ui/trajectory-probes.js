@@ -0,0 +1,335 @@
+/**
+ * Trajectory Probes
+ *
+ * Click-to-seed trajectories integrated on the CPU with the CPU step of the
+ * renderer's compiled integrator and its vector field, drawn as polylines
+ * over the canvas.
+ * Probes advance a few steps per animation frame until they reach their
+ * length limit or diverge.
+ */
+
+import { logger } from '../utils/debug-logger.js';
+import { createVelocityEvaluators } from '../math/parser.js';
+
+const CARTESIAN_VARS = ['x', 'y', 'z', 'w', 'u', 'v'];
+
+/**
+ * Colors cycled through for successive probes
+ */
+const PROBE_COLORS = ['#ffeb3b', '#00e5ff', '#ff4081', '#76ff03', '#ff9100', '#e040fb'];
+
+export class TrajectoryProbes {
+    /**
+     * @param {Renderer} renderer - Renderer (field, integrator, timestep, view)
+     * @param {HTMLCanvasElement} canvas - Main canvas (for click coordinates)
+     * @param {HTMLCanvasElement} overlayCanvas - Canvas the probes are drawn on
+     * @param {HTMLElement} readoutElement - Element showing probe state
+     */
+    constructor(renderer, canvas, overlayCanvas, readoutElement) {
+        this.renderer = renderer;
+        this.canvas = canvas;
+        this.overlayCanvas = overlayCanvas;
+        this.ctx = overlayCanvas.getContext('2d');
+        this.readoutElement = readoutElement;
+
+        this.enabled = false;
+        this.probes = [];
+        this.nextId = 1;
+        this.maxSteps = 5000;
+        this.stepsPerFrame = 20;
+
+        this.tick = this.tick.bind(this);
+        requestAnimationFrame(this.tick);
+    }
+
+    /**
+     * Enable or disable probe mode (clicks seed probes instead of panning)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.canvas.style.cursor = enabled ? 'crosshair' : '';
+        logger.info(`Probe mode ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Build the state-space functions for the current field
+     * Non-Cartesian systems integrate in native coordinates (like the GPU)
+     * and need explicit forward/inverse transforms to convert.
+     * @returns {{velocity: Function, toNative: Function, toCartesian: Function, velocityLabels: string[]}|null}
+     */
+    createSystem() {
+        const renderer = this.renderer;
+        const dimensions = renderer.dimensions;
+        const evaluators = renderer.velocityEvaluators;
+
+        if (!evaluators || evaluators.length !== dimensions) {
+            logger.warn('Cannot seed probe: velocity evaluators not available');
+            return null;
+        }
+
+        const coordinateSystem = renderer.coordinateSystem;
+        const cartesianVars = CARTESIAN_VARS.slice(0, dimensions);
+        const nativeVars = coordinateSystem.getVariableNames();
+        const velocity = (pos, t) => evaluators.map(f => f(...pos, t));
+        const identity = pos => pos;
+
+        if (coordinateSystem.name.includes('Cartesian')) {
+            return { velocity, toNative: identity, toCartesian: identity, velocityLabels: cartesianVars.map(v => `d${v}`) };
+        }
+
+        if (!coordinateSystem.inverseTransforms || coordinateSystem.inverseTransforms.length !== dimensions) {
+            logger.warn(`Cannot seed probe: ${coordinateSystem.name} has no explicit inverse transform`);
+            return null;
+        }
+
+        try {
+            const forward = createVelocityEvaluators(coordinateSystem.forwardTransforms, cartesianVars);
+            const inverse = createVelocityEvaluators(coordinateSystem.inverseTransforms, nativeVars);
+            return {
+                velocity,
+                toNative: pos => forward.map(f => f(...pos, 0)),
+                toCartesian: pos => inverse.map(f => f(...pos, 0)),
+                velocityLabels: nativeVars.map(v => `d${v}`)
+            };
+        } catch (error) {
+            logger.warn(`Cannot seed probe in ${coordinateSystem.name} coordinates:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Seed a probe at a canvas position
+     * Displayed dimensions come from the click, all others start at 0.
+     * @param {number} canvasX - X in canvas pixels
+     * @param {number} canvasY - Y in canvas pixels
+     * @returns {Object|null} The new probe, or null if the field can't be evaluated
+     */
+    addProbeAt(canvasX, canvasY) {
+        const bbox = this.renderer.bbox;
+        const worldX = bbox.min[0] + (canvasX / this.canvas.width) * (bbox.max[0] - bbox.min[0]);
+        const worldY = bbox.max[1] - (canvasY / this.canvas.height) * (bbox.max[1] - bbox.min[1]);
+
+        const start = new Array(this.renderer.dimensions).fill(0);
+        const [dim1, dim2] = this.renderer.getDisplayDims();
+        start[dim1] = worldX;
+        start[dim2] = worldY;
+
+        return this.addProbe(start);
+    }
+
+    /**
+     * Seed a probe at a Cartesian state
+     * @param {number[]} start - Initial position (one value per dimension)
+     * @returns {Object|null} The new probe, or null if the field can't be evaluated
+     */
+    addProbe(start) {
+        const system = this.createSystem();
+        if (!system) return null;
+
+        const integrator = this.renderer.integrator;
+        if (!integrator || !integrator.step) {
+            logger.warn('Cannot seed probe: integrator has no CPU step');
+            return null;
+        }
+        const t0 = this.renderer.simulationTime || 0;
+        const state = system.toNative(start);
+
+        const probe = {
+            id: this.nextId++,
+            color: PROBE_COLORS[(this.nextId - 2) % PROBE_COLORS.length],
+            system,
+            integrator,
+            h: this.renderer.timestep * (this.renderer.integratorCostFactor || 1),
+            t0,
+            t: t0,
+            state,
+            stepState: {}, // Step size kept between steps by adaptive integrators
+            points: [{ t: t0, position: [...start], velocity: system.velocity(state, t0) }],
+            done: false
+        };
+
+        this.probes.push(probe);
+        logger.info(`Probe #${probe.id} seeded at (${start.map(v => v.toFixed(3)).join(', ')}) using ${integrator.name}`);
+        return probe;
+    }
+
+    /**
+     * Advance a probe by one integrator step
+     * @param {Object} probe
+     */
+    stepProbe(probe) {
+        const { system, integrator, h, stepState } = probe;
+        const next = integrator.step(system.velocity, probe.state, probe.t, h, stepState);
+        // Adaptive integrators may cover less than h when they run out of substeps
+        const t = probe.t + (stepState.elapsed ?? h);
+        const position = system.toCartesian(next);
+        const velocity = system.velocity(next, t);
+
+        if (!position.every(Number.isFinite) || !velocity.every(Number.isFinite)) {
+            probe.done = true;
+            logger.info(`Probe #${probe.id} stopped: trajectory diverged at t = ${t.toFixed(3)}`);
+            return;
+        }
+
+        probe.state = next;
+        probe.t = t;
+        probe.points.push({ t, position, velocity });
+
+        if (probe.points.length > this.maxSteps) {
+            probe.done = true;
+        }
+    }
+
+    /**
+     * Animation frame: advance active probes and redraw
+     */
+    tick() {
+        // Probes seeded before a dimension change no longer match the field
+        const dimensions = this.renderer.dimensions;
+        if (this.probes.some(probe => probe.state.length !== dimensions)) {
+            this.probes = this.probes.filter(probe => probe.state.length === dimensions);
+        }
+
+        for (const probe of this.probes) {
+            for (let i = 0; i < this.stepsPerFrame && !probe.done; i++) {
+                this.stepProbe(probe);
+            }
+        }
+        this.draw();
+        this.updateReadout();
+        requestAnimationFrame(this.tick);
+    }
+
+    /**
+     * Draw all probes as polylines in the current view
+     */
+    draw() {
+        const overlay = this.overlayCanvas;
+        if (overlay.width !== this.canvas.width || overlay.height !== this.canvas.height) {
+            overlay.width = this.canvas.width;
+            overlay.height = this.canvas.height;
+        }
+
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+        if (this.probes.length === 0) return;
+
+        const bbox = this.renderer.bbox;
+        const width = bbox.max[0] - bbox.min[0];
+        const height = bbox.max[1] - bbox.min[1];
+        const [dim1, dim2] = this.renderer.getDisplayDims();
+        const toScreen = (position) => [
+            ((position[dim1] - bbox.min[0]) / width) * overlay.width,
+            ((bbox.max[1] - position[dim2]) / height) * overlay.height
+        ];
+
+        ctx.lineWidth = 2;
+        for (const probe of this.probes) {
+            ctx.strokeStyle = probe.color;
+            ctx.fillStyle = probe.color;
+
+            ctx.beginPath();
+            probe.points.forEach((point, i) => {
+                const [sx, sy] = toScreen(point.position);
+                if (i === 0) ctx.moveTo(sx, sy);
+                else ctx.lineTo(sx, sy);
+            });
+            ctx.stroke();
+
+            // Start marker (hollow) and current head (filled)
+            const [startX, startY] = toScreen(probe.points[0].position);
+            ctx.beginPath();
+            ctx.arc(startX, startY, 4, 0, 2 * Math.PI);
+            ctx.stroke();
+
+            const [headX, headY] = toScreen(probe.points[probe.points.length - 1].position);
+            ctx.beginPath();
+            ctx.arc(headX, headY, 3, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Show position, velocity and elapsed time of each probe's head
+     */
+    updateReadout() {
+        if (!this.readoutElement) return;
+
+        if (this.probes.length === 0) {
+            this.readoutElement.style.display = 'none';
+            return;
+        }
+
+        const lines = this.probes.map(probe => {
+            const head = probe.points[probe.points.length - 1];
+            const position = head.position.map((v, i) => `${CARTESIAN_VARS[i]}: ${v.toFixed(3)}`).join(', ');
+            const velocity = head.velocity.map((v, i) => `${probe.system.velocityLabels[i]}: ${v.toFixed(3)}`).join(', ');
+            const elapsed = (head.t - probe.t0).toFixed(3);
+            const status = probe.done ? '' : ' …';
+            return `<span style="color: ${probe.color};">#${probe.id}</span> Δt = ${elapsed}${status}<br>&nbsp;&nbsp;${position}<br>&nbsp;&nbsp;${velocity}`;
+        });
+
+        this.readoutElement.style.display = 'block';
+        this.readoutElement.innerHTML = lines.join('<br>');
+    }
+
+    /**
+     * Remove all probes
+     */
+    clear() {
+        this.probes = [];
+        this.draw();
+        this.updateReadout();
+        logger.info('Probes cleared');
+    }
+
+    /**
+     * Export all probe samples as CSV
+     * Columns: probe, step, t, elapsed, position components, velocity components
+     * @returns {string} CSV text
+     */
+    toCSV() {
+        const dimensions = this.renderer.dimensions;
+        const positionLabels = CARTESIAN_VARS.slice(0, dimensions);
+        const velocityLabels = this.probes.length > 0
+            ? this.probes[0].system.velocityLabels
+            : positionLabels.map(v => `d${v}`);
+
+        const rows = [['probe', 'step', 't', 'elapsed', ...positionLabels, ...velocityLabels].join(',')];
+        for (const probe of this.probes) {
+            probe.points.forEach((point, step) => {
+                rows.push([
+                    probe.id,
+                    step,
+                    point.t,
+                    point.t - probe.t0,
+                    ...point.position,
+                    ...point.velocity
+                ].join(','));
+            });
+        }
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * Download all probes as a CSV file
+     */
+    exportCSV() {
+        if (this.probes.length === 0) {
+            logger.warn('No probes to export');
+            return;
+        }
+
+        const blob = new Blob([this.toCSV()], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        link.download = `probes-${timestamp}.csv`;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        logger.info(`Exported ${this.probes.length} probe(s) to CSV`);
+    }
+}
@@ -5,6 +5,8 @@
  * Pure UI visibility functions with no state management.
  */
 
+import { STRUCTURE_MODES } from '../math/field-structure.js';
+
 /**
  * Update white point visibility based on tonemap operator
  * @param {string} operator - The selected tonemap operator
@@ -35,7 +37,10 @@ export function updateGradientButtonVisibility(colorMode) {
     const supportsGradient = colorMode === 'expression' ||
                               colorMode === 'velocity_magnitude' ||
                               colorMode === 'velocity_angle' ||
-                              colorMode === 'velocity_combined';
+                              colorMode === 'velocity_combined' ||
+                              colorMode === 'step_size' ||
+                              colorMode === 'lyapunov' ||
+                              STRUCTURE_MODES.includes(colorMode);
 
     if (supportsGradient) {
         $('#gradient-button-container').show();
@@ -64,6 +69,88 @@ export function updateVelocityScalingVisibility(colorMode) {
         $('#velocity-log-container').show();
     } else {
         $('#velocity-scaling-container').hide();
-        $('#velocity-log-container').hide();
+        // The log scale also applies to the scalar field structure modes
+        $('#velocity-log-container').toggle(usesStructureRange(colorMode));
     }
 }
+
+/**
+ * Whether a color mode maps a signed field structure value (divergence, curl, ...) through the range
+ * @param {string} colorMode - The selected color mode
+ * @returns {boolean}
+ */
+function usesStructureRange(colorMode) {
+    return STRUCTURE_MODES.includes(colorMode) && colorMode !== 'eigenvalue_type';
+}
+
+/**
+ * Update field structure controls visibility (value range)
+ * @param {string} colorMode - The selected color mode
+ */
+export function updateStructureControlsVisibility(colorMode) {
+    $('#structure-group').toggle(usesStructureRange(colorMode));
+}
+
+/**
+ * Update Lyapunov controls visibility (exponent range and averaging window)
+ * @param {string} colorMode - The selected color mode
+ */
+export function updateLyapunovControlsVisibility(colorMode) {
+    $('#lyapunov-group').toggle(colorMode === 'lyapunov');
+}
+
+/**
+ * Update field arrow overlay controls visibility (spacing and length scaling)
+ * @param {boolean} enabled - Whether the arrows are shown
+ */
+export function updateGlyphControlsVisibility(enabled) {
+    $('#glyph-group').toggle(!!enabled);
+}
+
+/**
+ * Update LIC background controls visibility (length, brightness and animation)
+ * @param {boolean} enabled - Whether the LIC background is shown
+ */
+export function updateLICControlsVisibility(enabled) {
+    $('#lic-group').toggle(!!enabled);
+}
+
+/**
+ * Update FTLE field controls visibility (horizon, direction and grid)
+ * @param {boolean} enabled - Whether the FTLE field is shown
+ */
+export function updateFTLEControlsVisibility(enabled) {
+    $('#ftle-group').toggle(!!enabled);
+}
+
+/**
+ * Update basin of attraction controls visibility (attractors, steps, tolerance, grid)
+ * @param {boolean} enabled - Whether the basins are shown
+ */
+export function updateBasinControlsVisibility(enabled) {
+    $('#basin-group').toggle(!!enabled);
+}
+
+/**
+ * Update integrator option visibility (implicit solver, adaptive step, symplectic and noise controls)
+ * @param {string} integrator - The selected integrator
+ */
+export function updateIntegratorControlsVisibility(integrator) {
+    const isImplicit = integrator.startsWith('implicit-') || integrator === 'trapezoidal';
+    const isAdaptive = ['rkf45', 'dormand-prince', 'bogacki-shampine'].includes(integrator);
+    const isSymplectic = ['symplectic-euler', 'verlet', 'yoshida4'].includes(integrator);
+    const isStochastic = ['euler-maruyama', 'milstein'].includes(integrator);
+    $('#implicit-iterations-group').toggle(isImplicit);
+    $('#solution-method-group').toggle(isImplicit);
+    $('#adaptive-group').toggle(isAdaptive);
+    $('#symplectic-group').toggle(isSymplectic);
+    $('#diffusion-group').toggle(isStochastic);
+}
+
+/**
+ * Update Poincaré section controls visibility
+ * @param {boolean} enabled - Whether section capture is on
+ */
+export function updatePoincareControlsVisibility(enabled) {
+    $('#poincare-group').toggle(!!enabled);
+}
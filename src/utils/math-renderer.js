@@ -6,6 +6,7 @@
 
 import { logger } from './debug-logger.js';
 import { parseExpressionToTeX } from '../math/parser.js';
+import { usesDerivativeNotation, reduceToFirstOrder, derivativeName } from '../math/higher-order.js';
 
 /**
  * Wait for MathJax to be ready
@@ -196,6 +197,11 @@ export function createSystemLatex(expressions, variables) {
         return '';
     }
 
+    // Equations in derivative notation are shown as entered (x'' = ...), not reduced
+    if (usesDerivativeNotation(expressions)) {
+        return createHigherOrderLatex(expressions);
+    }
+
     const dimensions = expressions.length;
 
     // Create simple array of equations
@@ -208,3 +214,32 @@ export function createSystemLatex(expressions, variables) {
     // Join with line breaks using array environment
     return `\\begin{array}{l}\n${equations.join(' \\\\\n')}\n\\end{array}`;
 }
+
+/**
+ * Create LaTeX for equations in derivative notation (x'' = -sin(x) - 0.1*x')
+ * Each equation keeps its order: \frac{d^{2}x}{dt^{2}} = -\sin(x) - 0.1 \cdot x'
+ * @param {string[]} equations - Equations as entered (see reduceToFirstOrder)
+ * @returns {string} - LaTeX string for system of equations
+ */
+function createHigherOrderLatex(equations) {
+    const system = reduceToFirstOrder(equations);
+
+    // Right-hand sides are parsed in reduced form (x' is the state variable y, ...);
+    // show the derivative names instead
+    const stateNames = ['x', 'y', 'z', 'w', 'u', 'v'];
+    const variableTeX = {};
+    system.variables.forEach((name, i) => {
+        variableTeX[stateNames[i]] = name;
+    });
+
+    const lines = system.equations.map(({ variable, order }) => {
+        const index = system.variables.indexOf(derivativeName(variable, order - 1));
+        const rhs = parseExpressionToTeX(system.expressions[index], system.dimensions, null, variableTeX);
+        const lhs = order === 1
+            ? `\\frac{d${variable}}{dt}`
+            : `\\frac{d^{${order}}${variable}}{dt^{${order}}}`;
+        return `\\displaystyle ${lhs} = ${rhs}`;
+    });
+
+    return `\\begin{array}{l}\n${lines.join(' \\\\\n')}\n\\end{array}`;
+}
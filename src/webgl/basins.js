@@ -0,0 +1,497 @@
+/**
+ * Basins of attraction
+ *
+ * Seeds one particle per grid cell of the view, laid out like the main
+ * particles (a ParticleSystem with grid seeding, positions in a TextureManager
+ * with the current storage strategy), integrates them for a fixed number of
+ * steps and colors every cell by the attractor its particle ends up on.
+ * Two extra textures track the attractor a particle is currently within the
+ * tolerance of and the step it got there (for convergence-time shading).
+ * Without given attractor points, a first run finds them by clustering the
+ * final states and a second run labels the cells. The integration advances
+ * a few steps per frame; cells fill in as their particles converge.
+ */
+
+import { logger } from '../utils/debug-logger.js';
+import { getStateType, getStateComponent, getStateZero, generateStateHelpersGLSL } from '../math/state-vector.js';
+import { getGLSLFunctionDeclarations } from '../math/parser.js';
+import { gridSeeding } from '../math/seeding.js';
+import {
+    MAX_ATTRACTORS,
+    BASIN_COLORS,
+    parseAttractorPoints,
+    clusterStates,
+    packAttractors,
+    generateAttractorGLSL
+} from '../math/basins.js';
+import { ParticleSystem } from '../particles/system.js';
+import { TextureManager } from './textures.js';
+import {
+    createProgram,
+    generateScreenVertexShader,
+    generateVelocityFunctionGLSL,
+    generatePositionReads,
+    generateDimensionRangeUniforms
+} from './shaders.js';
+
+/**
+ * Integration steps per frame
+ */
+export const BASIN_STEPS_PER_FRAME = 16;
+
+/**
+ * Default number of integration steps per run
+ */
+export const DEFAULT_BASIN_STEPS = 2000;
+
+/**
+ * Final states sampled for automatic clustering
+ */
+const CLUSTER_SAMPLES = 20000;
+
+/**
+ * Color of cells that reached no attractor
+ */
+const UNCLASSIFIED_COLOR = 'vec3(0.08)';
+
+export class BasinManager {
+    constructor(gl) {
+        this.gl = gl;
+        this.dimensions = 0;
+        this.displayDims = [0, 1];
+        this.strategy = null;
+        this.updateProgram = null;
+        this.displayProgram = null;
+        this.framebuffer = null;
+
+        // Grid particles (texture cell = view cell) and the attractor tracking pairs
+        this.particleSystem = null;
+        this.textureManager = null;
+        this.trackReadTextures = [];
+        this.trackWriteTextures = [];
+        this.resolution = 0;
+
+        // Attractors: given points (empty = automatic) and those in use
+        this.attractorText = null;
+        this.givenAttractors = [];
+        this.attractors = []; // {position, count, share}
+
+        // Progress of the current computation
+        this.seedKey = null;
+        this.phase = 'idle';   // 'explore' (finding attractors), 'classify' or 'done'
+        this.startTime = 0;
+        this.stepsDone = 0;
+
+        this.initialized = false;
+        this.shaderSource = null;
+    }
+
+    /**
+     * Compile the basin programs for the current field
+     * @param {Object} options
+     * @param {number} options.dimensions - Number of dimensions
+     * @param {CoordinateStrategy} options.strategy - Position storage strategy
+     * @param {string[]} options.velocityExpressions - Compiled GLSL expressions (in integration coordinates)
+     * @param {string} options.integratorCode - GLSL defining integrate(pos, t, h)
+     * @param {Object|null} options.coordinateSystemCode - Coordinate system code (native-space integration)
+     * @param {number[]} [options.displayDims=[0, 1]] - State dimensions along the grid's axes
+     * @throws {Error} If a program fails to compile
+     */
+    initialize({ dimensions, strategy, velocityExpressions, integratorCode, coordinateSystemCode = null, displayDims = [0, 1] }) {
+        const gl = this.gl;
+        this.dispose();
+        this.dimensions = dimensions;
+        this.displayDims = displayDims;
+        this.strategy = strategy;
+
+        const vecType = getStateType(dimensions);
+        const hasCoordinateSystem = coordinateSystemCode && coordinateSystemCode.forwardTransform;
+        const strategyGLSL = `
+${strategy.getGLSLConstants()}
+${strategy.getGLSLDecodeFunction()}
+${strategy.getGLSLEncodeFunction()}
+${strategy.getGLSLNormalizeFunction()}
+${strategy.getGLSLDenormalizeFunction()}
+`;
+        const positionWrites = Array.from({ length: dimensions }, (_, i) => {
+            const range = i === 0 ? 'u_min.x, u_max.x' : i === 1 ? 'u_min.y, u_max.y' : `u_dim_range_${i}.x, u_dim_range_${i}.y`;
+            return `${i === 0 ? '' : ' else '}if (u_out_coordinate == ${i}) {
+        gl_FragColor = encodeFloat(normalizeToViewport(${getStateComponent('new_pos', i, dimensions)}, ${range}));
+    }`;
+        }).join('');
+
+        const updateShader = `
+precision highp float;
+${strategyGLSL}
+${getGLSLFunctionDeclarations()}
+
+${generateStateHelpersGLSL(dimensions)}
+
+${Array.from({ length: dimensions }, (_, i) => `uniform sampler2D u_pos_${i};`).join('\n')}
+uniform sampler2D u_basin_0; // Attractor index / (MAX_ATTRACTORS + 1)
+uniform sampler2D u_basin_1; // Step the particle reached it / total steps
+
+uniform vec2 u_min;
+uniform vec2 u_max;
+${generateDimensionRangeUniforms(dimensions)}
+uniform float u_particles_res;
+uniform float u_h;
+uniform float u_time;
+uniform float u_alpha;
+uniform float u_step;        // Steps done after this one
+uniform float u_total_steps;
+uniform int u_out_coordinate;
+
+${generateAttractorGLSL(dimensions)}
+
+${hasCoordinateSystem ? `${coordinateSystemCode.forwardTransform}\n${coordinateSystemCode.inverseTransform}` : ''}
+
+${generateVelocityFunctionGLSL(dimensions, velocityExpressions, coordinateSystemCode, false)}
+
+${integratorCode}
+
+void main() {
+    vec2 texcoord = gl_FragCoord.xy / u_particles_res;
+
+    ${vecType} pos = ${getStateZero(dimensions)};
+    ${generatePositionReads('pos', 'u_pos_', dimensions).join('\n    ')}
+
+    ${vecType} new_pos;
+    ${hasCoordinateSystem
+        ? 'new_pos = transformToCartesian(integrate(transformToNative(pos), u_time, u_h));'
+        : 'new_pos = integrate(pos, u_time, u_h);'}
+
+    // Attractor reached after this step; the entry step restarts whenever it changes
+    float previous = floor(decodeFloat(texture2D(u_basin_0, texcoord)) * ${MAX_ATTRACTORS + 1}.0 + 0.5);
+    float entry = decodeFloat(texture2D(u_basin_1, texcoord));
+    float current = nearest_attractor(new_pos);
+    if (current != previous) {
+        entry = u_step / u_total_steps;
+    }
+
+    if (u_out_coordinate == ${dimensions}) {
+        gl_FragColor = encodeFloat(current / ${MAX_ATTRACTORS + 1}.0);
+    } else if (u_out_coordinate == ${dimensions + 1}) {
+        gl_FragColor = encodeFloat(entry);
+    } else ${positionWrites.trimStart()}
+}
+`;
+
+        const displayShader = `
+precision highp float;
+${strategyGLSL}
+
+uniform sampler2D u_basin_0;
+uniform sampler2D u_basin_1;
+uniform vec3 u_colors[${MAX_ATTRACTORS}];
+uniform float u_shading; // 0 = flat colors, 1 = darken slowly converging cells
+varying vec2 v_texcoord;
+
+void main() {
+    float index = floor(decodeFloat(texture2D(u_basin_0, v_texcoord)) * ${MAX_ATTRACTORS + 1}.0 + 0.5);
+    if (index < 0.5) {
+        gl_FragColor = vec4(${UNCLASSIFIED_COLOR}, 1.0);
+        return;
+    }
+
+    vec3 color = vec3(0.0);
+    for (int i = 0; i < ${MAX_ATTRACTORS}; i++) {
+        if (float(i + 1) == index) color = u_colors[i];
+    }
+
+    // Convergence time as a fraction of the run
+    float entry = decodeFloat(texture2D(u_basin_1, v_texcoord));
+    gl_FragColor = vec4(color * (1.0 - 0.7 * u_shading * sqrt(clamp(entry, 0.0, 1.0))), 1.0);
+}
+`;
+
+        const screenVertexShader = generateScreenVertexShader();
+        this.updateProgram = createProgram(gl, screenVertexShader, updateShader);
+        this.displayProgram = createProgram(gl, screenVertexShader, displayShader);
+        this.framebuffer = gl.createFramebuffer();
+        this.shaderSource = { update: updateShader, display: displayShader };
+
+        this.seedKey = null;
+        this.phase = 'idle';
+        this.initialized = true;
+    }
+
+    /**
+     * Use given attractor points, or automatic clustering for an empty list
+     * An invalid list falls back to clustering with a warning.
+     * @param {string} text - Attractor points (see parseAttractorPoints)
+     */
+    setAttractorText(text) {
+        if (text === this.attractorText) return;
+        this.attractorText = text;
+        try {
+            this.givenAttractors = parseAttractorPoints(text, this.dimensions);
+        } catch (error) {
+            logger.warn(`Invalid basin attractors "${text}", clustering instead:`, error.message);
+            this.givenAttractors = [];
+        }
+    }
+
+    /**
+     * (Re)create the grid particles and textures at a resolution
+     * @param {number} resolution - Grid cells per side
+     * @param {{min: number[], max: number[]}} bbox - View
+     * @param {Object} dimensionRanges - Storage ranges for dimensions 2+ (see ParticleSystem)
+     */
+    resize(resolution, bbox, dimensionRanges) {
+        if (resolution === this.resolution && this.textureManager) return;
+
+        this.deleteTextures();
+        this.resolution = resolution;
+        this.particleSystem = new ParticleSystem(resolution * resolution, this.dimensions, bbox, this.strategy, dimensionRanges);
+        this.particleSystem.setSeeding(gridSeeding(new Array(this.dimensions).fill(0), this.dimensions, this.displayDims));
+        this.textureManager = new TextureManager(this.gl, this.dimensions, resolution, this.strategy);
+        for (let k = 0; k < 2; k++) {
+            this.trackReadTextures.push(this.textureManager.createTexture());
+            this.trackWriteTextures.push(this.textureManager.createTexture());
+        }
+    }
+
+    /**
+     * Seed one particle per grid cell and clear the attractor tracking
+     * @param {{min: number[], max: number[]}} bbox - View
+     * @param {number} time - Simulation time at the seed
+     */
+    seed(bbox, time) {
+        const gl = this.gl;
+        this.particleSystem.setBBox(bbox);
+        this.particleSystem.initializeParticles();
+        this.textureManager.initializeData(this.particleSystem.getAllData());
+
+        const format = this.strategy.getTextureFormat();
+        for (const texture of [...this.trackReadTextures, ...this.trackWriteTextures]) {
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, format.internalFormat, this.resolution, this.resolution, 0,
+                format.format, format.type, null);
+        }
+
+        this.startTime = time;
+        this.stepsDone = 0;
+    }
+
+    /**
+     * Advance the computation by one frame: reseed when the view or settings
+     * changed, integrate, find the attractors at the end of the first run
+     * (automatic clustering) and summarize the basins at the end
+     * @param {Object} options
+     * @param {{min: number[], max: number[]}} options.bbox - View
+     * @param {Object} options.dimensionRanges - Storage ranges for dimensions 2+
+     * @param {Function} options.setUniforms - Sets the field's own update uniforms (storage ranges, alpha, model parameters)
+     * @param {Object<string, number>} options.parameters - Model parameter values (a change restarts the computation)
+     * @param {number} options.time - Current simulation time (start of a new computation)
+     * @param {number} options.step - Integration step (simulation time)
+     * @param {number} options.steps - Integration steps per run
+     * @param {string} options.attractors - Attractor points (empty = automatic)
+     * @param {number} options.tolerance - Distance to an attractor that counts as reaching it
+     * @param {number} options.resolution - Grid cells per side
+     * @param {WebGLBuffer} options.quadBuffer - Unit quad
+     */
+    update({ bbox, dimensionRanges, setUniforms, parameters = {}, time, step, steps, attractors, tolerance, resolution, quadBuffer }) {
+        if (!this.initialized) return;
+        this.setAttractorText(attractors);
+
+        const key = JSON.stringify([bbox.min, bbox.max, dimensionRanges, steps, this.givenAttractors, tolerance, resolution, step, parameters]);
+        if (key !== this.seedKey) {
+            this.resize(resolution, bbox, dimensionRanges);
+            this.seed(bbox, time);
+            this.seedKey = key;
+            this.attractors = this.givenAttractors.map(position => ({ position, count: 0, share: 0 }));
+            this.phase = this.givenAttractors.length > 0 ? 'classify' : 'explore';
+        }
+        if (this.phase === 'done') return;
+
+        const gl = this.gl;
+        gl.disable(gl.BLEND);
+        const count = Math.min(BASIN_STEPS_PER_FRAME, steps - this.stepsDone);
+        for (let i = 0; i < count; i++) {
+            this.advance(bbox, setUniforms, step, steps, tolerance, quadBuffer);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        if (this.stepsDone < steps) return;
+
+        if (this.phase === 'explore') {
+            this.attractors = this.findAttractors(tolerance);
+            logger.info(`Basins: found ${this.attractors.length} attractor(s)`, this.attractors.map(a => a.position));
+            this.seed(bbox, this.startTime);
+            this.phase = 'classify';
+        } else {
+            this.summarize();
+            this.phase = 'done';
+        }
+    }
+
+    /**
+     * Run one integration step over the grid (all coordinate and tracking passes)
+     */
+    advance(bbox, setUniforms, step, steps, tolerance, quadBuffer) {
+        const gl = this.gl;
+        const program = this.updateProgram;
+        gl.useProgram(program);
+
+        const aPosLoc = gl.getAttribLocation(program, 'a_pos');
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        gl.enableVertexAttribArray(aPosLoc);
+        gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
+
+        this.textureManager.bindReadTextures(program);
+        this.bindTracks(program, this.dimensions);
+
+        gl.uniform2f(gl.getUniformLocation(program, 'u_min'), bbox.min[0], bbox.min[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_max'), bbox.max[0], bbox.max[1]);
+        setUniforms(program);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_particles_res'), this.resolution);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_h'), step);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_time'), this.startTime + this.stepsDone * step);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_step'), this.stepsDone + 1);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_total_steps'), steps);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_tolerance'), tolerance);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_attractor_count'), this.phase === 'classify' ? this.attractors.length : 0);
+        gl.uniform4fv(gl.getUniformLocation(program, 'u_attractors'),
+            packAttractors(this.attractors.map(a => a.position), this.dimensions));
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, this.resolution, this.resolution);
+        const targets = [
+            ...Array.from({ length: this.dimensions }, (_, dim) => this.textureManager.getWriteTexture(dim)),
+            ...this.trackWriteTextures
+        ];
+        targets.forEach((texture, k) => {
+            gl.uniform1i(gl.getUniformLocation(program, 'u_out_coordinate'), k);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+        });
+
+        this.textureManager.swap();
+        const temp = this.trackReadTextures;
+        this.trackReadTextures = this.trackWriteTextures;
+        this.trackWriteTextures = temp;
+        this.stepsDone++;
+    }
+
+    /**
+     * Bind the tracking read textures to u_basin_0 and u_basin_1
+     * @param {WebGLProgram} program - Update or display program
+     * @param {number} unitOffset - First texture unit
+     */
+    bindTracks(program, unitOffset) {
+        const gl = this.gl;
+        this.trackReadTextures.forEach((texture, k) => {
+            gl.activeTexture(gl.TEXTURE0 + unitOffset + k);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(gl.getUniformLocation(program, `u_basin_${k}`), unitOffset + k);
+        });
+    }
+
+    /**
+     * Cluster a sample of the final states into attractors
+     * @param {number} tolerance - Cluster radius
+     * @returns {{position: number[], count: number, share: number}[]}
+     */
+    findAttractors(tolerance) {
+        const data = Array.from({ length: this.dimensions }, (_, dim) => this.textureManager.readTexture(dim));
+        const ranges = Array.from({ length: this.dimensions }, (_, dim) => this.particleSystem.getDimensionRange(dim));
+        const componentsPerValue = this.strategy.getComponentsPerValue();
+        const ArrayType = this.strategy.getArrayType();
+        const buffer = new ArrayType(componentsPerValue);
+
+        const cells = this.resolution * this.resolution;
+        const stride = Math.max(1, Math.floor(cells / CLUSTER_SAMPLES));
+        const states = [];
+        for (let cell = 0; cell < cells; cell += stride) {
+            states.push(data.map((values, dim) => {
+                for (let c = 0; c < componentsPerValue; c++) {
+                    buffer[c] = values[cell * componentsPerValue + c];
+                }
+                return this.strategy.decodeValue(buffer, ranges[dim].min, ranges[dim].max);
+            }));
+        }
+
+        return clusterStates(states, tolerance).map(cluster => ({ ...cluster, count: 0, share: 0 }));
+    }
+
+    /**
+     * Count the cells of every basin (share of the grid per attractor)
+     */
+    summarize() {
+        const data = this.textureManager.readTextureData(this.trackReadTextures[0]);
+        const componentsPerValue = this.strategy.getComponentsPerValue();
+        const ArrayType = this.strategy.getArrayType();
+        const buffer = new ArrayType(componentsPerValue);
+        const cells = this.resolution * this.resolution;
+
+        for (const attractor of this.attractors) attractor.count = 0;
+        for (let cell = 0; cell < cells; cell++) {
+            for (let c = 0; c < componentsPerValue; c++) {
+                buffer[c] = data[cell * componentsPerValue + c];
+            }
+            const index = Math.round(this.strategy.decodeValue(buffer, 0, 1) * (MAX_ATTRACTORS + 1));
+            if (index > 0 && index <= this.attractors.length) {
+                this.attractors[index - 1].count++;
+            }
+        }
+        for (const attractor of this.attractors) attractor.share = attractor.count / cells;
+
+        logger.verbose('Basin shares', this.attractors.map(a => `${(100 * a.share).toFixed(1)}%`));
+    }
+
+    /**
+     * Draw the basins into the bound framebuffer
+     * @param {WebGLBuffer} quadBuffer - Unit quad
+     * @param {boolean} shading - Darken cells by convergence time
+     */
+    draw(quadBuffer, shading = true) {
+        if (!this.initialized || !this.textureManager) return;
+        const gl = this.gl;
+        const program = this.displayProgram;
+        gl.useProgram(program);
+
+        const aPosLoc = gl.getAttribLocation(program, 'a_pos');
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        gl.enableVertexAttribArray(aPosLoc);
+        gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
+
+        this.bindTracks(program, 0);
+        gl.uniform3fv(gl.getUniformLocation(program, 'u_colors'), new Float32Array(BASIN_COLORS.flat()));
+        gl.uniform1f(gl.getUniformLocation(program, 'u_shading'), shading ? 1.0 : 0.0);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    /**
+     * Delete the grid textures
+     */
+    deleteTextures() {
+        const gl = this.gl;
+        if (this.textureManager) this.textureManager.dispose();
+        for (const texture of [...this.trackReadTextures, ...this.trackWriteTextures]) {
+            gl.deleteTexture(texture);
+        }
+        this.textureManager = null;
+        this.particleSystem = null;
+        this.trackReadTextures = [];
+        this.trackWriteTextures = [];
+        this.resolution = 0;
+    }
+
+    /**
+     * Clean up resources (the attractors found stay available)
+     */
+    dispose() {
+        const gl = this.gl;
+        this.deleteTextures();
+        for (const program of [this.updateProgram, this.displayProgram]) {
+            if (program) gl.deleteProgram(program);
+        }
+        if (this.framebuffer) gl.deleteFramebuffer(this.framebuffer);
+        this.updateProgram = null;
+        this.displayProgram = null;
+        this.framebuffer = null;
+        this.attractorText = null;
+        this.initialized = false;
+    }
+}
@@ -0,0 +1,531 @@
+/**
+ * Finite-time Lyapunov exponent (FTLE) field
+ *
+ * Seeds a regular grid over the view, integrates every grid point for a fixed
+ * horizon T (forward or backward in time) with the current integrator, and
+ * turns the gradient of the resulting flow map into the FTLE scalar field
+ *   σ = ln(sqrt(λmax(Dᵀ D))) / |T|,  D = ∂x(T) / ∂(x0, y0)
+ * Ridges of σ are Lagrangian coherent structures: repelling ones forward in
+ * time, attracting ones backward. The integration advances a few steps per
+ * frame; the last completed field stays on screen while the next one (from
+ * the current simulation time) is computed.
+ */
+
+import { logger } from '../utils/debug-logger.js';
+import { getStateType, getStateComponent, getStateZero, generateStateHelpersGLSL } from '../math/state-vector.js';
+import { getGLSLFunctionDeclarations } from '../math/parser.js';
+import { createProgram, generateScreenVertexShader, generateVelocityFunctionGLSL, setParameterUniforms } from './shaders.js';
+
+/**
+ * Integration steps per frame
+ */
+export const FTLE_STEPS_PER_FRAME = 16;
+
+/**
+ * Default integration horizon (simulation time)
+ */
+export const DEFAULT_FTLE_HORIZON = 10;
+
+/**
+ * The top of the gradient is this percentile of the positive field values
+ */
+const RANGE_PERCENTILE = 0.99;
+
+/**
+ * Number of RGBA float textures holding an N-dimensional state (4 coordinates each)
+ * @param {number} dimensions - Number of dimensions
+ * @returns {number}
+ */
+function getStateTextureCount(dimensions) {
+    return Math.ceil(dimensions / 4);
+}
+
+/**
+ * Generate read_state(uv), reading a state from the grid textures u_state_k
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL uniforms and function
+ */
+function generateStateReadGLSL(dimensions) {
+    const vecType = getStateType(dimensions);
+    const count = getStateTextureCount(dimensions);
+    const channels = ['x', 'y', 'z', 'w'];
+    const samplers = Array.from({ length: count }, (_, k) => `uniform sampler2D u_state_${k};`).join('\n');
+    const reads = Array.from({ length: count }, (_, k) => `    vec4 c${k} = texture2D(u_state_${k}, uv);`).join('\n');
+    const components = Array.from({ length: dimensions }, (_, i) =>
+        `    ${getStateComponent('s', i, dimensions)} = c${Math.floor(i / 4)}.${channels[i % 4]};`
+    ).join('\n');
+
+    return `
+${samplers}
+
+${vecType} read_state(vec2 uv) {
+    ${vecType} s = ${getStateZero(dimensions)};
+${reads}
+${components}
+    return s;
+}
+`;
+}
+
+/**
+ * Generate statements writing texture u_out_texture's four coordinates of a state
+ * @param {number} dimensions - Number of dimensions
+ * @param {string} varName - State variable
+ * @returns {string} GLSL statements
+ */
+function generateStateWriteGLSL(dimensions, varName) {
+    const count = getStateTextureCount(dimensions);
+    return Array.from({ length: count }, (_, k) => {
+        const components = [0, 1, 2, 3].map(j => {
+            const i = 4 * k + j;
+            return i < dimensions ? getStateComponent(varName, i, dimensions) : '0.0';
+        });
+        const write = `gl_FragColor = vec4(${components.join(', ')});`;
+        if (count === 1) return `    ${write}`;
+        return k === count - 1 ? ` else {\n        ${write}\n    }` : `${k === 0 ? '    ' : ' else '}if (u_out_texture == ${k}) {\n        ${write}\n    }`;
+    }).join('');
+}
+
+export class FTLEManager {
+    constructor(gl) {
+        this.gl = gl;
+        this.dimensions = 0;
+        this.seedProgram = null;
+        this.advectProgram = null;
+        this.fieldProgram = null;
+        this.displayProgram = null;
+        this.framebuffer = null;
+
+        // Flow map (ping-pong, 4 coordinates per texture) and the FTLE field
+        this.readTextures = [];
+        this.writeTextures = [];
+        this.fieldTexture = null;
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+
+        // Settings (changing them restarts the computation)
+        this.horizon = DEFAULT_FTLE_HORIZON;
+        this.direction = 'forward';
+        this.resolution = 256; // Grid cells along the longer side
+
+        // Progress of the current computation
+        this.seedKey = null;  // View and settings the grid was seeded for
+        this.startTime = 0;   // Simulation time at the seed
+        this.stepsDone = 0;
+        this.hasField = false; // A field has been computed (displayed while the next one runs)
+        this.range = 1.0;      // Field value at the top of the gradient
+
+        this.initialized = false;
+        this.shaderSource = null;
+    }
+
+    /**
+     * Compile the FTLE programs for the current field
+     * @param {Object} options
+     * @param {number} options.dimensions - Number of dimensions
+     * @param {string[]} options.velocityExpressions - Compiled GLSL expressions (in integration coordinates)
+     * @param {string} options.integratorCode - GLSL defining integrate(pos, t, h)
+     * @param {Object|null} options.coordinateSystemCode - Coordinate system code (native-space integration)
+     * @param {number[]} options.displayDims - State dimensions along the grid's axes
+     * @param {string} options.gradientGLSL - GLSL defining evaluateGradient(t)
+     * @throws {Error} If float textures cannot be rendered to or a program fails to compile
+     */
+    initialize({ dimensions, velocityExpressions, integratorCode, coordinateSystemCode = null, displayDims, gradientGLSL }) {
+        const gl = this.gl;
+        this.dispose();
+        this.dimensions = dimensions;
+
+        const vecType = getStateType(dimensions);
+        const hasCoordinateSystem = coordinateSystemCode && coordinateSystemCode.forwardTransform;
+        const [dim1, dim2] = displayDims;
+        const header = `
+precision highp float;
+
+${getGLSLFunctionDeclarations()}
+
+${generateStateHelpersGLSL(dimensions)}
+
+uniform vec2 u_grid_size;
+uniform int u_out_texture;
+
+${hasCoordinateSystem ? `${coordinateSystemCode.forwardTransform}\n${coordinateSystemCode.inverseTransform}` : ''}
+`;
+
+        const seedShader = `${header}
+uniform vec2 u_min;
+uniform vec2 u_max;
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / u_grid_size;
+
+    // Grid point on the displayed plane, every other variable at 0
+    ${vecType} pos = ${getStateZero(dimensions)};
+    ${getStateComponent('pos', dim1, dimensions)} = mix(u_min.x, u_max.x, uv.x);
+    ${getStateComponent('pos', dim2, dimensions)} = mix(u_min.y, u_max.y, uv.y);
+    ${hasCoordinateSystem ? 'pos = transformToNative(pos);' : ''}
+
+${generateStateWriteGLSL(dimensions, 'pos')}
+}
+`;
+
+        const advectShader = `${header}
+uniform float u_t0;
+uniform float u_elapsed;
+uniform float u_h;
+uniform float u_direction; // 1 = forward, -1 = backward in time
+uniform float u_alpha;     // Animation parameter a
+
+${generateStateReadGLSL(dimensions)}
+
+${generateVelocityFunctionGLSL(dimensions, velocityExpressions, coordinateSystemCode, false, 'field_velocity')}
+
+// Field in integration time s: forward x' = f(x, t0 + s), backward x' = -f(x, t0 - s)
+${vecType} get_velocity(${vecType} pos, float t) {
+    return u_direction * field_velocity(pos, u_t0 + u_direction * (t - u_t0));
+}
+
+${integratorCode}
+
+void main() {
+    ${vecType} pos = read_state(gl_FragCoord.xy / u_grid_size);
+    ${vecType} next = integrate(pos, u_t0 + u_elapsed, u_h);
+
+${generateStateWriteGLSL(dimensions, 'next')}
+}
+`;
+
+        const fieldShader = `${header}
+uniform vec2 u_cell;     // Grid spacing in world units
+uniform float u_elapsed; // Integration time covered
+
+${generateStateReadGLSL(dimensions)}
+
+// Flow map at a grid point (Cartesian)
+${vecType} flow_map(vec2 coord) {
+    ${vecType} s = read_state(coord / u_grid_size);
+    return ${hasCoordinateSystem ? 'transformToCartesian(s)' : 's'};
+}
+
+void main() {
+    // Flow map gradient by central differences (one-sided at the grid edges)
+    vec2 c = gl_FragCoord.xy;
+    vec2 lo = max(c - 1.0, vec2(0.5));
+    vec2 hi = min(c + 1.0, u_grid_size - 0.5);
+    ${vecType} dx = (flow_map(vec2(hi.x, c.y)) - flow_map(vec2(lo.x, c.y))) / ((hi.x - lo.x) * u_cell.x);
+    ${vecType} dy = (flow_map(vec2(c.x, hi.y)) - flow_map(vec2(c.x, lo.y))) / ((hi.y - lo.y) * u_cell.y);
+
+    // Largest eigenvalue of the Cauchy-Green tensor D^T D
+    float a = state_dot(dx, dx);
+    float b = state_dot(dx, dy);
+    float d = state_dot(dy, dy);
+    float lambda = 0.5 * (a + d) + sqrt(0.25 * (a - d) * (a - d) + b * b);
+
+    float sigma = 0.5 * log(max(lambda, 1e-30)) / max(u_elapsed, 1e-6);
+    gl_FragColor = vec4(sigma, 0.0, 0.0, 1.0);
+}
+`;
+
+        const displayShader = `
+precision highp float;
+
+uniform sampler2D u_field;
+uniform float u_range;
+varying vec2 v_texcoord;
+
+${gradientGLSL}
+
+void main() {
+    // Contracting regions (σ <= 0) at the start of the gradient, σ >= u_range at the end
+    float sigma = texture2D(u_field, v_texcoord).r;
+    gl_FragColor = vec4(evaluateGradient(clamp(sigma / u_range, 0.0, 1.0)), 1.0);
+}
+`;
+
+        const screenVertexShader = generateScreenVertexShader();
+        this.seedProgram = createProgram(gl, screenVertexShader, seedShader);
+        this.advectProgram = createProgram(gl, screenVertexShader, advectShader);
+        this.fieldProgram = createProgram(gl, screenVertexShader, fieldShader);
+        this.displayProgram = createProgram(gl, screenVertexShader, displayShader);
+        this.framebuffer = gl.createFramebuffer();
+        this.shaderSource = { seed: seedShader, advect: advectShader, field: fieldShader, display: displayShader };
+
+        this.seedKey = null;
+        this.hasField = false;
+        this.initialized = true;
+    }
+
+    /**
+     * Create an RGBA float texture at the grid size
+     * @returns {WebGLTexture}
+     */
+    createTexture() {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.gridWidth, this.gridHeight, 0, gl.RGBA, gl.FLOAT, null);
+        return texture;
+    }
+
+    /**
+     * (Re)create the grid textures for a view aspect ratio
+     * @param {number} aspect - Width / height of the view
+     * @throws {Error} If float textures cannot be rendered to
+     */
+    resizeGrid(aspect) {
+        const gl = this.gl;
+        const width = aspect >= 1 ? this.resolution : Math.max(16, Math.round(this.resolution * aspect));
+        const height = aspect >= 1 ? Math.max(16, Math.round(this.resolution / aspect)) : this.resolution;
+        if (width === this.gridWidth && height === this.gridHeight && this.fieldTexture) return;
+
+        this.deleteTextures();
+        this.gridWidth = width;
+        this.gridHeight = height;
+        const count = getStateTextureCount(this.dimensions);
+        for (let k = 0; k < count; k++) {
+            this.readTextures.push(this.createTexture());
+            this.writeTextures.push(this.createTexture());
+        }
+        this.fieldTexture = this.createTexture();
+        this.hasField = false;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.fieldTexture, 0);
+        const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (!complete) {
+            this.deleteTextures();
+            throw new Error('FTLE field needs renderable float textures, which this device does not support');
+        }
+    }
+
+    /**
+     * Run a full-grid pass of a program into a texture
+     * @param {WebGLProgram} program - Program (uniforms already set)
+     * @param {WebGLTexture} target - Output texture
+     * @param {WebGLBuffer} quadBuffer - Unit quad
+     */
+    drawPass(program, target, quadBuffer) {
+        const gl = this.gl;
+        const aPosLoc = gl.getAttribLocation(program, 'a_pos');
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        gl.enableVertexAttribArray(aPosLoc);
+        gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target, 0);
+        gl.viewport(0, 0, this.gridWidth, this.gridHeight);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    /**
+     * Write one state per texture pass of a program into the write textures, then swap
+     * @param {WebGLProgram} program - Seed or advect program (uniforms already set)
+     * @param {WebGLBuffer} quadBuffer - Unit quad
+     */
+    writeStates(program, quadBuffer) {
+        const gl = this.gl;
+        this.writeTextures.forEach((texture, k) => {
+            gl.uniform1i(gl.getUniformLocation(program, 'u_out_texture'), k);
+            this.drawPass(program, texture, quadBuffer);
+        });
+        const temp = this.readTextures;
+        this.readTextures = this.writeTextures;
+        this.writeTextures = temp;
+    }
+
+    /**
+     * Bind the flow map read textures to u_state_k
+     * @param {WebGLProgram} program - Advect or field program
+     */
+    bindStates(program) {
+        const gl = this.gl;
+        this.readTextures.forEach((texture, k) => {
+            gl.activeTexture(gl.TEXTURE0 + k);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(gl.getUniformLocation(program, `u_state_${k}`), k);
+        });
+    }
+
+    /**
+     * Advance the computation by one frame: reseed when the view or settings
+     * changed or the last field completed, integrate, and compute the field
+     * once the horizon is reached (or every frame until the first one exists)
+     * @param {Object} options
+     * @param {{min: number[], max: number[]}} options.bbox - View
+     * @param {number} options.time - Current simulation time (start of a new computation)
+     * @param {number} options.step - Integration step (simulation time)
+     * @param {number} options.horizon - Integration horizon T (simulation time)
+     * @param {string} options.direction - 'forward' or 'backward'
+     * @param {number} options.resolution - Grid cells along the longer side
+     * @param {number} options.alpha - Animation parameter a (a change restarts the computation)
+     * @param {Object<string, number>} options.parameters - Model parameter values (a change restarts the computation)
+     * @param {WebGLBuffer} options.quadBuffer - Unit quad
+     */
+    update({ bbox, time, step, horizon, direction, resolution, alpha = 0, parameters = {}, quadBuffer }) {
+        if (!this.initialized) return;
+        const gl = this.gl;
+        this.horizon = horizon;
+        this.direction = direction;
+        this.resolution = resolution;
+        const totalSteps = Math.max(1, Math.ceil(this.horizon / step));
+
+        const key = JSON.stringify([bbox.min, bbox.max, this.horizon, this.direction, this.resolution, step, alpha, parameters]);
+        if (key !== this.seedKey || this.stepsDone >= totalSteps) {
+            if (key !== this.seedKey) {
+                this.hasField = false;
+            }
+            this.resizeGrid((bbox.max[0] - bbox.min[0]) / (bbox.max[1] - bbox.min[1]));
+            this.seed(bbox, quadBuffer);
+            this.seedKey = key;
+            this.startTime = time;
+            this.stepsDone = 0;
+        }
+
+        gl.disable(gl.BLEND);
+
+        const program = this.advectProgram;
+        gl.useProgram(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_grid_size'), this.gridWidth, this.gridHeight);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_t0'), this.startTime);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_h'), step);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_direction'), this.direction === 'backward' ? -1.0 : 1.0);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_alpha'), alpha);
+        setParameterUniforms(gl, program, parameters);
+
+        const steps = Math.min(FTLE_STEPS_PER_FRAME, totalSteps - this.stepsDone);
+        for (let i = 0; i < steps; i++) {
+            this.bindStates(program);
+            gl.uniform1f(gl.getUniformLocation(program, 'u_elapsed'), this.stepsDone * step);
+            this.writeStates(program, quadBuffer);
+            this.stepsDone++;
+        }
+
+        const complete = this.stepsDone >= totalSteps;
+        if (complete || !this.hasField) {
+            this.computeField(bbox, this.stepsDone * step, quadBuffer);
+            if (complete) {
+                this.range = this.computeRange();
+                this.hasField = true;
+            }
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Seed the grid over the view
+     * @param {{min: number[], max: number[]}} bbox - View
+     * @param {WebGLBuffer} quadBuffer - Unit quad
+     */
+    seed(bbox, quadBuffer) {
+        const gl = this.gl;
+        const program = this.seedProgram;
+        gl.useProgram(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_grid_size'), this.gridWidth, this.gridHeight);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_min'), bbox.min[0], bbox.min[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_max'), bbox.max[0], bbox.max[1]);
+        this.writeStates(program, quadBuffer);
+    }
+
+    /**
+     * Compute the FTLE field from the current flow map
+     * @param {{min: number[], max: number[]}} bbox - View the grid was seeded over
+     * @param {number} elapsed - Integration time covered
+     * @param {WebGLBuffer} quadBuffer - Unit quad
+     */
+    computeField(bbox, elapsed, quadBuffer) {
+        const gl = this.gl;
+        const program = this.fieldProgram;
+        gl.useProgram(program);
+        this.bindStates(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_grid_size'), this.gridWidth, this.gridHeight);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_cell'),
+            (bbox.max[0] - bbox.min[0]) / this.gridWidth,
+            (bbox.max[1] - bbox.min[1]) / this.gridHeight);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_elapsed'), elapsed);
+        this.drawPass(program, this.fieldTexture, quadBuffer);
+    }
+
+    /**
+     * Gradient range from the computed field (percentile of the positive values)
+     * @returns {number}
+     */
+    computeRange() {
+        const gl = this.gl;
+        const data = new Float32Array(this.gridWidth * this.gridHeight * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.fieldTexture, 0);
+        gl.readPixels(0, 0, this.gridWidth, this.gridHeight, gl.RGBA, gl.FLOAT, data);
+
+        const values = [];
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i] > 0 && Number.isFinite(data[i])) values.push(data[i]);
+        }
+        if (values.length === 0) return this.range;
+
+        values.sort((a, b) => a - b);
+        const range = values[Math.min(values.length - 1, Math.floor(RANGE_PERCENTILE * values.length))];
+        logger.verbose(`FTLE field complete (T = ${this.horizon}, ${this.direction}), range ${range.toFixed(4)}`);
+        return range;
+    }
+
+    /**
+     * Draw the field through the color gradient into the bound framebuffer
+     * @param {WebGLBuffer} quadBuffer - Unit quad
+     */
+    draw(quadBuffer) {
+        if (!this.initialized || !this.fieldTexture) return;
+        const gl = this.gl;
+        const program = this.displayProgram;
+        gl.useProgram(program);
+
+        const aPosLoc = gl.getAttribLocation(program, 'a_pos');
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        gl.enableVertexAttribArray(aPosLoc);
+        gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.fieldTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_field'), 0);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_range'), Math.max(this.range, 1e-6));
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    /**
+     * Delete the grid textures
+     */
+    deleteTextures() {
+        const gl = this.gl;
+        for (const texture of [...this.readTextures, ...this.writeTextures]) {
+            gl.deleteTexture(texture);
+        }
+        if (this.fieldTexture) gl.deleteTexture(this.fieldTexture);
+        this.readTextures = [];
+        this.writeTextures = [];
+        this.fieldTexture = null;
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+    }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        const gl = this.gl;
+        this.deleteTextures();
+        for (const program of [this.seedProgram, this.advectProgram, this.fieldProgram, this.displayProgram]) {
+            if (program) gl.deleteProgram(program);
+        }
+        if (this.framebuffer) gl.deleteFramebuffer(this.framebuffer);
+        this.seedProgram = null;
+        this.advectProgram = null;
+        this.fieldProgram = null;
+        this.displayProgram = null;
+        this.framebuffer = null;
+        this.initialized = false;
+    }
+}
@@ -0,0 +1,313 @@
+/**
+ * Line integral convolution (LIC) background layer
+ *
+ * Convolves a white noise texture along the streamlines of the field on the
+ * displayed plane (other variables at 0), which gives a dense picture of the
+ * flow. Streamlines are traced in screen space with the direction of the
+ * field as the particles integrate it: through the coordinate system or the
+ * domain transform when one is active. The result is a grayscale texture at
+ * the canvas size that the tone mapping pass adds to the particle HDR buffer.
+ *
+ * With animation the kernel is a Hann window times a ripple that travels
+ * downstream as the phase advances (periodic motion filter), so the texture
+ * appears to flow along the streamlines.
+ */
+
+import { logger } from '../utils/debug-logger.js';
+import { getStateType, getStateComponent, getStateZero, generateStateHelpersGLSL } from '../math/state-vector.js';
+import { getGLSLFunctionDeclarations } from '../math/parser.js';
+import { createProgram, generateScreenVertexShader, generateVelocityFunctionGLSL, generateDelayFunctionsGLSL, setParameterUniforms } from './shaders.js';
+
+/**
+ * Integration steps along each direction of a streamline
+ */
+export const LIC_STEPS = 32;
+
+/**
+ * Ripples per streamline half-length in the animated kernel
+ */
+const LIC_RIPPLES = 2;
+
+/**
+ * Side of the (repeating) noise texture in pixels
+ */
+const NOISE_SIZE = 256;
+
+/**
+ * Generate the LIC fragment shader
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[]} velocityExpressions - Compiled GLSL expressions (in integration coordinates)
+ * @param {number[]} displayDims - [horizontalDim, verticalDim]
+ * @param {Object|null} coordinateSystemCode - Coordinate system code (native-space integration)
+ * @param {Object|null} transformCode - Domain transform code {helpers, forward, inverse, jacobian}
+ * @param {Object[]} delays - Delay terms in the expressions (evaluated at the current state here)
+ * @returns {string} GLSL source
+ */
+export function generateLICFragmentShader(dimensions, velocityExpressions, displayDims, coordinateSystemCode = null, transformCode = null, delays = []) {
+    const hasCoordinateSystem = coordinateSystemCode && coordinateSystemCode.forwardTransform;
+    const hasTransform = !hasCoordinateSystem && transformCode && transformCode.forward;
+    const vecType = getStateType(dimensions);
+    const [dim1, dim2] = displayDims;
+    const component = (varName, index) => getStateComponent(varName, index, dimensions);
+
+    // Short step of the integrated field, mapped back to Cartesian (as the update shader does)
+    const toIntegration = hasCoordinateSystem ? 'transformToNative(pos)' : hasTransform ? 'transform_forward(pos)' : 'pos';
+    const fromIntegration = hasCoordinateSystem ? 'transformToCartesian' : hasTransform ? 'transform_inverse' : '';
+    const displacement = fromIntegration ? `
+    ${vecType} q = ${toIntegration};
+    ${vecType} rate = get_velocity(q, u_time);
+    float eps = 0.1 * min(world_per_pixel.x, world_per_pixel.y) / max(state_length(rate), 1e-20);
+    ${vecType} moved = ${fromIntegration}(q + eps * rate) - pos;` : `
+    ${vecType} moved = get_velocity(pos, u_time);`;
+
+    return `
+precision highp float;
+
+${getGLSLFunctionDeclarations()}
+
+${generateStateHelpersGLSL(dimensions)}
+
+uniform sampler2D u_noise;
+uniform vec2 u_min;
+uniform vec2 u_max;
+uniform vec2 u_resolution;
+uniform float u_time;
+uniform float u_alpha;
+uniform float u_length; // Streamline half-length (pixels)
+uniform float u_ripple; // 1 = animated kernel, 0 = Hann window
+uniform float u_phase;  // Ripple phase (cycles)
+${hasTransform ? 'uniform vec4 u_transform_params;' : ''}
+
+varying vec2 v_texcoord;
+
+${hasCoordinateSystem ? `${coordinateSystemCode.forwardTransform}\n${coordinateSystemCode.inverseTransform}` : ''}
+${hasTransform ? `${transformCode.helpers || ''}\n${transformCode.forward}\n${transformCode.inverse}\n${transformCode.jacobian}` : ''}
+
+${generateDelayFunctionsGLSL(delays)}
+
+${generateVelocityFunctionGLSL(dimensions, velocityExpressions, coordinateSystemCode, !!hasTransform)}
+
+// Unit direction of motion on screen at a pixel (zero where the field vanishes)
+vec2 flow_direction(vec2 pixel) {
+    vec2 world_per_pixel = (u_max - u_min) / u_resolution;
+    ${vecType} pos = ${getStateZero(dimensions)};
+    ${component('pos', dim1)} = u_min.x + pixel.x * world_per_pixel.x;
+    ${component('pos', dim2)} = u_min.y + pixel.y * world_per_pixel.y;
+${displacement}
+    vec2 d = vec2(${component('moved', dim1)}, ${component('moved', dim2)}) / world_per_pixel;
+    float len = length(d);
+    return len > 0.0 ? d / len : vec2(0.0);
+}
+
+float noise(vec2 pixel) {
+    return texture2D(u_noise, pixel / ${NOISE_SIZE}.0).r;
+}
+
+// Convolution weight at arc length s (pixels) from the center
+float kernel(float s) {
+    float window = 0.5 + 0.5 * cos(3.14159265 * s / u_length);
+    float ripple = 0.5 + 0.5 * cos(6.28318531 * (${LIC_RIPPLES}.0 * s / u_length + u_phase));
+    return window * mix(1.0, ripple, u_ripple);
+}
+
+// Accumulate noise along the streamline in one direction (midpoint steps)
+void trace(vec2 start, float direction, inout float sum, inout float weight, inout float weight2) {
+    float h = direction * u_length / ${LIC_STEPS}.0;
+    vec2 p = start;
+    for (int i = 1; i <= ${LIC_STEPS}; i++) {
+        vec2 d = flow_direction(p + 0.5 * h * flow_direction(p));
+        if (dot(d, d) == 0.0) break;
+        p += h * d;
+        float w = kernel(float(i) * h);
+        sum += w * noise(p);
+        weight += w;
+        weight2 += w * w;
+    }
+}
+
+void main() {
+    vec2 start = v_texcoord * u_resolution;
+    float w0 = kernel(0.0);
+    float sum = w0 * noise(start);
+    float weight = w0;
+    float weight2 = w0 * w0;
+    trace(start, 1.0, sum, weight, weight2);
+    trace(start, -1.0, sum, weight, weight2);
+
+    // Restore contrast: the average of uniform noise has standard deviation
+    // sqrt(1/12) * sqrt(sum w^2) / sum w, rescale to a fixed spread around 0.5
+    float spread = 0.288675 * sqrt(weight2) / max(weight, 1e-6);
+    float value = clamp(0.5 + 0.2 * (sum / max(weight, 1e-6) - 0.5) / spread, 0.0, 1.0);
+    gl_FragColor = vec4(vec3(value), 1.0);
+}
+`;
+}
+
+export class LICManager {
+    constructor(gl) {
+        this.gl = gl;
+        this.program = null;
+        this.framebuffer = null;
+        this.noiseTexture = null;
+        this.texture = null;
+        this.width = 0;
+        this.height = 0;
+
+        // View and settings the texture was computed for (recomputed when they change)
+        this.key = null;
+        this.timeDependent = false; // The field reads t (or has delays)
+
+        this.initialized = false;
+        this.shaderSource = null;
+    }
+
+    /**
+     * Compile the LIC program for the current field
+     * @param {Object} options
+     * @param {number} options.dimensions - Number of dimensions
+     * @param {string[]} options.velocityExpressions - Compiled GLSL expressions (in integration coordinates)
+     * @param {number[]} options.displayDims - State dimensions along the screen axes
+     * @param {Object|null} options.coordinateSystemCode - Coordinate system code
+     * @param {Object|null} options.transformCode - Domain transform code
+     * @param {Object[]} options.delays - Delay terms in the field
+     * @throws {Error} If the program fails to compile
+     */
+    initialize({ dimensions, velocityExpressions, displayDims, coordinateSystemCode = null, transformCode = null, delays = [] }) {
+        const gl = this.gl;
+        this.dispose();
+
+        const fragmentShader = generateLICFragmentShader(dimensions, velocityExpressions, displayDims, coordinateSystemCode, transformCode, delays);
+        this.program = createProgram(gl, generateScreenVertexShader(), fragmentShader);
+        this.framebuffer = gl.createFramebuffer();
+        this.noiseTexture = this.createNoiseTexture();
+        this.shaderSource = { lic: fragmentShader };
+        this.timeDependent = delays.length > 0 || velocityExpressions.some(expr => /\bt\b/.test(expr));
+
+        this.key = null;
+        this.initialized = true;
+        logger.verbose(`LIC initialized (${dimensions}D, ${LIC_STEPS} steps each way)`);
+    }
+
+    /**
+     * Create the repeating white noise texture (fixed seed, so figures are reproducible)
+     * @returns {WebGLTexture}
+     */
+    createNoiseTexture() {
+        const gl = this.gl;
+        const data = new Uint8Array(NOISE_SIZE * NOISE_SIZE * 4);
+        let seed = 12345;
+        for (let i = 0; i < NOISE_SIZE * NOISE_SIZE; i++) {
+            // Linear congruential generator (Numerical Recipes constants)
+            seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+            const value = seed >>> 24;
+            data[4 * i] = data[4 * i + 1] = data[4 * i + 2] = value;
+            data[4 * i + 3] = 255;
+        }
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, NOISE_SIZE, NOISE_SIZE, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+        return texture;
+    }
+
+    /**
+     * (Re)create the output texture at a size
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    resize(width, height) {
+        if (width === this.width && height === this.height && this.texture) return;
+        const gl = this.gl;
+        if (this.texture) gl.deleteTexture(this.texture);
+
+        this.width = width;
+        this.height = height;
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        this.key = null;
+    }
+
+    /**
+     * Recompute the texture if the view, time or settings changed since the last frame
+     * @param {Object} options
+     * @param {{min: number[], max: number[]}} options.bbox - View
+     * @param {number} options.width - Output width (canvas pixels)
+     * @param {number} options.height - Output height (canvas pixels)
+     * @param {number} options.time - Simulation time
+     * @param {number} options.alpha - Animation parameter a
+     * @param {number} options.length - Streamline half-length (pixels)
+     * @param {boolean} options.animate - Use the traveling ripple kernel
+     * @param {number} options.phase - Ripple phase (cycles)
+     * @param {number[]|null} options.transformParams - Domain transform parameters (vec4)
+     * @param {Object<string, number>} options.parameters - Model parameter values
+     * @param {WebGLBuffer} options.quadBuffer - Unit quad
+     */
+    update({ bbox, width, height, time, alpha, length, animate, phase, transformParams = null, parameters = {}, quadBuffer }) {
+        if (!this.initialized) return;
+        const gl = this.gl;
+        this.resize(width, height);
+
+        const key = JSON.stringify([bbox.min, bbox.max, this.timeDependent ? time : 0, alpha, length, animate, animate ? phase % 1 : 0, transformParams, parameters]);
+        if (key === this.key) return;
+        this.key = key;
+
+        const program = this.program;
+        gl.useProgram(program);
+        gl.disable(gl.BLEND);
+
+        const aPosLoc = gl.getAttribLocation(program, 'a_pos');
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        gl.enableVertexAttribArray(aPosLoc);
+        gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.noiseTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_noise'), 0);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_min'), bbox.min[0], bbox.min[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_max'), bbox.max[0], bbox.max[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), width, height);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_time'), time);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_alpha'), alpha);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_length'), length);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_ripple'), animate ? 1.0 : 0.0);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_phase'), phase % 1);
+        if (transformParams) {
+            gl.uniform4fv(gl.getUniformLocation(program, 'u_transform_params'), transformParams);
+        }
+        setParameterUniforms(gl, program, parameters);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        gl.viewport(0, 0, width, height);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Release GPU resources
+     */
+    dispose() {
+        const gl = this.gl;
+        if (this.program) gl.deleteProgram(this.program);
+        if (this.framebuffer) gl.deleteFramebuffer(this.framebuffer);
+        if (this.noiseTexture) gl.deleteTexture(this.noiseTexture);
+        if (this.texture) gl.deleteTexture(this.texture);
+        this.program = null;
+        this.framebuffer = null;
+        this.noiseTexture = null;
+        this.texture = null;
+        this.width = 0;
+        this.height = 0;
+        this.key = null;
+        this.initialized = false;
+    }
+}
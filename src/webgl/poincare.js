@@ -0,0 +1,458 @@
+/**
+ * Poincaré section capture
+ *
+ * After each update a pass over the particle textures compares every
+ * particle's previous and current position against the section s(x, t) = 0
+ * (see generateSectionGLSL) and writes the interpolated crossing, in the two
+ * section coordinates, to a crossing texture. The crossings are splatted into
+ * an accumulation texture in the section's own view and, every
+ * POINCARE_RECORD_INTERVAL frames up to POINCARE_MAX_POINTS, read back as a
+ * point cloud for export and refitting.
+ */
+
+import { logger } from '../utils/debug-logger.js';
+import { getStateType, getStateComponent, getStateZero, generateStateHelpersGLSL } from '../math/state-vector.js';
+import { getGLSLFunctionDeclarations } from '../math/parser.js';
+import { generateSectionGLSL, fitSectionBounds, POINCARE_MAX_POINTS, POINCARE_RECORD_INTERVAL } from '../math/poincare.js';
+import { createProgram, generateScreenVertexShader, generatePositionReads, generateDimensionRangeUniforms } from './shaders.js';
+
+export class PoincareManager {
+    constructor(gl) {
+        this.gl = gl;
+        this.crossingProgram = null;
+        this.scatterProgram = null;
+        this.replayProgram = null;
+        this.displayProgram = null;
+        this.framebuffer = null;
+        this.replayBuffer = null;
+
+        // Crossing per particle (u, v, t, crossed) and the accumulated section image
+        this.crossingTexture = null;
+        this.crossingResolution = 0;
+        this.accumTexture = null;
+        this.accumWidth = 0;
+        this.accumHeight = 0;
+        this.accumType = null;
+
+        // Section view and recorded crossings
+        this.bbox = null;
+        this.points = [];
+        this.framesCaptured = 0;
+        this.readbackData = null;
+
+        this.initialized = false;
+        this.shaderSource = null;
+    }
+
+    /**
+     * Compile the section programs
+     * Recorded crossings are kept (the caller clears them when the section changes).
+     * @param {Object} options
+     * @param {number} options.dimensions - Number of dimensions
+     * @param {CoordinateStrategy} options.strategy - Position storage strategy
+     * @param {string} options.equation - Section equation, e.g. "z = 27"
+     * @param {string} options.direction - Crossing direction (see POINCARE_DIRECTIONS)
+     * @param {number[]} options.axes - State dimensions used as section coordinates
+     * @param {string} options.gradientGLSL - GLSL defining evaluateGradient(t)
+     * @param {number} options.accumType - Texture type of the section image (blended like the HDR framebuffers)
+     * @throws {Error} If the equation does not parse or a program fails to compile
+     */
+    initialize({ dimensions, strategy, equation, direction, axes, gradientGLSL, accumType = null }) {
+        const gl = this.gl;
+        this.dispose();
+        this.accumType = accumType || gl.FLOAT;
+
+        const vecType = getStateType(dimensions);
+        const [axis1, axis2] = axes;
+        const samplers = prefix => Array.from({ length: dimensions }, (_, i) => `uniform sampler2D ${prefix}${i};`).join('\n');
+
+        const crossingShader = `
+precision highp float;
+
+${strategy.getGLSLConstants()}
+${strategy.getGLSLDecodeFunction()}
+${strategy.getGLSLDenormalizeFunction()}
+
+${getGLSLFunctionDeclarations()}
+
+${generateStateHelpersGLSL(dimensions)}
+
+${samplers('u_pos_')}
+${samplers('u_prev_pos_')}
+uniform vec2 u_min;
+uniform vec2 u_max;
+${generateDimensionRangeUniforms(dimensions)}
+uniform float u_time; // Time at the end of the step
+uniform float u_h;
+
+varying vec2 v_texcoord;
+
+${generateSectionGLSL(dimensions, equation, direction)}
+
+void main() {
+    vec2 texcoord = v_texcoord;
+
+    // Just respawned: the previous position belongs to another trajectory
+    float age = texture2D(u_pos_0, texcoord).a;
+
+    ${vecType} pos = ${getStateZero(dimensions)};
+    ${generatePositionReads('pos', 'u_pos_', dimensions).join('\n    ')}
+    ${vecType} prev_pos = ${getStateZero(dimensions)};
+    ${generatePositionReads('prev_pos', 'u_prev_pos_', dimensions).join('\n    ')}
+
+    float t0 = u_time - u_h;
+    float fraction = section_crossing(section(prev_pos, t0), section(pos, u_time));
+    if (age < 1.0 || fraction < 0.0) {
+        gl_FragColor = vec4(0.0);
+        return;
+    }
+
+    ${vecType} crossing = prev_pos + fraction * (pos - prev_pos);
+    gl_FragColor = vec4(${getStateComponent('crossing', axis1, dimensions)}, ${getStateComponent('crossing', axis2, dimensions)}, t0 + fraction * u_h, 1.0);
+}
+`;
+
+        const pointFragmentShader = `
+precision highp float;
+
+void main() {
+    gl_FragColor = vec4(1.0, 0.0, 0.0, 1.0);
+}
+`;
+
+        // One vertex per particle, off-screen unless it crossed this frame
+        const scatterVertexShader = `
+precision highp float;
+
+attribute float a_index;
+uniform sampler2D u_crossings;
+uniform float u_particles_res;
+uniform vec2 u_min;
+uniform vec2 u_max;
+
+void main() {
+    vec2 texcoord = vec2(
+        (mod(a_index, u_particles_res) + 0.5) / u_particles_res,
+        (floor(a_index / u_particles_res) + 0.5) / u_particles_res
+    );
+    vec4 crossing = texture2D(u_crossings, texcoord);
+    if (crossing.a < 0.5) {
+        gl_Position = vec4(10.0, 10.0, 10.0, 1.0);
+        gl_PointSize = 0.0;
+    } else {
+        gl_Position = vec4((crossing.xy - u_min) / (u_max - u_min) * 2.0 - 1.0, 0.0, 1.0);
+        gl_PointSize = 1.0;
+    }
+}
+`;
+
+        // Recorded crossings (after the section view changed)
+        const replayVertexShader = `
+precision highp float;
+
+attribute vec2 a_point;
+uniform vec2 u_min;
+uniform vec2 u_max;
+
+void main() {
+    gl_Position = vec4((a_point - u_min) / (u_max - u_min) * 2.0 - 1.0, 0.0, 1.0);
+    gl_PointSize = 1.0;
+}
+`;
+
+        const displayShader = `
+precision highp float;
+
+uniform sampler2D u_accum;
+uniform float u_intensity;
+varying vec2 v_texcoord;
+
+${gradientGLSL}
+
+void main() {
+    // Crossing density through the color gradient, empty cells stay black
+    float density = texture2D(u_accum, v_texcoord).r;
+    if (density <= 0.0) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+    float level = 1.0 - exp(-u_intensity * density);
+    gl_FragColor = vec4(evaluateGradient(level) * level, 1.0);
+}
+`;
+
+        const screenVertexShader = generateScreenVertexShader();
+        this.crossingProgram = createProgram(gl, screenVertexShader, crossingShader);
+        this.scatterProgram = createProgram(gl, scatterVertexShader, pointFragmentShader);
+        this.replayProgram = createProgram(gl, replayVertexShader, pointFragmentShader);
+        this.displayProgram = createProgram(gl, screenVertexShader, displayShader);
+        this.framebuffer = gl.createFramebuffer();
+        this.replayBuffer = gl.createBuffer();
+        this.shaderSource = { crossing: crossingShader, scatter: scatterVertexShader, replay: replayVertexShader, display: displayShader };
+
+        this.initialized = true;
+    }
+
+    /**
+     * Create an RGBA float texture
+     * @param {number} width - Width in texels
+     * @param {number} height - Height in texels
+     * @param {number} type - Texel type (default: gl.FLOAT)
+     * @returns {WebGLTexture}
+     */
+    createTexture(width, height, type = this.gl.FLOAT) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, type, null);
+        return texture;
+    }
+
+    /**
+     * Attach a texture to the framebuffer
+     * @param {WebGLTexture} texture - Render target
+     * @throws {Error} If float textures cannot be rendered to
+     */
+    bindTarget(texture) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            throw new Error('Poincaré sections need renderable float textures, which this device does not support');
+        }
+    }
+
+    /**
+     * (Re)create the crossing and accumulation textures for the particle and view sizes
+     * A new accumulation texture is refilled from the recorded crossings.
+     * @param {number} particleRes - Particle texture resolution
+     * @param {number} width - Section image width
+     * @param {number} height - Section image height
+     */
+    resizeTargets(particleRes, width, height) {
+        const gl = this.gl;
+        if (particleRes !== this.crossingResolution) {
+            if (this.crossingTexture) gl.deleteTexture(this.crossingTexture);
+            this.crossingTexture = this.createTexture(particleRes, particleRes);
+            this.crossingResolution = particleRes;
+        }
+        if (width !== this.accumWidth || height !== this.accumHeight) {
+            if (this.accumTexture) gl.deleteTexture(this.accumTexture);
+            this.accumTexture = this.createTexture(width, height, this.accumType);
+            this.accumWidth = width;
+            this.accumHeight = height;
+            this.redraw();
+        }
+    }
+
+    /**
+     * Set the section view and redraw the recorded crossings in it
+     * @param {{min: number[], max: number[]}} bbox - Section coordinates at the view's corners
+     */
+    setBounds(bbox) {
+        this.bbox = { min: [...bbox.min], max: [...bbox.max] };
+        this.redraw();
+    }
+
+    /**
+     * Fit the section view to the recorded crossings
+     * @param {number} aspect - Width / height of the view
+     * @returns {boolean} False without recorded crossings
+     */
+    fit(aspect) {
+        const bbox = fitSectionBounds(this.points, aspect);
+        if (!bbox) return false;
+        this.setBounds(bbox);
+        return true;
+    }
+
+    /**
+     * Clear the section image and drop the recorded crossings
+     */
+    clear() {
+        this.points = [];
+        this.framesCaptured = 0;
+        this.redraw();
+    }
+
+    /**
+     * Clear the section image and splat the recorded crossings again
+     */
+    redraw() {
+        if (!this.initialized || !this.accumTexture) return;
+        const gl = this.gl;
+        this.bindTarget(this.accumTexture);
+        gl.viewport(0, 0, this.accumWidth, this.accumHeight);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        if (this.points.length > 0 && this.bbox) {
+            const data = new Float32Array(this.points.length * 2);
+            this.points.forEach(({ u, v }, i) => {
+                data[2 * i] = u;
+                data[2 * i + 1] = v;
+            });
+
+            const program = this.replayProgram;
+            gl.useProgram(program);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.replayBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+            const aPointLoc = gl.getAttribLocation(program, 'a_point');
+            gl.enableVertexAttribArray(aPointLoc);
+            gl.vertexAttribPointer(aPointLoc, 2, gl.FLOAT, false, 0, 0);
+            gl.uniform2f(gl.getUniformLocation(program, 'u_min'), this.bbox.min[0], this.bbox.min[1]);
+            gl.uniform2f(gl.getUniformLocation(program, 'u_max'), this.bbox.max[0], this.bbox.max[1]);
+
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.ONE, gl.ONE);
+            gl.drawArrays(gl.POINTS, 0, this.points.length);
+            gl.disable(gl.BLEND);
+            gl.disableVertexAttribArray(aPointLoc);
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Find this frame's crossings, add them to the section image and record them
+     * @param {Object} options
+     * @param {Function} options.bindParticles - Binds u_pos_i, u_prev_pos_i, u_min/u_max and
+     *   the storage ranges for a program
+     * @param {number} options.particleRes - Particle texture resolution
+     * @param {number} options.particleCount - Particles in use
+     * @param {WebGLBuffer} options.indexBuffer - Particle index per vertex
+     * @param {WebGLBuffer} options.quadBuffer - Unit quad
+     * @param {number} options.time - Simulation time at the end of the step
+     * @param {number} options.step - Step size of the frame
+     * @param {number} options.width - Section image width
+     * @param {number} options.height - Section image height
+     * @throws {Error} If float textures cannot be rendered to
+     */
+    capture({ bindParticles, particleRes, particleCount, indexBuffer, quadBuffer, time, step, width, height }) {
+        if (!this.initialized || !this.bbox) return;
+        const gl = this.gl;
+        this.resizeTargets(particleRes, width, height);
+        gl.disable(gl.BLEND);
+
+        // Crossing of each particle during the last step
+        let program = this.crossingProgram;
+        gl.useProgram(program);
+        const aPosLoc = gl.getAttribLocation(program, 'a_pos');
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        gl.enableVertexAttribArray(aPosLoc);
+        gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
+        bindParticles(program);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_time'), time);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_h'), step);
+        this.bindTarget(this.crossingTexture);
+        gl.viewport(0, 0, particleRes, particleRes);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+
+        if (this.points.length < POINCARE_MAX_POINTS && this.framesCaptured % POINCARE_RECORD_INTERVAL === 0) {
+            this.record(particleRes, particleCount);
+        }
+        this.framesCaptured++;
+
+        // Splat the crossings into the section image
+        program = this.scatterProgram;
+        gl.useProgram(program);
+        const aIndexLoc = gl.getAttribLocation(program, 'a_index');
+        gl.bindBuffer(gl.ARRAY_BUFFER, indexBuffer);
+        gl.enableVertexAttribArray(aIndexLoc);
+        gl.vertexAttribPointer(aIndexLoc, 1, gl.FLOAT, false, 0, 0);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.crossingTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_crossings'), 0);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_particles_res'), particleRes);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_min'), this.bbox.min[0], this.bbox.min[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_max'), this.bbox.max[0], this.bbox.max[1]);
+
+        this.bindTarget(this.accumTexture);
+        gl.viewport(0, 0, this.accumWidth, this.accumHeight);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.drawArrays(gl.POINTS, 0, particleCount);
+        gl.disable(gl.BLEND);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    /**
+     * Read this frame's crossings back into the point cloud
+     * (the crossing texture is bound to the framebuffer)
+     * @param {number} particleRes - Particle texture resolution
+     * @param {number} particleCount - Particles in use
+     */
+    record(particleRes, particleCount) {
+        const gl = this.gl;
+        const size = particleRes * particleRes * 4;
+        if (!this.readbackData || this.readbackData.length !== size) {
+            this.readbackData = new Float32Array(size);
+        }
+        const data = this.readbackData;
+        gl.readPixels(0, 0, particleRes, particleRes, gl.RGBA, gl.FLOAT, data);
+
+        for (let i = 0; i < particleCount && this.points.length < POINCARE_MAX_POINTS; i++) {
+            if (data[4 * i + 3] > 0.5) {
+                this.points.push({ u: data[4 * i], v: data[4 * i + 1], t: data[4 * i + 2] });
+            }
+        }
+        if (this.points.length >= POINCARE_MAX_POINTS) {
+            logger.info(`Poincaré section: recorded ${POINCARE_MAX_POINTS} crossings, further ones are drawn but not kept`);
+        }
+    }
+
+    /**
+     * Draw the section image into the bound framebuffer
+     * @param {WebGLBuffer} quadBuffer - Unit quad
+     * @param {number} intensity - Brightness per crossing
+     */
+    draw(quadBuffer, intensity) {
+        if (!this.initialized || !this.accumTexture) return;
+        const gl = this.gl;
+        const program = this.displayProgram;
+        gl.useProgram(program);
+
+        const aPosLoc = gl.getAttribLocation(program, 'a_pos');
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        gl.enableVertexAttribArray(aPosLoc);
+        gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.accumTexture);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_accum'), 0);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_intensity'), intensity);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+
+    /**
+     * Clean up GPU resources (recorded crossings are kept)
+     */
+    dispose() {
+        const gl = this.gl;
+        for (const program of [this.crossingProgram, this.scatterProgram, this.replayProgram, this.displayProgram]) {
+            if (program) gl.deleteProgram(program);
+        }
+        if (this.crossingTexture) gl.deleteTexture(this.crossingTexture);
+        if (this.accumTexture) gl.deleteTexture(this.accumTexture);
+        if (this.framebuffer) gl.deleteFramebuffer(this.framebuffer);
+        if (this.replayBuffer) gl.deleteBuffer(this.replayBuffer);
+        this.crossingProgram = null;
+        this.scatterProgram = null;
+        this.replayProgram = null;
+        this.displayProgram = null;
+        this.crossingTexture = null;
+        this.crossingResolution = 0;
+        this.accumTexture = null;
+        this.accumWidth = 0;
+        this.accumHeight = 0;
+        this.framebuffer = null;
+        this.replayBuffer = null;
+        this.initialized = false;
+    }
+}
@@ -8,6 +8,10 @@ import { BilateralFilterManager } from './bilateral.js';
 import { SMAAManager } from './smaa.js';
 import { BufferStatsManager } from './buffer-stats.js';
 import { VelocityStatsManager } from './velocity-stats.js';
+import { FTLEManager, DEFAULT_FTLE_HORIZON } from './ftle.js';
+import { BasinManager, DEFAULT_BASIN_STEPS } from './basins.js';
+import { PoincareManager } from './poincare.js';
+import { LICManager } from './lic.js';
 import { ParticleSystem } from '../particles/system.js';
 import {
     createProgram,
@@ -18,20 +22,42 @@ import {
     generateScreenVertexShader,
     generateScreenFadeFragmentShader,
     generateScreenCopyFragmentShader,
-    generateTonemapFragmentShader
+    generateTonemapFragmentShader,
+    generateNullclineFragmentShader,
+    generateGlyphFragmentShader,
+    setParameterUniforms,
+    GLYPH_SCALINGS
 } from './shaders.js';
-import { parseVectorField, createVelocityEvaluators, parseExpression } from '../math/parser.js';
+import { parseVectorField, createVelocityEvaluators, parseExpression, stripWienerIncrement, collectDelays, setCustomFunctions, getCustomFunctions, parseModelParameters, setModelParameters, getModelParameters, setModelParameterValues, getModelParameterValues } from '../math/parser.js';
 import { getIntegrator } from '../math/integrators.js';
 import { getMapper } from '../math/mappers.js';
+import { getSeeding } from '../math/seeding.js';
 import { getTransform } from '../math/transforms.js';
+import { isPackedState, getStateType } from '../math/state-vector.js';
 import { getColorMode, generateExpressionColorMode, generateGradientColorMode } from '../math/colors.js';
 import { generateGradientGLSL, getDefaultGradient } from '../math/gradients.js';
 import { generateTonemapGLSL, getToneMapper } from '../math/tonemapping.js';
 import { getCartesianSystem } from '../math/coordinate-systems.js';
+import { computeSymbolicJacobian, isValidJacobian, isJacobianAvailable } from '../math/jacobian.js';
+import { DEFAULT_LYAPUNOV_WINDOW, LYAPUNOV_LIMIT, summarizeLyapunovExponents } from '../math/lyapunov.js';
+import { fitSectionBounds } from '../math/poincare.js';
 import { logger } from '../utils/debug-logger.js';
 import { RGBAStrategy } from './strategies/rgba-strategy.js';
 import { FloatStrategy } from './strategies/float-strategy.js';
 
+/**
+ * Overlay curve colors (RGBA): nullclines of the horizontal and vertical
+ * displayed variables, then isoclines in order
+ */
+const NULLCLINE_COLORS = [
+    [1.0, 0.35, 0.35, 0.9],
+    [0.35, 0.65, 1.0, 0.9],
+    [1.0, 0.85, 0.3, 0.8],
+    [0.5, 1.0, 0.5, 0.8],
+    [0.9, 0.5, 1.0, 0.8],
+    [0.3, 1.0, 0.95, 0.8]
+];
+
 /**
  * WebGL Renderer class
  */
@@ -96,11 +122,18 @@ export class Renderer {
         this.integratorType = 'rk4';
         this.integratorParams = { iterations: 3 }; // For implicit methods
         this.integratorCostFactor = 1; // Cost factor for fair integrator comparison (set during shader compilation)
+        this.integrator = null; // Compiled integrator (GLSL code and matching CPU step, set during shader compilation)
         this.solutionMethod = 'fixed-point'; // For implicit methods: 'fixed-point' or 'newton'
+        this.diffusionExpressions = []; // Noise terms per dimension (stochastic integrators)
+        this.delays = []; // Delay terms x(t - tau) in the field (set during shader compilation)
         this.transformType = 'identity'; // Domain transformation type
         this.transformParams = {}; // Transform parameters
+        this.modelParameters = ''; // Model parameter block ("sigma = 10 [0, 30]" per line), values are uniforms
+        this.customFunctions = ''; // Function definitions ("f(x, y) = x*y" per line)
         this.mapperType = 'select';
         this.mapperParams = { dim1: 0, dim2: 1 };
+        this.seedingType = 'uniform';
+        this.seedingParams = {};
         this.colorMode = 'white';
         this.colorExpression = 'x * y'; // Default expression for expression mode
         this.colorGradient = getDefaultGradient(); // Default gradient
@@ -136,6 +169,57 @@ export class Renderer {
         this.bilateralSpatialSigma = config.bilateralSpatialSigma !== undefined ? config.bilateralSpatialSigma : 4.0;
         this.bilateralIntensitySigma = config.bilateralIntensitySigma !== undefined ? config.bilateralIntensitySigma : 0.2;
 
+        // Nullcline/isocline overlay (zero levels of the displayed field components)
+        this.showNullclines = config.showNullclines !== undefined ? config.showNullclines : false;
+        this.isoclineSlopes = config.isoclineSlopes !== undefined ? config.isoclineSlopes : []; // dy/dx = k curves
+        this.nullclineLineWidth = 1.5; // Pixels
+        this.nullclineProgram = null;
+        this.nullclineCurves = [];
+
+        // Field arrow overlay (one glyph per grid cell, colored like the particles)
+        this.showGlyphs = config.showGlyphs !== undefined ? config.showGlyphs : false;
+        this.glyphSpacing = config.glyphSpacing !== undefined ? config.glyphSpacing : 40; // Pixels
+        this.glyphScaling = config.glyphScaling !== undefined ? config.glyphScaling : 'linear'; // See GLYPH_SCALINGS
+        this.glyphProgram = null;
+
+        // Lyapunov color mode: averaging window (simulation time) and exponent at the gradient ends
+        this.lyapunovWindow = config.lyapunovWindow !== undefined ? config.lyapunovWindow : DEFAULT_LYAPUNOV_WINDOW;
+        this.lyapunovRange = config.lyapunovRange !== undefined ? config.lyapunovRange : 1.0;
+
+        // Field structure color modes (divergence, curl, ...): value at the ends of the gradient
+        this.structureRange = config.structureRange !== undefined ? config.structureRange : 1.0;
+
+        // FTLE field mode: draws the finite-time Lyapunov exponent of a grid over the view instead of particles
+        this.ftleEnabled = config.ftleEnabled !== undefined ? config.ftleEnabled : false;
+        this.ftleHorizon = config.ftleHorizon !== undefined ? config.ftleHorizon : DEFAULT_FTLE_HORIZON;
+        this.ftleDirection = config.ftleDirection !== undefined ? config.ftleDirection : 'forward'; // 'forward' (repelling LCS) or 'backward' (attracting)
+        this.ftleResolution = config.ftleResolution !== undefined ? config.ftleResolution : 256; // Grid cells along the longer side
+
+        // Basin mode: colors a grid over the view by the attractor each cell's particle ends up on
+        this.basinEnabled = config.basinEnabled !== undefined ? config.basinEnabled : false;
+        this.basinSteps = config.basinSteps !== undefined ? config.basinSteps : DEFAULT_BASIN_STEPS;
+        this.basinAttractors = config.basinAttractors !== undefined ? config.basinAttractors : ''; // Empty = automatic clustering
+        this.basinTolerance = config.basinTolerance !== undefined ? config.basinTolerance : 0.1;
+        this.basinResolution = config.basinResolution !== undefined ? config.basinResolution : 512; // Cells per side, 0 = one per pixel
+        this.basinShading = config.basinShading !== undefined ? config.basinShading : true; // Darken by convergence time
+
+        // Poincaré section: crossings of s = 0 recorded in two coordinates, optionally shown instead of the trails
+        this.poincareEnabled = config.poincareEnabled !== undefined ? config.poincareEnabled : false;
+        this.poincareEquation = config.poincareEquation !== undefined ? config.poincareEquation : 'z = 27';
+        this.poincareDirection = config.poincareDirection !== undefined ? config.poincareDirection : 'positive';
+        this.poincareDim1 = config.poincareDim1 !== undefined ? config.poincareDim1 : 0;
+        this.poincareDim2 = config.poincareDim2 !== undefined ? config.poincareDim2 : 1;
+        this.poincareView = config.poincareView !== undefined ? config.poincareView : false;
+        this.poincareSection = null; // Section the recorded crossings belong to
+
+        // Line integral convolution background: noise smeared along the streamlines, added before tone mapping
+        this.licEnabled = config.licEnabled !== undefined ? config.licEnabled : false;
+        this.licLength = config.licLength !== undefined ? config.licLength : 20; // Streamline half-length (pixels)
+        this.licIntensity = config.licIntensity !== undefined ? config.licIntensity : 1.0; // HDR brightness of white
+        this.licAnimate = config.licAnimate !== undefined ? config.licAnimate : false; // Traveling ripple kernel
+        this.licSpeed = config.licSpeed !== undefined ? config.licSpeed : 1.0; // Ripple cycles per unit of simulation time
+        this.licPhase = config.licPhase !== undefined ? config.licPhase : 0; // Ripple phase offset (cycles)
+
         // Render scale (render at different resolution, resample to canvas)
         // Supports both downsampling (0.5x for performance) and supersampling (2x+ for quality)
         // Validate and clamp render scale factor
@@ -152,6 +236,10 @@ export class Renderer {
         this.dropProbability = 0.003;
         this.respawnMargin = 0.2; // Margin (as fraction of viewport) for respawning particles
 
+        // Simulation clock for non-autonomous fields (the 't' variable)
+        this.simulationTime = 0.0; // Advanced by the effective step size each update
+        this.timePeriod = 0.0; // Wrap t into [0, period) when > 0 (0 = unbounded)
+
         // Animation support
         this.animationAlpha = 0.0; // Alpha parameter for animation (0.0 to 1.0)
         this.lockShaderRecompilation = false; // Prevent shader recompilation during animation
@@ -178,8 +266,11 @@ export class Renderer {
             max: [width / 2, 5]
         };
 
+        // Storage ranges for dimensions beyond x/y, keyed by variable name (e.g., { z: { min: 0, max: 50 } })
+        this.dimensionRanges = {};
+
         // Particle system
-        this.particleSystem = new ParticleSystem(10000, this.dimensions, this.bbox, this.strategy);
+        this.particleSystem = new ParticleSystem(10000, this.dimensions, this.bbox, this.strategy, this.dimensionRanges);
 
         // Texture manager
         this.textureManager = new TextureManager(
@@ -331,6 +422,10 @@ export class Renderer {
         // Create buffer statistics manager
         this.bufferStatsManager = new BufferStatsManager(gl);
         this.velocityStatsManager = new VelocityStatsManager(gl);
+        this.ftleManager = new FTLEManager(gl);
+        this.basinManager = new BasinManager(gl);
+        this.poincareManager = new PoincareManager(gl);
+        this.licManager = new LICManager(gl);
         this.statsUpdateInterval = 60; // Update stats every N frames (adaptive)
         this.statsUpdateIntervalSlow = 120; // Slower update when not running (less important)
         this.statsCoarseMode = true; // Use coarse sampling by default
@@ -426,6 +521,22 @@ export class Renderer {
     }
 
 
+    /**
+     * Parameters passed to getIntegrator(): solver settings plus the field
+     * expressions (Newton's method), variable names (symplectic position
+     * declarations) and diffusion terms (stochastic integrators)
+     * @returns {Object}
+     */
+    getIntegratorParams() {
+        return {
+            ...this.integratorParams,
+            expressions: this.expressions,
+            solutionMethod: this.solutionMethod,
+            variables: this.coordinateSystem.getVariableNames(),
+            diffusionExpressions: this.diffusionExpressions
+        };
+    }
+
     /**
      * Compile all shader programs
      */
@@ -482,23 +593,50 @@ export class Renderer {
                 });
             }
 
-            // Get integrator code (pass expressions and solutionMethod for Newton's method support)
-            const integratorParams = {
-                ...this.integratorParams,
-                expressions: this.expressions,
-                solutionMethod: this.solutionMethod
-            };
-            const integrator = getIntegrator(this.integratorType, this.dimensions, integratorParams);
+            // Get integrator code
+            const integrator = getIntegrator(this.integratorType, this.dimensions, this.getIntegratorParams());
 
-            // Store integrator costFactor for timestep scaling
+            // Store integrator (CPU tools reuse its step) and costFactor for timestep scaling
+            this.integrator = integrator;
             this.integratorCostFactor = integrator.costFactor || 1;
 
+            // Adaptive integrators keep a per-particle step size between frames
+            this.textureManager.setStepSizeEnabled(!!integrator.adaptive);
+
+            // Delay terms x(t - tau) read past positions kept by the texture manager
+            const delays = collectDelays(this.expressions, coordinateVars);
+            if (delays.length > 0) {
+                if (!isCartesian) {
+                    throw new Error(`Delay terms need Cartesian coordinates (the position history is stored in Cartesian form), not ${this.coordinateSystem.name}`);
+                }
+                const textureUnits = 2 * this.dimensions + 1 + 3 * delays.length;
+                const maxTextureUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+                if (textureUnits > maxTextureUnits) {
+                    throw new Error(`${delays.length} delay terms need ${textureUnits} texture units, but only ${maxTextureUnits} are available`);
+                }
+            }
+            this.delays = delays;
+            this.updateDelayHistory();
+
             // Get mapper code
             const mapper = getMapper(this.mapperType, this.dimensions, this.mapperParams);
 
+            // Get seeding distribution (used on respawn in the shader and by particle initialization)
+            let seeding;
+            try {
+                seeding = getSeeding(this.seedingType, this.dimensions, this.seedingParams);
+            } catch (error) {
+                logger.warn(`Invalid seeding parameters for '${this.seedingType}', falling back to uniform:`, error.message);
+                seeding = getSeeding('uniform', this.dimensions);
+            }
+            this.particleSystem.setSeeding(seeding);
+
             // Get transform code (domain transformation)
             let transformCode = null;
-            if (this.transformType !== 'identity') {
+            if (this.transformType !== 'identity' && isPackedState(this.dimensions)) {
+                // Transforms work component-wise on vecN and have no packed mat3 form
+                logger.warn(`Domain transforms support at most 4 dimensions, ignoring '${this.transformType}' for ${this.dimensions}D`);
+            } else if (this.transformType !== 'identity') {
                 const transform = getTransform(this.transformType);
                 transformCode = {
                     helpers: transform.generateHelpers(this.dimensions),
@@ -529,12 +667,49 @@ export class Renderer {
                 // Generate gradient GLSL
                 const gradientGLSL = generateGradientGLSL(this.colorGradient);
 
+                // Field structure modes evaluate the symbolic Jacobian, which is in Cartesian variables
+                let jacobian = null;
+                if (colorMode.usesJacobian) {
+                    if (!isCartesian) {
+                        throw new Error(`Color mode '${colorMode.name}' is only available in Cartesian coordinates`);
+                    }
+                    jacobian = this.getSymbolicJacobian();
+                }
+
                 // Generate gradient-based version of the preset mode
-                colorCode = generateGradientColorMode(this.colorMode, this.dimensions, gradientGLSL);
+                colorCode = generateGradientColorMode(this.colorMode, this.dimensions, gradientGLSL, jacobian);
 
                 // usesMaxVelocity already set from colorMode
             }
 
+            // Noise amplitudes for stochastic integrators (missing terms add no noise)
+            let diffusionGLSL = null;
+            if (integrator.stochastic) {
+                const posVarName = isCartesian ? 'pos' : 'pos_native';
+                const terms = Array.from({ length: this.dimensions }, (_, i) => stripWienerIncrement(this.diffusionExpressions[i]));
+                diffusionGLSL = parseVectorField(terms, coordinateVars, posVarName);
+            }
+
+            // Lyapunov exponents: particles carry tangent vectors through the linearized flow
+            let lyapunov = null;
+            if (colorMode.usesLyapunov) {
+                if (delays.length > 0) {
+                    throw new Error('Lyapunov exponents are not available for delay equations');
+                }
+                const textureUnits = 3 * this.dimensions + 3;
+                const maxTextureUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+                if (textureUnits > maxTextureUnits) {
+                    throw new Error(`Lyapunov tracking in ${this.dimensions}D needs ${textureUnits} texture units, but only ${maxTextureUnits} are available`);
+                }
+                // The symbolic Jacobian is in Cartesian variables; other spaces use finite differences
+                const exact = isCartesian && !transformCode && !this.velocityGLSL;
+                lyapunov = { jacobian: exact ? this.getSymbolicJacobian() : null };
+                if (exact && !lyapunov.jacobian) {
+                    logger.warn('Lyapunov tangents use finite differences');
+                }
+            }
+            this.textureManager.setLyapunovEnabled(!!lyapunov);
+
             // Create update program
             const updateVertexShader = generateUpdateVertexShader();
             const updateFragmentShader = generateUpdateFragmentShader(
@@ -543,7 +718,12 @@ export class Renderer {
                 integrator.code,
                 this.strategy,
                 transformCode,
-                coordinateSystemCode
+                coordinateSystemCode,
+                seeding.code,
+                !!integrator.adaptive,
+                diffusionGLSL,
+                delays,
+                lyapunov
             );
 
             this.updateProgram = createProgram(gl, updateVertexShader, updateFragmentShader);
@@ -558,12 +738,55 @@ export class Renderer {
                 velocityGLSL,
                 this.strategy,
                 isLineMode,
-                coordinateSystemCode
+                coordinateSystemCode,
+                colorMode.usesStepSize ? (integrator.adaptive ? 'texture' : 'constant') : null,
+                delays,
+                !!lyapunov
             );
-            const drawFragmentShader = generateDrawFragmentShader(this.dimensions, colorCode, usesMaxVelocity);
+            const drawFragmentShader = generateDrawFragmentShader(this.dimensions, colorCode, usesMaxVelocity, !!colorMode.usesStepSize, !!lyapunov);
 
             this.drawProgram = createProgram(gl, drawVertexShader, drawFragmentShader);
 
+            // Create nullcline overlay program (nullclines of the displayed variables, then isoclines)
+            const displayDims = this.getDisplayDims();
+            this.nullclineCurves = [
+                ...displayDims.map(component => ({ type: 'nullcline', component })),
+                ...this.isoclineSlopes.map(slope => ({ type: 'isocline', slope }))
+            ].slice(0, NULLCLINE_COLORS.length);
+            const nullclineFragmentShader = generateNullclineFragmentShader(
+                this.dimensions,
+                velocityGLSL,
+                this.nullclineCurves,
+                displayDims,
+                coordinateSystemCode,
+                delays
+            );
+            // The overlay is optional, a failure here must not stop the particles
+            try {
+                this.nullclineProgram = createProgram(gl, generateScreenVertexShader(), nullclineFragmentShader);
+            } catch (error) {
+                logger.warn('Failed to compile nullcline overlay, nullclines disabled:', error.message);
+                this.nullclineProgram = null;
+            }
+
+            // Create field arrow overlay program (color modes fed by particle history draw white arrows)
+            let glyphColorCode = colorCode;
+            if (colorMode.usesStepSize || colorMode.usesLyapunov) {
+                logger.verbose(`Color mode ${this.colorMode} needs particle data, field arrows are drawn white`);
+                const vecType = getStateType(this.dimensions);
+                glyphColorCode = `vec3 getColor(${vecType} pos, ${vecType} velocity, ${vecType} field_velocity, ${vecType} velocity_proj) { return vec3(1.0); }`;
+            }
+            const glyphFragmentShader = generateGlyphFragmentShader(
+                this.dimensions,
+                velocityGLSL,
+                displayDims,
+                glyphColorCode,
+                usesMaxVelocity,
+                coordinateSystemCode,
+                delays
+            );
+            this.glyphProgram = createProgram(gl, generateScreenVertexShader(), glyphFragmentShader);
+
             // Track whether we need to compute max velocity
             this.usesMaxVelocity = usesMaxVelocity;
 
@@ -573,6 +796,8 @@ export class Renderer {
                 updateFragment: updateFragmentShader,
                 drawVertex: drawVertexShader,
                 drawFragment: drawFragmentShader,
+                nullclineFragment: nullclineFragmentShader,
+                glyphFragment: glyphFragmentShader,
                 velocityField: velocityGLSL  // Store for velocity stats manager
             };
 
@@ -595,7 +820,7 @@ export class Renderer {
             // Initialize velocity stats manager with current velocity field
             if (this.velocityStatsManager) {
                 this.velocityStatsManager.dispose(); // Clean up old instance
-                const initSuccess = this.velocityStatsManager.initialize(this.dimensions, velocityGLSL, coordinateSystemCode);
+                const initSuccess = this.velocityStatsManager.initialize(this.dimensions, velocityGLSL, coordinateSystemCode, delays);
                 if (initSuccess) {
                     logger.verbose('Velocity stats manager initialized');
                 } else {
@@ -603,6 +828,42 @@ export class Renderer {
                 }
             }
 
+            // FTLE field programs (the field replaces the particles while enabled)
+            if (this.ftleEnabled) {
+                this.initializeFTLE(velocityGLSL, integrator, coordinateSystemCode, delays);
+            } else {
+                this.ftleManager.dispose();
+            }
+
+            // Basin programs (the basins replace the particles while enabled)
+            if (this.basinEnabled) {
+                this.initializeBasins(velocityGLSL, integrator, coordinateSystemCode, delays);
+            } else {
+                this.basinManager.dispose();
+            }
+
+            // Poincaré section programs (crossings are found after every update)
+            if (this.poincareEnabled) {
+                this.initializePoincare();
+            } else {
+                this.poincareManager.dispose();
+            }
+
+            // LIC background program
+            if (this.licEnabled) {
+                this.licManager.initialize({
+                    dimensions: this.dimensions,
+                    velocityExpressions: velocityGLSL,
+                    displayDims,
+                    coordinateSystemCode,
+                    transformCode,
+                    delays
+                });
+                this.shaderSource.lic = this.licManager.shaderSource;
+            } else {
+                this.licManager.dispose();
+            }
+
             // Create screen programs
             const screenVertexShader = generateScreenVertexShader();
             const fadeFragmentShader = generateScreenFadeFragmentShader();
@@ -614,7 +875,7 @@ export class Renderer {
                 luminanceGamma: this.luminanceGamma,
                 whitePoint: this.whitePoint
             });
-            const tonemapFragmentShader = generateTonemapFragmentShader(tonemapCode);
+            const tonemapFragmentShader = generateTonemapFragmentShader(tonemapCode, this.licEnabled);
 
             this.screenFadeProgram = createProgram(gl, screenVertexShader, fadeFragmentShader);
             this.tonemapProgram = createProgram(gl, screenVertexShader, tonemapFragmentShader);
@@ -639,6 +900,272 @@ export class Renderer {
         }
     }
 
+    /**
+     * Compile the FTLE field programs for the current field
+     * @param {string[]} velocityGLSL - Compiled velocity expressions
+     * @param {Object} integrator - Current integrator (see getIntegrator)
+     * @param {Object|null} coordinateSystemCode - Coordinate system code (native-space integration)
+     * @param {Object[]} delays - Delay terms in the field
+     * @throws {Error} For delay equations or without renderable float textures
+     */
+    initializeFTLE(velocityGLSL, integrator, coordinateSystemCode, delays) {
+        if (delays.length > 0) {
+            throw new Error('The FTLE field is not available for delay equations');
+        }
+
+        // The flow map is deterministic: noise terms are left out
+        let integratorCode = integrator.code;
+        if (integrator.stochastic) {
+            logger.warn(`FTLE field integrates the drift only, using rk4 instead of ${integrator.name}`);
+            integratorCode = getIntegrator('rk4', this.dimensions, this.getIntegratorParams()).code;
+        }
+
+        this.ftleManager.initialize({
+            dimensions: this.dimensions,
+            velocityExpressions: velocityGLSL,
+            integratorCode,
+            coordinateSystemCode,
+            displayDims: this.getDisplayDims(),
+            gradientGLSL: generateGradientGLSL(this.colorGradient)
+        });
+        this.shaderSource.ftle = this.ftleManager.shaderSource;
+    }
+
+    /**
+     * Advance the FTLE computation and draw the field into the current HDR framebuffer
+     * The simulation clock keeps running, so each new field starts at the current time.
+     */
+    renderFTLE() {
+        const gl = this.gl;
+        const h = this.timestep * (this.integratorCostFactor || 1);
+
+        try {
+            this.ftleManager.update({
+                bbox: this.bbox,
+                time: this.simulationTime,
+                step: h,
+                horizon: this.ftleHorizon,
+                direction: this.ftleDirection,
+                resolution: this.ftleResolution,
+                alpha: this.animationAlpha,
+                parameters: getModelParameterValues(),
+                quadBuffer: this.quadBuffer
+            });
+        } catch (error) {
+            // Back to particles from the next frame
+            logger.error('FTLE field failed:', error.message);
+            this.ftleManager.dispose();
+        }
+
+        this.framebufferManager.bind();
+        gl.disable(gl.BLEND);
+        this.ftleManager.draw(this.quadBuffer);
+
+        this.advanceTime(h);
+    }
+
+    /**
+     * Compile the basin of attraction programs for the current field
+     * @param {string[]} velocityGLSL - Compiled velocity expressions
+     * @param {Object} integrator - Current integrator (see getIntegrator)
+     * @param {Object|null} coordinateSystemCode - Coordinate system code (native-space integration)
+     * @param {Object[]} delays - Delay terms in the field
+     * @throws {Error} For delay equations
+     */
+    initializeBasins(velocityGLSL, integrator, coordinateSystemCode, delays) {
+        if (delays.length > 0) {
+            throw new Error('Basins of attraction are not available for delay equations');
+        }
+
+        // Noise would move particles between basins: integrate the drift only
+        let integratorCode = integrator.code;
+        if (integrator.stochastic) {
+            logger.warn(`Basins integrate the drift only, using rk4 instead of ${integrator.name}`);
+            integratorCode = getIntegrator('rk4', this.dimensions, this.getIntegratorParams()).code;
+        }
+
+        this.basinManager.initialize({
+            dimensions: this.dimensions,
+            strategy: this.strategy,
+            velocityExpressions: velocityGLSL,
+            integratorCode,
+            coordinateSystemCode,
+            displayDims: this.getDisplayDims()
+        });
+        this.shaderSource.basins = this.basinManager.shaderSource;
+    }
+
+    /**
+     * Advance the basin computation and draw the basins into the current HDR framebuffer
+     */
+    renderBasins() {
+        const gl = this.gl;
+        const h = this.timestep * (this.integratorCostFactor || 1);
+
+        try {
+            this.basinManager.update({
+                bbox: this.bbox,
+                dimensionRanges: this.dimensionRanges,
+                setUniforms: program => {
+                    this.setDimensionRangeUniforms(program);
+                    gl.uniform1f(gl.getUniformLocation(program, 'u_alpha'), this.animationAlpha);
+                    setParameterUniforms(gl, program, getModelParameterValues());
+                },
+                parameters: getModelParameterValues(),
+                time: this.simulationTime,
+                step: h,
+                steps: this.basinSteps,
+                attractors: this.basinAttractors,
+                tolerance: this.basinTolerance,
+                resolution: this.basinResolution || Math.max(this.renderWidth, this.renderHeight),
+                quadBuffer: this.quadBuffer
+            });
+        } catch (error) {
+            // Back to particles from the next frame
+            logger.error('Basins of attraction failed:', error.message);
+            this.basinManager.dispose();
+        }
+
+        this.framebufferManager.bind();
+        gl.disable(gl.BLEND);
+        this.basinManager.draw(this.quadBuffer, this.basinShading);
+    }
+
+    /**
+     * Compile the Poincaré section programs
+     * Recorded crossings and the section view are reset when the section itself changes.
+     * @throws {Error} If the section coordinates do not exist or the equation does not parse
+     */
+    initializePoincare() {
+        const axes = [this.poincareDim1, this.poincareDim2];
+        if (axes.some(dim => !(dim >= 0 && dim < this.dimensions)) || axes[0] === axes[1]) {
+            throw new Error(`Poincaré section coordinates must be two different dimensions below ${this.dimensions}`);
+        }
+
+        this.poincareManager.initialize({
+            dimensions: this.dimensions,
+            strategy: this.strategy,
+            equation: this.poincareEquation,
+            direction: this.poincareDirection,
+            axes,
+            gradientGLSL: generateGradientGLSL(this.colorGradient),
+            accumType: this.framebufferManager.hdrType
+        });
+        this.shaderSource.poincare = this.poincareManager.shaderSource;
+
+        const section = JSON.stringify([this.dimensions, this.poincareEquation, this.poincareDirection, axes]);
+        if (section !== this.poincareSection) {
+            this.poincareSection = section;
+            this.poincareManager.clear();
+            this.resetPoincareView();
+        }
+    }
+
+    /**
+     * Section view over the storage ranges of the section coordinates (square cells)
+     */
+    resetPoincareView() {
+        const [range1, range2] = [this.poincareDim1, this.poincareDim2].map(dim => this.particleSystem.getDimensionRange(dim));
+        const corners = [{ u: range1.min, v: range2.min }, { u: range1.max, v: range2.max }];
+        this.poincareManager.setBounds(fitSectionBounds(corners, this.renderWidth / this.renderHeight, 0));
+    }
+
+    /**
+     * Fit the section view to the recorded crossings (storage ranges without crossings)
+     */
+    fitPoincareView() {
+        if (!this.poincareManager.initialized) return;
+        if (!this.poincareManager.fit(this.renderWidth / this.renderHeight)) {
+            this.resetPoincareView();
+        }
+    }
+
+    /**
+     * Drop the recorded crossings and clear the section image
+     */
+    clearPoincare() {
+        this.poincareManager.clear();
+    }
+
+    /**
+     * Record the crossings of the last update (after updatePositions)
+     */
+    capturePoincare() {
+        if (!this.poincareManager.initialized) return;
+        const gl = this.gl;
+
+        try {
+            this.poincareManager.capture({
+                bindParticles: program => {
+                    this.textureManager.bindReadTextures(program);
+                    this.textureManager.bindPrevTextures(program);
+                    gl.uniform2f(gl.getUniformLocation(program, 'u_min'), this.bbox.min[0], this.bbox.min[1]);
+                    gl.uniform2f(gl.getUniformLocation(program, 'u_max'), this.bbox.max[0], this.bbox.max[1]);
+                    this.setDimensionRangeUniforms(program);
+                    setParameterUniforms(gl, program, getModelParameterValues());
+                },
+                particleRes: this.particleSystem.getResolution(),
+                particleCount: this.particleSystem.getActualParticleCount(),
+                indexBuffer: this.indexBufferPoints,
+                quadBuffer: this.quadBuffer,
+                time: this.simulationTime,
+                step: this.timestep * (this.integratorCostFactor || 1),
+                width: this.renderWidth,
+                height: this.renderHeight
+            });
+        } catch (error) {
+            logger.error('Poincaré section capture failed:', error.message);
+            this.poincareManager.dispose();
+        }
+    }
+
+    /**
+     * Symbolic Jacobian of the current field (Lyapunov tangents, field structure color modes)
+     * @returns {string[][]|null} Null when the CAS is not ready or cannot differentiate the field
+     */
+    getSymbolicJacobian() {
+        if (!isJacobianAvailable()) return null;
+
+        const jacobian = computeSymbolicJacobian(this.expressions, this.dimensions);
+        if (!isValidJacobian(jacobian)) {
+            logger.warn('Symbolic Jacobian unavailable');
+            return null;
+        }
+        return jacobian;
+    }
+
+    /**
+     * Size the position history for the current delay terms
+     * The ring covers the longest delay at the current frame step (timestep × cost factor).
+     * @throws {Error} If the history exceeds the texture manager's memory limit
+     */
+    updateDelayHistory() {
+        const frameStep = this.timestep * (this.integratorCostFactor || 1);
+        const dims = [...new Set(this.delays.map(delay => delay.index))];
+        const maxTau = Math.max(0, ...this.delays.map(delay => delay.tau));
+        this.textureManager.setHistory(dims, Math.floor(maxTau / frameStep));
+    }
+
+    /**
+     * Domain transform parameters as the u_transform_params vec4
+     * power: alpha, 0, 0, 0
+     * tanh: beta, 0, 0, 0
+     * sigmoid: k, 0, 0, 0
+     * exp: alpha, 0, 0, 0
+     * sine: amplitude, frequency, 0, 0
+     * radial_power: alpha, 0, 0, 0
+     * @returns {number[]}
+     */
+    getTransformParamValues() {
+        const params = this.transformParams || {};
+        return [
+            params.alpha || params.beta || params.k || params.amplitude || 0.5,  // First param
+            params.frequency || 0.0,  // Second param (sine wave)
+            0.0,  // Reserved
+            0.0   // Reserved
+        ];
+    }
+
     /**
      * Update particle positions
      */
@@ -672,14 +1199,19 @@ export class Renderer {
         gl.enableVertexAttribArray(aPosLoc);
         gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
 
-        // Bind position textures
+        // Bind position textures (per-particle step sizes for adaptive integrators, history for delays,
+        // tangents and exponents for Lyapunov tracking)
         this.textureManager.bindReadTextures(program);
+        this.textureManager.bindStepSizeTexture(program);
+        this.textureManager.bindDelayTextures(program, this.delays, this.timestep * (this.integratorCostFactor || 1));
+        this.textureManager.bindLyapunovTextures(program);
 
         // Set uniforms
         const resolution = this.particleSystem.getResolution();
         const randSeed = Math.random(); // Generate once per frame for consistency
         gl.uniform2f(gl.getUniformLocation(program, 'u_min'), this.bbox.min[0], this.bbox.min[1]);
         gl.uniform2f(gl.getUniformLocation(program, 'u_max'), this.bbox.max[0], this.bbox.max[1]);
+        this.setDimensionRangeUniforms(program);
         // Scale timestep by integrator cost factor for fair comparison
         gl.uniform1f(gl.getUniformLocation(program, 'u_h'), this.timestep * (this.integratorCostFactor || 1));
         gl.uniform1f(gl.getUniformLocation(program, 'u_rand_seed'), randSeed);
@@ -688,6 +1220,7 @@ export class Renderer {
         gl.uniform1f(gl.getUniformLocation(program, 'u_particles_res'), resolution);
         const velocityScale = this.getVelocityScale();
         gl.uniform1f(gl.getUniformLocation(program, 'u_max_velocity'), velocityScale);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_lyapunov_window'), this.lyapunovWindow);
 
         // Set animation alpha parameter (for time-based expressions)
         const alphaLoc = gl.getUniformLocation(program, 'u_alpha');
@@ -695,26 +1228,20 @@ export class Renderer {
             gl.uniform1f(alphaLoc, this.animationAlpha);
         }
 
+        // Set simulation time at the start of this step (integrators evaluate stages at t + c*h)
+        const timeLoc = gl.getUniformLocation(program, 'u_time');
+        if (timeLoc !== null) {
+            gl.uniform1f(timeLoc, this.simulationTime);
+        }
+
         // Set transform parameters (if transform is active)
         if (this.transformType !== 'identity') {
-            const params = this.transformParams || {};
-            // Map transform-specific parameters to vec4
-            // power: alpha, 0, 0, 0
-            // tanh: beta, 0, 0, 0
-            // sigmoid: k, 0, 0, 0
-            // exp: alpha, 0, 0, 0
-            // sine: amplitude, frequency, 0, 0
-            // radial_power: alpha, 0, 0, 0
-            const paramValues = [
-                params.alpha || params.beta || params.k || params.amplitude || 0.5,  // First param
-                params.frequency || 0.0,  // Second param (sine wave)
-                0.0,  // Reserved
-                0.0   // Reserved
-            ];
-            gl.uniform4f(gl.getUniformLocation(program, 'u_transform_params'),
-                paramValues[0], paramValues[1], paramValues[2], paramValues[3]);
+            gl.uniform4fv(gl.getUniformLocation(program, 'u_transform_params'), this.getTransformParamValues());
         }
 
+        // Set model parameters (named constants of the field)
+        setParameterUniforms(gl, program, getModelParameterValues());
+
         // Render to each dimension texture
         for (let dim = 0; dim < this.dimensions; dim++) {
             gl.uniform1i(gl.getUniformLocation(program, 'u_out_coordinate'), dim);
@@ -734,14 +1261,319 @@ export class Renderer {
             gl.drawArrays(gl.TRIANGLES, 0, 6);
         }
 
+        // Adaptive integrators: one more pass stores each particle's new step size
+        if (this.textureManager.stepSizeEnabled) {
+            gl.uniform1i(gl.getUniformLocation(program, 'u_out_coordinate'), this.dimensions);
+            gl.framebufferTexture2D(
+                gl.FRAMEBUFFER,
+                gl.COLOR_ATTACHMENT0,
+                gl.TEXTURE_2D,
+                this.textureManager.getStepSizeWriteTexture(),
+                0
+            );
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+        }
+
+        // Lyapunov tracking: tangent components, then the exponent and its averaging time
+        if (this.textureManager.lyapunovEnabled) {
+            for (let i = 0; i < this.dimensions + 2; i++) {
+                gl.uniform1i(gl.getUniformLocation(program, 'u_out_coordinate'), this.dimensions + 1 + i);
+                gl.framebufferTexture2D(
+                    gl.FRAMEBUFFER,
+                    gl.COLOR_ATTACHMENT0,
+                    gl.TEXTURE_2D,
+                    this.textureManager.getLyapunovWriteTexture(i),
+                    0
+                );
+                gl.drawArrays(gl.TRIANGLES, 0, 6);
+            }
+        }
+
         // Age is now stored in alpha channel of u_pos_0, no separate update needed
 
         // Swap textures
         this.textureManager.swap();
 
+        this.advanceTime(this.timestep * (this.integratorCostFactor || 1));
+
         this.frame++;
     }
 
+    /**
+     * Advance the simulation clock by one step, wrapping into [0, period) if a period is set
+     * @param {number} h - Effective step size (timestep scaled by integrator cost factor)
+     */
+    advanceTime(h) {
+        this.simulationTime += h;
+        if (this.timePeriod > 0) {
+            this.simulationTime %= this.timePeriod;
+        }
+    }
+
+    /**
+     * Reset the simulation clock to t = 0
+     */
+    resetTime() {
+        this.simulationTime = 0.0;
+        logger.verbose('Simulation time reset to 0');
+    }
+
+    /**
+     * Set storage range uniforms (u_dim_range_N) for dimensions beyond x and y
+     * @param {WebGLProgram} program - Program using generated position reads/writes
+     */
+    setDimensionRangeUniforms(program) {
+        const gl = this.gl;
+        for (let dim = 2; dim < this.dimensions; dim++) {
+            const { min, max } = this.particleSystem.getDimensionRange(dim);
+            gl.uniform2f(gl.getUniformLocation(program, `u_dim_range_${dim}`), min, max);
+        }
+    }
+
+    /**
+     * Set the field structure color mode uniforms (range and log scale)
+     * Programs without a structure color mode are left alone.
+     * @param {WebGLProgram} program - Program using the current color code
+     */
+    setStructureUniforms(program) {
+        const gl = this.gl;
+        const structureRangeLoc = gl.getUniformLocation(program, 'u_structure_range');
+        if (structureRangeLoc !== null) {
+            gl.uniform1f(structureRangeLoc, this.structureRange);
+            gl.uniform1f(gl.getUniformLocation(program, 'u_velocity_log_scale'), this.velocityLogScale ? 1.0 : 0.0);
+        }
+    }
+
+    /**
+     * Estimate storage ranges for dimensions beyond x and y by integrating
+     * sampled particles on the CPU (unaffected by clipping in the current ranges)
+     * The samples run in chunks between timeouts so the page stays responsive.
+     * @param {Object} options
+     * @param {number} options.samples - Number of particles to sample (default 200)
+     * @param {number} options.steps - RK4 steps per sample (default 2000)
+     * @param {number} options.padding - Fractional padding added on each side (default 0.1)
+     * @param {number} options.chunkSize - Samples integrated between timeouts (default 10)
+     * @returns {Promise<Object<string, {min: number, max: number}>|null>} Ranges keyed by variable name,
+     *   or null if unavailable or the field changed during the fit
+     */
+    async fitDimensionRanges({ samples = 200, steps = 2000, padding = 0.1, chunkSize = 10 } = {}) {
+        if (this.dimensions <= 2) {
+            return {};
+        }
+        if (!this.velocityEvaluators || this.velocityEvaluators.length !== this.dimensions) {
+            logger.warn('Cannot fit dimension ranges: velocity evaluators not available');
+            return null;
+        }
+
+        const n = this.dimensions;
+        const h = this.timestep * (this.integratorCostFactor || 1);
+        const names = ['x', 'y', 'z', 'w', 'u', 'v'];
+        const mins = new Array(n).fill(Infinity);
+        const maxs = new Array(n).fill(-Infinity);
+
+        // Fixed for the whole fit, later chunks must not see a new field or view
+        const evaluators = this.velocityEvaluators;
+        const startRanges = Array.from({ length: n }, (_, dim) => this.particleSystem.getDimensionRange(dim));
+        const startTime = this.simulationTime;
+
+        const velocity = (pos, t) => evaluators.map(f => f(...pos, t));
+        const offset = (pos, k, scale) => pos.map((p, i) => p + scale * k[i]);
+
+        for (let s = 0; s < samples; s++) {
+            if (s > 0 && s % chunkSize === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (this.velocityEvaluators !== evaluators) {
+                    logger.warn('Field changed while fitting dimension ranges, fit abandoned');
+                    return null;
+                }
+            }
+
+            // Start from a random point in the current storage ranges
+            let pos = startRanges.map(({ min, max }) => min + Math.random() * (max - min));
+            let t = startTime;
+
+            for (let i = 0; i < steps; i++) {
+                const k1 = velocity(pos, t);
+                const k2 = velocity(offset(pos, k1, h * 0.5), t + h * 0.5);
+                const k3 = velocity(offset(pos, k2, h * 0.5), t + h * 0.5);
+                const k4 = velocity(offset(pos, k3, h), t + h);
+                pos = pos.map((p, d) => p + h / 6 * (k1[d] + 2 * k2[d] + 2 * k3[d] + k4[d]));
+                t += h;
+
+                if (!pos.every(Number.isFinite)) {
+                    break; // Diverged - ignore the rest of this trajectory
+                }
+
+                // Skip the transient from the random start
+                if (i < steps / 4) continue;
+
+                for (let dim = 2; dim < n; dim++) {
+                    mins[dim] = Math.min(mins[dim], pos[dim]);
+                    maxs[dim] = Math.max(maxs[dim], pos[dim]);
+                }
+            }
+        }
+
+        const ranges = {};
+        for (let dim = 2; dim < n; dim++) {
+            if (!Number.isFinite(mins[dim]) || !Number.isFinite(maxs[dim])) {
+                continue; // Every sample diverged - keep the existing range
+            }
+            // Avoid degenerate ranges for (near-)constant coordinates
+            const span = Math.max(maxs[dim] - mins[dim], 1e-3);
+            ranges[names[dim]] = {
+                min: mins[dim] - span * padding,
+                max: maxs[dim] + span * padding
+            };
+        }
+
+        logger.info('Fitted dimension storage ranges', ranges);
+        return ranges;
+    }
+
+    /**
+     * Measure energy drift of integrators on the CPU
+     * Integrates sampled states with each method's CPU step at the step size the
+     * GPU would use (timestep x cost factor) and tracks the relative change of
+     * a conserved quantity. States are sampled in the (Cartesian) storage ranges and
+     * mapped to the field's native coordinates.
+     * @param {string} energyExpression - Conserved quantity in the field's variables (e.g., 'x*x + y*y')
+     * @param {Object} options
+     * @param {string[]} options.methods - Integrators to compare (the current one is always included)
+     * @param {number} options.samples - Number of sampled states (default 20)
+     * @param {number} options.steps - Frames integrated per sample (default 2000)
+     * @returns {Array<{name: string, meanDrift: number, maxDrift: number}>|null} Relative drift per method, or null if unavailable
+     */
+    measureEnergyDrift(energyExpression, {
+        methods = ['euler', 'rk4', 'symplectic-euler', 'verlet', 'yoshida4'],
+        samples = 20,
+        steps = 2000
+    } = {}) {
+        if (!this.velocityEvaluators || this.velocityEvaluators.length !== this.dimensions) {
+            logger.warn('Cannot measure energy drift: velocity evaluators not available');
+            return null;
+        }
+
+        let energy;
+        try {
+            [energy] = createVelocityEvaluators([energyExpression], this.coordinateSystem.getVariableNames());
+        } catch (error) {
+            logger.warn(`Invalid energy expression "${energyExpression}":`, error.message);
+            return null;
+        }
+
+        const n = this.dimensions;
+        const velocity = (pos, t) => this.velocityEvaluators.map(f => f(...pos, t));
+        let starts = Array.from({ length: samples }, () => Array.from({ length: n }, (_, dim) => {
+            const { min, max } = this.particleSystem.getDimensionRange(dim);
+            return min + Math.random() * (max - min);
+        }));
+
+        // Storage ranges are Cartesian, the evaluators take native coordinates (r, theta, ...)
+        if (!this.coordinateSystem.name.includes('Cartesian')) {
+            let toNative;
+            try {
+                toNative = createVelocityEvaluators(this.coordinateSystem.forwardTransforms, ['x', 'y', 'z', 'w', 'u', 'v'].slice(0, n));
+            } catch (error) {
+                logger.warn(`Cannot measure energy drift: no transform to ${this.coordinateSystem.name} coordinates:`, error.message);
+                return null;
+            }
+            starts = starts.map(start => toNative.map(f => f(...start, this.simulationTime)));
+        }
+
+        const params = this.getIntegratorParams();
+        const integrators = [this.integrator, ...methods
+            .filter(name => name !== this.integratorType)
+            .map(name => getIntegrator(name, n, params))]
+            .filter(integrator => integrator && integrator.step);
+
+        return integrators.map(integrator => {
+            const h = this.timestep * (integrator.costFactor || 1);
+            const drifts = [];
+
+            for (const start of starts) {
+                const e0 = energy(...start, this.simulationTime);
+                if (!Number.isFinite(e0)) continue;
+
+                let pos = start;
+                let t = this.simulationTime;
+                let maxDrift = 0;
+                const stepState = {};
+                for (let i = 0; i < steps; i++) {
+                    pos = integrator.step(velocity, pos, t, h, stepState);
+                    t += stepState.elapsed ?? h;
+                    const drift = Math.abs(energy(...pos, t) - e0) / Math.max(Math.abs(e0), 1e-12);
+                    if (!Number.isFinite(drift)) {
+                        maxDrift = Infinity; // Diverged
+                        break;
+                    }
+                    maxDrift = Math.max(maxDrift, drift);
+                }
+                drifts.push(maxDrift);
+            }
+
+            return {
+                name: integrator.name,
+                meanDrift: drifts.reduce((sum, d) => sum + d, 0) / Math.max(drifts.length, 1),
+                maxDrift: Math.max(0, ...drifts)
+            };
+        });
+    }
+
+    /**
+     * Log an energy drift comparison between integrators (debug tab)
+     * @param {string} energyExpression - Conserved quantity in the field's variables
+     */
+    logEnergyDrift(energyExpression) {
+        const steps = 2000;
+        const results = this.measureEnergyDrift(energyExpression, { steps });
+        if (!results) return;
+
+        logger.info(`=== Energy Drift: ${energyExpression} (${steps} frames, timestep ${this.timestep}) ===`);
+        logger.info('Largest relative change |E - E0| / |E0| per trajectory, mean and max over samples');
+        for (const { name, meanDrift, maxDrift } of results) {
+            logger.info(`${name.padEnd(32)} mean ${meanDrift.toExponential(3)}   max ${maxDrift.toExponential(3)}`);
+        }
+    }
+
+    /**
+     * Summarize the particles' finite-time Lyapunov exponents (GPU readback)
+     * @param {number} bins - Histogram bins
+     * @returns {Object|null} See summarizeLyapunovExponents; null without Lyapunov tracking
+     */
+    computeLyapunovStats(bins = 20) {
+        const data = this.textureManager.readLyapunovTextures();
+        if (!data) return null;
+
+        const count = this.particleSystem.getActualParticleCount();
+        const componentsPerValue = this.strategy.getComponentsPerValue();
+        const exponents = new Float64Array(count);
+        const times = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            const offset = i * componentsPerValue;
+            exponents[i] = this.strategy.decodeValue(data.exponents.subarray(offset, offset + componentsPerValue), -LYAPUNOV_LIMIT, LYAPUNOV_LIMIT);
+            times[i] = this.strategy.decodeValue(data.times.subarray(offset, offset + componentsPerValue), 0, this.lyapunovWindow);
+        }
+
+        return summarizeLyapunovExponents(exponents, times, bins);
+    }
+
+    /**
+     * Log a summary of the particles' Lyapunov exponents (debug tab)
+     * @returns {Object|null} Summary (see computeLyapunovStats)
+     */
+    logLyapunovStats() {
+        const stats = this.computeLyapunovStats();
+        if (!stats) {
+            logger.warn('No Lyapunov exponents: select the Lyapunov Exponent color mode to track them');
+            return null;
+        }
+
+        logger.info(`=== Lyapunov Exponents (${stats.count} particles, window ${this.lyapunovWindow}) ===`);
+        logger.info(`Mean ${stats.mean.toFixed(4)}   min ${stats.min.toFixed(4)}   max ${stats.max.toFixed(4)}   mean averaging time ${stats.meanTime.toFixed(2)}`);
+        return stats;
+    }
+
     /**
      * Draw particles to screen
      */
@@ -766,7 +1598,7 @@ export class Renderer {
             // GPU-based velocity sampling (much faster than CPU approach)
             if (this.velocityStatsManager && this.velocityStatsManager.initialized) {
                 const posTextures = this.textureManager.getReadTextures();
-                const stats = this.velocityStatsManager.compute(posTextures, this.bbox, this.particleSystem.getResolution(), this.animationAlpha);
+                const stats = this.velocityStatsManager.compute(posTextures, this.bbox, this.particleSystem.getResolution(), this.animationAlpha, this.simulationTime, getModelParameterValues());
 
                 // Log occasionally for debugging
                 if (this.frame % 600 === 0 && stats.sampleCount > 0) {
@@ -845,10 +1677,17 @@ export class Renderer {
         // Bind previous position textures (always needed for velocity computation)
         this.textureManager.bindPrevTextures(program);
 
+        // Bind per-particle step sizes (step-size color mode with adaptive integrators)
+        this.textureManager.bindStepSizeTexture(program);
+
+        // Bind per-particle Lyapunov exponents (Lyapunov color mode)
+        this.textureManager.bindLyapunovTextures(program);
+
         // Set uniforms
         gl.uniform1f(gl.getUniformLocation(program, 'u_particles_res'), this.particleSystem.getResolution());
         gl.uniform2f(gl.getUniformLocation(program, 'u_min'), this.bbox.min[0], this.bbox.min[1]);
         gl.uniform2f(gl.getUniformLocation(program, 'u_max'), this.bbox.max[0], this.bbox.max[1]);
+        this.setDimensionRangeUniforms(program);
         gl.uniform1f(gl.getUniformLocation(program, 'u_particle_intensity'), this.particleIntensity);
         gl.uniform1f(gl.getUniformLocation(program, 'u_particle_size'), this.particleSize);
         gl.uniform2f(gl.getUniformLocation(program, 'u_viewport_size'), this.renderWidth, this.renderHeight);
@@ -861,6 +1700,23 @@ export class Renderer {
             gl.uniform1f(alphaLoc, this.animationAlpha);
         }
 
+        // Set simulation time (for field-based color modes and expressions using 't')
+        const timeLoc = gl.getUniformLocation(program, 'u_time');
+        if (timeLoc !== null) {
+            gl.uniform1f(timeLoc, this.simulationTime);
+        }
+
+        // Set model parameters (field-based color modes and color expressions)
+        setParameterUniforms(gl, program, getModelParameterValues());
+
+        const lyapunovRangeLoc = gl.getUniformLocation(program, 'u_lyapunov_range');
+        if (lyapunovRangeLoc !== null) {
+            gl.uniform1f(lyapunovRangeLoc, this.lyapunovRange);
+        }
+
+        // Field structure color modes: range and log scale
+        this.setStructureUniforms(program);
+
         // Set max velocity uniform if needed
         if (this.usesMaxVelocity) {
             const velocityScale = this.getVelocityScale();
@@ -970,6 +1826,134 @@ export class Renderer {
         gl.drawArrays(gl.TRIANGLES, 0, 6);
     }
 
+    /**
+     * Get the two state dimensions shown on screen
+     * Only the select mapper has a direct inverse; other mappers use x and y.
+     * @returns {number[]} [horizontalDim, verticalDim]
+     */
+    getDisplayDims() {
+        if (this.mapperType === 'select' && this.mapperParams) {
+            const dim1 = this.mapperParams.dim1 ?? 0;
+            const dim2 = this.mapperParams.dim2 ?? 1;
+            if (dim1 < this.dimensions && dim2 < this.dimensions) {
+                return [dim1, dim2];
+            }
+        }
+        return [0, 1];
+    }
+
+    /**
+     * Draw nullclines and isoclines over the canvas (premultiplied alpha blend)
+     */
+    drawNullclines() {
+        if (!this.showNullclines || !this.nullclineProgram) return;
+        const gl = this.gl;
+        const program = this.nullclineProgram;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        gl.useProgram(program);
+
+        const aPosLoc = gl.getAttribLocation(program, 'a_pos');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(aPosLoc);
+        gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
+
+        gl.uniform2f(gl.getUniformLocation(program, 'u_min'), this.bbox.min[0], this.bbox.min[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_max'), this.bbox.max[0], this.bbox.max[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.canvas.width, this.canvas.height);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_time'), this.simulationTime);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_alpha'), this.animationAlpha);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_line_width'), this.nullclineLineWidth);
+        setParameterUniforms(gl, program, getModelParameterValues());
+        this.nullclineCurves.forEach((_, k) => {
+            gl.uniform4fv(gl.getUniformLocation(program, `u_curve_color_${k}`), NULLCLINE_COLORS[k]);
+        });
+
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        gl.disable(gl.BLEND);
+    }
+
+    /**
+     * Recompute the LIC background for this frame when the view, time or settings changed
+     * The background is shown underneath the particle trails only (not FTLE, basins or the section view).
+     * @returns {boolean} Whether the background is shown this frame
+     */
+    updateLIC() {
+        if (!this.licManager.initialized) return false;
+        if ((this.ftleEnabled && this.ftleManager.initialized) ||
+            (this.basinEnabled && this.basinManager.initialized) ||
+            (this.poincareView && this.poincareManager.initialized)) {
+            return false;
+        }
+
+        try {
+            this.licManager.update({
+                bbox: this.bbox,
+                width: this.canvas.width,
+                height: this.canvas.height,
+                time: this.simulationTime,
+                alpha: this.animationAlpha,
+                length: this.licLength,
+                animate: this.licAnimate,
+                phase: this.licPhase + this.licSpeed * this.simulationTime,
+                transformParams: this.transformType !== 'identity' ? this.getTransformParamValues() : null,
+                parameters: getModelParameterValues(),
+                quadBuffer: this.quadBuffer
+            });
+        } catch (error) {
+            logger.error('LIC background failed:', error.message);
+            this.licManager.dispose();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Draw the field arrow grid over the canvas (premultiplied alpha blend)
+     */
+    drawGlyphs() {
+        if (!this.showGlyphs || !this.glyphProgram) return;
+        const gl = this.gl;
+        const program = this.glyphProgram;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+        gl.useProgram(program);
+
+        const aPosLoc = gl.getAttribLocation(program, 'a_pos');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(aPosLoc);
+        gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
+
+        const velocityScale = this.getVelocityScale();
+        gl.uniform2f(gl.getUniformLocation(program, 'u_min'), this.bbox.min[0], this.bbox.min[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_max'), this.bbox.max[0], this.bbox.max[1]);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.canvas.width, this.canvas.height);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_time'), this.simulationTime);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_alpha'), this.animationAlpha);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_glyph_spacing'), this.glyphSpacing);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_glyph_scaling'), Math.max(0, GLYPH_SCALINGS.indexOf(this.glyphScaling)));
+        gl.uniform1f(gl.getUniformLocation(program, 'u_glyph_reference'), velocityScale);
+        setParameterUniforms(gl, program, getModelParameterValues());
+
+        // Color mode uniforms (as in drawParticles)
+        this.setStructureUniforms(program);
+        if (this.usesMaxVelocity) {
+            gl.uniform1f(gl.getUniformLocation(program, 'u_max_velocity'), velocityScale);
+            gl.uniform1f(gl.getUniformLocation(program, 'u_velocity_log_scale'), this.velocityLogScale ? 1.0 : 0.0);
+        }
+
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        gl.disable(gl.BLEND);
+    }
+
     /**
      * Render one frame
      * @param {boolean} displayToCanvas - If false, renders to hidden buffer without displaying (for double-buffering)
@@ -989,31 +1973,52 @@ export class Renderer {
             this.hdrLogged = true;
         }
 
-        // Update positions
-        this.updatePositions();
+        if (this.ftleEnabled && this.ftleManager.initialized) {
+            // FTLE field replaces the particles
+            this.renderFTLE();
+        } else if (this.basinEnabled && this.basinManager.initialized) {
+            // Basins replace the particles
+            this.renderBasins();
+        } else {
+            // Update positions
+            this.updatePositions();
 
-        // Fade previous frame
-        this.fadeScreen();
+            // Record Poincaré section crossings of this step
+            this.capturePoincare();
 
-        // Draw particles to current framebuffer
-        this.framebufferManager.bind();
+            if (this.poincareView && this.poincareManager.initialized) {
+                // Section image replaces the trails
+                this.framebufferManager.bind();
+                gl.disable(gl.BLEND);
+                this.poincareManager.draw(this.quadBuffer, this.particleIntensity);
+            } else {
+                // Fade previous frame
+                this.fadeScreen();
 
-        // Enable depth testing if configured (plasma mode)
-        if (this.useDepthTest) {
-            gl.enable(gl.DEPTH_TEST);
-            gl.depthFunc(gl.LESS);  // Closer particles occlude farther ones
+                // Draw particles to current framebuffer
+                this.framebufferManager.bind();
 
-            // Clear depth buffer (color is not cleared - we want trails from fade)
-            gl.clear(gl.DEPTH_BUFFER_BIT);
-        }
+                // Enable depth testing if configured (plasma mode)
+                if (this.useDepthTest) {
+                    gl.enable(gl.DEPTH_TEST);
+                    gl.depthFunc(gl.LESS);  // Closer particles occlude farther ones
 
-        this.drawParticles();
+                    // Clear depth buffer (color is not cleared - we want trails from fade)
+                    gl.clear(gl.DEPTH_BUFFER_BIT);
+                }
+
+                this.drawParticles();
 
-        // Disable depth test after particle drawing (if it was enabled)
-        if (this.useDepthTest) {
-            gl.disable(gl.DEPTH_TEST);
+                // Disable depth test after particle drawing (if it was enabled)
+                if (this.useDepthTest) {
+                    gl.disable(gl.DEPTH_TEST);
+                }
+            }
         }
 
+        // Line integral convolution background (added to the HDR color in the tone mapping pass)
+        const showLIC = this.licEnabled && this.updateLIC();
+
         // Render tone mapping to dedicated LDR framebuffer
         gl.bindFramebuffer(gl.FRAMEBUFFER, this.ldrFramebuffer);
         gl.viewport(0, 0, this.renderWidth, this.renderHeight);
@@ -1034,6 +2039,15 @@ export class Renderer {
         gl.bindTexture(gl.TEXTURE_2D, this.framebufferManager.getCurrentTexture());
         gl.uniform1i(gl.getUniformLocation(this.tonemapProgram, 'u_screen'), 0);
 
+        // LIC background texture (the program only has it while LIC is enabled)
+        if (this.licEnabled) {
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, showLIC ? this.licManager.texture : null);
+            gl.uniform1i(gl.getUniformLocation(this.tonemapProgram, 'u_background'), 1);
+            gl.uniform1f(gl.getUniformLocation(this.tonemapProgram, 'u_background_intensity'), showLIC ? this.licIntensity : 0.0);
+            gl.activeTexture(gl.TEXTURE0);
+        }
+
         // Get cached buffer stats
         const stats = this.bufferStatsManager.getCached();
 
@@ -1061,6 +2075,10 @@ export class Renderer {
         // Skip if we're accumulating in hidden buffer (double-buffering mode)
         if (displayToCanvas) {
             this.downsampleToCanvas();
+            if (!(this.poincareView && this.poincareManager.initialized)) {
+                this.drawNullclines();
+                this.drawGlyphs();
+            }
         }
 
         // Update buffer statistics periodically
@@ -1158,8 +2176,7 @@ export class Renderer {
                 }
 
                 // Determine min/max for this dimension
-                const min = dim === 0 ? this.bbox.min[0] : (dim === 1 ? this.bbox.min[1] : -10.0);
-                const max = dim === 0 ? this.bbox.max[0] : (dim === 1 ? this.bbox.max[1] : 10.0);
+                const { min, max } = this.particleSystem.getDimensionRange(dim);
 
                 // Decode using strategy
                 const worldValue = this.strategy.decodeValue(buffer, min, max);
@@ -1181,7 +2198,7 @@ export class Renderer {
                 sum += pos[dim];
             }
 
-            const dimName = ['x', 'y', 'z', 'w'][dim] || `dim${dim}`;
+            const dimName = ['x', 'y', 'z', 'w', 'u', 'v'][dim] || `dim${dim}`;
             posStats.push({
                 dim: dimName,
                 min: min.toFixed(3),
@@ -1199,13 +2216,13 @@ export class Renderer {
 
                 try {
                     for (const pos of positions) {
-                        const velocity = this.velocityEvaluators[dim](...pos);
+                        const velocity = this.velocityEvaluators[dim](...pos, this.simulationTime);
                         min = Math.min(min, velocity);
                         max = Math.max(max, velocity);
                         sum += velocity;
                     }
 
-                    const dimName = ['x', 'y', 'z', 'w'][dim] || `dim${dim}`;
+                    const dimName = ['x', 'y', 'z', 'w', 'u', 'v'][dim] || `dim${dim}`;
                     velStats.push({
                         dim: `v${dimName}`,
                         min: min.toFixed(3),
@@ -1253,8 +2270,7 @@ export class Renderer {
                 buffer[c] = data[texelIdx + c];
             }
 
-            const min = dim === 0 ? this.bbox.min[0] : (dim === 1 ? this.bbox.min[1] : -10.0);
-            const max = dim === 0 ? this.bbox.max[0] : (dim === 1 ? this.bbox.max[1] : 10.0);
+            const { min, max } = this.particleSystem.getDimensionRange(dim);
             const worldValue = this.strategy.decodeValue(buffer, min, max);
             position.push(worldValue);
         }
@@ -1267,7 +2283,7 @@ export class Renderer {
         try {
             const velocity = [];
             for (let dim = 0; dim < this.dimensions; dim++) {
-                const vel = this.velocityEvaluators[dim](...position);
+                const vel = this.velocityEvaluators[dim](...position, this.simulationTime);
                 velocity.push(vel);
             }
 
@@ -1299,11 +2315,16 @@ export class Renderer {
     }
 
     /**
-     * Sample particle data for debugging
+     * Sample particle data (for debugging and for analyses such as bifurcation sweeps)
+     * @param {Object} options
+     * @param {number} options.count - Number of particles to sample (clamped to the particle count)
+     * @param {boolean} options.random - Random particles, or the first `count` so repeated samples follow the same trajectories
+     * @param {boolean} options.log - Log the samples verbosely
+     * @returns {{particle: number, position: number[], age: number}[]} Decoded world positions and ages
      */
-    sampleParticleData() {
-        const sampleCount = 5;
-        const resolution = this.particleSystem.getResolution();
+    sampleParticleData({ count = 5, random = true, log = true } = {}) {
+        const particleCount = this.particleSystem.getActualParticleCount();
+        const sampleCount = Math.min(count, particleCount);
         const samples = [];
 
         // Read back texture data for each dimension
@@ -1317,10 +2338,14 @@ export class Renderer {
 
         const componentsPerValue = this.strategy.getComponentsPerValue();
         const ArrayType = this.strategy.getArrayType();
+        const ranges = [];
+        for (let dim = 0; dim < this.dimensions; dim++) {
+            ranges.push(this.particleSystem.getDimensionRange(dim));
+        }
+        const buffer = new ArrayType(componentsPerValue);
 
-        // Decode a few random particles
         for (let i = 0; i < sampleCount; i++) {
-            const particleIdx = Math.floor(Math.random() * this.particleSystem.getActualParticleCount());
+            const particleIdx = random ? Math.floor(Math.random() * particleCount) : i;
             const texelIdx = particleIdx * componentsPerValue;
 
             const position = [];
@@ -1328,37 +2353,34 @@ export class Renderer {
                 const data = dimensionData[dim];
 
                 // Extract buffer for this value
-                const buffer = new ArrayType(componentsPerValue);
                 for (let c = 0; c < componentsPerValue; c++) {
                     buffer[c] = data[texelIdx + c];
                 }
 
-                // Determine min/max for this dimension
-                const min = dim === 0 ? this.bbox.min[0] : (dim === 1 ? this.bbox.min[1] : -10.0);
-                const max = dim === 0 ? this.bbox.max[0] : (dim === 1 ? this.bbox.max[1] : 10.0);
-
                 // Decode using strategy
-                const worldValue = this.strategy.decodeValue(buffer, min, max);
-
-                position.push(worldValue.toFixed(3));
+                position.push(this.strategy.decodeValue(buffer, ranges[dim].min, ranges[dim].max));
             }
 
             // Decode age value from alpha channel of dimension 0
             // For RGBA textures, alpha is the 4th component (index 3)
             const dim0Data = dimensionData[0];
-            const ageValue = componentsPerValue === 4 ? dim0Data[texelIdx + 3] : 1.0;
+            const age = componentsPerValue === 4 ? dim0Data[texelIdx + 3] : 1.0;
 
-            samples.push({
-                particle: particleIdx,
-                position: position.join(', '),
-                age: ageValue.toFixed(2)
+            samples.push({ particle: particleIdx, position, age });
+        }
+
+        if (log) {
+            logger.verbose(`Frame ${this.frame}: Sampled ${sampleCount} particles (with age)`, {
+                bounds: `[${this.bbox.min[0].toFixed(3)}, ${this.bbox.min[1].toFixed(3)}] to [${this.bbox.max[0].toFixed(3)}, ${this.bbox.max[1].toFixed(3)}]`,
+                samples: samples.map(sample => ({
+                    particle: sample.particle,
+                    position: sample.position.map(value => value.toFixed(3)).join(', '),
+                    age: sample.age.toFixed(2)
+                }))
             });
         }
 
-        logger.verbose(`Frame ${this.frame}: Sampled ${sampleCount} particles (with age)`, {
-            bounds: `[${this.bbox.min[0].toFixed(3)}, ${this.bbox.min[1].toFixed(3)}] to [${this.bbox.max[0].toFixed(3)}, ${this.bbox.max[1].toFixed(3)}]`,
-            samples: samples
-        });
+        return samples;
     }
 
     /**
@@ -1478,6 +2500,7 @@ export class Renderer {
     resetParticles(recompileShaders = false) {
         this.particleSystem.initializeParticles();
         this.textureManager.initializeData(this.particleSystem.getAllData());
+        this.resetTime();
         logger.verbose('Particles reinitialized to random positions');
 
         if (recompileShaders) {
@@ -1509,9 +2532,10 @@ export class Renderer {
         // Clear all framebuffers to black
         this.framebufferManager.clearAll(0, 0, 0, 1);
 
-        // Reinitialize all particles to random positions
+        // Reinitialize all particles to random positions (and restart the clock at t = 0)
         this.particleSystem.initializeParticles();
         this.textureManager.initializeData(this.particleSystem.getAllData());
+        this.resetTime();
 
         // Reset frame counter since screen was cleared
         this.totalFrames = 0;
@@ -1666,6 +2690,41 @@ export class Renderer {
             logger.info('  needsRecompile flag set to true (coordinate system change)');
         }
 
+        // Register custom functions BEFORE parameters and expressions (both may use their names)
+        if (config.customFunctions !== undefined && config.customFunctions !== this.customFunctions) {
+            try {
+                setCustomFunctions(config.customFunctions);
+                this.customFunctions = config.customFunctions;
+                logger.info(`Custom functions: ${Object.keys(getCustomFunctions()).join(', ') || 'none'}`);
+                needsRecompile = true; // Function declarations changed
+            } catch (error) {
+                logger.warn('Invalid custom functions:', error.message);
+            }
+        }
+
+        // Register model parameters BEFORE expressions (the field may use their names)
+        if (config.modelParameters !== undefined && config.modelParameters !== this.modelParameters) {
+            try {
+                const definitions = parseModelParameters(config.modelParameters);
+                const names = definitions.map(definition => definition.name);
+                const previousNames = Object.keys(getModelParameters());
+                setModelParameters(definitions);
+                this.modelParameters = config.modelParameters;
+                logger.info(`Model parameters: ${names.join(', ') || 'none'}`);
+                if (names.join() !== previousNames.join()) {
+                    needsRecompile = true; // Uniform declarations changed
+                }
+            } catch (error) {
+                logger.warn('Invalid model parameters:', error.message);
+            }
+        }
+
+        // Parameter values are uniforms: no recompile
+        if (config.parameterValues !== undefined) {
+            logger.verbose('Updating model parameter values', config.parameterValues);
+            setModelParameterValues(config.parameterValues);
+        }
+
         if (config.expressions !== undefined) {
             logger.info('Updating vector field expressions', config.expressions);
             this.expressions = config.expressions;
@@ -1713,6 +2772,13 @@ export class Renderer {
             needsRecompile = true;
         }
 
+        if (config.diffusionExpressions !== undefined &&
+            JSON.stringify(config.diffusionExpressions) !== JSON.stringify(this.diffusionExpressions)) {
+            logger.info('Updating diffusion terms', config.diffusionExpressions);
+            this.diffusionExpressions = [...config.diffusionExpressions];
+            needsRecompile = true;
+        }
+
         if (config.solutionMethod !== undefined && config.solutionMethod !== this.solutionMethod) {
             logger.info(`Changing solution method: ${this.solutionMethod} → ${config.solutionMethod}`);
             this.solutionMethod = config.solutionMethod;
@@ -1745,6 +2811,19 @@ export class Renderer {
             needsRecompile = true;
         }
 
+        if (config.seedingType !== undefined && config.seedingType !== this.seedingType) {
+            logger.info(`Changing seeding: ${this.seedingType} → ${config.seedingType}`);
+            this.seedingType = config.seedingType;
+            needsRecompile = true;
+        }
+
+        if (config.seedingParams !== undefined &&
+            JSON.stringify(config.seedingParams) !== JSON.stringify(this.seedingParams)) {
+            logger.verbose('Updating seeding parameters', config.seedingParams);
+            this.seedingParams = config.seedingParams;
+            needsRecompile = true;
+        }
+
         if (config.colorMode !== undefined && config.colorMode !== this.colorMode) {
             logger.info(`Changing color mode: ${this.colorMode} → ${config.colorMode}`);
             this.colorMode = config.colorMode;
@@ -1773,6 +2852,20 @@ export class Renderer {
             // No recompile needed - just changes which value we use
         }
 
+        if (config.lyapunovWindow !== undefined) {
+            logger.verbose(`Lyapunov window: ${this.lyapunovWindow} → ${config.lyapunovWindow}`);
+            this.lyapunovWindow = config.lyapunovWindow;
+        }
+        if (config.lyapunovRange !== undefined) {
+            logger.verbose(`Lyapunov range: ${this.lyapunovRange} → ${config.lyapunovRange}`);
+            this.lyapunovRange = config.lyapunovRange;
+        }
+
+        if (config.structureRange !== undefined) {
+            logger.verbose(`Structure range: ${this.structureRange} → ${config.structureRange}`);
+            this.structureRange = config.structureRange;
+        }
+
         if (config.velocityLogScale !== undefined && config.velocityLogScale !== this.velocityLogScale) {
             logger.info(`Changing velocity log scale: ${this.velocityLogScale} → ${config.velocityLogScale}`);
             this.velocityLogScale = config.velocityLogScale;
@@ -1782,6 +2875,13 @@ export class Renderer {
         if (config.timestep !== undefined) {
             logger.verbose(`Timestep: ${this.timestep} → ${config.timestep}`);
             this.timestep = config.timestep;
+            if (this.delays.length > 0) {
+                try {
+                    this.updateDelayHistory();
+                } catch (error) {
+                    logger.error('Cannot resize delay history:', error.message);
+                }
+            }
         }
         if (config.fadeOpacity !== undefined) {
             logger.verbose(`Fade opacity: ${this.fadeOpacity} → ${config.fadeOpacity}`);
@@ -1795,6 +2895,23 @@ export class Renderer {
             logger.verbose(`Respawn margin: ${this.respawnMargin} → ${config.respawnMargin}`);
             this.respawnMargin = config.respawnMargin;
         }
+        if (config.dimensionRanges !== undefined &&
+            JSON.stringify(config.dimensionRanges) !== JSON.stringify(this.dimensionRanges)) {
+            logger.verbose('Dimension storage ranges changed', config.dimensionRanges);
+            this.dimensionRanges = config.dimensionRanges || {};
+            this.particleSystem.setDimensionRanges(this.dimensionRanges);
+
+            // Stored positions are encoded relative to the old ranges, so respawn them
+            this.clearScreen();
+        }
+
+        if (config.timePeriod !== undefined) {
+            logger.verbose(`Time period: ${this.timePeriod} → ${config.timePeriod}`);
+            this.timePeriod = Math.max(0, config.timePeriod);
+            if (this.timePeriod > 0) {
+                this.simulationTime %= this.timePeriod;
+            }
+        }
 
         // Animation settings
         if (config.lockShaderRecompilation !== undefined) {
@@ -1931,6 +3048,71 @@ export class Renderer {
             this.bilateralIntensitySigma = config.bilateralIntensitySigma;
             this.bilateralManager.updateConfig({ intensitySigma: config.bilateralIntensitySigma });
         }
+        if (config.showNullclines !== undefined) {
+            logger.verbose(`Show nullclines: ${this.showNullclines} → ${config.showNullclines}`);
+            this.showNullclines = config.showNullclines;
+        }
+        if (config.licEnabled !== undefined && config.licEnabled !== this.licEnabled) {
+            logger.verbose(`LIC background: ${this.licEnabled} → ${config.licEnabled}`);
+            this.licEnabled = config.licEnabled;
+            needsRecompile = true;
+        }
+        for (const key of ['licLength', 'licIntensity', 'licAnimate', 'licSpeed', 'licPhase']) {
+            if (config[key] !== undefined && config[key] !== this[key]) {
+                logger.verbose(`${key}: ${this[key]} → ${config[key]}`);
+                this[key] = config[key];
+            }
+        }
+        for (const key of ['showGlyphs', 'glyphSpacing', 'glyphScaling']) {
+            if (config[key] !== undefined && config[key] !== this[key]) {
+                logger.verbose(`${key}: ${this[key]} → ${config[key]}`);
+                this[key] = config[key];
+            }
+        }
+        if (config.ftleEnabled !== undefined && config.ftleEnabled !== this.ftleEnabled) {
+            logger.verbose(`FTLE field: ${this.ftleEnabled} → ${config.ftleEnabled}`);
+            this.ftleEnabled = config.ftleEnabled;
+            needsRecompile = true;
+        }
+        if (config.ftleHorizon !== undefined) {
+            logger.verbose(`FTLE horizon: ${this.ftleHorizon} → ${config.ftleHorizon}`);
+            this.ftleHorizon = config.ftleHorizon;
+        }
+        if (config.ftleDirection !== undefined) {
+            logger.verbose(`FTLE direction: ${this.ftleDirection} → ${config.ftleDirection}`);
+            this.ftleDirection = config.ftleDirection;
+        }
+        if (config.ftleResolution !== undefined) {
+            logger.verbose(`FTLE resolution: ${this.ftleResolution} → ${config.ftleResolution}`);
+            this.ftleResolution = config.ftleResolution;
+        }
+        if (config.basinEnabled !== undefined && config.basinEnabled !== this.basinEnabled) {
+            logger.verbose(`Basins of attraction: ${this.basinEnabled} → ${config.basinEnabled}`);
+            this.basinEnabled = config.basinEnabled;
+            needsRecompile = true;
+        }
+        for (const key of ['basinSteps', 'basinAttractors', 'basinTolerance', 'basinResolution', 'basinShading']) {
+            if (config[key] !== undefined && config[key] !== this[key]) {
+                logger.verbose(`${key}: ${this[key]} → ${config[key]}`);
+                this[key] = config[key];
+            }
+        }
+        for (const key of ['poincareEnabled', 'poincareEquation', 'poincareDirection', 'poincareDim1', 'poincareDim2']) {
+            if (config[key] !== undefined && config[key] !== this[key]) {
+                logger.verbose(`${key}: ${this[key]} → ${config[key]}`);
+                this[key] = config[key];
+                needsRecompile = true;
+            }
+        }
+        if (config.poincareView !== undefined) {
+            logger.verbose(`Poincaré section view: ${this.poincareView} → ${config.poincareView}`);
+            this.poincareView = config.poincareView;
+        }
+        if (Array.isArray(config.isoclineSlopes) && config.isoclineSlopes.join(',') !== this.isoclineSlopes.join(',')) {
+            logger.verbose(`Isocline slopes: [${this.isoclineSlopes}] → [${config.isoclineSlopes}]`);
+            this.isoclineSlopes = config.isoclineSlopes;
+            needsRecompile = true;
+        }
         if (config.supersampleFactor !== undefined && config.supersampleFactor !== this.supersampleFactor) {
             logger.info(`Render scale factor: ${this.supersampleFactor} → ${config.supersampleFactor}`);
 
@@ -1950,6 +3132,11 @@ export class Renderer {
             this.particleSystem.setParticleCount(config.particleCount);
             this.textureManager.resize(this.particleSystem.getResolution());
             this.textureManager.initializeData(this.particleSystem.getAllData());
+            try {
+                this.updateDelayHistory();
+            } catch (error) {
+                logger.error('Cannot keep delay history at the new particle count:', error.message);
+            }
 
             // Recreate both index buffers and vertex ID buffer
             this.gl.deleteBuffer(this.indexBufferPoints);
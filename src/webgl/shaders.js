@@ -3,6 +3,9 @@
  */
 
 import { getGLSLFunctionDeclarations } from '../math/parser.js';
+import { getStateType, getStateComponent, getStateZero, buildState, generateStateHelpersGLSL, glslFloat } from '../math/state-vector.js';
+import { getSeeding } from '../math/seeding.js';
+import { generateLyapunovFunctionsGLSL, generateLyapunovPassGLSL, LYAPUNOV_LIMIT } from '../math/lyapunov.js';
 
 /**
  * Compile a shader
@@ -54,6 +57,22 @@ export function createProgram(gl, vertexSource, fragmentSource) {
     return program;
 }
 
+/**
+ * Set the model parameter uniforms (u_param_<name>, declared with the custom functions)
+ * Parameters a program does not use are skipped.
+ * @param {WebGLRenderingContext} gl - WebGL context
+ * @param {WebGLProgram} program - Program in use
+ * @param {Object<string, number>} values - Values by parameter name (see getModelParameterValues)
+ */
+export function setParameterUniforms(gl, program, values) {
+    for (const [name, value] of Object.entries(values)) {
+        const location = gl.getUniformLocation(program, `u_param_${name}`);
+        if (location !== null) {
+            gl.uniform1f(location, value);
+        }
+    }
+}
+
 /**
  * Add line numbers to source for error reporting
  */
@@ -61,6 +80,174 @@ function addLineNumbers(source) {
     return source.split('\n').map((line, i) => `${i + 1}: ${line}`).join('\n');
 }
 
+/**
+ * Generate statements that read every coordinate from position textures
+ * into a state variable (denormalized to world coordinates)
+ * @param {string} varName - Destination state variable (e.g., 'pos')
+ * @param {string} samplerPrefix - Sampler uniform prefix (e.g., 'u_pos_', 'u_prev_pos_')
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string[]} GLSL statements, one per dimension
+ */
+export function generatePositionReads(varName, samplerPrefix, dimensions) {
+    return Array.from({ length: dimensions }, (_, i) =>
+        `${getStateComponent(varName, i, dimensions)} = ${generateCoordinateRead(`${samplerPrefix}${i}`, i)};`
+    );
+}
+
+/**
+ * Generate an expression reading one coordinate from a position texture
+ * (denormalized to world coordinates)
+ * @param {string} sampler - Sampler uniform holding the coordinate
+ * @param {number} index - Coordinate index (selects the storage range)
+ * @returns {string} GLSL expression
+ */
+function generateCoordinateRead(sampler, index) {
+    const encoded = `decodeFloat(texture2D(${sampler}, texcoord))`;
+    if (index === 0) {
+        return `denormalizeFromViewport(${encoded}, u_min.x, u_max.x)`;
+    } else if (index === 1) {
+        return `denormalizeFromViewport(${encoded}, u_min.y, u_max.y)`;
+    }
+    // Higher dimensions use their configured storage range
+    return `denormalizeFromViewport(${encoded}, u_dim_range_${index}.x, u_dim_range_${index}.y)`;
+}
+
+/**
+ * Generate the history lookups called by delay terms x(t - tau) (see collectDelays)
+ * With history, delay k reads the ring slots u_delay_base_k - 1 .. u_delay_base_k + 1
+ * (frames back from the current positions, bound by TextureManager.bindDelayTextures)
+ * and interpolates linearly to t - tau. Without history (draw and statistics shaders)
+ * the delayed value falls back to the current one.
+ * @param {{index: number, tau: number, glslName: string}[]} delays - Delay terms
+ * @param {boolean} withHistory - Sample the history textures (update fragment shader only)
+ * @returns {string} GLSL uniforms and functions
+ */
+export function generateDelayFunctionsGLSL(delays, withHistory = false) {
+    if (!delays || delays.length === 0) return '';
+
+    if (!withHistory) {
+        return delays.map(delay =>
+            `float ${delay.glslName}(float t, float current) { return current; } // No history here`
+        ).join('\n');
+    }
+
+    return delays.map((delay, k) => {
+        const tau = Number.isInteger(delay.tau) ? `${delay.tau}.0` : String(delay.tau);
+        return `
+// ${delay.name}(t - ${delay.tau}) from the position history
+uniform sampler2D u_delay_${k}_0;
+uniform sampler2D u_delay_${k}_1;
+uniform sampler2D u_delay_${k}_2;
+uniform float u_delay_base_${k};
+float ${delay.glslName}(float t, float current) {
+    float lag = (${tau} - (t - u_time)) / u_h; // Frames back from the start of this step
+    if (lag <= 0.0) return current;
+    vec2 texcoord = gl_FragCoord.xy / u_particles_res;
+    float f = clamp(lag - u_delay_base_${k}, -1.0, 1.0);
+    float mid = ${generateCoordinateRead(`u_delay_${k}_1`, delay.index)};
+    if (f < 0.0) {
+        return mix(mid, ${generateCoordinateRead(`u_delay_${k}_0`, delay.index)}, -f);
+    }
+    return mix(mid, ${generateCoordinateRead(`u_delay_${k}_2`, delay.index)}, f);
+}`;
+    }).join('\n');
+}
+
+/**
+ * Generate storage range uniforms for dimensions beyond x and y
+ * Each vec2 holds (min, max) in world coordinates
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL uniform declarations
+ */
+export function generateDimensionRangeUniforms(dimensions) {
+    return Array.from({ length: Math.max(0, dimensions - 2) }, (_, i) =>
+        `uniform vec2 u_dim_range_${i + 2};`
+    ).join('\n');
+}
+
+/**
+ * Generate a declaration binding named scalars to the components of a state variable
+ * e.g. "float x = pos.x, y = pos.y;"
+ * @param {string[]} names - Scalar names, one per dimension
+ * @param {string} varName - Source state variable
+ * @param {number} dimensions - Number of dimensions
+ * @returns {string} GLSL declaration
+ */
+function generateComponentDeclarations(names, varName, dimensions) {
+    return `float ${names.slice(0, dimensions).map((name, i) => `${name} = ${getStateComponent(varName, i, dimensions)}`).join(', ')};`;
+}
+
+/**
+ * Generate get_velocity for the user field, as the update shader integrates it
+ * With a coordinate system it takes native coordinates. With a domain transform it
+ * takes transformed coordinates and needs transform_inverse and transform_jacobian.
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[]} velocityExpressions - Compiled GLSL expressions
+ * @param {Object|null} coordinateSystemCode - Coordinate system code (name, nativeVars, transforms)
+ * @param {boolean} hasTransform - Whether a domain transform wraps the field
+ * @param {string} functionName - Name of the generated function (default: get_velocity)
+ * @returns {string} GLSL source
+ */
+export function generateVelocityFunctionGLSL(dimensions, velocityExpressions, coordinateSystemCode = null, hasTransform = false, functionName = 'get_velocity') {
+    const vecType = getStateType(dimensions);
+    const cartesianNames = ['x', 'y', 'z', 'w', 'u', 'v'];
+    const hasCoordinateSystem = coordinateSystemCode && coordinateSystemCode.forwardTransform;
+    const velocityComponents = velocityExpressions.map((expr, i) =>
+        `    ${getStateComponent('result', i, dimensions)} = ${expr};`
+    ).join('\n');
+
+    // Priority: Coordinate system wraps the velocity definition, domain transform wraps integration
+    return hasCoordinateSystem ? `
+// User-defined velocity field in native coordinates (${coordinateSystemCode.name || 'custom'})
+${vecType} get_velocity_native(${vecType} pos_native, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
+    // Extract native coordinates for use in expressions
+    ${generateComponentDeclarations(coordinateSystemCode.nativeVars || cartesianNames, 'pos_native', dimensions)}
+${velocityComponents}
+    return result;
+}
+
+// Velocity function in Cartesian (redirects to native, for use by integrator)
+${vecType} ${functionName}(${vecType} pos_native, float t) {
+    return get_velocity_native(pos_native, t);
+}
+` : hasTransform ? `
+// Original velocity field in world coordinates
+${vecType} get_velocity_original(${vecType} pos, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
+    ${generateComponentDeclarations(cartesianNames, 'pos', dimensions)}
+
+${velocityComponents}
+
+    return result;
+}
+
+// Transformed velocity field: dy/dt = J_T(x) * f(x)
+// where y = T(x)
+${vecType} ${functionName}(${vecType} pos_transformed, float t) {
+    // Transform back to world coordinates
+    ${vecType} pos = transform_inverse(pos_transformed);
+
+    // Evaluate original velocity field
+    ${vecType} vel_original = get_velocity_original(pos, t);
+
+    // Apply Jacobian: component-wise multiplication
+    ${vecType} jacobian = transform_jacobian(pos);
+    return vel_original * jacobian;
+}
+` : `
+// User-defined velocity field (no transform)
+${vecType} ${functionName}(${vecType} pos, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
+    ${generateComponentDeclarations(cartesianNames, 'pos', dimensions)}
+
+${velocityComponents}
+
+    return result;
+}
+`;
+}
+
 /**
  * Generate position update vertex shader
  */
@@ -84,8 +271,18 @@ void main() {
  * @param {CoordinateStrategy} strategy - Coordinate storage strategy
  * @param {object} transformCode - Transform GLSL code {forward, inverse, jacobian}
  * @param {object} coordinateSystemCode - Coordinate system GLSL code {forwardTransform, velocityTransform}
+ * @param {string} seedingCode - Seeding GLSL defining seed_position(cell) (default: uniform)
+ * @param {boolean} adaptiveStep - Integrator keeps a per-particle step size (integrator_step_ratio),
+ *   read from u_step_size and written when u_out_coordinate == dimensions
+ * @param {string[]|null} diffusionExpressions - GLSL noise amplitudes (one per dimension) for
+ *   stochastic integrators; defines get_diffusion() and sde_noise()
+ * @param {Object[]} delays - Delay terms x(t - tau) in the velocity expressions (see collectDelays),
+ *   read from the position history
+ * @param {{jacobian: string[][]|null}|null} lyapunov - Track tangent vectors and Lyapunov exponents
+ *   (extra passes after the step-size pass, see generateLyapunovPassGLSL); the symbolic Jacobian
+ *   applies to Cartesian fields without a domain transform
  */
-export function generateUpdateFragmentShader(dimensions, velocityExpressions, integratorCode, strategy, transformCode = null, coordinateSystemCode = null) {
+export function generateUpdateFragmentShader(dimensions, velocityExpressions, integratorCode, strategy, transformCode = null, coordinateSystemCode = null, seedingCode = null, adaptiveStep = false, diffusionExpressions = null, delays = [], lyapunov = null) {
     // Generate uniforms for position textures
     const positionUniforms = Array.from({ length: dimensions }, (_, i) =>
         `uniform sampler2D u_pos_${i};`
@@ -93,17 +290,9 @@ export function generateUpdateFragmentShader(dimensions, velocityExpressions, in
 
     // Note: Age is stored in alpha channel of u_pos_0 texture
 
-    // Generate vector constructor from texture reads
-    const vecType = `vec${dimensions}`;
-    const readPositions = Array.from({ length: dimensions }, (_, i) =>
-        `decodeFloat(texture2D(u_pos_${i}, v_texcoord))`
-    ).join(', ');
-
-    // Generate velocity function
-    const swizzles = ['x', 'y', 'z', 'w'];
-    const velocityComponents = velocityExpressions.map((expr, i) =>
-        `    result.${swizzles[i]} = ${expr};`
-    ).join('\n');
+    // State type: vecN for up to 4D, packed mat3 for 5D/6D
+    const vecType = getStateType(dimensions);
+    const cartesianNames = ['x', 'y', 'z', 'w', 'u', 'v'];
 
     // Add coordinate system functions if provided
     const hasCoordinateSystem = coordinateSystemCode && coordinateSystemCode.forwardTransform;
@@ -124,63 +313,58 @@ ${transformCode.inverse}
 ${transformCode.jacobian}
 ` : '';
 
-    // Modify velocity function to include coordinate system and/or domain transform
-    // Priority: Coordinate system wraps the velocity definition, domain transform wraps integration
-    const velocityFunction = hasCoordinateSystem ? `
-// User-defined velocity field in native coordinates (${coordinateSystemCode.name || 'custom'})
-${vecType} get_velocity_native(${vecType} pos_native) {
-    ${vecType} result;
-    // Extract native coordinates for use in expressions
-    float ${coordinateSystemCode.nativeVars ? coordinateSystemCode.nativeVars.map((v, i) => `${v} = pos_native.${swizzles[i]}`).join(', ') : swizzles.slice(0, dimensions).map((s, i) => `${s} = pos_native.${s}`).join(', ')};
-${velocityComponents}
+    // Coordinate system wraps the velocity definition, domain transform wraps integration
+    const velocityFunction = generateVelocityFunctionGLSL(dimensions, velocityExpressions, coordinateSystemCode, !!hasTransform);
+
+    // Diffusion (noise amplitude) for stochastic integrators, in the same space as get_velocity
+    const diffusionFunction = diffusionExpressions ? (() => {
+        const diffusionComponents = diffusionExpressions.map((expr, i) =>
+            `    ${getStateComponent('result', i, dimensions)} = ${expr};`
+        ).join('\n');
+        const noiseComponents = Array.from({ length: dimensions }, (_, i) => `gaussian(texcoord, ${i + 1}.0)`);
+
+        const body = hasCoordinateSystem ? `
+// Diffusion (noise amplitude per coordinate) in native coordinates
+${vecType} get_diffusion(${vecType} pos_native, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
+    ${generateComponentDeclarations(coordinateSystemCode.nativeVars || cartesianNames, 'pos_native', dimensions)}
+${diffusionComponents}
     return result;
 }
-
-// Velocity function in Cartesian (redirects to native, for use by integrator)
-${vecType} get_velocity(${vecType} pos_native) {
-    return get_velocity_native(pos_native);
-}
 ` : hasTransform ? `
-// Original velocity field in world coordinates
-${vecType} get_velocity_original(${vecType} pos) {
-    ${vecType} result;
-    float x = pos.x;
-    ${dimensions > 1 ? 'float y = pos.y;' : ''}
-    ${dimensions > 2 ? 'float z = pos.z;' : ''}
-    ${dimensions > 3 ? 'float w = pos.w;' : ''}
-
-${velocityComponents}
-
-    return result;
-}
-
-// Transformed velocity field: dy/dt = J_T(x) * f(x)
-// where y = T(x)
-${vecType} get_velocity(${vecType} pos_transformed) {
-    // Transform back to world coordinates
+// Diffusion (noise amplitude per coordinate), scaled like the velocity by J_T(x)
+${vecType} get_diffusion(${vecType} pos_transformed, float t) {
     ${vecType} pos = transform_inverse(pos_transformed);
-
-    // Evaluate original velocity field
-    ${vecType} vel_original = get_velocity_original(pos);
-
-    // Apply Jacobian: component-wise multiplication
-    ${vecType} jacobian = transform_jacobian(pos);
-    return vel_original * jacobian;
+    ${vecType} result = ${getStateZero(dimensions)};
+    ${generateComponentDeclarations(cartesianNames, 'pos', dimensions)}
+${diffusionComponents}
+    return result * transform_jacobian(pos);
 }
 ` : `
-// User-defined velocity field (no transform)
-${vecType} get_velocity(${vecType} pos) {
-    ${vecType} result;
-    float x = pos.x;
-    ${dimensions > 1 ? 'float y = pos.y;' : ''}
-    ${dimensions > 2 ? 'float z = pos.z;' : ''}
-    ${dimensions > 3 ? 'float w = pos.w;' : ''}
+// Diffusion (noise amplitude per coordinate)
+${vecType} get_diffusion(${vecType} pos, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
+    ${generateComponentDeclarations(cartesianNames, 'pos', dimensions)}
+${diffusionComponents}
+    return result;
+}
+`;
 
-${velocityComponents}
+        return `${body}
+// Standard normal sample (Box-Muller), fixed per particle, frame and stream k
+float gaussian(vec2 co, float k) {
+    float u1 = max(rand(co + vec2(0.1031 * k, 0.3713 * k)), 1e-7);
+    float u2 = rand2(co + vec2(0.7919 * k, 0.5347 * k));
+    return sqrt(-2.0 * log(u1)) * cos(6.28318530718 * u2);
+}
 
-    return result;
+// Independent standard normal per coordinate (the same in every output pass)
+${vecType} sde_noise() {
+    vec2 texcoord = gl_FragCoord.xy / u_particles_res;
+    return ${buildState(noiseComponents, dimensions)};
 }
 `;
+    })() : '';
 
     // Get custom function declarations
     const customFunctions = getGLSLFunctionDeclarations();
@@ -196,10 +380,13 @@ ${strategy.getGLSLDenormalizeFunction()}
 
 ${customFunctions}
 
+${generateStateHelpersGLSL(dimensions)}
+
 ${positionUniforms}
 
 uniform vec2 u_min;
 uniform vec2 u_max;
+${generateDimensionRangeUniforms(dimensions)}
 uniform float u_h;
 uniform float u_rand_seed;
 uniform float u_drop_rate;
@@ -208,18 +395,13 @@ uniform int u_out_coordinate;
 uniform float u_particles_res;
 uniform float u_max_velocity;
 uniform float u_alpha;
+uniform float u_time;
 ${hasTransform ? 'uniform vec4 u_transform_params;' : ''}
-
-${coordinateSystemFunctions}
-
-${transformFunctions}
-
-${velocityFunction}
-
-${integratorCode}
+${adaptiveStep ? 'uniform sampler2D u_step_size; // Per-particle step size (fraction of u_h)' : ''}
 
 // High-quality hash-based random number generator
 // Returns value in [0, 1] with good distribution
+// (defined before the integrator, which may draw noise from it)
 float rand(vec2 co) {
     // Hash the input
     vec2 p = co + vec2(u_rand_seed, u_rand_seed * 1.61803398875);
@@ -237,6 +419,18 @@ float rand2(vec2 co) {
     return fract(p.x * p.y);
 }
 
+${generateDelayFunctionsGLSL(delays, true)}
+
+${coordinateSystemFunctions}
+
+${transformFunctions}
+
+${velocityFunction}
+${diffusionFunction}
+${integratorCode}
+${lyapunov ? generateLyapunovFunctionsGLSL(dimensions, lyapunov.jacobian) : ''}
+${seedingCode || getSeeding('uniform', dimensions).code}
+
 void main() {
     vec2 texcoord = gl_FragCoord.xy / u_particles_res;
 
@@ -245,19 +439,12 @@ void main() {
 
     // Read current position from textures
     // Positions are stored as normalized [0,1] values, denormalize to world coords
-    ${vecType} pos;
-    ${Array.from({ length: dimensions }, (_, i) => {
-        const coord = ['x', 'y', 'z', 'w'][i];
-        if (i === 0) {
-            return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_pos_${i}, texcoord)), u_min.x, u_max.x);`;
-        } else if (i === 1) {
-            return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_pos_${i}, texcoord)), u_min.y, u_max.y);`;
-        } else {
-            // Higher dimensions use fixed range [-10, 10]
-            return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_pos_${i}, texcoord)), -10.0, 10.0);`;
-        }
-    }).join('\n    ')}
-
+    ${vecType} pos = ${getStateZero(dimensions)};
+    ${generatePositionReads('pos', 'u_pos_', dimensions).join('\n    ')}
+${adaptiveStep ? `
+    // Resume from this particle's step size of the previous frame
+    integrator_step_ratio = decodeFloat(texture2D(u_step_size, texcoord));
+` : ''}
     // Integrate to get new position
     ${vecType} new_pos;
     ${hasCoordinateSystem ? `
@@ -266,42 +453,36 @@ void main() {
     // 2. Integrate in native space (using velocity defined in native coords)
     // 3. Transform result back to Cartesian
     ${vecType} pos_native = transformToNative(pos);
-    ${vecType} new_pos_native = integrate(pos_native, u_h);
+    ${vecType} new_pos_native = integrate(pos_native, u_time, u_h);
     new_pos = transformToCartesian(new_pos_native);
     ` : hasTransform ? `
     // Transform to y-space, integrate, then transform back to x-space
     ${vecType} pos_transformed = transform_forward(pos);
-    ${vecType} new_pos_transformed = integrate(pos_transformed, u_h);
+    ${vecType} new_pos_transformed = integrate(pos_transformed, u_time, u_h);
     new_pos = transform_inverse(new_pos_transformed);
     ` : `
     // Direct integration (no transform)
-    new_pos = integrate(pos, u_h);
+    new_pos = integrate(pos, u_time, u_h);
     `}
 
     // Check if particle is outside viewport bounds with configurable margin
     // Margin allows particles to flow off-screen before respawning
     float width = u_max.x - u_min.x;
     float height = u_max.y - u_min.y;
-    bool outside = new_pos.x < (u_min.x - width * u_respawn_margin) || new_pos.x > (u_max.x + width * u_respawn_margin) ||
-                   new_pos.y < (u_min.y - height * u_respawn_margin) || new_pos.y > (u_max.y + height * u_respawn_margin);
+    float new_x = ${getStateComponent('new_pos', 0, dimensions)};
+    float new_y = ${getStateComponent('new_pos', 1, dimensions)};
+    bool outside = new_x < (u_min.x - width * u_respawn_margin) || new_x > (u_max.x + width * u_respawn_margin) ||
+                   new_y < (u_min.y - height * u_respawn_margin) || new_y > (u_max.y + height * u_respawn_margin);
 
     // Random drop: reset particle to random position with small probability
     // Also reset if particle exits the viewport
     float drop_chance = rand(texcoord);
     bool should_respawn = drop_chance < u_drop_rate || outside;
     if (should_respawn) {
-        // Spawn particles 2% OUTSIDE viewport for natural flow-in effect (negative margin)
-        // Use texcoord + rand_seed for truly independent random values per particle per frame
-        const float margin = -0.02;
-        ${dimensions === 2 ? `new_pos.x = u_min.x + width * margin + rand(texcoord * 1.234 + vec2(u_rand_seed)) * width * (1.0 - 2.0 * margin);
-        new_pos.y = u_min.y + height * margin + rand2(texcoord * 5.678 + vec2(u_rand_seed * 2.345)) * height * (1.0 - 2.0 * margin);` :
-        Array.from({ length: dimensions }, (_, i) => {
-            const coords = ['x', 'y', 'z', 'w'];
-            if (i === 0) return `new_pos.x = u_min.x + width * margin + rand(texcoord * 1.234 + vec2(u_rand_seed)) * width * (1.0 - 2.0 * margin);`;
-            if (i === 1) return `new_pos.y = u_min.y + height * margin + rand2(texcoord * 5.678 + vec2(u_rand_seed * 2.345)) * height * (1.0 - 2.0 * margin);`;
-            // For higher dimensions, use varied seeds for better distribution
-            return `new_pos.${coords[i]} = -10.4 + rand(texcoord * ${i + 1}.37 + vec2(u_rand_seed * ${i + 3}.5)) * 20.8;`;
-        }).join('\n        ')}
+        // Respawn from the seeding distribution
+        // The distributions draw from texcoord and u_rand_seed, so every respawn is a new sample
+        new_pos = seed_position(texcoord);${adaptiveStep ? `
+        integrator_step_ratio = 0.0; // Start over with the full step` : ''}
     }
 
     // Calculate new age (based on all spawn conditions)
@@ -311,18 +492,22 @@ void main() {
     } else {
         new_age = min(current_age + 0.5, 1.0); // Increment age, cap at 1.0
     }
-
+${lyapunov ? generateLyapunovPassGLSL(dimensions,
+        hasCoordinateSystem ? 'pos_native' : hasTransform ? 'pos_transformed' : 'pos',
+        hasCoordinateSystem ? 'new_pos_native' : hasTransform ? 'new_pos_transformed' : 'new_pos') : ''}
     // Output the selected coordinate
     // Normalize world coords back to [0, 1] before encoding
-    ${Array.from({ length: dimensions }, (_, i) => {
-        const coord = ['x', 'y', 'z', 'w'][i];
+    ${adaptiveStep ? `if (u_out_coordinate == ${dimensions}) {
+        gl_FragColor = encodeFloat(integrator_step_ratio); // Step-size texture pass
+    } else ` : ''}${Array.from({ length: dimensions }, (_, i) => {
+        const component = getStateComponent('new_pos', i, dimensions);
         let normalizeExpr;
         if (i === 0) {
-            normalizeExpr = `normalizeToViewport(new_pos.${coord}, u_min.x, u_max.x)`;
+            normalizeExpr = `normalizeToViewport(${component}, u_min.x, u_max.x)`;
         } else if (i === 1) {
-            normalizeExpr = `normalizeToViewport(new_pos.${coord}, u_min.y, u_max.y)`;
+            normalizeExpr = `normalizeToViewport(${component}, u_min.y, u_max.y)`;
         } else {
-            normalizeExpr = `normalizeToViewport(new_pos.${coord}, -10.0, 10.0)`;
+            normalizeExpr = `normalizeToViewport(${component}, u_dim_range_${i}.x, u_dim_range_${i}.y)`;
         }
 
         if (i === 0) {
@@ -346,8 +531,12 @@ void main() {
 
 /**
  * Generate particle rendering vertex shader
+ * @param {string|null} stepSizeSource - Where v_step_size comes from: 'texture' (adaptive
+ *   integrators, u_step_size), 'constant' (fixed-step integrators) or null (not needed)
+ * @param {Object[]} delays - Delay terms in the velocity expressions (evaluated at the current state here)
+ * @param {boolean} usesLyapunov - Pass each particle's Lyapunov exponent (u_lyapunov) as v_lyapunov
  */
-export function generateDrawVertexShader(dimensions, mapperCode, velocityExpressions, strategy, lineMode = false, coordinateSystemCode = null) {
+export function generateDrawVertexShader(dimensions, mapperCode, velocityExpressions, strategy, lineMode = false, coordinateSystemCode = null, stepSizeSource = null, delays = [], usesLyapunov = false) {
     const hasCoordinateSystem = coordinateSystemCode && coordinateSystemCode.forwardTransform;
 
     const positionUniforms = Array.from({ length: dimensions }, (_, i) =>
@@ -359,12 +548,11 @@ export function generateDrawVertexShader(dimensions, mapperCode, velocityExpress
         `uniform sampler2D u_prev_pos_${i};`
     ).join('\n');
 
-    const vecType = `vec${dimensions}`;
+    const vecType = getStateType(dimensions);
 
     // Generate velocity function
-    const swizzles = ['x', 'y', 'z', 'w'];
     const velocityComponents = velocityExpressions.map((expr, i) =>
-        `    result.${swizzles[i]} = ${expr};`
+        `    ${getStateComponent('result', i, dimensions)} = ${expr};`
     ).join('\n');
 
     // Add coordinate system functions if provided (hasCoordinateSystem already declared at function start)
@@ -378,25 +566,22 @@ ${coordinateSystemCode.inverseTransform}
     // Velocity function with coordinate system support
     const velocityFunction = hasCoordinateSystem ? `
 // User-defined velocity field in native coordinates
-${vecType} get_velocity_native(${vecType} pos_native) {
-    ${vecType} result;
+${vecType} get_velocity_native(${vecType} pos_native, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
 ${velocityComponents}
     return result;
 }
 
 // Velocity field for visualization (no Cartesian transform needed with native-space integration)
-${vecType} get_velocity(${vecType} pos_cartesian) {
+${vecType} get_velocity(${vecType} pos_cartesian, float t) {
     ${vecType} pos_native = transformToNative(pos_cartesian);
-    return get_velocity_native(pos_native);
+    return get_velocity_native(pos_native, t);
 }
 ` : `
 // User-defined velocity field
-${vecType} get_velocity(${vecType} pos) {
-    ${vecType} result;
-    float x = pos.x;
-    ${dimensions > 1 ? 'float y = pos.y;' : ''}
-    ${dimensions > 2 ? 'float z = pos.z;' : ''}
-    ${dimensions > 3 ? 'float w = pos.w;' : ''}
+${vecType} get_velocity(${vecType} pos, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
+    ${generateComponentDeclarations(['x', 'y', 'z', 'w', 'u', 'v'], 'pos', dimensions)}
 
 ${velocityComponents}
 
@@ -416,6 +601,8 @@ ${strategy.getGLSLDenormalizeFunction()}
 
 ${customFunctions}
 
+${generateStateHelpersGLSL(dimensions)}
+
 attribute float a_index;
 ${lineMode ? 'attribute float a_vertex_id; // 0 = prev, 1 = current' : ''}
 
@@ -425,20 +612,28 @@ ${prevPositionUniforms}
 uniform float u_particles_res;
 uniform vec2 u_min;
 uniform vec2 u_max;
+${generateDimensionRangeUniforms(dimensions)}
 uniform float u_alpha;
+uniform float u_time;
 uniform float u_particle_size;
 uniform vec2 u_viewport_size;  // Actual render resolution (renderWidth, renderHeight)
 uniform vec2 u_canvas_size;    // Canvas resolution (canvas.width, canvas.height)
 
-varying vec${dimensions} v_pos;
-varying vec${dimensions} v_velocity;          // Actual particle velocity (pos - prev_pos)
-varying vec${dimensions} v_field_velocity;    // Vector field at particle position
-varying vec${dimensions} v_velocity_projected; // Projected 2D velocity (for angle-based color modes)
+varying ${vecType} v_pos;
+varying ${vecType} v_velocity;          // Actual particle velocity (pos - prev_pos)
+varying ${vecType} v_field_velocity;    // Vector field at particle position
+varying ${vecType} v_velocity_projected; // Projected 2D velocity (for angle-based color modes)
+${stepSizeSource ? 'varying float v_step_size;              // Integrator step size (fraction of the frame step)' : ''}
+${stepSizeSource === 'texture' ? 'uniform sampler2D u_step_size;' : ''}
+${usesLyapunov ? `varying float v_lyapunov;               // Finite-time Lyapunov exponent
+uniform sampler2D u_lyapunov;` : ''}
 
 ${mapperCode}
 
 ${coordinateSystemFunctions}
 
+${generateDelayFunctionsGLSL(delays)}
+
 ${velocityFunction}
 
 void main() {
@@ -461,67 +656,41 @@ void main() {
 
     // Read age from alpha channel of u_pos_0
     float age = texture2D(u_pos_0, texcoord).a;
-
+${stepSizeSource === 'texture' ? `
+    // Per-particle step size (0 = not set yet, i.e. the full step)
+    float step_ratio = decodeFloat(texture2D(u_step_size, texcoord));
+    v_step_size = step_ratio > 0.0 ? step_ratio : 1.0;
+` : stepSizeSource === 'constant' ? `
+    // Fixed-step integrator: every particle uses the full step
+    v_step_size = 1.0;
+` : ''}${usesLyapunov ? `
+    // Per-particle finite-time Lyapunov exponent
+    v_lyapunov = denormalizeFromViewport(decodeFloat(texture2D(u_lyapunov, texcoord)), ${-LYAPUNOV_LIMIT}.0, ${LYAPUNOV_LIMIT}.0);
+` : ''}
     // Read position from textures and denormalize to world coordinates
-    ${vecType} pos;
+    ${vecType} pos = ${getStateZero(dimensions)};
     ${lineMode ? `
     if (is_current) {
         // Current position
-        ${Array.from({ length: dimensions }, (_, i) => {
-            const coord = ['x', 'y', 'z', 'w'][i];
-            if (i === 0) {
-                return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_pos_${i}, texcoord)), u_min.x, u_max.x);`;
-            } else if (i === 1) {
-                return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_pos_${i}, texcoord)), u_min.y, u_max.y);`;
-            } else {
-                return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_pos_${i}, texcoord)), -10.0, 10.0);`;
-            }
-        }).join('\n        ')}
+        ${generatePositionReads('pos', 'u_pos_', dimensions).join('\n        ')}
     } else {
         // Previous position
-        ${Array.from({ length: dimensions }, (_, i) => {
-            const coord = ['x', 'y', 'z', 'w'][i];
-            if (i === 0) {
-                return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_prev_pos_${i}, texcoord)), u_min.x, u_max.x);`;
-            } else if (i === 1) {
-                return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_prev_pos_${i}, texcoord)), u_min.y, u_max.y);`;
-            } else {
-                return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_prev_pos_${i}, texcoord)), -10.0, 10.0);`;
-            }
-        }).join('\n        ')}
+        ${generatePositionReads('pos', 'u_prev_pos_', dimensions).join('\n        ')}
     }
     ` : `
-    ${Array.from({ length: dimensions }, (_, i) => {
-        const coord = ['x', 'y', 'z', 'w'][i];
-        if (i === 0) {
-            return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_pos_${i}, texcoord)), u_min.x, u_max.x);`;
-        } else if (i === 1) {
-            return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_pos_${i}, texcoord)), u_min.y, u_max.y);`;
-        } else {
-            return `pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_pos_${i}, texcoord)), -10.0, 10.0);`;
-        }
-    }).join('\n    ')}
+    ${generatePositionReads('pos', 'u_pos_', dimensions).join('\n    ')}
     `}
 
     // Calculate ACTUAL particle velocity for coloring (not vector field!)
     // This gives correct colors based on particle motion, not field strength
-    ${vecType} prev_pos;
-    ${Array.from({ length: dimensions }, (_, i) => {
-        const coord = ['x', 'y', 'z', 'w'][i];
-        if (i === 0) {
-            return `prev_pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_prev_pos_${i}, texcoord)), u_min.x, u_max.x);`;
-        } else if (i === 1) {
-            return `prev_pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_prev_pos_${i}, texcoord)), u_min.y, u_max.y);`;
-        } else {
-            return `prev_pos.${coord} = denormalizeFromViewport(decodeFloat(texture2D(u_prev_pos_${i}, texcoord)), -10.0, 10.0);`;
-        }
-    }).join('\n    ')}
+    ${vecType} prev_pos = ${getStateZero(dimensions)};
+    ${generatePositionReads('prev_pos', 'u_prev_pos_', dimensions).join('\n    ')}
 
     // Actual particle velocity from position difference
     ${vecType} velocity = pos - prev_pos;
 
     // Also compute vector field at current position (for field-based color modes)
-    ${vecType} field_velocity = get_velocity(pos);
+    ${vecType} field_velocity = get_velocity(pos, u_time);
 
     // Pass N-dimensional position and full velocity to fragment shader
     v_pos = pos;
@@ -542,11 +711,9 @@ void main() {
         vec2 velocity_2d = project_to_2d(velocity);
 
         // Create 2D velocity vector (pad to match dimensions for varying)
-        ${vecType} velocity_projected;
-        velocity_projected.x = velocity_2d.x;
-        velocity_projected.y = velocity_2d.y;
-        ${dimensions > 2 ? 'velocity_projected.z = 0.0;' : ''}
-        ${dimensions > 3 ? 'velocity_projected.w = 0.0;' : ''}
+        ${vecType} velocity_projected = ${getStateZero(dimensions)};
+        ${getStateComponent('velocity_projected', 0, dimensions)} = velocity_2d.x;
+        ${getStateComponent('velocity_projected', 1, dimensions)} = velocity_2d.y;
 
         // Pass projected 2D velocity to fragment shader (for angle-based color modes)
         v_velocity_projected = velocity_projected;
@@ -572,8 +739,12 @@ void main() {
 
 /**
  * Generate particle rendering fragment shader
+ * @param {boolean} usesStepSize - Color mode reads v_step_size
+ * @param {boolean} usesLyapunov - Color mode reads v_lyapunov and u_lyapunov_range
  */
-export function generateDrawFragmentShader(dimensions, colorCode, usesMaxVelocity) {
+export function generateDrawFragmentShader(dimensions, colorCode, usesMaxVelocity, usesStepSize = false, usesLyapunov = false) {
+    const vecType = getStateType(dimensions);
+
     // Get custom function declarations
     const customFunctions = getGLSLFunctionDeclarations();
 
@@ -582,15 +753,21 @@ precision highp float;
 
 ${customFunctions}
 
-varying vec${dimensions} v_pos;
-varying vec${dimensions} v_velocity;          // Actual particle velocity (pos - prev_pos)
-varying vec${dimensions} v_field_velocity;    // Vector field at particle position
-varying vec${dimensions} v_velocity_projected; // Projected 2D velocity (for angle-based color modes)
+${generateStateHelpersGLSL(dimensions)}
+
+varying ${vecType} v_pos;
+varying ${vecType} v_velocity;          // Actual particle velocity (pos - prev_pos)
+varying ${vecType} v_field_velocity;    // Vector field at particle position
+varying ${vecType} v_velocity_projected; // Projected 2D velocity (for angle-based color modes)
+${usesStepSize ? 'varying float v_step_size;              // Integrator step size (fraction of the frame step)' : ''}
+${usesLyapunov ? `varying float v_lyapunov;               // Finite-time Lyapunov exponent
+uniform float u_lyapunov_range;` : ''}
 
 ${usesMaxVelocity ? 'uniform float u_max_velocity;\nuniform float u_velocity_log_scale;' : ''}
 uniform float u_particle_intensity;
 uniform float u_color_saturation;
 uniform float u_alpha;
+uniform float u_time;
 uniform vec2 u_viewport_size;  // Actual render resolution
 uniform vec2 u_canvas_size;    // Canvas resolution
 
@@ -626,6 +803,220 @@ void main() {
 `;
 }
 
+/**
+ * Generate nullcline/isocline overlay fragment shader
+ * Evaluates get_velocity (as integrated by the update shader) on the displayed plane,
+ * with the other variables at 0, and draws the zero level of each curve quantity with
+ * an anti-aliased width of u_line_width pixels. Output is premultiplied alpha.
+ * Drawn with the screen vertex shader over the canvas.
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[]} velocityExpressions - Compiled GLSL expressions
+ * @param {Object[]} curves - {type: 'nullcline', component} (f_component = 0) or
+ *   {type: 'isocline', slope} (d(dim2)/d(dim1) = slope); colors come from u_curve_color_k
+ * @param {number[]} displayDims - [horizontalDim, verticalDim]
+ * @param {Object|null} coordinateSystemCode - Coordinate system GLSL code (components are then native rates)
+ * @param {Object[]} delays - Delay terms in the expressions (evaluated at the current state here)
+ */
+export function generateNullclineFragmentShader(dimensions, velocityExpressions, curves, displayDims, coordinateSystemCode = null, delays = []) {
+    const hasCoordinateSystem = coordinateSystemCode && coordinateSystemCode.forwardTransform;
+    const vecType = getStateType(dimensions);
+    const [dim1, dim2] = displayDims;
+    const component = (varName, index) => getStateComponent(varName, index, dimensions);
+
+    const curveFunctions = curves.map((curve, k) => {
+        const quantity = curve.type === 'isocline'
+            ? `${component('vel', dim2)} - ${glslFloat(curve.slope)} * ${component('vel', dim1)}`
+            : component('vel', curve.component);
+        return `float curve_${k}(${vecType} vel) { return ${quantity}; }`;
+    }).join('\n');
+
+    const curveComposite = curves.map((_, k) => `
+    a = line_coverage(curve_${k}(vel), curve_${k}(vel_x), curve_${k}(vel_y)) * u_curve_color_${k}.a;
+    color = vec4(u_curve_color_${k}.rgb * a, a) + color * (1.0 - a);`).join('');
+
+    return `
+precision highp float;
+
+${getGLSLFunctionDeclarations()}
+
+${generateStateHelpersGLSL(dimensions)}
+
+uniform vec2 u_min;
+uniform vec2 u_max;
+uniform vec2 u_resolution;
+uniform float u_time;
+uniform float u_alpha;
+uniform float u_line_width;
+${curves.map((_, k) => `uniform vec4 u_curve_color_${k};`).join('\n')}
+
+varying vec2 v_texcoord;
+
+${hasCoordinateSystem ? `${coordinateSystemCode.forwardTransform}\n${coordinateSystemCode.inverseTransform}` : ''}
+
+${generateDelayFunctionsGLSL(delays)}
+
+${generateVelocityFunctionGLSL(dimensions, velocityExpressions, coordinateSystemCode)}
+
+${curveFunctions}
+
+// Field at a point of the displayed plane (other variables at 0)
+${vecType} field_at(vec2 p) {
+    ${vecType} pos = ${getStateZero(dimensions)};
+    ${component('pos', dim1)} = p.x;
+    ${component('pos', dim2)} = p.y;
+    return get_velocity(${hasCoordinateSystem ? 'transformToNative(pos)' : 'pos'}, u_time);
+}
+
+// Coverage of the zero level at this pixel, from the distance estimate |f| / |grad f|
+// (f, fx, fy: values here and one pixel to the right and up)
+float line_coverage(float f, float fx, float fy) {
+    float gradient = length(vec2(fx - f, fy - f));
+    if (gradient < 1e-20) return 0.0; // Flat: no isolated zero level
+    float distance = abs(f) / gradient;
+    return clamp(0.5 * u_line_width + 0.5 - distance, 0.0, 1.0);
+}
+
+void main() {
+    vec2 pixel = (u_max - u_min) / u_resolution;
+    vec2 p = u_min + v_texcoord * (u_max - u_min);
+    ${vecType} vel = field_at(p);
+    ${vecType} vel_x = field_at(p + vec2(pixel.x, 0.0));
+    ${vecType} vel_y = field_at(p + vec2(0.0, pixel.y));
+
+    vec4 color = vec4(0.0);
+    float a;${curveComposite}
+
+    if (color.a <= 0.0) discard;
+    gl_FragColor = color;
+}
+`;
+}
+
+/**
+ * Arrow length scalings of the glyph overlay (u_glyph_scaling is the index)
+ * - linear: length proportional to the speed, full cell at u_max_velocity
+ * - log: log(1 + speed) / log(1 + u_max_velocity)
+ * - normalized: every arrow is a full cell long (direction only)
+ */
+export const GLYPH_SCALINGS = ['linear', 'log', 'normalized'];
+
+/**
+ * Generate vector glyph overlay fragment shader
+ * Divides the canvas into square cells of u_glyph_spacing pixels and draws one
+ * arrow per cell: the field at the cell center on the displayed plane (other
+ * variables at 0), projected onto the plane, colored by the particle color
+ * function. Output is premultiplied alpha, drawn with the screen vertex shader.
+ * @param {number} dimensions - Number of dimensions
+ * @param {string[]} velocityExpressions - Compiled GLSL expressions
+ * @param {number[]} displayDims - [horizontalDim, verticalDim]
+ * @param {string} colorCode - GLSL defining getColor(pos, velocity, field_velocity, velocity_proj)
+ * @param {boolean} usesMaxVelocity - Color code reads u_max_velocity and u_velocity_log_scale
+ * @param {Object|null} coordinateSystemCode - Coordinate system GLSL code (rates are mapped to Cartesian)
+ * @param {Object[]} delays - Delay terms in the expressions (evaluated at the current state here)
+ */
+export function generateGlyphFragmentShader(dimensions, velocityExpressions, displayDims, colorCode, usesMaxVelocity, coordinateSystemCode = null, delays = []) {
+    const hasCoordinateSystem = coordinateSystemCode && coordinateSystemCode.forwardTransform;
+    const vecType = getStateType(dimensions);
+    const [dim1, dim2] = displayDims;
+    const component = (varName, index) => getStateComponent(varName, index, dimensions);
+
+    return `
+precision highp float;
+
+${getGLSLFunctionDeclarations()}
+
+${generateStateHelpersGLSL(dimensions)}
+
+uniform vec2 u_min;
+uniform vec2 u_max;
+uniform vec2 u_resolution;
+uniform float u_time;
+uniform float u_alpha;
+uniform float u_glyph_spacing;  // Cell size (pixels)
+uniform int u_glyph_scaling;    // Index into GLYPH_SCALINGS
+uniform float u_glyph_reference; // Speed of a full-cell arrow (linear and log)
+${usesMaxVelocity ? 'uniform float u_max_velocity;\nuniform float u_velocity_log_scale;' : ''}
+
+varying vec2 v_texcoord;
+
+${hasCoordinateSystem ? `${coordinateSystemCode.forwardTransform}\n${coordinateSystemCode.inverseTransform}` : ''}
+
+${generateDelayFunctionsGLSL(delays)}
+
+${generateVelocityFunctionGLSL(dimensions, velocityExpressions, coordinateSystemCode)}
+
+${colorCode}
+
+// Cartesian field at a state${hasCoordinateSystem ? ' (native rates pushed through the coordinate map)' : ''}
+${vecType} field_at(${vecType} pos) {
+${hasCoordinateSystem ? `    ${vecType} native = transformToNative(pos);
+    ${vecType} rate = get_velocity(native, u_time);
+    float eps = 1e-3 / max(state_length(rate), 1e-6);
+    return (transformToCartesian(native + eps * rate) - pos) / eps;` : `    return get_velocity(pos, u_time);`}
+}
+
+// Signed distance (pixels) to an arrow along +u of length len, centered at the origin
+float arrow_distance(vec2 q, float len) {
+    float head = 0.35 * len;
+    float half_width = 0.5 * max(1.0, 0.03 * u_glyph_spacing);
+    float head_width = max(2.5 * half_width, 0.4 * head);
+
+    // Shaft: box from the tail to the base of the head
+    float shaft_center = -0.5 * head;
+    vec2 d = abs(q - vec2(shaft_center, 0.0)) - vec2(0.5 * (len - head), half_width);
+    float shaft = length(max(d, 0.0)) + min(max(d.x, d.y), 0.0);
+
+    // Head: triangle between the base and the tip
+    float tip = 0.5 * len;
+    vec2 normal = normalize(vec2(head_width, head));
+    float tip_side = dot(vec2(q.x - tip, abs(q.y)), normal);
+    float arrow_head = max(tip - head - q.x, tip_side);
+
+    return min(shaft, arrow_head);
+}
+
+void main() {
+    vec2 pixel = v_texcoord * u_resolution;
+    vec2 center = (floor(pixel / u_glyph_spacing) + 0.5) * u_glyph_spacing;
+    vec2 world_per_pixel = (u_max - u_min) / u_resolution;
+
+    ${vecType} pos = ${getStateZero(dimensions)};
+    ${component('pos', dim1)} = u_min.x + center.x * world_per_pixel.x;
+    ${component('pos', dim2)} = u_min.y + center.y * world_per_pixel.y;
+    ${vecType} vel = field_at(pos);
+
+    // Direction on screen and speed in the plane
+    vec2 planar = vec2(${component('vel', dim1)}, ${component('vel', dim2)});
+    float speed = length(planar);
+    vec2 direction = planar / world_per_pixel;
+    if (!(speed > 0.0) || length(direction) <= 0.0) discard;
+    direction = normalize(direction);
+
+    float fraction;
+    if (u_glyph_scaling == 0) {
+        fraction = speed / max(u_glyph_reference, 1e-6);
+    } else if (u_glyph_scaling == 1) {
+        fraction = log(1.0 + speed) / log(1.0 + max(u_glyph_reference, 1e-6));
+    } else {
+        fraction = 1.0;
+    }
+    float len = 0.9 * u_glyph_spacing * clamp(fraction, 0.0, 1.0);
+    if (len < 1.0) discard;
+
+    vec2 offset = pixel - center;
+    vec2 q = vec2(dot(offset, direction), dot(offset, vec2(-direction.y, direction.x)));
+    float coverage = clamp(0.5 - arrow_distance(q, len), 0.0, 1.0);
+    if (coverage <= 0.0) discard;
+
+    ${vecType} vel_proj = ${getStateZero(dimensions)};
+    ${component('vel_proj', 0)} = planar.x;
+    ${component('vel_proj', 1)} = planar.y;
+    vec3 color = clamp(getColor(pos, vel, vel, vel_proj), 0.0, 1.0);
+    gl_FragColor = vec4(color * coverage, coverage);
+}
+`;
+}
+
 /**
  * Generate screen fade/composite vertex shader
  */
@@ -691,8 +1082,9 @@ void main() {
 /**
  * Generate tone mapping fragment shader
  * @param {string} tonemapCode - GLSL code for tone mapping operator (from tonemapping.js)
+ * @param {boolean} withBackground - Add u_background (scaled by u_background_intensity) to the HDR color
  */
-export function generateTonemapFragmentShader(tonemapCode = '') {
+export function generateTonemapFragmentShader(tonemapCode = '', withBackground = false) {
     // Default to simple exposure + gamma if no operator provided
     if (!tonemapCode) {
         tonemapCode = `
@@ -719,6 +1111,7 @@ uniform float u_hdr_max_brightness;
 uniform float u_hdr_avg_brightness;
 uniform float u_highlight_compression;
 uniform float u_compression_threshold;
+${withBackground ? 'uniform sampler2D u_background;\nuniform float u_background_intensity;' : ''}
 
 varying vec2 v_texcoord;
 
@@ -754,7 +1147,10 @@ ${tonemapCode}
 void main() {
     // Read HDR color from framebuffer
     vec3 hdrColor = texture2D(u_screen, v_texcoord).rgb;
-
+${withBackground ? `
+    // Background layer (line integral convolution) underneath the particles
+    hdrColor += u_background_intensity * texture2D(u_background, v_texcoord).rgb;
+` : ''}
     // Calculate HDR brightness once for both effects (Rec. 709 luminance)
     float hdrBrightness = dot(hdrColor, vec3(0.2126, 0.7152, 0.0722));
     vec3 hdrGray = vec3(hdrBrightness);
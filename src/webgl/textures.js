@@ -3,6 +3,11 @@
  * Uses ping-pong textures to update positions on GPU
  */
 
+/**
+ * Default memory budget for the position history of delay equations (bytes)
+ */
+export const HISTORY_MEMORY_LIMIT = 512 * 1024 * 1024;
+
 /**
  * Create a collection of textures for storing N-dimensional positions
  */
@@ -31,6 +36,25 @@ export class TextureManager {
 
         // Note: Age is stored in alpha channel of dimension 0, no separate age textures needed
 
+        // Per-particle step size for adaptive integrators (ping-pong pair, created on demand)
+        this.stepSizeEnabled = false;
+        this.stepSizeReadTexture = null;
+        this.stepSizeWriteTexture = null;
+
+        // Lyapunov tracking (ping-pong pairs, created on demand): one texture per tangent
+        // component, then the running exponent and the time it is averaged over
+        this.lyapunovEnabled = false;
+        this.lyapunovReadTextures = [];
+        this.lyapunovWriteTextures = [];
+
+        // Position history for delay equations: per delayed dimension, a ring of the
+        // frames before the previous one (slot 2 = two frames back, ...)
+        this.historyDims = [];
+        this.historyLength = 0;
+        this.historyTextures = {};
+        this.historyHead = 0;
+        this.historyMemoryLimit = HISTORY_MEMORY_LIMIT;
+
         // Texture units start from 0
         this.textureUnitOffset = 0;
     }
@@ -81,6 +105,198 @@ export class TextureManager {
         // No-op: prevTextures are always created now
     }
 
+    /**
+     * Enable or disable the per-particle step-size channel (adaptive integrators)
+     * Newly created step textures are zero, which the shaders read as "use the full step".
+     * @param {boolean} enabled - Whether the step-size textures are needed
+     */
+    setStepSizeEnabled(enabled) {
+        if (enabled === this.stepSizeEnabled) return;
+        this.stepSizeEnabled = enabled;
+
+        if (enabled) {
+            this.resetStepSizeTextures();
+        } else {
+            this.deleteStepSizeTextures();
+        }
+    }
+
+    /**
+     * Replace the step-size textures with fresh (zero) ones at the current resolution
+     */
+    resetStepSizeTextures() {
+        this.deleteStepSizeTextures();
+        this.stepSizeReadTexture = this.createTexture();
+        this.stepSizeWriteTexture = this.createTexture();
+    }
+
+    /**
+     * Delete the step-size textures (if any)
+     */
+    deleteStepSizeTextures() {
+        if (this.stepSizeReadTexture) this.gl.deleteTexture(this.stepSizeReadTexture);
+        if (this.stepSizeWriteTexture) this.gl.deleteTexture(this.stepSizeWriteTexture);
+        this.stepSizeReadTexture = null;
+        this.stepSizeWriteTexture = null;
+    }
+
+    /**
+     * Enable or disable the tangent vector and Lyapunov exponent channels
+     * Newly created textures are zero, which the update shader reads as "not tracked yet".
+     * @param {boolean} enabled - Whether the Lyapunov textures are needed
+     */
+    setLyapunovEnabled(enabled) {
+        if (enabled === this.lyapunovEnabled) return;
+        this.lyapunovEnabled = enabled;
+
+        if (enabled) {
+            this.resetLyapunovTextures();
+        } else {
+            this.deleteLyapunovTextures();
+        }
+    }
+
+    /**
+     * Replace the Lyapunov textures with fresh (zero) ones at the current resolution
+     */
+    resetLyapunovTextures() {
+        this.deleteLyapunovTextures();
+        for (let i = 0; i < this.dimensions + 2; i++) {
+            this.lyapunovReadTextures.push(this.createTexture());
+            this.lyapunovWriteTextures.push(this.createTexture());
+        }
+    }
+
+    /**
+     * Delete the Lyapunov textures (if any)
+     */
+    deleteLyapunovTextures() {
+        for (const texture of [...this.lyapunovReadTextures, ...this.lyapunovWriteTextures]) {
+            this.gl.deleteTexture(texture);
+        }
+        this.lyapunovReadTextures = [];
+        this.lyapunovWriteTextures = [];
+    }
+
+    /**
+     * Size of one position texture in bytes
+     * @returns {number}
+     */
+    getTextureBytes() {
+        const bytesPerComponent = this.strategy.getTextureFormat().type === this.gl.FLOAT ? 4 : 1;
+        return this.resolution * this.resolution * 4 * bytesPerComponent;
+    }
+
+    /**
+     * Keep a history of past positions for delayed dimensions
+     * History slot s holds the positions s frames back: slot 0 is the read texture,
+     * slot 1 the previous texture and slots 2..length+1 the ring. New ring slots
+     * start as copies of the current positions (constant initial history).
+     * @param {number[]} dims - Dimensions whose history is needed
+     * @param {number} length - Number of ring slots (frames beyond the previous one)
+     * @throws {Error} If the history does not fit in historyMemoryLimit
+     */
+    setHistory(dims, length) {
+        const sameDims = dims.length === this.historyDims.length && dims.every(d => this.historyDims.includes(d));
+        if (sameDims && length === this.historyLength) return;
+
+        const bytes = dims.length * length * this.getTextureBytes();
+        if (bytes > this.historyMemoryLimit) {
+            const mb = value => (value / (1024 * 1024)).toFixed(0);
+            throw new Error(`Delay history needs ${dims.length * length} textures (${mb(bytes)} MB), ` +
+                `over the ${mb(this.historyMemoryLimit)} MB limit: increase the timestep, ` +
+                `reduce the particle count or shorten the delay`);
+        }
+
+        this.deleteHistoryTextures();
+        this.historyDims = [...dims];
+        this.historyLength = length;
+        for (const dim of dims) {
+            this.historyTextures[dim] = Array.from({ length }, () => this.createTexture());
+        }
+        if (length > 0) {
+            this.fillHistory(dims.map(dim => this.readTexture(dim)));
+        }
+    }
+
+    /**
+     * Upload the same positions to every ring slot of the delayed dimensions
+     * @param {TypedArray[]} data - Encoded positions, one per delayed dimension (in historyDims order)
+     */
+    fillHistory(data) {
+        const gl = this.gl;
+        const format = this.strategy.getTextureFormat();
+
+        this.historyDims.forEach((dim, i) => {
+            for (const texture of this.historyTextures[dim]) {
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.texImage2D(
+                    gl.TEXTURE_2D,
+                    0,
+                    format.internalFormat,
+                    this.resolution,
+                    this.resolution,
+                    0,
+                    format.format,
+                    format.type,
+                    data[i]
+                );
+            }
+        });
+        this.historyHead = 0;
+    }
+
+    /**
+     * Delete the history ring (if any)
+     */
+    deleteHistoryTextures() {
+        for (const textures of Object.values(this.historyTextures)) {
+            textures.forEach(texture => this.gl.deleteTexture(texture));
+        }
+        this.historyTextures = {};
+        this.historyHead = 0;
+    }
+
+    /**
+     * Get the positions of a dimension a number of frames back
+     * Slots beyond the history are clamped to the oldest available frame.
+     * @param {number} dimension - Dimension index
+     * @param {number} slot - Frames back (0 = current read texture)
+     * @returns {WebGLTexture}
+     */
+    getHistoryTexture(dimension, slot) {
+        const ring = this.historyTextures[dimension] || [];
+        const clamped = Math.min(Math.max(slot, 0), ring.length + 1);
+        if (clamped === 0) return this.readTextures[dimension];
+        if (clamped === 1) return this.prevTextures[dimension];
+        return ring[(this.historyHead + clamped - 2) % ring.length];
+    }
+
+    /**
+     * Bind the history slots read by delay k to u_delay_k_0..2 and set u_delay_base_k
+     * (see generateDelayFunctionsGLSL); units follow the step-size texture.
+     * @param {WebGLProgram} program - Update program
+     * @param {{index: number, tau: number}[]} delays - Delay terms
+     * @param {number} frameStep - Simulation time advanced per frame
+     */
+    bindDelayTextures(program, delays, frameStep) {
+        const gl = this.gl;
+
+        delays.forEach((delay, k) => {
+            const base = Math.floor(delay.tau / frameStep);
+            [base - 1, base, base + 1].forEach((slot, j) => {
+                const location = gl.getUniformLocation(program, `u_delay_${k}_${j}`);
+                if (location !== null) {
+                    const textureUnit = this.textureUnitOffset + 2 * this.dimensions + 1 + 3 * k + j;
+                    gl.activeTexture(gl.TEXTURE0 + textureUnit);
+                    gl.bindTexture(gl.TEXTURE_2D, this.getHistoryTexture(delay.index, slot));
+                    gl.uniform1i(location, textureUnit);
+                }
+            });
+            gl.uniform1f(gl.getUniformLocation(program, `u_delay_base_${k}`), base);
+        });
+    }
+
     /**
      * Initialize textures with particle data
      * @param {TypedArray[]} data - Array of encoded particle positions (one per dimension)
@@ -133,6 +349,19 @@ export class TextureManager {
             );
         }
 
+        // New particles start over with the full step and untracked tangents
+        if (this.stepSizeEnabled) {
+            this.resetStepSizeTextures();
+        }
+        if (this.lyapunovEnabled) {
+            this.resetLyapunovTextures();
+        }
+
+        // Delay equations see their initial positions as the history before t = 0
+        if (this.historyLength > 0) {
+            this.fillHistory(this.historyDims.map(dim => data[dim]));
+        }
+
         // Initialize alpha channel of dimension 0 to age = 1.0 so particles render immediately
         // Age is stored in alpha channel of u_pos_0
         const ArrayType = this.strategy.getArrayType();
@@ -219,6 +448,65 @@ export class TextureManager {
         }
     }
 
+    /**
+     * Bind the step-size read texture to u_step_size (after position and previous textures)
+     * @param {WebGLProgram} program - Shader program
+     */
+    bindStepSizeTexture(program) {
+        if (!this.stepSizeEnabled) return;
+
+        const gl = this.gl;
+        const location = gl.getUniformLocation(program, 'u_step_size');
+
+        if (location !== null) {
+            const textureUnit = this.textureUnitOffset + 2 * this.dimensions;
+            gl.activeTexture(gl.TEXTURE0 + textureUnit);
+            gl.bindTexture(gl.TEXTURE_2D, this.stepSizeReadTexture);
+            gl.uniform1i(location, textureUnit);
+        }
+    }
+
+    /**
+     * Get the step-size write texture (written by the extra update pass)
+     */
+    getStepSizeWriteTexture() {
+        return this.stepSizeWriteTexture;
+    }
+
+    /**
+     * Bind the Lyapunov read textures to u_tangent_0..N-1, u_lyapunov and u_lyapunov_time
+     * (units follow the step-size texture; delay equations have no Lyapunov tracking)
+     * @param {WebGLProgram} program - Shader program
+     */
+    bindLyapunovTextures(program) {
+        if (!this.lyapunovEnabled) return;
+
+        const gl = this.gl;
+        const names = [
+            ...Array.from({ length: this.dimensions }, (_, i) => `u_tangent_${i}`),
+            'u_lyapunov',
+            'u_lyapunov_time'
+        ];
+
+        names.forEach((name, i) => {
+            const location = gl.getUniformLocation(program, name);
+            if (location !== null) {
+                const textureUnit = this.textureUnitOffset + 2 * this.dimensions + 1 + i;
+                gl.activeTexture(gl.TEXTURE0 + textureUnit);
+                gl.bindTexture(gl.TEXTURE_2D, this.lyapunovReadTextures[i]);
+                gl.uniform1i(location, textureUnit);
+            }
+        });
+    }
+
+    /**
+     * Get a Lyapunov write texture (written by the extra update passes)
+     * @param {number} index - Tangent component (0..N-1), N for the exponent, N + 1 for the averaged time
+     */
+    getLyapunovWriteTexture(index) {
+        return this.lyapunovWriteTextures[index];
+    }
+
     /**
      * Get write texture for a specific dimension
      * @param {number} dimension - Dimension index
@@ -237,6 +525,30 @@ export class TextureManager {
         this.readTextures = this.writeTextures;
         this.writeTextures = temp;
 
+        if (this.stepSizeEnabled) {
+            const stepTemp = this.stepSizeReadTexture;
+            this.stepSizeReadTexture = this.stepSizeWriteTexture;
+            this.stepSizeWriteTexture = stepTemp;
+        }
+
+        if (this.lyapunovEnabled) {
+            const lyapunovTemp = this.lyapunovReadTextures;
+            this.lyapunovReadTextures = this.lyapunovWriteTextures;
+            this.lyapunovWriteTextures = lyapunovTemp;
+        }
+
+        // Delayed dimensions: the old previous frame enters the ring as slot 2 and the
+        // oldest ring slot is recycled as the next write texture
+        if (this.historyLength > 0) {
+            this.historyHead = (this.historyHead + this.historyLength - 1) % this.historyLength;
+            for (const dim of this.historyDims) {
+                const ring = this.historyTextures[dim];
+                const oldest = ring[this.historyHead];
+                ring[this.historyHead] = this.writeTextures[dim];
+                this.writeTextures[dim] = oldest;
+            }
+        }
+
         // Age is now in alpha channel of dimension 0, swapped with position textures
     }
 
@@ -264,6 +576,18 @@ export class TextureManager {
             this.writeTextures.push(this.createTexture());
             this.prevTextures.push(this.createTexture());
         }
+
+        if (this.stepSizeEnabled) {
+            this.resetStepSizeTextures();
+        }
+        if (this.lyapunovEnabled) {
+            this.resetLyapunovTextures();
+        }
+
+        // The history no longer matches; the owner sets it up again (setHistory)
+        this.deleteHistoryTextures();
+        this.historyDims = [];
+        this.historyLength = 0;
     }
 
     /**
@@ -281,6 +605,16 @@ export class TextureManager {
         this.readTextures = [];
         this.writeTextures = [];
         this.prevTextures = [];
+
+        this.deleteStepSizeTextures();
+        this.stepSizeEnabled = false;
+
+        this.deleteLyapunovTextures();
+        this.lyapunovEnabled = false;
+
+        this.deleteHistoryTextures();
+        this.historyDims = [];
+        this.historyLength = 0;
     }
 
     /**
@@ -294,6 +628,27 @@ export class TextureManager {
      * Read back texture data (for debugging/analysis)
      */
     readTexture(dimension) {
+        return this.readTextureData(this.readTextures[dimension]);
+    }
+
+    /**
+     * Read back the current Lyapunov exponents and averaging times (encoded)
+     * @returns {{exponents: TypedArray, times: TypedArray}|null} Null without Lyapunov tracking
+     */
+    readLyapunovTextures() {
+        if (!this.lyapunovEnabled) return null;
+        return {
+            exponents: this.readTextureData(this.lyapunovReadTextures[this.dimensions]),
+            times: this.readTextureData(this.lyapunovReadTextures[this.dimensions + 1])
+        };
+    }
+
+    /**
+     * Read back the contents of one texture
+     * @param {WebGLTexture} texture - Texture at the current resolution
+     * @returns {TypedArray} Encoded values (getComponentsPerValue() per texel)
+     */
+    readTextureData(texture) {
         const gl = this.gl;
         const format = this.strategy.getTextureFormat();
         const ArrayType = this.strategy.getArrayType();
@@ -307,7 +662,7 @@ export class TextureManager {
             gl.FRAMEBUFFER,
             gl.COLOR_ATTACHMENT0,
             gl.TEXTURE_2D,
-            this.readTextures[dimension],
+            texture,
             0
         );
 
@@ -4,6 +4,9 @@
  */
 
 import { logger } from '../utils/debug-logger.js';
+import { getStateType, getStateComponent, getStateZero, generateStateHelpersGLSL } from '../math/state-vector.js';
+import { getGLSLFunctionDeclarations } from '../math/parser.js';
+import { generateDelayFunctionsGLSL, setParameterUniforms } from './shaders.js';
 
 export class VelocityStatsManager {
     constructor(gl) {
@@ -30,8 +33,9 @@ export class VelocityStatsManager {
      * @param {number} dimensions - Number of dimensions
      * @param {string[]} velocityExpressions - Compiled GLSL expressions
      * @param {Object} coordinateSystemCode - Optional coordinate system transformation code
+     * @param {Object[]} delays - Delay terms in the expressions (evaluated at the current state here)
      */
-    initialize(dimensions, velocityExpressions, coordinateSystemCode = null) {
+    initialize(dimensions, velocityExpressions, coordinateSystemCode = null, delays = []) {
         const gl = this.gl;
 
         // Create quad buffer for full-screen pass
@@ -69,10 +73,9 @@ export class VelocityStatsManager {
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
         // Generate velocity function from expressions
-        const vecType = `vec${dimensions}`;
-        const swizzles = ['x', 'y', 'z', 'w'];
+        const vecType = getStateType(dimensions);
         const velocityComponents = velocityExpressions.map((expr, i) =>
-            `    result.${swizzles[i]} = ${expr};`
+            `    ${getStateComponent('result', i, dimensions)} = ${expr};`
         ).join('\n');
 
         // Check if we have coordinate system transformations
@@ -80,25 +83,22 @@ export class VelocityStatsManager {
 
         const velocityFunction = hasCoordinateSystem ? `
 // User-defined velocity field in native coordinates
-${vecType} get_velocity_native(${vecType} pos_native) {
-    ${vecType} result;
+${vecType} get_velocity_native(${vecType} pos_native, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
 ${velocityComponents}
     return result;
 }
 
 // Velocity field for statistics (native-space integration)
-${vecType} get_velocity(${vecType} pos_cartesian) {
+${vecType} get_velocity(${vecType} pos_cartesian, float t) {
     ${vecType} pos_native = transformToNative(pos_cartesian);
-    return get_velocity_native(pos_native);
+    return get_velocity_native(pos_native, t);
 }
 ` : `
 // User-defined velocity field
-${vecType} get_velocity(${vecType} pos) {
-    ${vecType} result;
-    float x = pos.x;
-    ${dimensions > 1 ? 'float y = pos.y;' : ''}
-    ${dimensions > 2 ? 'float z = pos.z;' : ''}
-    ${dimensions > 3 ? 'float w = pos.w;' : ''}
+${vecType} get_velocity(${vecType} pos, float t) {
+    ${vecType} result = ${getStateZero(dimensions)};
+    float ${['x', 'y', 'z', 'w', 'u', 'v'].slice(0, dimensions).map((name, i) => `${name} = ${getStateComponent('pos', i, dimensions)}`).join(', ')};
 
 ${velocityComponents}
 
@@ -119,17 +119,24 @@ void main() {
         const fragmentShader = `
 precision highp float;
 
+${getGLSLFunctionDeclarations()}
+
 ${Array.from({length: dimensions}, (_, i) => `uniform sampler2D u_pos_${i};`).join('\n')}
 uniform vec2 u_bbox_min;
 uniform vec2 u_bbox_max;
 uniform float u_resolution;
 uniform float u_sample_count;
 uniform float u_alpha;
+uniform float u_time;
 
 varying vec2 v_texcoord;
 
+${generateStateHelpersGLSL(dimensions)}
+
 ${hasCoordinateSystem ? coordinateSystemCode.forwardTransform : ''}
 
+${generateDelayFunctionsGLSL(delays)}
+
 ${velocityFunction}
 
 void main() {
@@ -147,16 +154,16 @@ void main() {
     vec2 texCoord = (vec2(x, y) + 0.5) / u_resolution;
 
     // Read position from textures
-    vec${dimensions} position;
+    ${vecType} position = ${getStateZero(dimensions)};
     ${Array.from({length: dimensions}, (_, i) =>
-        `position[${i}] = texture2D(u_pos_${i}, texCoord).r;`
+        `${getStateComponent('position', i, dimensions)} = texture2D(u_pos_${i}, texCoord).r;`
     ).join('\n    ')}
 
     // Compute velocity
-    vec${dimensions} velocity = get_velocity(position);
+    ${vecType} velocity = get_velocity(position, u_time);
 
     // Compute magnitude
-    float speed = length(velocity);
+    float speed = state_length(velocity);
 
     // Output: R = velocity magnitude, G = 1.0 (for counting), B/A unused
     gl_FragColor = vec4(speed, 1.0, 0.0, 1.0);
@@ -199,7 +206,7 @@ void main() {
     /**
      * Compute velocity statistics
      */
-    compute(positionTextures, bbox, resolution, animationAlpha = 0.0) {
+    compute(positionTextures, bbox, resolution, animationAlpha = 0.0, time = 0.0, parameters = {}) {
         if (!this.initialized) {
             return this.stats;
         }
@@ -225,6 +232,8 @@ void main() {
         gl.uniform1f(gl.getUniformLocation(this.program, 'u_resolution'), resolution);
         gl.uniform1f(gl.getUniformLocation(this.program, 'u_sample_count'), 64);
         gl.uniform1f(gl.getUniformLocation(this.program, 'u_alpha'), animationAlpha);
+        gl.uniform1f(gl.getUniformLocation(this.program, 'u_time'), time);
+        setParameterUniforms(gl, this.program, parameters);
 
         // Draw quad
         gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
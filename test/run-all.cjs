@@ -62,6 +62,27 @@ async function runAllTests() {
         'test/unit/animator-interpolation.cjs',
         'test/unit/parser.cjs',
         'test/unit/coordinate-systems.cjs',
+        'test/unit/integrators.cjs',
+        'test/unit/state-vector.cjs',
+        'test/unit/particle-system.cjs',
+        'test/unit/seeding.cjs',
+        'test/unit/cpu-integrators.cjs',
+        'test/unit/delay-equations.cjs',
+        'test/unit/fixed-points.cjs',
+        'test/unit/nullclines.cjs',
+        'test/unit/lyapunov.cjs',
+        'test/unit/field-structure.cjs',
+        'test/unit/ftle.cjs',
+        'test/unit/poincare.cjs',
+        'test/unit/bifurcation.cjs',
+        'test/unit/basins.cjs',
+        'test/unit/glyphs.cjs',
+        'test/unit/lic.cjs',
+        'test/unit/parameters.cjs',
+        'test/unit/piecewise.cjs',
+        'test/unit/higher-order.cjs',
+        'test/unit/ode-file.cjs',
+        'test/unit/latex.cjs',
         // Integration tests (run via wrapper that starts HTTP server)
         'test/integration/run-with-server.cjs'
     ];
@@ -0,0 +1,213 @@
+/**
+ * Unit tests for basins of attraction
+ * Tests attractor parsing, clustering, the attractor GLSL and the explore/classify workflow
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertDeepEqual, assertApproxEqual, assert, assertThrows } = require('../helpers/test-runner.cjs');
+
+const { parseAttractorPoints, clusterStates, packAttractors, generateAttractorGLSL, MAX_ATTRACTORS } = require('../../src/math/basins.js');
+const { BasinManager } = require('../../src/webgl/basins.js');
+const { FloatStrategy } = require('../../src/webgl/strategies/float-strategy.js');
+
+/**
+ * Minimal WebGL stand-in: every create* returns a fresh object, status queries
+ * succeed and each readPixels fills the buffer from the next function in gl.reads
+ */
+function createMockGL() {
+    const gl = {
+        FLOAT: 1,
+        FRAMEBUFFER_COMPLETE: 1,
+        reads: [],
+        checkFramebufferStatus: () => 1,
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        getExtension: () => ({}),
+        readPixels(x, y, width, height, format, type, data) {
+            const fill = this.reads.shift();
+            for (let cell = 0; cell < width * height; cell++) {
+                data[4 * cell] = fill ? fill(cell) : 0;
+            }
+        }
+    };
+    return new Proxy(gl, {
+        get: (target, key) => {
+            if (key in target) return target[key];
+            if (typeof key === 'string' && key.startsWith('create')) return () => ({});
+            return () => {};
+        }
+    });
+}
+
+function createManager() {
+    const gl = createMockGL();
+    const manager = new BasinManager(gl);
+    manager.initialize({
+        dimensions: 2,
+        strategy: new FloatStrategy(gl),
+        velocityExpressions: ['pos.y', 'pos.x - pos.x * pos.x * pos.x - 0.25 * pos.y'],
+        integratorCode: 'vec2 integrate(vec2 pos, float t, float h) { return pos + h * get_velocity(pos, t); }'
+    });
+    return { gl, manager };
+}
+
+const frame = {
+    bbox: { min: [-2, -2], max: [2, 2] },
+    dimensionRanges: {},
+    setUniforms: () => {},
+    time: 0,
+    step: 0.01,
+    steps: 20,
+    tolerance: 0.1,
+    resolution: 4
+};
+
+async function runTests() {
+    await describe('Attractor Points', async () => {
+
+        await test('Points are separated by semicolons or new lines', async () => {
+            assertDeepEqual(parseAttractorPoints('(-1, 0); (1, 0)', 2), [[-1, 0], [1, 0]]);
+            assertDeepEqual(parseAttractorPoints('[0, 0]\n[2, 3]', 2), [[0, 0], [2, 3]]);
+        });
+
+        await test('Coordinates may be constant expressions', async () => {
+            const [[x, y]] = parseAttractorPoints('sqrt(4), pi/2', 2);
+            assertApproxEqual(x, 2, 1e-12);
+            assertApproxEqual(y, Math.PI / 2, 1e-12);
+        });
+
+        await test('An empty list means automatic clustering', async () => {
+            assertDeepEqual(parseAttractorPoints('', 3), []);
+            assertDeepEqual(parseAttractorPoints(' ; ', 3), []);
+        });
+
+        await test('Wrong coordinate counts and too many points are rejected', async () => {
+            assertThrows(() => parseAttractorPoints('1, 2, 3', 2));
+            const many = Array.from({ length: MAX_ATTRACTORS + 1 }, (_, i) => `${i}, 0`).join('; ');
+            assertThrows(() => parseAttractorPoints(many, 2));
+        });
+    });
+
+    await describe('Clustering', async () => {
+
+        await test('States near each other form one cluster, largest first', async () => {
+            const states = [[1, 0], [1.01, 0], [-1, 0], [0.99, 0.01], [-1.02, 0]];
+            const clusters = clusterStates(states, 0.1);
+            assertEqual(clusters.length, 2);
+            assertEqual(clusters[0].count, 3);
+            assertApproxEqual(clusters[0].position[0], 1, 1e-9);
+            assertApproxEqual(clusters[1].position[0], -1.01, 1e-9);
+        });
+
+        await test('Diverged states are skipped', async () => {
+            const clusters = clusterStates([[NaN, 0], [Infinity, 1], [0, 0]], 0.1);
+            assertEqual(clusters.length, 1);
+            assertEqual(clusters[0].count, 1);
+        });
+
+        await test('Small clusters are dropped and the count is capped', async () => {
+            const states = [...new Array(99).fill([0, 0]), [5, 5]];
+            assertEqual(clusterStates(states, 0.1, { minFraction: 0.05 }).length, 1);
+            const spread = Array.from({ length: 20 }, (_, i) => [i, 0]);
+            assertEqual(clusterStates(spread, 0.1, { maxClusters: 4 }).length, 4);
+        });
+    });
+
+    await describe('Attractor GLSL', async () => {
+
+        await test('Attractors are packed in vec4 slots', async () => {
+            const data = packAttractors([[1, 2, 3, 4, 5], [6, 7, 8, 9, 10]], 5);
+            assertEqual(data.length, MAX_ATTRACTORS * 2 * 4);
+            assertDeepEqual(Array.from(data.slice(0, 16)), [1, 2, 3, 4, 5, 0, 0, 0, 6, 7, 8, 9, 10, 0, 0, 0]);
+        });
+
+        await test('Nearest attractor reads every component', async () => {
+            const glsl2 = generateAttractorGLSL(2);
+            assert(glsl2.includes(`uniform vec4 u_attractors[${MAX_ATTRACTORS}];`), glsl2);
+            assert(glsl2.includes('float nearest_attractor(vec2 p)'), glsl2);
+            assert(glsl2.includes('vec2(u_attractors[i * 1].x, u_attractors[i * 1].y)'), glsl2);
+
+            const glsl5 = generateAttractorGLSL(5);
+            assert(glsl5.includes(`uniform vec4 u_attractors[${MAX_ATTRACTORS * 2}];`), glsl5);
+            assert(glsl5.includes('u_attractors[i * 2 + 1].x'), glsl5);
+        });
+    });
+
+    await describe('Basin Workflow', async () => {
+
+        await test('Update shader writes positions, attractor and entry step', async () => {
+            const { manager } = createManager();
+            const source = manager.shaderSource.update;
+            assert(source.includes('nearest_attractor(new_pos)'), source);
+            assert(source.includes('if (u_out_coordinate == 2)'), source);
+            assert(source.includes('if (u_out_coordinate == 3)'), source);
+        });
+
+        await test('Given attractors are classified directly', async () => {
+            const { gl, manager } = createManager();
+            manager.update({ ...frame, attractors: '-1, 0; 1, 0' });
+            assertEqual(manager.phase, 'classify');
+            assertEqual(manager.stepsDone, 16);
+
+            // Attractor indices at the end: half the cells in the first basin, a quarter in the second
+            gl.reads.push(cell => [1, 2, 0, 1][cell % 4] / (MAX_ATTRACTORS + 1));
+            manager.update({ ...frame, attractors: '-1, 0; 1, 0' });
+            assertEqual(manager.phase, 'done');
+            assertApproxEqual(manager.attractors[0].share, 0.5, 1e-9);
+            assertApproxEqual(manager.attractors[1].share, 0.25, 1e-9);
+        });
+
+        await test('Automatic clustering explores before classifying', async () => {
+            const { gl, manager } = createManager();
+            manager.update({ ...frame, attractors: '' });
+            assertEqual(manager.phase, 'explore');
+
+            // End states: x = +-1, y = 0
+            gl.reads.push(cell => cell % 2 ? 1 : -1, () => 0);
+            manager.update({ ...frame, attractors: '' });
+            assertEqual(manager.phase, 'classify');
+            assertEqual(manager.stepsDone, 0);
+            assertEqual(manager.attractors.length, 2);
+            assertDeepEqual(manager.attractors.map(a => a.position[0]).sort(), [-1, 1]);
+        });
+
+        await test('Changing the view starts over', async () => {
+            const { manager } = createManager();
+            manager.update({ ...frame, attractors: '0, 0' });
+            manager.update({ ...frame, attractors: '0, 0', bbox: { min: [-1, -1], max: [1, 1] } });
+            assertEqual(manager.stepsDone, 16);
+        });
+
+        await test('Grid spans the displayed dimensions', async () => {
+            const gl = createMockGL();
+            const manager = new BasinManager(gl);
+            manager.initialize({
+                dimensions: 3,
+                strategy: new FloatStrategy(gl),
+                velocityExpressions: ['-pos.x', '-pos.y', '-pos.z'],
+                integratorCode: 'vec3 integrate(vec3 pos, float t, float h) { return pos + h * get_velocity(pos, t); }',
+                displayDims: [0, 2]
+            });
+            manager.update({ ...frame, attractors: '0, 0, 0' });
+
+            // Cell 1 is second along x, cell 4 starts the second row along z
+            const first = manager.particleSystem.samplePosition(1);
+            const second = manager.particleSystem.samplePosition(4);
+            assertDeepEqual(first, [-0.5, 0, -1.5]);
+            assertDeepEqual(second, [-1.5, 0, -0.5]);
+        });
+
+        await test('Invalid attractors fall back to clustering', async () => {
+            const { manager } = createManager();
+            manager.update({ ...frame, attractors: '1, 2, 3' });
+            assertEqual(manager.phase, 'explore');
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
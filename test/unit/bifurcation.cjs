@@ -0,0 +1,180 @@
+/**
+ * Unit tests for bifurcation diagrams
+ * Tests constant detection and substitution, peak finding, the density image and the sweep workflow
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+global.requestAnimationFrame = callback => setTimeout(callback, 0);
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertApproxEqual, assertDeepEqual, assert, assertThrows } = require('../helpers/test-runner.cjs');
+
+const {
+    findNumericConstants,
+    formatConstant,
+    substituteConstant,
+    getSweepValues,
+    findLocalMaxima,
+    fitBifurcationBounds,
+    accumulateBifurcationDensity,
+    bifurcationToCSV
+} = require('../../src/math/bifurcation.js');
+const { BifurcationSweep } = require('../../src/animation/bifurcation.js');
+
+/**
+ * Renderer stand-in: x(n+1) = r x (1 - x) with r taken from the expressions or the alpha
+ */
+function createMockRenderer(particles = 3) {
+    const renderer = {
+        dimensions: 1,
+        expressions: ['3.2 * x * (1 - x)'],
+        animationAlpha: 0.5,
+        dropProbability: 0.003,
+        isRunning: true,
+        log: [],
+        state: [],
+        setAnimationAlpha(alpha) { this.animationAlpha = alpha; },
+        updateConfig(config) { this.expressions = config.expressions; this.log.push(config.expressions[0]); },
+        resetParticles() { this.state = Array.from({ length: particles }, (_, i) => 0.2 + 0.1 * i); },
+        stop() { this.isRunning = false; },
+        start() { this.isRunning = true; },
+        rate() { return parseFloat(this.expressions[0].replace(/[()]/g, '')); },
+        updatePositions() {
+            const r = this.rate();
+            this.state = this.state.map(x => r * x * (1 - x));
+        },
+        step(steps) { for (let i = 0; i < steps; i++) this.updatePositions(); },
+        sampleParticleData({ count }) {
+            return this.state.slice(0, count).map((x, particle) => ({ particle, position: [x], age: 1 }));
+        }
+    };
+    renderer.resetParticles();
+    return renderer;
+}
+
+async function runTests() {
+    await describe('Constants', async () => {
+
+        await test('Finds numeric literals but not digits in names', async () => {
+            const constants = findNumericConstants(['10*(y - x)', 'x*(28 - z) - y', 'x2*y - 2.667*z + .5']);
+            assertDeepEqual(constants.map(c => c.text), ['10', '28', '2.667', '.5']);
+            assertDeepEqual(constants.map(c => c.dim), [0, 1, 2, 2]);
+            assertDeepEqual(constants.map(c => c.index), [0, 0, 0, 1]);
+            assertEqual(constants[2].value, 2.667);
+        });
+
+        await test('Substitutes one constant and leaves the others', async () => {
+            const expressions = ['10*(y - x)', 'x*(28 - z) - y', '2*z'];
+            const [, rho] = findNumericConstants(expressions);
+            const result = substituteConstant(expressions, rho, 99.5);
+            assertDeepEqual(result, ['10*(y - x)', 'x*(99.5 - z) - y', '2*z']);
+            assertEqual(expressions[1], 'x*(28 - z) - y', 'input modified');
+        });
+
+        await test('Formats values without exponent notation', async () => {
+            assertEqual(formatConstant(0.1 + 0.2), '0.3');
+            assertEqual(formatConstant(-2), '(-2)');
+            assertEqual(formatConstant(1e-7), '0.0000001');
+            assert(!/e/i.test(formatConstant(3e21)), formatConstant(3e21));
+        });
+    });
+
+    await describe('Sweep Helpers', async () => {
+
+        await test('Sweep values include both ends', async () => {
+            assertDeepEqual(getSweepValues(1, 2, 5), [1, 1.25, 1.5, 1.75, 2]);
+            assertDeepEqual(getSweepValues(3, 0, 4), [3, 2, 1, 0]);
+            assertDeepEqual(getSweepValues(7, 9, 1), [7]);
+        });
+
+        await test('Local maxima are refined by a parabola', async () => {
+            const series = [];
+            for (let i = 0; i < 40; i++) series.push(Math.sin(i * 0.5 + 0.3));
+            const maxima = findLocalMaxima(series);
+            assertEqual(maxima.length, 3);
+            maxima.forEach(peak => assertApproxEqual(peak, 1, 0.01));
+            assert(maxima.every(peak => peak >= Math.max(...series)), 'refinement should not lower peaks');
+        });
+
+        await test('Non-finite samples break the series', async () => {
+            assertDeepEqual(findLocalMaxima([0, 1, NaN, 1, 0]), []);
+            assertDeepEqual(findLocalMaxima([0, 1, 0]), [1]);
+            assertEqual(findLocalMaxima([0, 2, 2, 0]).length, 1, 'a plateau is one peak');
+        });
+
+        await test('Bounds span the sweep and the padded values', async () => {
+            const bounds = fitBifurcationBounds([{ parameter: 1, value: 0 }, { parameter: 2, value: 10 }], 3, 1, 0.1);
+            assertDeepEqual(bounds.parameter, [1, 3]);
+            assertDeepEqual(bounds.value, [-1, 11]);
+            assertDeepEqual(fitBifurcationBounds([], 0, 1).value, [-1, 1]);
+        });
+
+        await test('Density counts points per pixel, top row first', async () => {
+            const bounds = { parameter: [0, 2], value: [0, 2] };
+            const points = [{ parameter: 0.5, value: 0.5 }, { parameter: 0.5, value: 0.5 }, { parameter: 2, value: 2 }, { parameter: 5, value: 0 }];
+            const { counts, max } = accumulateBifurcationDensity(points, 2, 2, bounds);
+            assertDeepEqual(Array.from(counts), [0, 1, 2, 0], 'end of the sweep belongs to the last column');
+            assertEqual(max, 2);
+        });
+
+        await test('CSV has a header and one row per point', async () => {
+            const csv = bifurcationToCSV([{ parameter: 3.5, value: 0.25 }], 'y_c1', 'x');
+            assertEqual(csv, 'y_c1,x\n3.5,0.25');
+        });
+    });
+
+    await describe('Bifurcation Sweep', async () => {
+
+        await test('Logistic map settles on a period-2 orbit at r = 3.2', async () => {
+            const renderer = createMockRenderer();
+            const [r] = findNumericConstants(renderer.expressions);
+            const sweep = new BifurcationSweep(renderer);
+            const points = await sweep.run({
+                parameter: r, start: 2.5, end: 3.2, count: 2, coordinate: 0, mode: 'values',
+                burnInSteps: 500, accumulationSteps: 10, sampleInterval: 1, particles: 3
+            });
+
+            const atFixedPoint = points.filter(p => p.parameter === 2.5);
+            const atCycle = points.filter(p => p.parameter === 3.2);
+            assertEqual(atFixedPoint.length, 30);
+            atFixedPoint.forEach(p => assertApproxEqual(p.value, 0.6, 1e-6));
+            const levels = new Set(atCycle.map(p => p.value.toFixed(4)));
+            assertDeepEqual([...levels].sort(), ['0.5130', '0.7995']);
+        });
+
+        await test('Sweep restores the renderer afterwards', async () => {
+            const renderer = createMockRenderer();
+            const [r] = findNumericConstants(renderer.expressions);
+            const sweep = new BifurcationSweep(renderer);
+            let progress = 0;
+            await sweep.run({
+                parameter: r, start: 2, end: 3, count: 3, coordinate: 0, mode: 'maxima',
+                burnInSteps: 10, accumulationSteps: 10, sampleInterval: 1, particles: 2
+            }, done => { progress = done; });
+
+            assertEqual(progress, 3);
+            assertDeepEqual(renderer.log, ['2 * x * (1 - x)', '2.5 * x * (1 - x)', '3 * x * (1 - x)', '3.2 * x * (1 - x)']);
+            assertEqual(renderer.dropProbability, 0.003);
+            assertEqual(renderer.isRunning, true);
+            assertEqual(sweep.isRunning, false);
+        });
+
+        await test('Alpha sweeps must stay within [0, 1]', async () => {
+            const sweep = new BifurcationSweep(createMockRenderer());
+            let error = null;
+            try {
+                await sweep.run({ parameter: 'a', start: 0, end: 2, count: 2, coordinate: 0, mode: 'values',
+                    burnInSteps: 0, accumulationSteps: 1, sampleInterval: 1, particles: 1 });
+            } catch (e) {
+                error = e;
+            }
+            assert(error && error.message.includes('[0, 1]'), 'expected range error');
+            assertEqual(sweep.isRunning, false);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
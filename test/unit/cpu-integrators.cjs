@@ -0,0 +1,422 @@
+/**
+ * Unit tests for CPU integrators
+ * Tests the CPU step of every integrator returned by getIntegrator()
+ * against analytic solutions
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertDeepEqual, assertApproxEqual } = require('../helpers/test-runner.cjs');
+
+const { getIntegrator, resolvePositionMask } = require('../../src/math/integrators.js');
+const { solveLinearSystem, createEulerMaruyamaStep, createMilsteinStep } = require('../../src/math/cpu-integrators.js');
+const { stripWienerIncrement } = require('../../src/math/parser.js');
+const { setNotebook } = require('../../src/math/jacobian.js');
+const { Renderer } = require('../../src/webgl/renderer.js');
+const { getCoordinateSystem } = require('../../src/math/coordinate-systems.js');
+
+const IMPLICIT_METHODS = ['implicit-euler', 'implicit-midpoint', 'trapezoidal', 'implicit-rk4'];
+const SOLVERS = ['fixed-point', 'midpoint', 'newton', 'newton-fd'];
+
+// Harmonic oscillator: x' = -y, y' = x  =>  (cos t, sin t) from (1, 0)
+const rotation = (pos) => [-pos[1], pos[0]];
+const ROTATION_EXPRESSIONS = ['-y', 'x'];
+
+/**
+ * Stand-in for the CAS notebook with precomputed derivatives of the test fields
+ */
+const DERIVATIVES = {
+    '-y': { x: '0', y: '-1' },
+    'x': { x: '1', y: '0' },
+    '-50 * x': { x: '-50' },
+    '-50 * t * x': { x: '-50 * t' }
+};
+const fakeNotebook = {
+    casEngine: { getName: () => 'Test', isReady: () => true },
+    differentiate: (expr, variable) => DERIVATIVES[expr][variable]
+};
+
+/**
+ * Integrate from t = 0 to t = 1 and return the error against the exact solution
+ */
+function errorAfterUnitTime(name, steps, params = {}) {
+    const integrator = getIntegrator(name, 2, { expressions: ROTATION_EXPRESSIONS, ...params });
+    const h = 1 / steps;
+    let pos = [1, 0];
+    for (let i = 0; i < steps; i++) {
+        pos = integrator.step(rotation, pos, i * h, h);
+    }
+    return Math.hypot(pos[0] - Math.cos(1), pos[1] - Math.sin(1));
+}
+
+/**
+ * Estimate convergence order from errors at two step counts
+ */
+function convergenceOrder(name, params = {}) {
+    return Math.log2(errorAfterUnitTime(name, 50, params) / errorAfterUnitTime(name, 100, params));
+}
+
+/**
+ * One step of x' = -50x from x = 1 with h = 0.1 (stiff for explicit methods)
+ */
+function stiffStep(name, solutionMethod, iterations = 4) {
+    const integrator = getIntegrator(name, 1, { expressions: ['-50 * x'], solutionMethod, iterations });
+    return integrator.step(pos => [-50 * pos[0]], [1], 0, 0.1)[0];
+}
+
+async function runTests() {
+    await describe('Explicit Methods', async () => {
+
+        await test('Euler is first order', async () => {
+            assertApproxEqual(convergenceOrder('euler'), 1, 0.1);
+        });
+
+        await test('Explicit midpoint is second order', async () => {
+            assertApproxEqual(convergenceOrder('explicit-midpoint'), 2, 0.1);
+        });
+
+        await test('Heun is second order', async () => {
+            assertApproxEqual(convergenceOrder('heun'), 2, 0.1);
+        });
+
+        await test('RK4 is fourth order and accurate', async () => {
+            assertApproxEqual(convergenceOrder('rk4'), 4, 0.2);
+            assertEqual(errorAfterUnitTime('rk4', 100) < 1e-9, true);
+        });
+
+        await test('Time is passed to the field', async () => {
+            // x' = t  =>  x(1) = 1/2
+            const integrator = getIntegrator('rk4', 1);
+            let pos = [0];
+            for (let i = 0; i < 10; i++) {
+                pos = integrator.step((p, t) => [t], pos, i * 0.1, 0.1);
+            }
+            assertApproxEqual(pos[0], 0.5, 1e-12);
+        });
+
+        await test('Packed 6D states integrate each component', async () => {
+            // Three independent oscillators, each starting at (1, 0)
+            const field = pos => [-pos[1], pos[0], -pos[3], pos[2], -pos[5], pos[4]];
+            const integrator = getIntegrator('rk4', 6);
+            let pos = [1, 0, 1, 0, 1, 0];
+            for (let i = 0; i < 100; i++) {
+                pos = integrator.step(field, pos, i * 0.01, 0.01);
+            }
+            for (let k = 0; k < 3; k++) {
+                assertApproxEqual(pos[2 * k], Math.cos(1), 1e-9);
+                assertApproxEqual(pos[2 * k + 1], Math.sin(1), 1e-9);
+            }
+        });
+    });
+
+    await describe('Lookup', async () => {
+
+        await test('Unknown methods fall back to RK4', async () => {
+            const integrator = getIntegrator('nonexistent', 2);
+            assertEqual(integrator.name, 'RK4');
+            assertEqual(integrator.step, getIntegrator('rk4', 2).step);
+        });
+
+        await test('Newton without a Jacobian falls back to fixed-point on CPU too', async () => {
+            // No notebook is set yet, so the symbolic Jacobian is unavailable
+            const integrator = getIntegrator('implicit-euler', 2, { expressions: ROTATION_EXPRESSIONS, solutionMethod: 'newton' });
+            const fixedPoint = getIntegrator('implicit-euler', 2, { solutionMethod: 'fixed-point' });
+            assertEqual(integrator.name, 'Implicit Euler (Fixed-Point)');
+            assertDeepEqual(integrator.step(rotation, [1, 0], 0, 0.1), fixedPoint.step(rotation, [1, 0], 0, 0.1));
+        });
+    });
+
+    setNotebook(fakeNotebook);
+
+    await describe('Implicit Methods', async () => {
+
+        const expectedOrders = { 'implicit-euler': 1, 'implicit-midpoint': 2, 'trapezoidal': 2, 'implicit-rk4': 4 };
+
+        for (const name of IMPLICIT_METHODS) {
+            for (const solutionMethod of SOLVERS) {
+                await test(`${name} (${solutionMethod}) has order ${expectedOrders[name]}`, async () => {
+                    const order = convergenceOrder(name, { solutionMethod, iterations: 6 });
+                    assertApproxEqual(order, expectedOrders[name], 0.2);
+                });
+            }
+        }
+
+        await test('Newton uses the symbolic Jacobian', async () => {
+            const integrator = getIntegrator('implicit-midpoint', 2, { expressions: ROTATION_EXPRESSIONS, solutionMethod: 'newton' });
+            assertEqual(integrator.name, 'Implicit Midpoint (Newton)');
+        });
+    });
+
+    await describe('Stiff Decay', async () => {
+
+        // x' = -50x with h = 0.1 (z = h * lambda = -5): Newton solves the linear
+        // step exactly, giving each method's stability function R(z). Implicit RK4
+        // solves its two stages one at a time, so it needs more iterations.
+        const z = -5;
+        const exact = {
+            'implicit-euler': 1 / (1 - z),
+            'implicit-midpoint': (1 + z / 2) / (1 - z / 2),
+            'trapezoidal': (1 + z / 2) / (1 - z / 2),
+            'implicit-rk4': (1 + z / 2 + z * z / 12) / (1 - z / 2 + z * z / 12)
+        };
+
+        const iterations = { 'implicit-euler': 1, 'implicit-midpoint': 1, 'trapezoidal': 1, 'implicit-rk4': 30 };
+
+        for (const name of IMPLICIT_METHODS) {
+            await test(`${name} Newton matches R(z)`, async () => {
+                assertApproxEqual(stiffStep(name, 'newton', iterations[name]), exact[name], 1e-9);
+            });
+
+            await test(`${name} Newton-FD matches R(z)`, async () => {
+                assertApproxEqual(stiffStep(name, 'newton-fd', iterations[name]), exact[name], 1e-6);
+            });
+        }
+
+        // x' = -50tx: a single Newton step only lands on the implicit solution
+        // when the Jacobian is taken at the stage time, not at the step start
+        const decaying = (pos, t) => [-50 * t * pos[0]];
+        const stageTimeExact = {
+            'implicit-euler': 1 / 1.5,
+            'implicit-midpoint': 0.875 / 1.125,
+            'trapezoidal': 1 / 1.25
+        };
+
+        for (const [name, expected] of Object.entries(stageTimeExact)) {
+            await test(`${name} Newton evaluates the Jacobian at the stage time`, async () => {
+                const integrator = getIntegrator(name, 1, { expressions: ['-50 * t * x'], solutionMethod: 'newton', iterations: 1 });
+                assertApproxEqual(integrator.step(decaying, [1], 0, 0.1)[0], expected, 1e-9);
+            });
+        }
+
+        await test('Fixed-point iteration does not converge for stiff steps', async () => {
+            assertEqual(Math.abs(stiffStep('implicit-euler', 'fixed-point') - exact['implicit-euler']) > 1, true);
+        });
+    });
+
+    await describe('Adaptive Methods', async () => {
+
+        const expectedOrders = { 'bogacki-shampine': 3, 'rkf45': 4, 'dormand-prince': 5 };
+
+        for (const name of Object.keys(expectedOrders)) {
+            await test(`${name} has order ${expectedOrders[name]} when every step is accepted`, async () => {
+                // A huge tolerance accepts the full step every time
+                const params = { tolerance: 1e6 };
+                const order = Math.log2(errorAfterUnitTime(name, 10, params) / errorAfterUnitTime(name, 20, params));
+                assertApproxEqual(order, expectedOrders[name], 0.3);
+            });
+        }
+
+        await test('Tight tolerances are met within one large frame step', async () => {
+            const integrator = getIntegrator('dormand-prince', 2, { tolerance: 1e-9, maxSubsteps: 64 });
+            const stepState = {};
+            const pos = integrator.step(rotation, [1, 0], 0, 1, stepState);
+            assertEqual(stepState.elapsed, 1);
+            assertEqual(stepState.ratio < 1, true);
+            assertApproxEqual(pos[0], Math.cos(1), 1e-7);
+            assertApproxEqual(pos[1], Math.sin(1), 1e-7);
+        });
+
+        await test('Step size shrinks for fast dynamics and persists between calls', async () => {
+            const integrator = getIntegrator('rkf45', 1, { tolerance: 1e-6, maxSubsteps: 64 });
+            const stepState = {};
+            let pos = integrator.step(p => [-50 * p[0]], [1], 0, 1, stepState);
+            const ratio = stepState.ratio;
+            assertEqual(ratio < 0.2, true);
+            assertApproxEqual(pos[0], Math.exp(-50), 1e-6);
+
+            // The next call starts from the stored ratio instead of the full step
+            pos = integrator.step(p => [-50 * p[0]], [1], 0, 0.01, stepState);
+            assertApproxEqual(pos[0], Math.exp(-0.5), 1e-5);
+        });
+
+        await test('Particles that run out of substeps cover the rest of the interval in one step', async () => {
+            const integrator = getIntegrator('bogacki-shampine', 2, { tolerance: 1e-10, maxSubsteps: 2 });
+            const stepState = {};
+            const pos = integrator.step(rotation, [1, 0], 0, 1, stepState);
+            assertEqual(stepState.elapsed, 1);
+            assertEqual(stepState.ratio < 1, true);
+            assertApproxEqual(Math.hypot(pos[0], pos[1]), 1, 0.05);
+        });
+
+        await test('Integrators are flagged as adaptive', async () => {
+            assertEqual(getIntegrator('dormand-prince', 3).adaptive, true);
+            assertEqual(getIntegrator('rk4', 3).adaptive, undefined);
+        });
+    });
+
+    await describe('Symplectic Methods', async () => {
+
+        const expectedOrders = { 'symplectic-euler': 1, 'verlet': 2, 'yoshida4': 4 };
+
+        for (const name of Object.keys(expectedOrders)) {
+            await test(`${name} has order ${expectedOrders[name]}`, async () => {
+                assertApproxEqual(convergenceOrder(name, { positions: 'x' }), expectedOrders[name], 0.2);
+            });
+        }
+
+        // Pendulum: q' = p, p' = -sin(q) with energy H = p^2/2 - cos(q)
+        const pendulum = pos => [pos[1], -Math.sin(pos[0])];
+        const energy = pos => 0.5 * pos[1] * pos[1] - Math.cos(pos[0]);
+        const maxEnergyError = (name, steps) => {
+            const integrator = getIntegrator(name, 2, { positions: 'x' });
+            let pos = [2, 0];
+            let maxError = 0;
+            for (let i = 0; i < steps; i++) {
+                pos = integrator.step(pendulum, pos, 0, 0.1);
+                maxError = Math.max(maxError, Math.abs(energy(pos) - energy([2, 0])));
+            }
+            return maxError;
+        };
+
+        await test('Energy error stays bounded over long runs', async () => {
+            for (const name of ['verlet', 'yoshida4']) {
+                assertApproxEqual(maxEnergyError(name, 20000), maxEnergyError(name, 2000), 1e-6);
+            }
+            assertEqual(maxEnergyError('yoshida4', 20000) < 1e-4, true);
+            // RK4 keeps losing energy at the same step size
+            assertEqual(maxEnergyError('rk4', 20000) > 5 * maxEnergyError('rk4', 2000), true);
+        });
+
+        await test('Energy drift starts from native states in curvilinear coordinates', async () => {
+            // Rotation in polar coordinates: r' = 0, theta' = 1 conserves r
+            const starts = [];
+            const rk4 = getIntegrator('rk4', 2);
+            const renderer = {
+                dimensions: 2,
+                coordinateSystem: getCoordinateSystem('polar2d'),
+                velocityEvaluators: [() => 0, () => 1],
+                particleSystem: { getDimensionRange: () => ({ min: -2, max: 2 }) },
+                integrator: {
+                    name: 'RK4',
+                    step: (velocity, pos, t, h) => {
+                        if (t === 0) starts.push(pos);
+                        return rk4.step(velocity, pos, t, h);
+                    }
+                },
+                integratorType: 'rk4',
+                getIntegratorParams: () => ({}),
+                timestep: 0.01,
+                simulationTime: 0
+            };
+            const [result] = Renderer.prototype.measureEnergyDrift.call(renderer, 'r', { methods: [], samples: 50, steps: 10 });
+            assertEqual(starts.length, 50);
+            // Sampled in the Cartesian storage range, so 0 <= r <= 2 * sqrt(2) and |theta| <= pi
+            assertEqual(starts.every(([r, theta]) => r >= 0 && r <= 2 * Math.SQRT2 && Math.abs(theta) <= Math.PI), true);
+            assertApproxEqual(result.maxDrift, 0, 1e-12);
+        });
+
+        await test('Declared positions select the drift coordinates', async () => {
+            assertDeepEqual(resolvePositionMask('y, u', 5), [false, true, false, false, true]);
+            assertDeepEqual(resolvePositionMask(['theta'], 2, ['r', 'theta']), [false, true]);
+        });
+
+        await test('Missing or unusable declarations use the first half as positions', async () => {
+            assertDeepEqual(resolvePositionMask('', 4), [true, true, false, false]);
+            assertDeepEqual(resolvePositionMask('x, y', 2), [true, false]);
+            assertDeepEqual(resolvePositionMask('q', 3), [true, false, false]);
+        });
+
+        await test('Swapping the roles of the coordinates changes the method', async () => {
+            const qFirst = getIntegrator('symplectic-euler', 2, { positions: 'x' });
+            const pFirst = getIntegrator('symplectic-euler', 2, { positions: 'y' });
+            const a = qFirst.step(pendulum, [1, 0.5], 0, 0.1);
+            const b = pFirst.step(pendulum, [1, 0.5], 0, 0.1);
+            assertEqual(Math.abs(a[0] - b[0]) > 1e-4, true);
+        });
+    });
+
+    await describe('Stochastic Methods', async () => {
+
+        await test('Noise terms are reduced to the coefficient of dW', async () => {
+            assertEqual(stripWienerIncrement('0.3*x*dW'), '0.3*x');
+            assertEqual(stripWienerIncrement('sigma * dW_x'), 'sigma');
+            assertEqual(stripWienerIncrement('dW'), '1');
+            assertEqual(stripWienerIncrement(''), '0');
+            assertEqual(stripWienerIncrement('0.5'), '0.5');
+        });
+
+        await test('Euler-Maruyama adds g * sqrt(h) * N(0, 1)', async () => {
+            const step = createEulerMaruyamaStep(pos => [0.5, 2 * pos[1]], () => 1.5);
+            const next = step(rotation, [1, 1], 0, 0.04);
+            assertApproxEqual(next[0], 1 - 0.04 + 0.5 * 0.2 * 1.5, 1e-12);
+            assertApproxEqual(next[1], 1 + 0.04 + 2 * 0.2 * 1.5, 1e-12);
+        });
+
+        await test('Without noise terms both methods reduce to Euler', async () => {
+            for (const name of ['euler-maruyama', 'milstein']) {
+                const integrator = getIntegrator(name, 2, { diffusionExpressions: ['0', ''] });
+                assertEqual(integrator.stochastic, true);
+                assertDeepEqual(integrator.step(rotation, [1, 0.5], 0, 0.1), getIntegrator('euler', 2).step(rotation, [1, 0.5], 0, 0.1));
+            }
+        });
+
+        await test('Ornstein-Uhlenbeck process reaches its stationary variance', async () => {
+            // dX = -X dt + sigma dW has stationary variance sigma^2 / 2
+            const integrator = getIntegrator('euler-maruyama', 1, { diffusionExpressions: ['0.6*dW'] });
+            let sumSquares = 0;
+            const samples = 2000;
+            for (let s = 0; s < samples; s++) {
+                let pos = [0];
+                for (let i = 0; i < 500; i++) {
+                    pos = integrator.step(p => [-p[0]], pos, 0, 0.01);
+                }
+                sumSquares += pos[0] * pos[0];
+            }
+            assertApproxEqual(sumSquares / samples, 0.18, 0.025);
+        });
+
+        await test('Milstein converges strongly faster than Euler-Maruyama', async () => {
+            // Geometric Brownian motion dX = mu X dt + sigma X dW along shared Brownian paths
+            const mu = 0.5;
+            const sigma = 0.8;
+            const drift = pos => [mu * pos[0]];
+            const diffusion = pos => [sigma * pos[0]];
+            const steps = 32;
+            const h = 1 / steps;
+            let errorEM = 0;
+            let errorMilstein = 0;
+
+            for (let path = 0; path < 200; path++) {
+                // Deterministic pseudo-random normals so the test is reproducible
+                const normals = Array.from({ length: steps }, (_, i) => {
+                    const u1 = ((path * 7919 + i * 104729) % 9973 + 0.5) / 9973;
+                    const u2 = ((path * 6271 + i * 15485863) % 9949 + 0.5) / 9949;
+                    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+                });
+                let k = 0;
+                let m = 0;
+                const em = createEulerMaruyamaStep(diffusion, () => normals[k++]);
+                const milstein = createMilsteinStep(diffusion, () => normals[m++]);
+
+                let a = [1];
+                let b = [1];
+                for (let i = 0; i < steps; i++) {
+                    a = em(drift, a, i * h, h);
+                    b = milstein(drift, b, i * h, h);
+                }
+                const w = Math.sqrt(h) * normals.reduce((sum, n) => sum + n, 0);
+                const exact = Math.exp((mu - sigma * sigma / 2) + sigma * w);
+                errorEM += Math.abs(a[0] - exact);
+                errorMilstein += Math.abs(b[0] - exact);
+            }
+
+            assertEqual(errorMilstein < 0.5 * errorEM, true);
+        });
+    });
+
+    await describe('Linear Solver', async () => {
+
+        await test('Solves a dense system', async () => {
+            const x = solveLinearSystem([[4, 1, 2], [1, 5, 1], [2, 1, 6]], [7, 7, 9]);
+            assertApproxEqual(x[0], 1, 1e-12);
+            assertApproxEqual(x[1], 1, 1e-12);
+            assertApproxEqual(x[2], 1, 1e-12);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for delay differential equations
+ * Tests delay term parsing (x(t - tau)) and the position history ring
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertDeepEqual, assertThrows, assert } = require('../helpers/test-runner.cjs');
+
+const { parseExpression, parseExpressionToTeX, createVelocityEvaluators, collectDelays } = require('../../src/math/parser.js');
+const { TextureManager } = require('../../src/webgl/textures.js');
+const { FloatStrategy } = require('../../src/webgl/strategies/float-strategy.js');
+
+/**
+ * Minimal WebGL stand-in: textures are numbered objects, uploads are recorded
+ */
+function createMockGL() {
+    let nextId = 0;
+    const noop = () => {};
+    return {
+        TEXTURE_2D: 1, FLOAT: 2, RGBA: 3, TEXTURE0: 100,
+        uploads: [],
+        bound: null,
+        createTexture: () => ({ id: nextId++ }),
+        deleteTexture: noop,
+        bindTexture(target, texture) { this.bound = texture; },
+        texParameteri: noop,
+        texImage2D(...args) { this.uploads.push({ texture: this.bound, data: args[8] }); },
+        createFramebuffer: () => ({}),
+        bindFramebuffer: noop,
+        framebufferTexture2D: noop,
+        readPixels: noop,
+        deleteFramebuffer: noop,
+        getExtension: () => ({})
+    };
+}
+
+function createManager(dimensions = 2, resolution = 4) {
+    const gl = createMockGL();
+    const manager = new TextureManager(gl, dimensions, resolution, new FloatStrategy(gl));
+    return { gl, manager };
+}
+
+async function runTests() {
+    await describe('Delay Terms', async () => {
+
+        await test('x(t - tau) becomes a history lookup at the stage time', async () => {
+            const glsl = parseExpression('0.2*x(t - 17) - 0.1*x', 2, null, 'pos', 't');
+            assertEqual(glsl, '((0.2 * delayed_0_17(t, pos.x)) - (0.1 * pos.x))');
+        });
+
+        await test('Delay may be a constant expression', async () => {
+            const delays = collectDelays(['y(t - 2*pi)', '-x']);
+            assertEqual(delays.length, 1);
+            assertEqual(delays[0].index, 1);
+            assertEqual(Math.abs(delays[0].tau - 2 * Math.PI) < 1e-12, true);
+        });
+
+        await test('collectDelays lists each variable and delay once', async () => {
+            const delays = collectDelays(['x(t-1) + x(t-1)^2', 'x(t-2) + y(t-1)', 'z']);
+            assertDeepEqual(delays.map(d => d.glslName), ['delayed_0_1', 'delayed_0_2', 'delayed_1_1']);
+        });
+
+        await test('Only t minus a positive constant is accepted', async () => {
+            assertThrows(() => parseExpression('x(t)', 2));
+            assertThrows(() => parseExpression('x(t + 1)', 2));
+            assertThrows(() => parseExpression('x(t - y)', 2));
+            assertThrows(() => parseExpression('x(t - 0)', 2));
+            assertThrows(() => parseExpression('q(t - 1)', 2));
+        });
+
+        await test('TeX keeps the delay as written', async () => {
+            assertEqual(parseExpressionToTeX('x(t - 17)', 2), 'x(t - 17)');
+        });
+
+        await test('CPU evaluators use the current value', async () => {
+            const [f] = createVelocityEvaluators(['x(t - 5) - x', 'y']);
+            assertEqual(f(2, 0, 0), 0);
+        });
+    });
+
+    await describe('Position History', async () => {
+
+        await test('Slots count frames back from the read texture', async () => {
+            const { manager } = createManager();
+            manager.setHistory([0], 3);
+            const frames = [manager.readTextures[0]];
+
+            // Each swap makes the written frame current
+            for (let i = 0; i < 4; i++) {
+                frames.unshift(manager.getWriteTexture(0));
+                manager.swap();
+            }
+            for (let slot = 0; slot <= 4; slot++) {
+                assertEqual(manager.getHistoryTexture(0, slot), frames[slot], `slot ${slot}`);
+            }
+        });
+
+        await test('Swaps recycle ring textures without allocating', async () => {
+            const { manager } = createManager();
+            manager.setHistory([1], 5);
+            const textures = new Set([
+                ...manager.readTextures, ...manager.writeTextures, ...manager.prevTextures,
+                ...manager.historyTextures[1]
+            ]);
+            for (let i = 0; i < 12; i++) manager.swap();
+            const after = [
+                ...manager.readTextures, ...manager.writeTextures, ...manager.prevTextures,
+                ...manager.historyTextures[1]
+            ];
+            assertEqual(after.every(texture => textures.has(texture)), true);
+            assertEqual(new Set(after).size, textures.size);
+        });
+
+        await test('Slots beyond the history clamp to the oldest frame', async () => {
+            const { manager } = createManager();
+            manager.setHistory([0], 2);
+            assertEqual(manager.getHistoryTexture(0, 10), manager.getHistoryTexture(0, 3));
+            assertEqual(manager.getHistoryTexture(0, -1), manager.readTextures[0]);
+        });
+
+        await test('initializeData fills the history with the initial positions', async () => {
+            const { gl, manager } = createManager();
+            manager.setHistory([1], 3);
+            const data = [new Float32Array(64), new Float32Array(64)];
+            gl.uploads = [];
+            manager.initializeData(data);
+            const ring = manager.historyTextures[1];
+            for (const texture of ring) {
+                assert(gl.uploads.some(upload => upload.texture === texture && upload.data === data[1]), 'ring slot not filled');
+            }
+        });
+
+        await test('Exceeding the memory limit is an explicit error', async () => {
+            const { manager } = createManager(2, 512);
+            let message = '';
+            try {
+                manager.setHistory([0, 1], 1000);
+            } catch (error) {
+                message = error.message;
+            }
+            assert(message.includes('Delay history needs 2000 textures'), message);
+            assertEqual(manager.historyLength, 0);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for the field structure color modes
+ * Tests the Jacobian GLSL, the generated quantities and the color mode wiring
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertApproxEqual, assert, assertThrows } = require('../helpers/test-runner.cjs');
+
+const { STRUCTURE_MODES, EIGENVALUE_TYPES, generateJacobianEntriesGLSL, generateDeterminantGLSL, generateStructureColorGLSL } = require('../../src/math/field-structure.js');
+const { getColorMode, generateGradientColorMode } = require('../../src/math/colors.js');
+const { EIGENVALUE_ZERO_TOLERANCE } = require('../../src/math/fixed-points.js');
+const { glslFloat } = require('../../src/math/state-vector.js');
+const { Renderer } = require('../../src/webgl/renderer.js');
+
+const GRADIENT = 'vec3 evaluateGradient(float t) { return vec3(t); }';
+
+/**
+ * Evaluate the generated determinant statements as JavaScript for a numeric matrix
+ */
+function evaluateDeterminant(matrix) {
+    const n = matrix.length;
+    const entries = matrix.map((row, i) => row.map((value, j) => `let J_${i}_${j} = ${value};`).join(' ')).join('\n');
+    const code = generateDeterminantGLSL(n).replace(/\bfloat /g, 'let ').replace(/\babs\(/g, 'Math.abs(');
+    return new Function(`${entries}\n${code}\nreturn det;`)();
+}
+
+/**
+ * Determinant by cofactor expansion (reference)
+ */
+function cofactorDeterminant(matrix) {
+    if (matrix.length === 1) return matrix[0][0];
+    return matrix[0].reduce((sum, value, col) => {
+        const minor = matrix.slice(1).map(row => row.filter((_, j) => j !== col));
+        return sum + (col % 2 ? -1 : 1) * value * cofactorDeterminant(minor);
+    }, 0);
+}
+
+async function runTests() {
+    await describe('Jacobian GLSL', async () => {
+
+        await test('Entries are declared per row and column', async () => {
+            const glsl = generateJacobianEntriesGLSL([['-1', '2*x'], ['y', '0']], 2);
+            assert(glsl.includes('float J_0_0 = '), glsl);
+            assert(glsl.includes('float J_1_0 = '), glsl);
+            assert(glsl.includes('pos.x'), glsl);
+        });
+
+        await test('Entries that do not compile are rejected', async () => {
+            assertThrows(() => generateJacobianEntriesGLSL([['1', '2'], ['3', 'sin(']], 2));
+        });
+
+        await test('Written-out determinants match cofactor expansion', async () => {
+            const m2 = [[3, 1], [4, 2]];
+            const m3 = [[2, -1, 0], [1, 3, 4], [0, 5, -2]];
+            assertApproxEqual(evaluateDeterminant(m2), cofactorDeterminant(m2), 1e-12);
+            assertApproxEqual(evaluateDeterminant(m3), cofactorDeterminant(m3), 1e-12);
+        });
+
+        await test('Eliminated determinants pivot around zero diagonals', async () => {
+            const permutation = [[0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1], [1, 0, 0, 0]];
+            assertApproxEqual(evaluateDeterminant(permutation), -1, 1e-12);
+
+            const m6 = Array.from({ length: 6 }, (_, i) => Array.from({ length: 6 }, (_, j) => Math.sin(3 * i + 7 * j + 1)));
+            assertApproxEqual(evaluateDeterminant(m6), cofactorDeterminant(m6), 1e-9);
+
+            const singular = [[1, 2, 3, 4], [2, 4, 6, 8], [0, 1, 0, 1], [1, 0, 1, 0]];
+            assertApproxEqual(evaluateDeterminant(singular), 0, 1e-12);
+        });
+    });
+
+    await describe('Structure Quantities', async () => {
+        const jacobian2 = [['-1', '-2'], ['3', '-4']];
+        const jacobian3 = [['0', '1', '0'], ['-1', '0', '0'], ['0', '0', '-1']];
+
+        await test('Divergence and trace sum the diagonal', async () => {
+            for (const mode of ['divergence', 'jacobian_trace']) {
+                const { body } = generateStructureColorGLSL(mode, 3, jacobian3);
+                assert(body.includes('float value = J_0_0 + J_1_1 + J_2_2;'), body);
+            }
+        });
+
+        await test('Curl is signed in 2D and a magnitude above', async () => {
+            assert(generateStructureColorGLSL('curl', 2, jacobian2).body.includes('float value = J_1_0 - J_0_1;'));
+            const { body } = generateStructureColorGLSL('curl', 3, jacobian3);
+            assert(body.includes('sqrt((J_1_0 - J_0_1) * (J_1_0 - J_0_1)'), body);
+        });
+
+        await test('Scalar modes declare the range and log scale', async () => {
+            const { uniforms, body } = generateStructureColorGLSL('jacobian_determinant', 2, jacobian2);
+            assert(uniforms.includes('uniform float u_structure_range;'), uniforms);
+            assert(body.includes('float value = det;'), body);
+            assert(body.includes('u_velocity_log_scale > 0.5'), body);
+        });
+
+        await test('Eigenvalue type maps the classes onto the gradient', async () => {
+            const { uniforms, body } = generateStructureColorGLSL('eigenvalue_type', 2, jacobian2);
+            assertEqual(uniforms, '');
+            assert(body.includes(`evaluateGradient(type / ${EIGENVALUE_TYPES.length - 1}.0)`), body);
+            assert(generateStructureColorGLSL('eigenvalue_type', 3, jacobian3).body.includes('vec2 ev_0, ev_1, ev_2;'));
+        });
+
+        await test('Eigenvalue type uses the fixed point zero tolerance', async () => {
+            const { body } = generateStructureColorGLSL('eigenvalue_type', 2, jacobian2);
+            assert(body.includes(`float zero = ${glslFloat(EIGENVALUE_ZERO_TOLERANCE)} * scale;`), body);
+        });
+
+        await test('Eigenvalue type is limited to 2D and 3D', async () => {
+            const jacobian4 = Array.from({ length: 4 }, () => ['0', '0', '0', '0']);
+            assertThrows(() => generateStructureColorGLSL('eigenvalue_type', 4, jacobian4));
+            assert(generateStructureColorGLSL('jacobian_determinant', 4, jacobian4).body.includes('float a_3_3'));
+        });
+    });
+
+    await describe('Color Modes', async () => {
+
+        await test('Structure modes use the gradient and the Jacobian', async () => {
+            for (const mode of STRUCTURE_MODES) {
+                const colorMode = getColorMode(mode, 2);
+                assertEqual(colorMode.usesGradient, true);
+                assertEqual(colorMode.usesJacobian, true);
+            }
+        });
+
+        await test('Color function needs a Jacobian', async () => {
+            assertThrows(() => generateGradientColorMode('curl', 2, GRADIENT));
+            const code = generateGradientColorMode('curl', 2, GRADIENT, [['0', '-1'], ['1', '0']]);
+            assert(code.includes('uniform float u_structure_range;'), code);
+            assert(code.includes('vec3 getColor(vec2 pos'), code);
+        });
+
+        await test('Field arrows get the structure range', async () => {
+            const uniforms = {};
+            const gl = new Proxy({
+                getUniformLocation: (program, name) => name,
+                uniform1f: (location, value) => { uniforms[location] = value; }
+            }, {
+                get: (target, key) => key in target ? target[key] : () => {}
+            });
+            const renderer = {
+                gl,
+                showGlyphs: true,
+                glyphProgram: {},
+                canvas: { width: 100, height: 100 },
+                bbox: { min: [-1, -1], max: [1, 1] },
+                structureRange: 3,
+                velocityLogScale: true,
+                getVelocityScale: () => 1,
+                setStructureUniforms: Renderer.prototype.setStructureUniforms
+            };
+            Renderer.prototype.drawGlyphs.call(renderer);
+            assertEqual(uniforms.u_structure_range, 3);
+            assertEqual(uniforms.u_velocity_log_scale, 1);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
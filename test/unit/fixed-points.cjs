@@ -0,0 +1,132 @@
+/**
+ * Unit tests for fixed points
+ * Tests eigenvalues, stability classification and the multi-start Newton search
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertDeepEqual, assertApproxEqual, assert } = require('../helpers/test-runner.cjs');
+
+const { eigenvalues, classifyFixedPoint, findFixedPoints, newtonSolve, solveFixedPointsSymbolic } = require('../../src/math/fixed-points.js');
+
+function classify(matrix) {
+    return classifyFixedPoint(eigenvalues(matrix)).type;
+}
+
+const box = (min, max, dimensions) => Array.from({ length: dimensions }, () => ({ min, max }));
+
+async function runTests() {
+    await describe('Eigenvalues', async () => {
+
+        await test('Rotation has a purely imaginary pair', async () => {
+            const values = eigenvalues([[0, 1], [-1, 0]]);
+            assertApproxEqual(values[0].re, 0, 1e-8);
+            assertApproxEqual(Math.abs(values[0].im), 1, 1e-8);
+            assertApproxEqual(values[0].im, -values[1].im, 1e-8);
+        });
+
+        await test('Block matrix mixes real and complex eigenvalues', async () => {
+            const values = eigenvalues([[2, 0, 0], [0, -1, -5], [0, 5, -1]]);
+            assertApproxEqual(values[0].re, 2, 1e-8);
+            assertApproxEqual(values[0].im, 0, 1e-8);
+            assertApproxEqual(values[1].re, -1, 1e-8);
+            assertApproxEqual(Math.abs(values[1].im), 5, 1e-8);
+        });
+
+        await test('Eigenvalues of a symmetric matrix are real and sum to the trace', async () => {
+            const matrix = [[4, 1, 2, 3], [1, 5, 1, 0], [2, 1, 6, 1], [3, 0, 1, 7]];
+            const values = eigenvalues(matrix);
+            assertApproxEqual(values.reduce((sum, v) => sum + v.re, 0), 22, 1e-9);
+            // Symmetric: all real
+            assert(values.every(v => v.im === 0), 'symmetric matrix has complex eigenvalues');
+        });
+
+        await test('Companion matrix recovers polynomial roots', async () => {
+            // x^3 - 6x^2 + 11x - 6 = (x - 1)(x - 2)(x - 3)
+            const values = eigenvalues([[6, -11, 6], [1, 0, 0], [0, 1, 0]]);
+            assertDeepEqual(values.map(v => Math.round(v.re * 1e8) / 1e8), [3, 2, 1]);
+        });
+    });
+
+    await describe('Classification', async () => {
+
+        await test('Linear systems', async () => {
+            assertEqual(classify([[-1, 0], [0, -2]]), 'stable node');
+            assertEqual(classify([[1, 0], [0, 2]]), 'unstable node');
+            assertEqual(classify([[1, 0], [0, -1]]), 'saddle');
+            assertEqual(classify([[-0.1, 1], [-1, -0.1]]), 'stable focus');
+            assertEqual(classify([[0.1, 1], [-1, 0.1]]), 'unstable focus');
+            assertEqual(classify([[0, 1], [-1, 0]]), 'center');
+            assertEqual(classify([[0, 1], [0, 0]]), 'non-hyperbolic');
+            assertEqual(classify([[1, 0, 0], [0, -0.1, 1], [0, -1, -0.1]]), 'saddle-focus');
+        });
+
+        await test('Counts stable, unstable and neutral directions', async () => {
+            const result = classifyFixedPoint(eigenvalues([[1, 0, 0], [0, -1, 0], [0, 0, 0]]));
+            assertEqual(result.hyperbolic, false);
+            assertEqual(result.stable, 1);
+            assertEqual(result.unstable, 1);
+            assertEqual(result.neutral, 1);
+        });
+    });
+
+    await describe('Fixed Point Search', async () => {
+
+        await test('Damped Duffing oscillator: two sinks and a saddle', async () => {
+            const points = findFixedPoints(([x, y]) => [y, x - x * x * x - 0.2 * y], box(-2, 2, 2));
+            const byX = points.sort((a, b) => a.position[0] - b.position[0]);
+            assertEqual(byX.length, 3);
+            assertDeepEqual(byX.map(p => p.classification.type), ['stable focus', 'saddle', 'stable focus']);
+            assertApproxEqual(byX[0].position[0], -1, 1e-8);
+            assertApproxEqual(byX[1].position[0], 0, 1e-8);
+            assertApproxEqual(byX[2].position[0], 1, 1e-8);
+        });
+
+        await test('Pendulum alternates centers and saddles', async () => {
+            const points = findFixedPoints(([x, y]) => [y, -Math.sin(x)], box(-4, 4, 2))
+                .sort((a, b) => a.position[0] - b.position[0]);
+            assertDeepEqual(points.map(p => p.classification.type), ['saddle', 'center', 'saddle']);
+            assertApproxEqual(points[0].position[0], -Math.PI, 1e-8);
+        });
+
+        await test('Lorenz fixed points in 3D', async () => {
+            const lorenz = ([x, y, z]) => [10 * (y - x), x * (28 - z) - y, x * y - 8 / 3 * z];
+            const points = findFixedPoints(lorenz, [{ min: -20, max: 20 }, { min: -20, max: 20 }, { min: 0, max: 50 }]);
+            assertEqual(points.length, 3);
+            const origin = points.find(p => Math.abs(p.position[0]) < 1e-6);
+            assertEqual(origin.classification.type, 'saddle');
+            assertEqual(points.filter(p => p.classification.type === 'saddle-focus').length, 2);
+            const c = Math.sqrt(8 / 3 * 27);
+            assert(points.some(p => Math.abs(p.position[0] - c) < 1e-6 && Math.abs(p.position[2] - 27) < 1e-6), 'C+ not found');
+        });
+
+        await test('Points outside the search box are dropped', async () => {
+            const points = findFixedPoints(([x, y]) => [x - 10, y], box(-1, 1, 2));
+            assertEqual(points.length, 0);
+        });
+
+        await test('Candidates are tagged as symbolic', async () => {
+            const points = findFixedPoints(([x, y]) => [x - 0.5, y], box(-1, 1, 2), { candidates: [[0.5, 0]] });
+            assertEqual(points.length, 1);
+            assertEqual(points[0].source, 'symbolic');
+        });
+
+        await test('Newton reports failure when there is no root', async () => {
+            const result = newtonSolve(([x]) => [x * x + 1], [0.3]);
+            assertEqual(result.converged, false);
+        });
+
+        await test('Symbolic solutions are evaluated and non-numeric ones skipped', async () => {
+            const cas = { solveSystem: () => [{ x: 'sqrt(2)', y: '0' }, { x: 'a', y: '1' }] };
+            const candidates = solveFixedPointsSymbolic(cas, ['y', '2 - x^2'], ['x', 'y']);
+            assertEqual(candidates.length, 1);
+            assertApproxEqual(candidates[0][0], Math.SQRT2, 1e-8);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
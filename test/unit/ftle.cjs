@@ -0,0 +1,157 @@
+/**
+ * Unit tests for the FTLE field
+ * Tests the generated programs and the progressive computation schedule
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertApproxEqual, assert } = require('../helpers/test-runner.cjs');
+
+const { FTLEManager, FTLE_STEPS_PER_FRAME } = require('../../src/webgl/ftle.js');
+const { parseVectorField } = require('../../src/math/parser.js');
+const { getIntegrator } = require('../../src/math/integrators.js');
+
+/**
+ * Minimal WebGL stand-in: every create* returns a fresh object, status queries
+ * succeed, draws are counted, float uniforms are recorded by name and readPixels
+ * fills the field with a ramp
+ */
+function createMockGL() {
+    const gl = {
+        FRAMEBUFFER_COMPLETE: 1,
+        draws: 0,
+        uniforms: {},
+        drawArrays() { this.draws++; },
+        getUniformLocation: (program, name) => name,
+        uniform1f(location, value) { this.uniforms[location] = value; },
+        checkFramebufferStatus: () => 1,
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        readPixels(x, y, width, height, format, type, data) {
+            for (let i = 0; i < width * height; i++) data[4 * i] = i / (width * height) - 0.5;
+        }
+    };
+    return new Proxy(gl, {
+        get: (target, key) => {
+            if (key in target) return target[key];
+            if (typeof key === 'string' && key.startsWith('create')) return () => ({});
+            return () => {};
+        }
+    });
+}
+
+function createManager(dimensions = 2, options = {}) {
+    const gl = createMockGL();
+    const manager = new FTLEManager(gl);
+    const expressions = ['y', '-x', 'w', '-z', '-u', '-x'].slice(0, dimensions);
+    manager.initialize({
+        dimensions,
+        velocityExpressions: parseVectorField(expressions),
+        integratorCode: getIntegrator('rk4', dimensions, {}).code,
+        displayDims: [0, 1],
+        gradientGLSL: 'vec3 evaluateGradient(float t) { return vec3(t); }',
+        ...options
+    });
+    return { gl, manager };
+}
+
+const view = { min: [-2, -1], max: [2, 1] };
+const settings = { time: 0, step: 0.1, horizon: 5, direction: 'forward', resolution: 64, quadBuffer: {} };
+
+async function runTests() {
+    await describe('FTLE Programs', async () => {
+
+        await test('States pack four coordinates per texture', async () => {
+            const { manager } = createManager(5);
+            assert(manager.shaderSource.advect.includes('uniform sampler2D u_state_1;'), 'second state texture missing');
+            assert(!manager.shaderSource.advect.includes('u_state_2'), 'too many state textures');
+            assert(manager.shaderSource.seed.includes('if (u_out_texture == 0)'), manager.shaderSource.seed);
+        });
+
+        await test('Backward integration reverses the field in time', async () => {
+            const { manager } = createManager(2);
+            const advect = manager.shaderSource.advect;
+            assert(advect.includes('vec2 field_velocity(vec2 pos, float t)'), 'user field renamed');
+            assert(advect.includes('u_direction * field_velocity(pos, u_t0 + u_direction * (t - u_t0))'), advect);
+        });
+
+        await test('Coordinate systems seed natively and difference in Cartesian', async () => {
+            const { manager } = createManager(2, {
+                coordinateSystemCode: {
+                    name: 'Polar',
+                    nativeVars: ['r', 'theta'],
+                    forwardTransform: 'vec2 transformToCartesian(vec2 p) { return p.x * vec2(cos(p.y), sin(p.y)); }',
+                    inverseTransform: 'vec2 transformToNative(vec2 p) { return vec2(length(p), atan(p.y, p.x)); }'
+                }
+            });
+            assert(manager.shaderSource.seed.includes('pos = transformToNative(pos);'), 'seed not converted');
+            assert(manager.shaderSource.field.includes('transformToCartesian(s)'), 'flow map not in Cartesian');
+        });
+    });
+
+    await describe('Animation Parameter', async () => {
+
+        await test('Fields using a declare u_alpha', async () => {
+            const { manager } = createManager(2, { velocityExpressions: parseVectorField(['y * a', '-x']) });
+            const advect = manager.shaderSource.advect;
+            assert(advect.includes('u_alpha'), 'field does not read u_alpha');
+            assert(advect.includes('uniform float u_alpha;'), 'u_alpha is not declared');
+        });
+
+        await test('Alpha is uploaded and a change starts over', async () => {
+            const { gl, manager } = createManager(2);
+            manager.update({ ...settings, bbox: view, alpha: 0.25 });
+            assertEqual(gl.uniforms.u_alpha, 0.25);
+            manager.update({ ...settings, bbox: view, alpha: 0.25 });
+            assertEqual(manager.stepsDone, 2 * FTLE_STEPS_PER_FRAME);
+            manager.update({ ...settings, bbox: view, alpha: 0.5 });
+            assertEqual(gl.uniforms.u_alpha, 0.5);
+            assertEqual(manager.stepsDone, FTLE_STEPS_PER_FRAME);
+        });
+    });
+
+    await describe('FTLE Schedule', async () => {
+
+        await test('Grid follows the view aspect ratio', async () => {
+            const { manager } = createManager(2);
+            manager.update({ ...settings, bbox: view });
+            assertEqual(manager.gridWidth, 64);
+            assertEqual(manager.gridHeight, 32);
+        });
+
+        await test('Field completes after the horizon and sets the range', async () => {
+            const { manager } = createManager(2);
+            const frames = Math.ceil(50 / FTLE_STEPS_PER_FRAME);
+            for (let i = 0; i < frames; i++) {
+                assert(!manager.hasField, `complete after ${i} frames`);
+                manager.update({ ...settings, bbox: view });
+            }
+            assertEqual(manager.stepsDone, 50);
+            assert(manager.hasField, 'field not complete');
+            assertApproxEqual(manager.range, 0.49, 0.01);
+        });
+
+        await test('A completed field restarts from the current time', async () => {
+            const { manager } = createManager(2);
+            for (let i = 0; i < 4; i++) manager.update({ ...settings, bbox: view });
+            manager.update({ ...settings, bbox: view, time: 7 });
+            assertEqual(manager.startTime, 7);
+            assertEqual(manager.stepsDone, FTLE_STEPS_PER_FRAME);
+            assert(manager.hasField, 'completed field should stay on screen');
+        });
+
+        await test('Changing the view starts over', async () => {
+            const { manager } = createManager(2);
+            for (let i = 0; i < 4; i++) manager.update({ ...settings, bbox: view });
+            manager.update({ ...settings, bbox: { min: [-1, -1], max: [1, 1] } });
+            assertEqual(manager.stepsDone, FTLE_STEPS_PER_FRAME);
+            assert(!manager.hasField, 'field of the old view kept');
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the vector glyph overlay
+ * Tests the arrow length scalings and the uniforms of the generated fragment shader
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertApproxEqual, assertDeepEqual, assert } = require('../helpers/test-runner.cjs');
+
+const { generateGlyphFragmentShader, GLYPH_SCALINGS } = require('../../src/webgl/shaders.js');
+const { parseVectorField } = require('../../src/math/parser.js');
+
+const WHITE = 'vec3 getColor(vec2 pos, vec2 velocity, vec2 field_velocity, vec2 velocity_proj) { return vec3(1.0); }';
+
+function glyphShader(usesMaxVelocity = false, expressions = ['y', '-x']) {
+    return generateGlyphFragmentShader(2, parseVectorField(expressions), [0, 1], WHITE, usesMaxVelocity);
+}
+
+/**
+ * Uniforms the shader reads without declaring them (a compile error in WebGL)
+ */
+function undeclaredUniforms(shader) {
+    const declared = new Set([...shader.matchAll(/uniform \w+ (u_\w+)/g)].map(match => match[1]));
+    return [...new Set(shader.match(/\bu_\w+/g))].filter(name => !declared.has(name));
+}
+
+/**
+ * The shader's arrow length fraction as a JavaScript function of (scaling index, speed, reference)
+ */
+function lengthFraction(shader) {
+    const match = shader.match(/float fraction;([\s\S]*?)float len =/);
+    assert(match, 'Length fraction not found');
+    const body = match[1].replace(/\blog\(/g, 'Math.log(').replace(/\bmax\(/g, 'Math.max(');
+    return new Function('u_glyph_scaling', 'speed', 'u_glyph_reference', `let fraction;${body}return fraction;`);
+}
+
+async function runTests() {
+    await describe('Length Scalings', async () => {
+
+        const fraction = lengthFraction(glyphShader());
+        const expected = {
+            linear: (speed, reference) => speed / reference,
+            log: (speed, reference) => Math.log(1 + speed) / Math.log(1 + reference),
+            normalized: () => 1
+        };
+
+        await test('Every scaling has an expected length', async () => {
+            assertEqual(GLYPH_SCALINGS.length, Object.keys(expected).length);
+            GLYPH_SCALINGS.forEach(name => assert(name in expected, `Untested scaling ${name}`));
+        });
+
+        for (const [index, name] of GLYPH_SCALINGS.entries()) {
+            await test(`${name} scaling is selected by index ${index}`, async () => {
+                for (const [speed, reference] of [[0.5, 2], [3, 2], [1, 1e-3]]) {
+                    assertApproxEqual(fraction(index, speed, reference), expected[name](speed, reference), 1e-12,
+                        `${name} at speed ${speed}, reference ${reference}`);
+                }
+            });
+        }
+
+        await test('Branches cover the scalings exactly once', async () => {
+            const shader = glyphShader();
+            for (let index = 1; index < GLYPH_SCALINGS.length; index++) {
+                assertEqual(shader.split(`u_glyph_scaling == ${index - 1})`).length, 2, `Branch for index ${index - 1}`);
+            }
+            assert(!shader.includes(`u_glyph_scaling == ${GLYPH_SCALINGS.length - 1})`), 'The last scaling is the else branch');
+        });
+
+        await test('Arrows are clamped to 90% of the cell', async () => {
+            const shader = glyphShader();
+            assert(shader.includes('float len = 0.9 * u_glyph_spacing * clamp(fraction, 0.0, 1.0);'), 'Arrow length');
+        });
+    });
+
+    await describe('Uniforms', async () => {
+
+        await test('Density and length are uniforms', async () => {
+            const shader = glyphShader();
+            assert(shader.includes('uniform float u_glyph_spacing;'), 'Cell size (density) uniform');
+            assert(shader.includes('uniform int u_glyph_scaling;'), 'Scaling uniform');
+            assert(shader.includes('uniform float u_glyph_reference;'), 'Reference speed (length) uniform');
+            assert(shader.includes('floor(pixel / u_glyph_spacing)'), 'Cells follow the spacing');
+        });
+
+        await test('Every uniform the shader reads is declared', async () => {
+            assertDeepEqual(undeclaredUniforms(glyphShader(true)), []);
+            assertDeepEqual(undeclaredUniforms(glyphShader(false, ['y*a', '-x'])), []);
+        });
+
+        await test('Max velocity uniforms only when the color code reads them', async () => {
+            assert(!glyphShader(false).includes('u_max_velocity'));
+            const shader = glyphShader(true);
+            assert(shader.includes('uniform float u_max_velocity;'));
+            assert(shader.includes('uniform float u_velocity_log_scale;'));
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
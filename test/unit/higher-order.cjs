@@ -0,0 +1,93 @@
+/**
+ * Unit tests for higher-order equations
+ * Tests the reduction of derivative notation to first-order systems and its TeX display
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assert } = require('../helpers/test-runner.cjs');
+
+const { usesDerivativeNotation, reduceToFirstOrder } = require('../../src/math/higher-order.js');
+const { parseExpressionToTeX } = require('../../src/math/parser.js');
+const { createSystemLatex } = require('../../src/utils/math-renderer.js');
+const { FieldEquationWorkflow } = require('../../src/math/field-equation-workflow.js');
+
+function throwsWith(fn, text) {
+    try {
+        fn();
+    } catch (error) {
+        assert(error.message.includes(text), `Expected "${text}" in "${error.message}"`);
+        return;
+    }
+    throw new Error(`Expected an error mentioning "${text}"`);
+}
+
+async function runTests() {
+    await describe('Reduction', async () => {
+
+        await test('Second-order equation adds a velocity dimension', async () => {
+            const system = reduceToFirstOrder(["x'' = -sin(x) - 0.1*x'"]);
+            assertEqual(system.dimensions, 2);
+            assertEqual(system.expressions.join(' | '), 'y | -sin(x) - 0.1*y');
+            assertEqual(system.variables.join(','), "x,x'");
+        });
+
+        await test('Derivatives take the names the equations leave unused', async () => {
+            const system = reduceToFirstOrder(["x'' = -x + 0.1*(y - x)", "y'' = -y + 0.1*(x - y)"]);
+            assertEqual(system.variables.join(','), "x,y,x',y'");
+            assertEqual(system.expressions.join(' | '), 'z | w | -x + 0.1*(y - x) | -y + 0.1*(x - y)');
+        });
+
+        await test('Orders can be mixed and blank equations are skipped', async () => {
+            const system = reduceToFirstOrder(["x''' = -x' - x''", '', "y' = x"]);
+            assertEqual(system.dimensions, 4);
+            assertEqual(system.variables.join(','), "x,y,x',x''");
+            assertEqual(system.expressions.join(' | '), 'z | x | w | -z - w');
+            assertEqual(system.equations.length, 2);
+        });
+
+        await test('Plain expressions are not derivative notation', async () => {
+            assert(!usesDerivativeNotation(['-y', 'x']));
+            assert(usesDerivativeNotation(['-y', "x' = 1"]));
+        });
+
+        await test('Invalid equations report their number', async () => {
+            throwsWith(() => reduceToFirstOrder(["x'' = -x", 'x']), 'Equation 2: expected a left-hand side');
+            throwsWith(() => reduceToFirstOrder(["x'' = -x", "x' = 1"]), 'Equation 2: x already has an equation');
+            throwsWith(() => reduceToFirstOrder(["t'' = 1"]), "Equation 1: 't' is not a state variable");
+            throwsWith(() => reduceToFirstOrder(["x'' = "]), 'Equation 1: the right-hand side is empty');
+            throwsWith(() => reduceToFirstOrder(["z'' = -z"]), 'Equation 1: a 2D system has the variables x, y');
+            throwsWith(() => reduceToFirstOrder(["x'' = -x''"]), "Equation 1: x'' is not a state variable");
+            throwsWith(() => reduceToFirstOrder(["x'' = y"]), 'Equation 1: y holds a derivative');
+            throwsWith(() => reduceToFirstOrder(["x'' = z'"]), "z' refers to z, which has no equation");
+            throwsWith(() => reduceToFirstOrder(["x'''' = 1", "y''' = 1"]), 'need 7 state variables');
+            throwsWith(() => reduceToFirstOrder(['', ' ']), 'No equations');
+        });
+
+        await test('Field workflow generates the reduced system', async () => {
+            const workflow = new FieldEquationWorkflow();
+            assertEqual(workflow.prepareExpressions(["x'' = -x"]).join(' | '), 'y | -x');
+            assertEqual(workflow.prepareExpressions(['-y', 'x']).join(' | '), '-y | x');
+        });
+    });
+
+    await describe('TeX Display', async () => {
+
+        await test('Variables can be typeset under other names', async () => {
+            assertEqual(parseExpressionToTeX('-y', 2, null, { y: "x'" }), "-x'");
+        });
+
+        await test('System shows the equations in their original form', async () => {
+            const latex = createSystemLatex(["x'' = -x - 0.1*x'", "y' = x"], ['x', 'y', 'z']);
+            assert(latex.includes("\\frac{d^{2}x}{dt^{2}} = -x - 0.1 \\cdot x'"), latex);
+            assert(latex.includes('\\frac{dy}{dt} = x'), latex);
+            assert(!latex.includes('z'), latex);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for GLSL integrators
+ * Tests the generated integrate() code of the implicit solvers
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assert } = require('../helpers/test-runner.cjs');
+
+const { getIntegrator } = require('../../src/math/integrators.js');
+const { setNotebook } = require('../../src/math/jacobian.js');
+
+// Time-dependent decay: x' = -t x, y' = y
+const EXPRESSIONS = ['-t * x', 'y'];
+
+/**
+ * Stand-in for the CAS notebook with precomputed derivatives of the test field
+ */
+const DERIVATIVES = {
+    '-t * x': { x: '-t', y: '0' },
+    'y': { x: '0', y: '1' }
+};
+setNotebook({
+    casEngine: { getName: () => 'Test', isReady: () => true },
+    differentiate: (expr, variable) => DERIVATIVES[expr][variable]
+});
+
+async function runTests() {
+    await describe('Newton Jacobian', async () => {
+
+        await test('The Jacobian takes the stage time instead of u_time', async () => {
+            const { code } = getIntegrator('implicit-euler', 2, { expressions: EXPRESSIONS, solutionMethod: 'newton' });
+            assert(code.includes('computeJacobian(vec2 pos, float t)'), 'computeJacobian has no time parameter');
+            assert(!code.includes('u_time'), 'The Jacobian reads the time at the start of the step');
+        });
+
+        const stageTimes = {
+            'implicit-euler': ['computeJacobian(x_new, t + h)'],
+            'implicit-midpoint': ['computeJacobian((pos + x_new) * 0.5, t + h * 0.5)'],
+            'trapezoidal': ['computeJacobian(x_new, t + h)'],
+            'implicit-rk4': [
+                'computeJacobian(pos + h * (a11 * k1 + a12 * k2), t + c1 * h)',
+                'computeJacobian(pos + h * (a21 * k1 + a22 * k2), t + c2 * h)'
+            ]
+        };
+
+        for (const [name, calls] of Object.entries(stageTimes)) {
+            await test(`${name} evaluates the Jacobian at its stage times`, async () => {
+                const { code } = getIntegrator(name, 2, { expressions: EXPRESSIONS, solutionMethod: 'newton' });
+                for (const call of calls) {
+                    assert(code.includes(call), `Missing ${call}`);
+                }
+            });
+        }
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for LaTeX input
+ * Tests the conversion of LaTeX to parser syntax and the TeX → AST → TeX round trip
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assert } = require('../helpers/test-runner.cjs');
+
+const {
+    isTeXInput,
+    texToExpression,
+    parseExpressionToTeX,
+    setCustomFunctions,
+    setModelParameters,
+    parseModelParameters
+} = require('../../src/math/parser.js');
+const { FieldEquationWorkflow } = require('../../src/math/field-equation-workflow.js');
+
+function throwsWith(fn, text) {
+    try {
+        fn();
+    } catch (error) {
+        assert(error.message.includes(text), `Expected "${text}" in "${error.message}"`);
+        return;
+    }
+    throw new Error(`Expected an error mentioning "${text}"`);
+}
+
+/**
+ * Read TeX back into an expression and typeset that again
+ */
+function roundTrip(tex, dimensions = 3) {
+    return parseExpressionToTeX(texToExpression(tex), dimensions);
+}
+
+async function runTests() {
+    setModelParameters(parseModelParameters('sigma = 10\nrho = 28\nbeta = 8/3\nv1 = -1.2\ngCa = 4'));
+    setCustomFunctions('minf(v) = 0.5*(1 + tanh(v))');
+
+    await describe('Round Trip', async () => {
+
+        await test('Fractions render and read back', async () => {
+            const cases = [
+                ['x / y', 2, '\\frac{x}{y}'],
+                ['(x + y) / z', 3, '\\frac{x + y}{z}'],
+                ['sin(x) / (y + 1)', 2, '\\frac{\\sin(x)}{y + 1}'],
+                ['x / y / z', 3, '\\frac{\\frac{x}{y}}{z}'],
+                ['1 / (x^2 + y^2)', 2, '\\frac{1}{{x}^{2} + {y}^{2}}']
+            ];
+            for (const [expr, dims, expected] of cases) {
+                const tex = parseExpressionToTeX(expr, dims);
+                assertEqual(tex, expected);
+                assertEqual(roundTrip(tex, dims), tex);
+            }
+        });
+
+        await test('Every construct the display uses reads back to the same TeX', async () => {
+            const expressions = [
+                'sigma*(y - x)', 'x*(rho - z) - y', 'x*y - beta*z',
+                '-x^2', '(-x)^2', '-x*y', '-(x + y)', 'x^y^z', '(x^y)^z',
+                'exp(-x^2/2)', 'sqrt(x^2 + y^2)', 'abs(x) - sgn(y)', 'heaviside(x)*y',
+                'log(x) + tan(y) + cos(x)^2', 'pi*e', 'atan2(y, x) + min(x, y)',
+                'x > 0 ? 1 : y < 0 ? 2 : 3', '(x >= 0)*y', '!(x > 0) && y != 1 || x == 2', '!x',
+                'x(t - 2)', 'v1*x + gCa', 'minf(x)'
+            ];
+            for (const expr of expressions) {
+                const tex = parseExpressionToTeX(expr, 3);
+                assertEqual(roundTrip(tex), tex, `${expr} as ${tex}`);
+            }
+        });
+    });
+
+    await describe('Conversion', async () => {
+
+        await test('Results use only the parentheses precedence needs', async () => {
+            assertEqual(texToExpression('\\sigma \\cdot \\left(y - x\\right)'), 'sigma*(y - x)');
+            assertEqual(texToExpression('{\\left(-x\\right)}^{2} - {x}^{{y}^{z}}'), '(-x)^2 - x^y^z');
+            assertEqual(texToExpression('x \\times (y+1) \\div 2'), 'x*(y + 1)/2');
+        });
+
+        await test('Juxtaposition multiplies and known names stay whole', async () => {
+            assertEqual(texToExpression('2\\pi xy'), '2*pi*x*y');
+            assertEqual(texToExpression('xy - \\beta z'), 'x*y - beta*z');
+            assertEqual(texToExpression('gCa x + v1'), 'gCa*x + v1');
+            assertEqual(texToExpression('x^23'), 'x^2*3');
+            assertEqual(texToExpression('\\frac12 k_{12}'), '1/2*k_12');
+        });
+
+        await test('Function commands take parenthesized or following arguments', async () => {
+            assertEqual(texToExpression('\\sin 2x \\cos y'), 'sin(2*x)*cos(y)');
+            assertEqual(texToExpression('\\sin^2 x + \\sin^{-1} y'), 'sin(x)^2 + asin(y)');
+            assertEqual(texToExpression('\\ln x^2 + \\log_2 y'), 'log(x^2) + log2(y)');
+            assertEqual(texToExpression('\\sqrt[3]{x} + \\lfloor y \\rfloor'), 'x^(1/3) + floor(y)');
+            assertEqual(texToExpression('|x||y| + \\operatorname{sgn} x'), 'abs(x)*abs(y) + sgn(x)');
+        });
+
+        await test('Cases become conditionals', async () => {
+            assertEqual(texToExpression('\\begin{cases} x, & \\text{if } x \\geq 0 \\\\ -x, & \\text{otherwise.} \\end{cases}'),
+                'if(x >= 0, x, -x)');
+            throwsWith(() => texToExpression('\\begin{cases} x & x > 0 \\end{cases}'), "'otherwise' row");
+        });
+
+        await test('Derivatives on the left give derivative notation', async () => {
+            assertEqual(texToExpression('\\frac{d^{2}x}{dt^{2}} = -x - 0.1\\dot{x}'), "x'' = -x - 0.1*x'");
+            assertEqual(texToExpression('\\frac{\\mathrm{d}y}{\\mathrm{d}t} = x'), "y' = x");
+            assertEqual(texToExpression('\\ddot x = -\\sin x'), "x'' = -sin(x)");
+            assertEqual(texToExpression("x'' = -\\frac{x}{2}"), "x'' = -(x/2)");
+        });
+
+        await test('Unreadable LaTeX is reported', async () => {
+            throwsWith(() => texToExpression('y = x'), "Unexpected '='");
+            throwsWith(() => texToExpression('\\frac{x}{'), 'LaTeX error: Unexpected end of input');
+            throwsWith(() => texToExpression('\\nabla x'), 'Unsupported LaTeX command \\nabla');
+            throwsWith(() => texToExpression('\\frac{d^2x}{dt} = 1'), 'mismatched derivative orders');
+        });
+
+        await test('Only inputs with commands or braces are LaTeX', async () => {
+            assert(isTeXInput('\\sin x'));
+            assert(isTeXInput('x^{2}'));
+            assert(!isTeXInput("x'' = -sin(x)"));
+        });
+
+        await test('Field workflow converts LaTeX equations', async () => {
+            const workflow = new FieldEquationWorkflow();
+            assertEqual(workflow.prepareExpressions(['-\\frac{y}{2}', '\\sin x']).join(' | '), '-(y/2) | sin(x)');
+            assertEqual(workflow.prepareExpressions(['\\ddot{x} = -x']).join(' | '), 'y | -x');
+        });
+    });
+
+    setCustomFunctions('');
+    setModelParameters([]);
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
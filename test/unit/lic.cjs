@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the LIC background layer
+ * Tests the generated program and when the texture is recomputed
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assert } = require('../helpers/test-runner.cjs');
+
+const { LICManager, LIC_STEPS, generateLICFragmentShader } = require('../../src/webgl/lic.js');
+const { generateTonemapFragmentShader } = require('../../src/webgl/shaders.js');
+const { parseVectorField } = require('../../src/math/parser.js');
+const { getTransform } = require('../../src/math/transforms.js');
+
+/**
+ * Minimal WebGL stand-in: every create* returns a fresh object, status queries
+ * succeed and draws are counted
+ */
+function createMockGL() {
+    const gl = {
+        draws: 0,
+        drawArrays() { this.draws++; },
+        getShaderParameter: () => true,
+        getProgramParameter: () => true
+    };
+    return new Proxy(gl, {
+        get: (target, key) => {
+            if (key in target) return target[key];
+            if (typeof key === 'string' && key.startsWith('create')) return () => ({});
+            return () => {};
+        }
+    });
+}
+
+function createManager(expressions = ['y', '-x']) {
+    const gl = createMockGL();
+    const manager = new LICManager(gl);
+    manager.initialize({
+        dimensions: expressions.length,
+        velocityExpressions: parseVectorField(expressions),
+        displayDims: [0, 1]
+    });
+    return { gl, manager };
+}
+
+const frame = {
+    bbox: { min: [-2, -1], max: [2, 1] },
+    width: 400,
+    height: 200,
+    time: 0,
+    alpha: 0,
+    length: 20,
+    animate: false,
+    phase: 0,
+    quadBuffer: {}
+};
+
+async function runTests() {
+    await describe('LIC Program', async () => {
+
+        await test('Streamlines are traced both ways along the displayed plane', async () => {
+            const source = generateLICFragmentShader(3, parseVectorField(['y', '-x', '-z']), [0, 2]);
+            assert(source.includes(`for (int i = 1; i <= ${LIC_STEPS}; i++)`), source);
+            assert(source.includes('trace(start, 1.0, sum, weight, weight2);'), source);
+            assert(source.includes('trace(start, -1.0, sum, weight, weight2);'), source);
+            assert(source.includes('pos.z = u_min.y + pixel.y * world_per_pixel.y;'), source);
+            assert(source.includes('vec3 moved = get_velocity(pos, u_time);'), source);
+        });
+
+        await test('Domain transforms step in transformed coordinates', async () => {
+            const transform = getTransform('tanh');
+            const transformCode = {
+                helpers: transform.generateHelpers(2),
+                forward: transform.generateForward(2),
+                inverse: transform.generateInverse(2),
+                jacobian: transform.generateJacobian(2)
+            };
+            const source = generateLICFragmentShader(2, parseVectorField(['y', '-x']), [0, 1], null, transformCode);
+            assert(source.includes('uniform vec4 u_transform_params;'), source);
+            assert(source.includes('vec2 q = transform_forward(pos);'), source);
+            assert(source.includes('transform_inverse(q + eps * rate) - pos'), source);
+        });
+
+        await test('Tone mapping adds the background only when asked', async () => {
+            assert(!generateTonemapFragmentShader().includes('u_background'));
+            const source = generateTonemapFragmentShader('', true);
+            assert(source.includes('hdrColor += u_background_intensity * texture2D(u_background, v_texcoord).rgb;'), source);
+        });
+    });
+
+    await describe('LIC Updates', async () => {
+
+        await test('The texture is only recomputed when something changed', async () => {
+            const { gl, manager } = createManager();
+            manager.update(frame);
+            manager.update(frame);
+            assertEqual(gl.draws, 1);
+
+            manager.update({ ...frame, bbox: { min: [-1, -1], max: [1, 1] } });
+            assertEqual(gl.draws, 2);
+            manager.update({ ...frame, bbox: { min: [-1, -1], max: [1, 1] }, width: 200 });
+            assertEqual(gl.draws, 3);
+        });
+
+        await test('Time only matters for time-dependent fields', async () => {
+            const autonomous = createManager();
+            autonomous.manager.update(frame);
+            autonomous.manager.update({ ...frame, time: 1 });
+            assertEqual(autonomous.gl.draws, 1);
+
+            const forced = createManager(['y', '-x + cos(t)']);
+            forced.manager.update(frame);
+            forced.manager.update({ ...frame, time: 1 });
+            assertEqual(forced.gl.draws, 2);
+        });
+
+        await test('The phase only matters while animated, modulo one cycle', async () => {
+            const { gl, manager } = createManager();
+            manager.update(frame);
+            manager.update({ ...frame, phase: 0.5 });
+            assertEqual(gl.draws, 1);
+
+            manager.update({ ...frame, animate: true, phase: 0.25 });
+            manager.update({ ...frame, animate: true, phase: 1.25 });
+            assertEqual(gl.draws, 2);
+            manager.update({ ...frame, animate: true, phase: 0.5 });
+            assertEqual(gl.draws, 3);
+        });
+
+        await test('Nothing is drawn before initialization or after dispose', async () => {
+            const { gl, manager } = createManager();
+            manager.dispose();
+            manager.update(frame);
+            assertEqual(gl.draws, 0);
+            assertEqual(manager.initialized, false);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for finite-time Lyapunov exponent tracking
+ * Tests the tangent GLSL generation, the Lyapunov texture channels and the debug summary
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertApproxEqual, assertDeepEqual, assert } = require('../helpers/test-runner.cjs');
+
+const { generateTangentVelocityGLSL, generateLyapunovPassGLSL, summarizeLyapunovExponents } = require('../../src/math/lyapunov.js');
+const { generateUpdateFragmentShader } = require('../../src/webgl/shaders.js');
+const { parseVectorField } = require('../../src/math/parser.js');
+const { getIntegrator } = require('../../src/math/integrators.js');
+const { getColorMode, generateGradientColorMode } = require('../../src/math/colors.js');
+const { TextureManager } = require('../../src/webgl/textures.js');
+const { FloatStrategy } = require('../../src/webgl/strategies/float-strategy.js');
+
+/**
+ * Minimal WebGL stand-in: textures are numbered objects, uploads are recorded
+ */
+function createMockGL() {
+    let nextId = 0;
+    const noop = () => {};
+    return {
+        TEXTURE_2D: 1, FLOAT: 2, RGBA: 3, TEXTURE0: 100,
+        deleted: [],
+        createTexture: () => ({ id: nextId++ }),
+        deleteTexture(texture) { this.deleted.push(texture); },
+        bindTexture: noop,
+        texParameteri: noop,
+        texImage2D: noop,
+        createFramebuffer: () => ({}),
+        bindFramebuffer: noop,
+        framebufferTexture2D: noop,
+        readPixels: noop,
+        deleteFramebuffer: noop,
+        getExtension: () => ({})
+    };
+}
+
+function createManager(dimensions = 3, resolution = 4) {
+    const gl = createMockGL();
+    const manager = new TextureManager(gl, dimensions, resolution, new FloatStrategy(gl));
+    return { gl, manager };
+}
+
+async function runTests() {
+    await describe('Tangent GLSL', async () => {
+
+        await test('Symbolic Jacobian multiplies out J(p) v', async () => {
+            const glsl = generateTangentVelocityGLSL(2, [['0', '1'], ['-cos(x)', '-0.5']]);
+            assert(glsl.includes('result.x = (0.0) * v.x + (1.0) * v.y;'), glsl);
+            assert(glsl.includes('cos(p.x)'), glsl);
+            assert(!glsl.includes('get_velocity'), 'symbolic version should not difference the field');
+        });
+
+        await test('Without a Jacobian the field is differenced along v', async () => {
+            const glsl = generateTangentVelocityGLSL(3, null);
+            assert(glsl.includes('get_velocity(p + eps * v, t) - get_velocity(p - eps * v, t)'), glsl);
+        });
+
+        await test('An uncompilable Jacobian falls back to finite differences', async () => {
+            const glsl = generateTangentVelocityGLSL(2, [['0', '1'], ['x +* y', '0']]);
+            assert(glsl.includes('get_velocity(p + eps * v, t)'), glsl);
+        });
+
+        await test('Passes write N tangent components, the exponent and the time', async () => {
+            const glsl = generateLyapunovPassGLSL(3, 'pos', 'new_pos');
+            assert(glsl.includes('u_out_coordinate >= 4'), 'first pass follows the step-size pass');
+            assert(glsl.includes('u_out_coordinate == 6'), 'last tangent component');
+            assert(glsl.includes('u_out_coordinate == 7'), 'exponent pass');
+            assert(glsl.includes('tangent_step(pos, new_pos, tangent, u_time, u_h)'), glsl);
+        });
+
+        await test('Update shader only tracks tangents when asked', async () => {
+            const velocity = parseVectorField(['y', '-x']);
+            const integrator = getIntegrator('rk4', 2);
+            const strategy = new FloatStrategy(createMockGL());
+            const plain = generateUpdateFragmentShader(2, velocity, integrator.code, strategy);
+            const tracked = generateUpdateFragmentShader(2, velocity, integrator.code, strategy, null, null, null, false, null, [], { jacobian: null });
+            assert(!plain.includes('u_tangent_0'), 'plain shader samples tangents');
+            assert(tracked.includes('uniform sampler2D u_tangent_1;'), 'tangent samplers missing');
+            assert(tracked.includes('uniform sampler2D u_lyapunov_time;'), 'time sampler missing');
+        });
+    });
+
+    await describe('Lyapunov Color Mode', async () => {
+
+        await test('Color mode asks for gradient and exponent', async () => {
+            const mode = getColorMode('lyapunov', 3);
+            assertEqual(mode.usesGradient, true);
+            assertEqual(mode.usesLyapunov, true);
+            const code = generateGradientColorMode('lyapunov', 3, 'vec3 evaluateGradient(float t) { return vec3(t); }');
+            assert(code.includes('v_lyapunov / u_lyapunov_range'), code);
+        });
+    });
+
+    await describe('Lyapunov Textures', async () => {
+
+        await test('Enabling creates N + 2 read/write pairs', async () => {
+            const { manager } = createManager(3);
+            manager.setLyapunovEnabled(true);
+            assertEqual(manager.lyapunovReadTextures.length, 5);
+            assertEqual(manager.lyapunovWriteTextures.length, 5);
+            assertEqual(manager.getLyapunovWriteTexture(3), manager.lyapunovWriteTextures[3]);
+        });
+
+        await test('Swap exchanges the Lyapunov pairs', async () => {
+            const { manager } = createManager(2);
+            manager.setLyapunovEnabled(true);
+            const written = [...manager.lyapunovWriteTextures];
+            const read = [...manager.lyapunovReadTextures];
+            manager.swap();
+            assertDeepEqual(manager.lyapunovReadTextures, written);
+            assertDeepEqual(manager.lyapunovWriteTextures, read);
+        });
+
+        await test('New particles start with fresh textures', async () => {
+            const { gl, manager } = createManager(2);
+            manager.setLyapunovEnabled(true);
+            const old = [...manager.lyapunovReadTextures, ...manager.lyapunovWriteTextures];
+            manager.initializeData([new Float32Array(64), new Float32Array(64)]);
+            assert(old.every(texture => gl.deleted.includes(texture)), 'old textures not deleted');
+            assertEqual(manager.lyapunovReadTextures.length, 4);
+        });
+
+        await test('Disabling deletes the textures', async () => {
+            const { gl, manager } = createManager(2);
+            manager.setLyapunovEnabled(true);
+            const textures = [...manager.lyapunovReadTextures, ...manager.lyapunovWriteTextures];
+            manager.setLyapunovEnabled(false);
+            assert(textures.every(texture => gl.deleted.includes(texture)), 'textures not deleted');
+            assertEqual(manager.lyapunovReadTextures.length, 0);
+            assertEqual(manager.readLyapunovTextures(), null);
+        });
+    });
+
+    await describe('Lyapunov Summary', async () => {
+
+        await test('Mean, range and histogram over tracked particles', async () => {
+            const stats = summarizeLyapunovExponents([-1, 0, 0.5, 1, 7], [2, 4, 4, 6, 0], 4);
+            assertEqual(stats.count, 4);
+            assertApproxEqual(stats.mean, 0.125, 1e-12);
+            assertEqual(stats.min, -1);
+            assertEqual(stats.max, 1);
+            assertApproxEqual(stats.meanTime, 4, 1e-12);
+            assertDeepEqual(stats.histogram.counts, [1, 0, 1, 2]);
+        });
+
+        await test('Non-finite exponents are skipped', async () => {
+            const stats = summarizeLyapunovExponents([NaN, 0.25, Infinity], [1, 1, 1], 2);
+            assertEqual(stats.count, 1);
+            assertDeepEqual(stats.histogram.counts, [1, 0]);
+        });
+
+        await test('No tracked particles gives null', async () => {
+            assertEqual(summarizeLyapunovExponents([0.3, 0.4], [0, 0]), null);
+            assertEqual(summarizeLyapunovExponents([], []), null);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
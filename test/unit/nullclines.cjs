@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the nullcline/isocline overlay
+ * Tests the zero-level quantities and colors in the generated fragment shader
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertApproxEqual, assertDeepEqual, assert } = require('../helpers/test-runner.cjs');
+
+const { generateNullclineFragmentShader } = require('../../src/webgl/shaders.js');
+const { parseVectorField } = require('../../src/math/parser.js');
+
+const LORENZ = ['10*(y - x)', 'x*(28 - z) - y', 'x*y - 8/3*z'];
+
+function nullclineShader(curves, displayDims = [0, 2], expressions = LORENZ) {
+    return generateNullclineFragmentShader(expressions.length, parseVectorField(expressions), curves, displayDims);
+}
+
+/**
+ * Evaluate the quantity of curve k (a 3D vec3 expression) at a velocity
+ */
+function curveValue(shader, k, vel) {
+    const match = shader.match(new RegExp(`float curve_${k}\\(vec3 vel\\) \\{ return (.+); \\}`));
+    assert(match, `curve_${k} not found`);
+    return new Function('vel', `return ${match[1]};`)(vel);
+}
+
+/**
+ * Uniforms the shader reads without declaring them (a compile error in WebGL)
+ */
+function undeclaredUniforms(shader) {
+    const declared = new Set([...shader.matchAll(/uniform \w+ (u_\w+)/g)].map(match => match[1]));
+    return [...new Set(shader.match(/\bu_\w+/g))].filter(name => !declared.has(name));
+}
+
+async function runTests() {
+    await describe('Nullclines', async () => {
+
+        await test('Each nullcline is the zero contour of its own component', async () => {
+            const shader = nullclineShader([0, 1, 2].map(component => ({ type: 'nullcline', component })));
+            const vel = { x: 3, y: -5, z: 7 };
+            assertEqual(curveValue(shader, 0, vel), 3);
+            assertEqual(curveValue(shader, 1, vel), -5);
+            assertEqual(curveValue(shader, 2, vel), 7);
+        });
+
+        await test('Every curve is composited with its own coverage', async () => {
+            const shader = nullclineShader([{ type: 'nullcline', component: 0 }, { type: 'nullcline', component: 2 }]);
+            for (const k of [0, 1]) {
+                assert(shader.includes(`line_coverage(curve_${k}(vel), curve_${k}(vel_x), curve_${k}(vel_y))`), `curve ${k} is not drawn`);
+            }
+            assert(!shader.includes('curve_2'), 'Only the requested curves are generated');
+        });
+    });
+
+    await describe('Isoclines', async () => {
+
+        await test('Isoclines vanish where the displayed slope is k', async () => {
+            // Displayed plane (x, z): d(z)/d(x) = vel.z / vel.x
+            const shader = nullclineShader([{ type: 'isocline', slope: -1.5 }]);
+            assertApproxEqual(curveValue(shader, 0, { x: 2, y: 9, z: -3 }), 0, 1e-12);
+            assertApproxEqual(curveValue(shader, 0, { x: 2, y: 0, z: 1 }), 4, 1e-12);
+        });
+
+        await test('Integer slopes are valid GLSL floats', async () => {
+            const shader = nullclineShader([{ type: 'isocline', slope: 2 }], [0, 1]);
+            assert(shader.includes('vel.y - 2.0 * vel.x'), 'Slope 2 should be written as 2.0');
+        });
+    });
+
+    await describe('Colors', async () => {
+
+        await test('Every uniform the shader reads is declared', async () => {
+            assertDeepEqual(undeclaredUniforms(nullclineShader([{ type: 'nullcline', component: 0 }])), []);
+            // The animation parameter a reads u_alpha
+            const animated = nullclineShader([{ type: 'nullcline', component: 1 }], [0, 1], ['-y', 'x*a']);
+            assert(animated.includes('u_alpha'), 'Field does not use u_alpha');
+            assertDeepEqual(undeclaredUniforms(animated), []);
+        });
+
+        await test('Each curve has its own color uniform', async () => {
+            const curves = [
+                { type: 'nullcline', component: 0 },
+                { type: 'nullcline', component: 2 },
+                { type: 'isocline', slope: 0.5 }
+            ];
+            const shader = nullclineShader(curves);
+            curves.forEach((_, k) => {
+                assert(shader.includes(`uniform vec4 u_curve_color_${k};`), `u_curve_color_${k} is not declared`);
+                assert(shader.includes(`* u_curve_color_${k}.a;`), `curve ${k} ignores its alpha`);
+                assert(shader.includes(`vec4(u_curve_color_${k}.rgb * a, a)`), `curve ${k} ignores its color`);
+            });
+            assert(!shader.includes('u_curve_color_3'), 'No uniform beyond the last curve');
+            assert(shader.includes('uniform float u_line_width;'), 'Line width uniform');
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,198 @@
+/**
+ * Unit tests for XPPAUT model files
+ * Tests .ode import into presets, syntax translation, warnings and export
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assert } = require('../helpers/test-runner.cjs');
+
+const { parseODEFile, exportODEFile } = require('../../src/math/ode-file.js');
+const {
+    setCustomFunctions,
+    setModelParameters,
+    parseModelParameters,
+    createVelocityEvaluators,
+    parseExpressionToXPP
+} = require('../../src/math/parser.js');
+
+const MORRIS_LECAR = `# Morris-Lecar
+dV/dt = (I + gL*(VL-V) + gK*w*(VK-V) + gCa*minf(V)*(VCa-V))/C
+dw/dt = phi*(winf(V)-w)/tauw(V)
+minf(v)=.5*(1+tanh((v-v1)/v2))
+winf(v)=.5*(1+tanh((v-v3)/v4))
+tauw(v)=1/cosh((v-v3)/(2*v4))
+param VL=-60,VK=-84,VCa=120
+param I=0,gK=8,gL=2,gCa=4,C=20
+param v1=-1.2,v2=18,v3=2,v4=30,phi=.04
+init V=-60.899, w=0.0149
+aux Iion=gL*(V-VL)
+@ total=150,dt=.25,meth=qualrk,xp=V,yp=w
+@ xlo=-75,xhi=45,ylo=-.1,yhi=.5
+done
+`;
+
+/**
+ * Register an imported preset's functions and parameters, return its evaluators
+ */
+function loadEvaluators(preset) {
+    setCustomFunctions(preset.customFunctions);
+    setModelParameters(parseModelParameters(preset.modelParameters));
+    return createVelocityEvaluators(preset.expressions);
+}
+
+function throwsWith(fn, text) {
+    try {
+        fn();
+    } catch (error) {
+        assert(error.message.includes(text), `Expected "${text}" in "${error.message}"`);
+        return;
+    }
+    throw new Error(`Expected an error mentioning "${text}"`);
+}
+
+async function runTests() {
+    await describe('Import', async () => {
+
+        await test('Equations, parameters and functions map onto the preset', async () => {
+            const { preset, variables } = parseODEFile(MORRIS_LECAR, 'Morris-Lecar');
+            assertEqual(variables.v, 'x');
+            assertEqual(variables.w, 'y');
+            assertEqual(preset.dimensions, 2);
+            assertEqual(preset.expressions[1], 'phi*(winf(x)-y)/tauw(x)');
+            assertEqual(parseModelParameters(preset.modelParameters).length, 13);
+            assert(preset.customFunctions.includes('minf(v) = .5*(1+tanh((v-v1)/v2))'), preset.customFunctions);
+
+            const [fx, fy] = loadEvaluators(preset);
+            const minf = 0.5 * (1 + Math.tanh((-60 + 1.2) / 18));
+            assertEqual(fx(-60, 0, 0), 4 * minf * 180 / 20);
+            assert(Math.abs(fy(2, 0.5, 0)) < 1e-12);
+        });
+
+        await test('Options set timestep, integrator, view and seeding', async () => {
+            const { preset, warnings } = parseODEFile(MORRIS_LECAR, 'Morris-Lecar');
+            assertEqual(preset.timestep, 0.25);
+            assertEqual(preset.integratorType, 'rkf45');
+            assertEqual(preset.bbox.min.join(), '-75,-0.1');
+            assertEqual(preset.bbox.max.join(), '45,0.5');
+            assertEqual(preset.seedingType, 'gaussian');
+            assertEqual(preset.seedingParams.center, '-60.899, 0.0149');
+            assert(!('mapperType' in preset));
+            assert(warnings.some(w => w.includes("'aux'")), warnings.join('; '));
+            assert(warnings.some(w => w.includes('Ignored options: total')), warnings.join('; '));
+        });
+
+        await test('XPPAUT syntax is translated', async () => {
+            const { preset } = parseODEFile([
+                "x' = y",
+                "y' = -x**3 + if(x>0&y<1)then(1e-3)else(-2.5E2) + heav(x)*flr(y) + ln(2) \\",
+                '     + delay(x, tau)',
+                'par tau=1'
+            ].join('\n'));
+            assertEqual(preset.expressions[1],
+                '-x^3 + if(x>0&&y<1, (1*10^(-3)), -(2.5*10^(2))) + heaviside(x)*floor(y) + log(2)      + x(t - ((1)))');
+            // CPU evaluators read the delayed term at the current state
+            const [, fy] = loadEvaluators(preset);
+            assert(Math.abs(fy(1, 0.5, 0) - (-1 + 0.001 + 0 + Math.log(2) + 1)) < 1e-12);
+        });
+
+        await test('Fixed quantities are substituted and reserved names renamed', async () => {
+            const { preset, warnings } = parseODEFile([
+                'par a=2, e=3',
+                'k = a*e',
+                'k2 = k + 1',
+                'dP/dt = -k2*P + Q',
+                'dQ/dt = P',
+                'P(0)=1',
+                '@ xp=Q, yp=P'
+            ].join('\n'));
+            assertEqual(preset.expressions[0], '-((a_*e_) + 1)*x + y');
+            assertEqual(preset.modelParameters, 'a_ = 2\ne_ = 3');
+            assert(warnings.some(w => w.includes("Renamed 'a' to 'a_'")), warnings.join('; '));
+            assertEqual(preset.mapperType, 'select');
+            assertEqual(preset.mapperParams.dim1, 1);
+            assertEqual(preset.mapperParams.dim2, 0);
+            assertEqual(preset.seedingParams.center, '1, 0');
+        });
+
+        await test('Unsupported content is reported, not imported', async () => {
+            const { preset, warnings } = parseODEFile([
+                'wiener q',
+                'x(t+1) = x/2',
+                "x' = -x + ran(1)",
+                '@ meth=gear, bounds=100',
+                'what is this'
+            ].join('\n'));
+            assertEqual(preset.dimensions, 2);
+            assertEqual(preset.expressions[1], '0');
+            const text = warnings.join('; ');
+            assert(text.includes("Line 1: 'wiener'"), text);
+            assert(text.includes('Line 2: difference equations'), text);
+            assert(text.includes('ran() is not supported'), text);
+            assert(text.includes("method 'gear'"), text);
+            assert(text.includes('Ignored options: bounds'), text);
+            assert(text.includes('Line 5: could not read'), text);
+            assert(text.includes('1D model'), text);
+        });
+
+        await test('Files without usable equations are rejected', async () => {
+            throwsWith(() => parseODEFile('par a=1\ndone'), 'No differential equations');
+            throwsWith(() => parseODEFile("a'=1\nb'=1\nc'=1\nd'=1\nf'=1\ng'=1\nh'=1"), 'at most 6');
+        });
+    });
+
+    await describe('Export', async () => {
+
+        await test('Expressions are written in XPPAUT syntax', async () => {
+            assertEqual(parseExpressionToXPP('x > 0 && !(y < 1) ? x % 2 : sgn(y)'),
+                'if(((x > 0) & not((y < 1))))then(mod(x, 2))else(sign(y))');
+            assertEqual(parseExpressionToXPP('step(1, x) + clamp(y, 0, 1) + e'),
+                '((heav(x - 1) + min(max(y, 0), 1)) + exp(1))');
+            throwsWith(() => parseExpressionToXPP('dot(x, y)'), 'no XPPAUT equivalent');
+        });
+
+        await test('Exported files import back to the same system', async () => {
+            const settings = {
+                expressions: ['sigma*(y - x)', 'x*(rho - z) - y', 'x*y - beta*z'],
+                modelParameters: 'sigma = 10 [0, 30]\nrho = 28\nbeta = 8/3',
+                parameterValues: { rho: 20 },
+                customFunctions: 'sq(s) = s*s',
+                timestep: 0.005,
+                integratorType: 'rk4',
+                mapperType: 'select',
+                mapperParams: { dim1: 0, dim2: 2 },
+                bbox: { min: [-20, 0], max: [20, 50] },
+                seedingType: 'gaussian',
+                seedingParams: { center: '1, 1, 1', sigma: 0.5 }
+            };
+            setCustomFunctions(settings.customFunctions);
+            const text = exportODEFile(settings, 'Lorenz');
+            assert(text.includes('dz/dt=(x * y) - (beta * z)'), text);
+            assert(text.includes('sq(s)=s * s'), text);
+            assert(text.includes('@ dt=0.005, meth=rungekutta, xp=x, yp=z, xlo=-20, xhi=20, ylo=0, yhi=50'), text);
+
+            const { preset, warnings } = parseODEFile(text, 'Lorenz');
+            assertEqual(warnings.length, 0);
+            assertEqual(preset.integratorType, 'rk4');
+            assertEqual(preset.mapperParams.dim2, 2);
+            assertEqual(preset.seedingParams.center, '1, 1, 1');
+            const definitions = parseModelParameters(preset.modelParameters);
+            assertEqual(definitions.find(d => d.name === 'rho').value, 20);
+            const [, fy] = loadEvaluators(preset);
+            assertEqual(fy(1, 2, 3), 15);
+        });
+
+        await test('Higher-order equations export as the first-order system', async () => {
+            const text = exportODEFile({ expressions: ["x'' = -x"] });
+            assert(text.includes('dx/dt=y\ndy/dt=-x'), text);
+        });
+    });
+
+    setCustomFunctions('');
+    setModelParameters([]);
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for named model parameters
+ * Tests the parameter block syntax, code generation and live value updates
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assert } = require('../helpers/test-runner.cjs');
+
+const {
+    parseModelParameters,
+    setModelParameters,
+    setModelParameterValues,
+    getModelParameterValues,
+    parseVectorField,
+    getGLSLFunctionDeclarations,
+    createVelocityEvaluators,
+    parseExpressionToTeX,
+    evaluateConstantExpression
+} = require('../../src/math/parser.js');
+const { LICManager } = require('../../src/webgl/lic.js');
+const { Animator } = require('../../src/animation/animator.js');
+
+const LORENZ = 'sigma = 10 [0, 30]\nrho = 28 [0, 50]\nbeta = 8/3';
+
+function throwsWith(fn, text) {
+    try {
+        fn();
+    } catch (error) {
+        assert(error.message.includes(text), `Expected "${text}" in "${error.message}"`);
+        return;
+    }
+    throw new Error(`Expected an error mentioning "${text}"`);
+}
+
+/**
+ * Minimal WebGL stand-in: every create* returns a fresh object, status queries
+ * succeed, draws are counted and float uniforms are recorded
+ */
+function createMockGL() {
+    const gl = {
+        draws: 0,
+        uniforms: {},
+        drawArrays() { this.draws++; },
+        getUniformLocation: (program, name) => name,
+        uniform1f(location, value) { this.uniforms[location] = value; },
+        getShaderParameter: () => true,
+        getProgramParameter: () => true
+    };
+    return new Proxy(gl, {
+        get: (target, key) => {
+            if (key in target) return target[key];
+            if (typeof key === 'string' && key.startsWith('create')) return () => ({});
+            return () => {};
+        }
+    });
+}
+
+async function runTests() {
+    await describe('Parameter Block', async () => {
+
+        await test('Values, ranges and comments are parsed in order', async () => {
+            const definitions = parseModelParameters(`# Lorenz\n${LORENZ}\n\n// unused\nk = -2`);
+            assertEqual(definitions.map(d => d.name).join(','), 'sigma,rho,beta,k');
+            assertEqual(definitions[0].min, 0);
+            assertEqual(definitions[0].max, 30);
+            assert(Math.abs(definitions[2].value - 8 / 3) < 1e-12);
+        });
+
+        await test('Missing ranges default to the value plus or minus its magnitude', async () => {
+            const [k, zero] = parseModelParameters('k = -2\nzero = 0');
+            assertEqual(k.min, -4);
+            assertEqual(k.max, 0);
+            assertEqual(zero.min, -1);
+            assertEqual(zero.max, 1);
+        });
+
+        await test('Invalid lines report their line number', async () => {
+            throwsWith(() => parseModelParameters('sigma = 10\nx = 1'), 'Line 2');
+            throwsWith(() => parseModelParameters('sin = 1'), 'Line 1');
+            throwsWith(() => parseModelParameters('k = 1\nk = 2'), 'Line 2');
+            throwsWith(() => parseModelParameters('k = 1 [2, 2]'), 'Line 1');
+            throwsWith(() => parseModelParameters('k = y'), 'Line 1');
+        });
+
+        await test('The noise increment dW is not a parameter name', async () => {
+            throwsWith(() => parseModelParameters('sigma = 0.3\ndW = 1'), 'Line 2');
+        });
+    });
+
+    await describe('Code Generation', async () => {
+
+        await test('Shaders read parameters from uniforms', async () => {
+            setModelParameters(parseModelParameters(LORENZ));
+            const glsl = parseVectorField(['sigma*(y-x)', 'x*(rho-z)-y', 'x*y-beta*z']);
+            assert(glsl[0].includes('u_param_sigma'), glsl[0]);
+            assert(glsl[2].includes('u_param_beta'), glsl[2]);
+            const declarations = getGLSLFunctionDeclarations();
+            assert(declarations.includes('uniform float u_param_sigma;'), declarations);
+            assert(declarations.includes('uniform float u_param_rho;'), declarations);
+        });
+
+        await test('CPU evaluators follow live values without rebuilding', async () => {
+            setModelParameters(parseModelParameters(LORENZ));
+            const [fx] = createVelocityEvaluators(['sigma*(y-x)', 'x*(rho-z)-y', 'x*y-beta*z']);
+            assertEqual(fx(0, 1, 0), 10);
+            setModelParameterValues({ sigma: 2, unknown: 5, rho: NaN });
+            assertEqual(fx(0, 1, 0), 2);
+            assertEqual(getModelParameterValues().rho, 28);
+            assert(!('unknown' in getModelParameterValues()));
+            assertEqual(evaluateConstantExpression('sigma + 1'), 3);
+        });
+
+        await test('Greek names render as TeX letters', async () => {
+            setModelParameters(parseModelParameters(LORENZ));
+            const tex = parseExpressionToTeX('sigma*(y-x)', 3);
+            assert(tex.includes('\\sigma'), tex);
+        });
+    });
+
+    await describe('Live Values', async () => {
+
+        await test('Background layers redraw when a value changes', async () => {
+            setModelParameters(parseModelParameters(LORENZ));
+            const gl = createMockGL();
+            const manager = new LICManager(gl);
+            manager.initialize({
+                dimensions: 2,
+                velocityExpressions: parseVectorField(['y', '-sigma*x']),
+                displayDims: [0, 1]
+            });
+            const frame = {
+                bbox: { min: [-1, -1], max: [1, 1] },
+                width: 100, height: 100, time: 0, alpha: 0, length: 10,
+                animate: false, phase: 0, quadBuffer: {},
+                parameters: { sigma: 10 }
+            };
+            manager.update(frame);
+            manager.update({ ...frame, parameters: { sigma: 10 } });
+            assertEqual(gl.draws, 1);
+            manager.update({ ...frame, parameters: { sigma: 4 } });
+            assertEqual(gl.draws, 2);
+            assertEqual(gl.uniforms.u_param_sigma, 4);
+        });
+
+        await test('Keyframes interpolate each parameter', async () => {
+            const animator = new Animator(null, null);
+            const mid = animator.interpolateValue({ sigma: 10, rho: 20 }, { sigma: 20, rho: 30 }, 0.5);
+            assertEqual(mid.sigma, 15);
+            assertEqual(mid.rho, 25);
+        });
+    });
+
+    setModelParameters([]);
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
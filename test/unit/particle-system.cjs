@@ -0,0 +1,92 @@
+/**
+ * Unit tests for ParticleSystem storage ranges
+ * Tests per-dimension ranges used to encode dimensions beyond x and y, and fitting them
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertDeepEqual, assert } = require('../helpers/test-runner.cjs');
+
+const { ParticleSystem, DEFAULT_DIMENSION_RANGE } = require('../../src/particles/system.js');
+const { FloatStrategy } = require('../../src/webgl/strategies/float-strategy.js');
+const { Renderer } = require('../../src/webgl/renderer.js');
+
+const bbox = { min: [-2, -3], max: [2, 3] };
+
+// Float strategy stores world values directly in the red channel
+const strategy = new FloatStrategy({ getExtension: () => ({}) });
+
+// Just what fitDimensionRanges reads: z relaxes to 5
+function createFitRenderer() {
+    return {
+        dimensions: 3,
+        timestep: 0.05,
+        simulationTime: 0,
+        particleSystem: new ParticleSystem(16, 3, bbox, strategy),
+        velocityEvaluators: [(x) => -x, (x, y) => -y, (x, y, z) => 5 - z]
+    };
+}
+
+async function runTests() {
+    await describe('Dimension Ranges', async () => {
+
+        await test('x and y use the viewport bbox', async () => {
+            const system = new ParticleSystem(16, 3, bbox, strategy);
+            assertDeepEqual(system.getDimensionRange(0), { min: -2, max: 2 });
+            assertDeepEqual(system.getDimensionRange(1), { min: -3, max: 3 });
+        });
+
+        await test('Higher dimensions default to [-10, 10]', async () => {
+            const system = new ParticleSystem(16, 4, bbox, strategy);
+            assertDeepEqual(system.getDimensionRange(2), DEFAULT_DIMENSION_RANGE);
+            assertDeepEqual(system.getDimensionRange(3), { min: -10, max: 10 });
+        });
+
+        await test('Configured ranges are keyed by variable name', async () => {
+            const system = new ParticleSystem(16, 6, bbox, strategy, { z: { min: 0, max: 50 }, v: { min: -1, max: 1 } });
+            assertDeepEqual(system.getDimensionRange(2), { min: 0, max: 50 });
+            assertDeepEqual(system.getDimensionRange(3), DEFAULT_DIMENSION_RANGE);
+            assertDeepEqual(system.getDimensionRange(5), { min: -1, max: 1 });
+        });
+
+        await test('Initial positions stay inside the storage range', async () => {
+            const system = new ParticleSystem(64, 3, bbox, strategy, { z: { min: 0, max: 50 } });
+            const z = system.getDimensionData(2);
+            let inside = true;
+            for (let i = 0; i < system.actualParticleCount; i++) {
+                const value = z[i * 4];
+                if (value < -1.0 || value > 51.0) inside = false;
+            }
+            assertEqual(inside, true);
+        });
+
+        await test('setDimensionRanges replaces ranges', async () => {
+            const system = new ParticleSystem(16, 3, bbox, strategy, { z: { min: 0, max: 50 } });
+            system.setDimensionRanges({});
+            assertDeepEqual(system.getDimensionRange(2), DEFAULT_DIMENSION_RANGE);
+        });
+    });
+
+    await describe('Range Fitting', async () => {
+
+        await test('Fitted range covers where trajectories settle', async () => {
+            const renderer = createFitRenderer();
+            const ranges = await Renderer.prototype.fitDimensionRanges.call(renderer, { samples: 20, steps: 400, chunkSize: 5 });
+            assert(ranges.z.min < 5 && ranges.z.max > 5, JSON.stringify(ranges));
+            assert(ranges.z.max - ranges.z.min < 1, JSON.stringify(ranges));
+        });
+
+        await test('Changing the field between chunks abandons the fit', async () => {
+            const renderer = createFitRenderer();
+            const fit = Renderer.prototype.fitDimensionRanges.call(renderer, { samples: 20, steps: 10, chunkSize: 5 });
+            renderer.velocityEvaluators = [...renderer.velocityEvaluators];
+            assertEqual(await fit, null);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
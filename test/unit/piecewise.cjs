@@ -0,0 +1,154 @@
+/**
+ * Unit tests for conditional and piecewise expressions
+ * Tests comparison/logical operators, if/ternary, step-like built-ins and the CAS bridge
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assert } = require('../helpers/test-runner.cjs');
+
+const {
+    parseExpression,
+    parseExpressionToTeX,
+    createVelocityEvaluators,
+    differentiatePiecewise
+} = require('../../src/math/parser.js');
+
+function throwsWith(fn, text) {
+    try {
+        fn();
+    } catch (error) {
+        assert(error.message.includes(text), `Expected "${text}" in "${error.message}"`);
+        return;
+    }
+    throw new Error(`Expected an error mentioning "${text}"`);
+}
+
+// Evaluate a 2D expression at (x, y)
+function evaluate(expression, x, y = 0) {
+    const [f] = createVelocityEvaluators([expression, '0']);
+    return f(x, y, 0);
+}
+
+/**
+ * Toy CAS for the bridge: derivatives of constant expressions, the variable
+ * itself and c*variable; anything else is marked as d(expr)
+ */
+function toyDifferentiate(expr, variable) {
+    const compact = expr.replace(/[\s()]/g, '');
+    if (!/[a-z]/.test(compact)) return '0';
+    if (compact === variable) return '1';
+    const scaled = compact.match(new RegExp(`^(-?[\\d.]+)\\*${variable}$`));
+    if (scaled) return scaled[1];
+    return `d(${expr})`;
+}
+
+async function runTests() {
+    await describe('Conditional Syntax', async () => {
+
+        await test('Ternary and if() generate the same GLSL', async () => {
+            const ternary = parseExpression('x > 0 ? y : -y', 2);
+            assertEqual(ternary, '((pos.x > 0.0) ? pos.y : (-pos.y))');
+            assertEqual(parseExpression('if(x > 0, y, -y)', 2), ternary);
+        });
+
+        await test('Chained conditionals nest in the else branch', async () => {
+            const glsl = parseExpression('x < 0 ? -1 : x < 1 ? 0 : 1', 2);
+            assertEqual(glsl, '((pos.x < 0.0) ? (-1.0) : ((pos.x < 1.0) ? 0.0 : 1.0))');
+            assertEqual(parseExpression('x ? y ? 1 : 2 : 3', 2),
+                '((pos.x != 0.0) ? ((pos.y != 0.0) ? 1.0 : 2.0) : 3.0)');
+        });
+
+        await test('Arithmetic binds tighter than comparisons, && tighter than ||', async () => {
+            assertEqual(evaluate('x + 1 > 2 * y', 2, 1), 1);
+            assertEqual(evaluate('-x^2 >= -1', 2), 0);
+            assertEqual(evaluate('x > 0 || x < 0 && y > 0', 1, -1), 1);
+            assertEqual(evaluate('!(x > 0) * 5', -1), 5);
+            assertEqual(evaluate('x != 2 == 1', 3), 1);
+        });
+
+        await test('Truth values read as 1 and 0', async () => {
+            const glsl = parseExpression('(x > 0) * y', 2);
+            assertEqual(glsl, '(((pos.x > 0.0) ? 1.0 : 0.0) * pos.y)');
+            assertEqual(evaluate('(x > 0) * y', 2, 3), 3);
+            assertEqual(evaluate('(x > 0) * y', -2, 3), 0);
+        });
+
+        await test('Unmatched conditionals and stray symbols are rejected', async () => {
+            throwsWith(() => parseExpression('x ? 1', 2), "missing its ':'");
+            throwsWith(() => parseExpression('x : 1', 2), "without a matching '?'");
+            throwsWith(() => parseExpression('if(x > 0 ? 1, 2, 3)', 2), "missing its ':'");
+            throwsWith(() => parseExpression('x = 1', 2), 'Unexpected character: =');
+            throwsWith(() => parseExpression('x & y', 2), 'Unexpected character: &');
+        });
+    });
+
+    await describe('Step-like Functions', async () => {
+
+        await test('JS evaluators match the GLSL built-ins', async () => {
+            assertEqual(evaluate('heaviside(x)', 0), 1);
+            assertEqual(evaluate('heaviside(x)', -0.1), 0);
+            assertEqual(evaluate('step(0.5, x)', 0.5), 1);
+            assertEqual(evaluate('step(0.5, x)', 0.4), 0);
+            assertEqual(evaluate('sgn(x)', -3), -1);
+            assertEqual(evaluate('clamp(x, -1, 1)', 4), 1);
+            assertEqual(evaluate('smoothstep(0, 2, x)', 1), 0.5);
+            assertEqual(evaluate('smoothstep(0, 2, x)', 3), 1);
+        });
+
+        await test('GLSL maps sgn and heaviside onto built-ins', async () => {
+            assertEqual(parseExpression('sgn(x)', 2), 'sign(pos.x)');
+            assertEqual(parseExpression('heaviside(x - y)', 2), 'step(0.0, (pos.x - pos.y))');
+            assertEqual(parseExpression('smoothstep(0, 1, x)', 2), 'smoothstep(0.0, 1.0, pos.x)');
+        });
+    });
+
+    await describe('TeX Display', async () => {
+
+        await test('Conditionals render as one cases environment', async () => {
+            const tex = parseExpressionToTeX('x < 0 ? -1 : x <= 1 ? 0 : 1', 2);
+            assertEqual(tex, '\\begin{cases} -1 & \\text{if } x < 0 \\\\ 0 & \\text{if } x \\leq 1 \\\\ 1 & \\text{otherwise} \\end{cases}');
+        });
+
+        await test('Logic uses math symbols and truth values get Iverson brackets', async () => {
+            assertEqual(parseExpressionToTeX('(x > 0 || y != 1) && !(y >= 2)', 2),
+                '\\left(x > 0 \\lor y \\neq 1\\right) \\land \\lnot\\left(y \\geq 2\\right)');
+            assertEqual(parseExpressionToTeX('(x > 0) * y', 2), '\\left[x > 0\\right] \\cdot y');
+            assertEqual(parseExpressionToTeX('sgn(x) + heaviside(y)', 2), '\\operatorname{sgn}(x) + H(y)');
+        });
+    });
+
+    await describe('CAS Bridge', async () => {
+
+        await test('Smooth expressions go to the CAS unchanged', async () => {
+            assertEqual(differentiatePiecewise('x*y - sin(x)', 'x', (e, v) => `D[${e}, ${v}]`), 'D[x*y - sin(x), x]');
+        });
+
+        await test('Each branch is differentiated, conditions are kept', async () => {
+            const derivative = differentiatePiecewise('x > 0 ? 2*x : -3*x', 'x', toyDifferentiate);
+            assertEqual(derivative, 'if((x > 0), 2, -3)');
+            assertEqual(evaluate(derivative, 1), 2);
+            assertEqual(evaluate(derivative, -1), -3);
+        });
+
+        await test('Conditionals inside other expressions are lifted out', async () => {
+            const derivative = differentiatePiecewise('clamp(x, -1, 1)', 'x', toyDifferentiate);
+            assertEqual(derivative, 'if((x < (-1)), 0, if((x > 1), 0, 1))');
+            assertEqual(differentiatePiecewise('y + 2*sgn(y)', 'y', toyDifferentiate),
+                'if((y > 0), d((y + (2 * 1))), if((y < 0), d((y + (2 * -1))), d((y + (2 * 0)))))');
+            assertEqual(differentiatePiecewise('y + 2*sign(y)', 'y', toyDifferentiate),
+                'if((y > 0), d((y + (2 * 1))), if((y < 0), d((y + (2 * -1))), d((y + (2 * 0)))))');
+        });
+
+        await test('Branches with equal derivatives collapse', async () => {
+            assertEqual(differentiatePiecewise('y > 0 ? x + 1 : x - 1', 'x', () => '1'), '1');
+            assertEqual(differentiatePiecewise('3*heaviside(y) + 2*(x > 0)', 'x', toyDifferentiate), '0');
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for Poincaré sections
+ * Tests section parsing, the crossing GLSL, view fitting and crossing recording
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertDeepEqual, assertApproxEqual, assert, assertThrows } = require('../helpers/test-runner.cjs');
+
+const { parseSectionEquation, generateSectionGLSL, fitSectionBounds, sectionPointsToCSV, POINCARE_MAX_POINTS, POINCARE_RECORD_INTERVAL } = require('../../src/math/poincare.js');
+const { PoincareManager } = require('../../src/webgl/poincare.js');
+const { FloatStrategy } = require('../../src/webgl/strategies/float-strategy.js');
+
+/**
+ * Minimal WebGL stand-in: every create* returns a fresh object, status queries
+ * succeed and readPixels returns the crossings set on the mock
+ */
+function createMockGL() {
+    const gl = {
+        FLOAT: 1,
+        FRAMEBUFFER_COMPLETE: 1,
+        crossings: [],
+        checkFramebufferStatus: () => 1,
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        getExtension: () => ({}),
+        readPixels(x, y, width, height, format, type, data) {
+            data.fill(0);
+            this.crossings.forEach(([index, u, v, t]) => data.set([u, v, t, 1], 4 * index));
+        }
+    };
+    return new Proxy(gl, {
+        get: (target, key) => {
+            if (key in target) return target[key];
+            if (typeof key === 'string' && key.startsWith('create')) return () => ({});
+            return () => {};
+        }
+    });
+}
+
+function createManager() {
+    const gl = createMockGL();
+    const manager = new PoincareManager(gl);
+    manager.initialize({
+        dimensions: 3,
+        strategy: new FloatStrategy(gl),
+        equation: 'z = 27',
+        direction: 'positive',
+        axes: [0, 1],
+        gradientGLSL: 'vec3 evaluateGradient(float t) { return vec3(t); }'
+    });
+    manager.setBounds({ min: [-20, -30], max: [20, 30] });
+    return { gl, manager };
+}
+
+const frame = { bindParticles: () => {}, particleRes: 4, particleCount: 10, time: 1, step: 0.01, width: 64, height: 64 };
+
+async function runTests() {
+    await describe('Section Equation', async () => {
+
+        await test('Equation becomes s = lhs - rhs', async () => {
+            assertEqual(parseSectionEquation('z = 27'), '(z) - (27)');
+            assertEqual(parseSectionEquation(' x*y '), 'x*y');
+        });
+
+        await test('Malformed equations are rejected', async () => {
+            assertThrows(() => parseSectionEquation('x = y = 0'));
+            assertThrows(() => parseSectionEquation('z ='));
+            assertThrows(() => parseSectionEquation(''));
+        });
+
+        await test('Crossing test follows the direction', async () => {
+            const positive = generateSectionGLSL(3, 'z = 27', 'positive');
+            assert(positive.includes('float section(vec3 p, float t)'), positive);
+            assert(positive.includes('p.z'), positive);
+            assert(positive.includes('if (s0 < 0.0 && s1 >= 0.0)'), positive);
+            assert(generateSectionGLSL(2, 'y', 'negative').includes('if (s0 > 0.0 && s1 <= 0.0)'), 'negative crossing');
+            assertThrows(() => generateSectionGLSL(2, 'y', 'sideways'));
+        });
+    });
+
+    await describe('Section View', async () => {
+
+        await test('Fit keeps square cells around the crossings', async () => {
+            const bbox = fitSectionBounds([{ u: 0, v: 0 }, { u: 10, v: 2 }], 2, 0);
+            assertDeepEqual(bbox.min, [0, -1.5]);
+            assertDeepEqual(bbox.max, [10, 3.5]);
+        });
+
+        await test('A single crossing gets a unit view', async () => {
+            const bbox = fitSectionBounds([{ u: 3, v: 4 }], 1, 0);
+            assertDeepEqual(bbox.min, [2, 3]);
+            assertDeepEqual(bbox.max, [4, 5]);
+            assertEqual(fitSectionBounds([], 1), null);
+        });
+
+        await test('CSV has the section coordinates and time', async () => {
+            const csv = sectionPointsToCSV([{ u: 1, v: 2, t: 0.5 }], ['x', 'y']);
+            assertEqual(csv, 'x,y,t\n1,2,0.5');
+        });
+    });
+
+    await describe('Crossing Recording', async () => {
+
+        await test('Crossed particles are recorded', async () => {
+            const { gl, manager } = createManager();
+            gl.crossings = [[2, 1.5, -3, 0.995], [7, -4, 8, 0.991]];
+            manager.capture(frame);
+            assertEqual(manager.points.length, 2);
+            assertApproxEqual(manager.points[1].u, -4, 1e-6);
+            assertApproxEqual(manager.points[0].t, 0.995, 1e-6);
+        });
+
+        await test('Texels beyond the particle count are ignored', async () => {
+            const { gl, manager } = createManager();
+            gl.crossings = [[12, 1, 1, 1]];
+            manager.capture(frame);
+            assertEqual(manager.points.length, 0);
+        });
+
+        await test('Recording stops at the point limit', async () => {
+            const { gl, manager } = createManager();
+            manager.points = new Array(POINCARE_MAX_POINTS - 1).fill({ u: 0, v: 0, t: 0 });
+            gl.crossings = [[0, 1, 1, 1], [1, 2, 2, 1]];
+            manager.capture(frame);
+            assertEqual(manager.points.length, POINCARE_MAX_POINTS);
+        });
+
+        await test('Crossings are read back once per record interval', async () => {
+            const { gl, manager } = createManager();
+            let reads = 0;
+            const readPixels = gl.readPixels;
+            gl.readPixels = function (...args) {
+                reads++;
+                return readPixels.apply(this, args);
+            };
+            gl.crossings = [[0, 1, 1, 1]];
+            for (let i = 0; i < 2 * POINCARE_RECORD_INTERVAL; i++) {
+                manager.capture(frame);
+            }
+            assertEqual(reads, 2);
+            assertEqual(manager.points.length, 2);
+        });
+
+        await test('Fit and clear use the recorded crossings', async () => {
+            const { gl, manager } = createManager();
+            gl.crossings = [[0, 0, 0, 1], [1, 4, 2, 1]];
+            manager.capture(frame);
+            assert(manager.fit(2), 'fit failed');
+            assertApproxEqual(manager.bbox.max[0] - manager.bbox.min[0], 2 * (manager.bbox.max[1] - manager.bbox.min[1]), 1e-9);
+            manager.clear();
+            assertEqual(manager.points.length, 0);
+            assertEqual(manager.fit(2), false);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for particle seeding distributions
+ * Tests the JavaScript samplers used to initialize particles
+ */
+
+// Logger depends on jQuery - stub it for Node
+global.$ = () => ({ length: 0, on: () => {}, append: () => {}, empty: () => {} });
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertApproxEqual, assertDeepEqual } = require('../helpers/test-runner.cjs');
+
+const { getSeeding, parsePoint } = require('../../src/math/seeding.js');
+
+const getRange = () => ({ min: -2, max: 2 });
+
+function sampleMany(seeding, count = 200, resolution = 10) {
+    return Array.from({ length: count }, (_, index) =>
+        seeding.sample({ index, resolution, random: Math.random, getRange })
+    );
+}
+
+async function runTests() {
+    await describe('Point Parameters', async () => {
+
+        await test('Parses comma-separated points and pads with zeros', async () => {
+            assertDeepEqual(parsePoint('1, -2.5', 3), [1, -2.5, 0]);
+            assertDeepEqual(parsePoint([3, 4], 2), [3, 4]);
+            assertDeepEqual(parsePoint('', 2), [0, 0]);
+        });
+    });
+
+    await describe('Samplers', async () => {
+
+        await test('Uniform stays within the storage range (plus 2% margin)', async () => {
+            const inside = sampleMany(getSeeding('uniform', 3)).every(p =>
+                p.length === 3 && p.every(v => v >= -2.08 && v <= 2.08)
+            );
+            assertEqual(inside, true);
+        });
+
+        await test('Line samples lie on the segment', async () => {
+            const seeding = getSeeding('line', 2, { start: '0, 0', end: '2, 1' });
+            const onSegment = sampleMany(seeding).every(([x, y]) =>
+                Math.abs(y - x / 2) < 1e-12 && x >= 0 && x <= 2
+            );
+            assertEqual(onSegment, true);
+        });
+
+        await test('Curve evaluates expressions in s', async () => {
+            const seeding = getSeeding('curve', 2, { curveExprs: ['cos(2*pi*s)', 'sin(2*pi*s)'] });
+            for (const [x, y] of sampleMany(seeding, 50)) {
+                assertApproxEqual(x * x + y * y, 1, 1e-9);
+            }
+        });
+
+        await test('Sphere samples lie on the surface', async () => {
+            const seeding = getSeeding('sphere', 3, { center: '1, 0, 0', radius: 2 });
+            for (const [x, y, z] of sampleMany(seeding, 50)) {
+                assertApproxEqual(Math.hypot(x - 1, y, z), 2, 1e-9);
+            }
+        });
+
+        await test('Gaussian samples have the requested mean', async () => {
+            const seeding = getSeeding('gaussian', 2, { center: '3, -1', sigma: 0.1 });
+            const samples = sampleMany(seeding, 2000);
+            const meanX = samples.reduce((sum, p) => sum + p[0], 0) / samples.length;
+            const meanY = samples.reduce((sum, p) => sum + p[1], 0) / samples.length;
+            assertApproxEqual(meanX, 3, 0.02);
+            assertApproxEqual(meanY, -1, 0.02);
+        });
+
+        await test('Grid places particles at texture cell centers', async () => {
+            const seeding = getSeeding('grid', 3, { center: '0, 0, 5' });
+            const first = seeding.sample({ index: 0, resolution: 4, random: Math.random, getRange });
+            const last = seeding.sample({ index: 15, resolution: 4, random: Math.random, getRange });
+            assertDeepEqual(first, [-1.5, -1.5, 5]);
+            assertDeepEqual(last, [1.5, 1.5, 5]);
+        });
+
+        await test('Density favors high-density regions', async () => {
+            // Density x^2/4 on [-2, 2]: E[x^2] = 2.4 (vs 4/3 for uniform)
+            const seeding = getSeeding('density', 2, { densityExpr: 'x^2 / 4' });
+            const samples = sampleMany(seeding, 2000);
+            const meanSquare = samples.reduce((sum, [x]) => sum + x * x, 0) / samples.length;
+            assertEqual(meanSquare > 2.0, true, `E[x^2] = ${meanSquare}`);
+        });
+    });
+
+    await describe('GLSL', async () => {
+
+        await test('Every distribution defines seed_position', async () => {
+            for (const type of ['uniform', 'line', 'curve', 'sphere', 'gaussian', 'grid', 'density']) {
+                const seeding = getSeeding(type, 6);
+                assertEqual(seeding.code.includes('mat3 seed_position(vec2 cell)'), true, `${type} missing seed_position`);
+            }
+        });
+
+        await test('Random distributions draw a new sample on every respawn', async () => {
+            for (const type of ['line', 'curve', 'sphere', 'gaussian', 'density']) {
+                const code = getSeeding(type, 3).code;
+                const seedRand = code.match(/float seed_rand\(vec2 cell, float k\) \{([^}]*)\}/);
+                assertEqual(Boolean(seedRand) && seedRand[1].includes('u_rand_seed'), true, `${type} seed_rand ignores u_rand_seed`);
+                const body = code.slice(code.indexOf('seed_position(vec2 cell)'));
+                assertEqual(/seed_(rand|gauss)\(/.test(body), true, `${type} does not draw from seed_rand`);
+            }
+        });
+
+        await test('Unknown types fall back to uniform', async () => {
+            assertEqual(getSeeding('nonexistent', 2).name, 'Uniform');
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for GLSL state vector helpers
+ * Tests the vecN / packed mat3 representation used for 2D-6D systems
+ */
+
+const { test, describe, printSummary, exitWithResults, assertEqual, assertThrows } = require('../helpers/test-runner.cjs');
+
+const {
+    MAX_DIMENSIONS,
+    isPackedState,
+    getStateType,
+    getStateComponent,
+    buildState,
+    buildBasisState,
+    getStateZero,
+    generateStateHelpersGLSL,
+    glslFloat
+} = require('../../src/math/state-vector.js');
+
+async function runTests() {
+    await describe('State Types', async () => {
+
+        await test('Dimensions 2-4 use native vectors', async () => {
+            assertEqual(getStateType(2), 'vec2');
+            assertEqual(getStateType(3), 'vec3');
+            assertEqual(getStateType(4), 'vec4');
+            assertEqual(isPackedState(4), false);
+        });
+
+        await test('Dimensions 5-6 pack into mat3', async () => {
+            assertEqual(getStateType(5), 'mat3');
+            assertEqual(getStateType(6), 'mat3');
+            assertEqual(isPackedState(5), true);
+        });
+
+        await test('Rejects dimensions above the maximum', async () => {
+            assertEqual(MAX_DIMENSIONS, 6);
+            assertThrows(() => getStateType(7));
+        });
+
+        await test('Zero state matches type', async () => {
+            assertEqual(getStateZero(3), 'vec3(0.0)');
+            assertEqual(getStateZero(6), 'mat3(0.0)');
+        });
+    });
+
+    await describe('Component Access', async () => {
+
+        await test('Vector states use swizzles', async () => {
+            assertEqual(getStateComponent('pos', 0, 4), 'pos.x');
+            assertEqual(getStateComponent('pos', 3, 4), 'pos.w');
+        });
+
+        await test('Packed states index columns of three', async () => {
+            assertEqual(getStateComponent('pos', 0, 6), 'pos[0][0]');
+            assertEqual(getStateComponent('pos', 2, 6), 'pos[0][2]');
+            assertEqual(getStateComponent('pos', 3, 6), 'pos[1][0]');
+            assertEqual(getStateComponent('pos', 5, 6), 'pos[1][2]');
+        });
+    });
+
+    await describe('Constructors', async () => {
+
+        await test('Float literals always carry a decimal point or exponent', async () => {
+            assertEqual(glslFloat(2), '2.0');
+            assertEqual(glslFloat(-3), '-3.0');
+            assertEqual(glslFloat(0.25), '0.25');
+            assertEqual(glslFloat(1e-8), '1e-8');
+        });
+
+        await test('Vector state constructor', async () => {
+            assertEqual(buildState(['a', 'b', 'c'], 3), 'vec3(a, b, c)');
+        });
+
+        await test('Packed state constructor pads to nine entries', async () => {
+            assertEqual(
+                buildState(['a', 'b', 'c', 'd', 'e'], 5),
+                'mat3(a, b, c, d, e, 0.0, 0.0, 0.0, 0.0)'
+            );
+        });
+
+        await test('Basis state places scale in one component', async () => {
+            assertEqual(buildBasisState(1, 2, '1e-4'), 'vec2(0.0, 1e-4)');
+            assertEqual(
+                buildBasisState(4, 6, '1e-4'),
+                'mat3(0.0, 0.0, 0.0, 0.0, 1e-4, 0.0, 0.0, 0.0, 0.0)'
+            );
+        });
+    });
+
+    await describe('GLSL Helpers', async () => {
+
+        await test('Vector helpers wrap built-ins', async () => {
+            const glsl = generateStateHelpersGLSL(3);
+            assertEqual(glsl.includes('float state_length(vec3 s)'), true);
+            assertEqual(glsl.includes('return length(s);'), true);
+        });
+
+        await test('Packed helpers ignore the unused third column', async () => {
+            const glsl = generateStateHelpersGLSL(6);
+            assertEqual(glsl.includes('dot(a[0], b[0]) + dot(a[1], b[1])'), true);
+            assertEqual(glsl.includes('a[2]'), false);
+        });
+
+        await test('Component-wise products avoid the matrix product', async () => {
+            assertEqual(generateStateHelpersGLSL(6).includes('return matrixCompMult(a, b);'), true);
+            assertEqual(generateStateHelpersGLSL(4).includes('vec4 state_mul(vec4 a, vec4 b)'), true);
+        });
+    });
+
+    printSummary();
+    exitWithResults();
+}
+
+runTests();